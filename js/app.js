@@ -3,12 +3,60 @@
  * Initializes and orchestrates all modules
  */
 
-import { loadStarsData, formatDate } from './services/storage.js';
-import { mergeCustomData, exportCustomData, initCustomData, getAllCustomData } from './services/customData.js';
-import { initSupabase, migrateFromLocalStorage } from './services/supabase.js';
+import { loadStarsData, loadTeamIndex, formatDate } from './services/storage.js';
+import { loadTeamData } from './services/team.js';
+import {
+  exportCustomData,
+  initCustomData,
+  loadAllCustomData,
+  applyCustomData,
+  parseImportData,
+  buildImportPreview,
+  importCustomData,
+  getImportableCollections,
+  importCollections,
+  getImportableTagInfo,
+  importTagInfo,
+  getTagColors
+} from './services/customData.js';
+import { initSupabase, getCurrentUser, onAuthChange } from './services/supabase.js';
+import { startSync as startCloudSync, stopSync as stopCloudSync, syncNow as syncCloudNow } from './services/cloudSync.js';
+import { onOtherTabChange } from './services/crossTab.js';
+import { getWorkflowToken, setWorkflowToken, clearWorkflowToken, runSyncWorkflow } from './services/workflow.js';
 import { initDarkMode, setLoadingState, showToast } from './ui/components.js';
-import { initFilters, initURLFilters } from './ui/filters.js';
-import { FEATURES } from './utils/constants.js';
+import { initFilters, initURLFilters, setRepositories, patchCustomData } from './ui/filters.js';
+import { initWhatsNew, updateWhatsNew } from './ui/whatsNew.js';
+import { openImportDialog } from './ui/importDialog.js';
+import { initAuthMenu, updateAuthMenu } from './ui/auth.js';
+import { initCloudSyncStatus } from './ui/cloudSyncStatus.js';
+import { getInitialView, findMember, initUserSwitcher } from './ui/userSwitcher.js';
+import { initCollections, setCollectionRepositories, refreshCollections } from './ui/collections.js';
+import { initTagTree, setTagTreeRepositories, refreshTagTree } from './ui/tagTree.js';
+import { initStarLists, setStarLists } from './ui/starLists.js';
+import { initRepoDrawer, setDrawerRepositories, refreshRepoDrawer } from './ui/repoDrawer.js';
+import { initTagManager, refreshTagManager } from './ui/tagManager.js';
+import { initCleanup, setCleanupRepositories, refreshCleanup } from './ui/cleanup.js';
+import { initDashboard, refreshDashboard } from './ui/dashboard.js';
+import { initSelection, setSelectionRepositories } from './ui/selection.js';
+import { setTagColors } from './ui/cards.js';
+import { registerView, initViews } from './ui/views.js';
+import { openNotesConflictDialog } from './ui/conflictDialog.js';
+import { CONFIG, FEATURES, ERROR_MESSAGES } from './utils/constants.js';
+
+// Metadata of the currently displayed stars.json
+let currentMetadata = {};
+
+// Repositories currently displayed (with custom data merged in)
+let currentRepositories = [];
+
+// Team from data/team.json (null on single-user sites)
+let team = null;
+
+// Login of the team member shown, or '' for the combined team view
+let currentView = '';
+
+// ID of the signed-in Supabase user (null when signed out or Supabase is disabled)
+let currentUserId = null;
 
 /**
  * Initialize the application
@@ -19,30 +67,81 @@ async function init() {
   // Initialize dark mode
   initDarkMode();
 
-  // Initialize Supabase (only if feature flag enabled)
-  const supabaseAvailable = FEATURES.USE_SUPABASE ? initSupabase() : false;
-  initCustomData(supabaseAvailable);
+  // Custom data is always stored in the configured local backend; with
+  // Supabase enabled, edits are also queued for the two-way sync
+  initCustomData(CONFIG.STORAGE_BACKEND, { trackChanges: FEATURES.USE_SUPABASE });
+
+  // Initialize Supabase (only if feature flag enabled) and sync while signed in
+  let user = null;
+  if (FEATURES.USE_SUPABASE && initSupabase()) {
+    user = await getCurrentUser();
+    currentUserId = user?.id || null;
+
+    initAuthMenu({ beforeSignOut: syncCloudNow });
+    initCloudSyncStatus();
+    updateAuthMenu(user);
+    onAuthChange(handleAuthChange);
+  }
 
   // Show loading state
   setLoadingState(true);
 
   try {
-    // Load stars data from JSON file
-    const data = await loadStarsData();
+    // Sites syncing several users get a user switcher and a team view
+    team = await loadTeamIndex();
+    if (team) {
+      currentView = getInitialView(team);
+      initUserSwitcher(team, currentView, switchView);
+    }
 
-    // Merge custom data from Supabase/localStorage (async now)
-    const repositoriesWithCustomData = await Promise.all(
-      data.repositories.map(repo => mergeCustomData(repo))
-    );
+    // Load stars data and merge custom data from the local store
+    const { metadata, repositories: repositoriesWithCustomData, lists } = await loadRepositories();
+    currentRepositories = repositoriesWithCustomData;
 
     // Update UI with metadata
-    updateMetadata(data.metadata);
+    updateMetadata(metadata);
 
     // Initialize URL-based filters (for sharing)
-    initURLFilters();
-
-    // Initialize filters and render repositories
-    initFilters(repositoriesWithCustomData);
+    initURLFilters(repositoriesWithCustomData, lists);
+
+    // Initialize filters and render repositories (tag chips in their colours)
+    setTagColors(await getTagColors());
+    initFilters(repositoriesWithCustomData, lists);
+
+    // Top-level views: all stars, collections, the tag manager, clean-up and statistics;
+    // the one in the URL (e.g. a collection link) is shown once all are registered
+    registerView('stars', { sectionId: 'stars-view', buttonId: 'show-stars' });
+    await initCollections(repositoriesWithCustomData);
+    await initTagManager({
+      onCustomDataChanged: () => refreshCustomData(currentRepositories)
+    });
+    initCleanup(repositoriesWithCustomData, {
+      onCustomDataChanged: () => refreshCustomData(currentRepositories)
+    });
+    initDashboard();
+    initViews();
+
+    // Sidebar: tag tree and the GitHub Lists
+    initTagTree(repositoriesWithCustomData);
+    initStarLists(lists, repositoriesWithCustomData, {
+      onCustomDataChanged: () => refreshCustomData(currentRepositories)
+    });
+
+    // Repository details (opens the repository in the URL, if any)
+    initRepoDrawer(repositoriesWithCustomData);
+
+    // Selection mode and bulk actions
+    initSelection(repositoriesWithCustomData, {
+      onCustomDataChanged: () => refreshCustomData(currentRepositories)
+    });
+
+    // Show changes from recent syncs (does not block the first render)
+    initWhatsNew(repositoriesWithCustomData, getHistoryOptions());
+
+    // Sync with Supabase in the background; pulled changes arrive as customDataSynced
+    if (user) {
+      startCloudSync({ userId: user.id, resolveNotesConflict, confirmAccountSwitch });
+    }
 
     // Hide loading state
     setLoadingState(false);
@@ -65,11 +164,95 @@ async function init() {
   }
 }
 
+/**
+ * Load stars data and merge custom data (loaded in bulk) into every repository
+ * @param {Object} options - Options passed to loadStarsData
+ * @returns {Promise<Object>} Metadata, repositories with custom data and star lists
+ */
+async function loadRepositories(options = {}) {
+  const [data, customData] = await Promise.all([loadViewData(options), loadAllCustomData()]);
+
+  const repositories = data.repositories.map(repo => applyCustomData(repo, customData));
+
+  // Data synced before star lists were fetched has none
+  return { metadata: data.metadata, repositories, lists: data.lists || [] };
+}
+
+/**
+ * Load the stars of the current view: the site's user, a team member or the whole team
+ * @param {Object} options - Options passed to loadStarsData
+ * @returns {Promise<Object>} stars.json-like data
+ */
+function loadViewData(options = {}) {
+  if (!team) {
+    return loadStarsData(options);
+  }
+
+  const member = findMember(team, currentView);
+  return member ? loadStarsData({ ...options, file: member.dataFile }) : loadTeamData(team, options);
+}
+
+/**
+ * Options telling the "What's new" panel which change log to show
+ * @returns {Object} Options for updateWhatsNew
+ */
+function getHistoryOptions() {
+  if (!team) return {};
+
+  const member = findMember(team, currentView);
+  return member ? { file: member.historyFile } : { users: team.users };
+}
+
+/**
+ * Show another team member, or the team view
+ * @param {string} view - Login of a team member, or '' for the team view
+ */
+async function switchView(view) {
+  currentView = view;
+  await reloadData();
+}
+
+/**
+ * Load current custom data and patch repositories whose tags or notes changed
+ * into the list and the visible cards; collections, tag colours, the tag tree,
+ * the tag manager, the clean-up view, the dashboard and the details drawer are reloaded too
+ * @param {Array} repositories - Repositories currently shown
+ */
+async function refreshCustomData(repositories) {
+  refreshCollections();
+  refreshTagManager();
+  setTagColors(await getTagColors());
+
+  const customData = await loadAllCustomData();
+  const changes = [];
+
+  repositories.forEach(repo => {
+    const { custom_tags, notes } = applyCustomData(repo, customData);
+
+    if (JSON.stringify(custom_tags) !== JSON.stringify(repo.custom_tags) || notes !== repo.notes) {
+      changes.push({ repoId: repo.id, custom_tags, notes });
+    }
+  });
+
+  if (changes.length > 0) {
+    console.log(`🔄 Updated custom data for ${changes.length} repositories`);
+    patchCustomData(changes);
+    refreshTagTree();
+    refreshCleanup();
+    refreshDashboard();
+  }
+
+  // Tag colours may have changed even when no tags did
+  refreshRepoDrawer();
+}
+
 /**
  * Update metadata in the UI
  * @param {Object} metadata - Metadata from stars.json
  */
 function updateMetadata(metadata) {
+  currentMetadata = metadata;
+
   // Update username
   const usernameDisplay = document.getElementById('username-display');
   if (usernameDisplay && metadata.username) {
@@ -101,8 +284,8 @@ function updateMetadata(metadata) {
 function setupEventListeners() {
   // Export custom data button
   const exportButton = document.getElementById('export-custom-data');
-  exportButton?.addEventListener('click', () => {
-    const success = exportCustomData();
+  exportButton?.addEventListener('click', async () => {
+    const success = await exportCustomData();
     if (success) {
       showToast('Custom data exported successfully', 'success');
     } else {
@@ -110,36 +293,11 @@ function setupEventListeners() {
     }
   });
 
-  // Migrate to Supabase button (only show if Supabase is enabled)
-  const migrateButton = document.getElementById('migrate-to-supabase');
-  if (migrateButton) {
-    if (!FEATURES.USE_SUPABASE) {
-      migrateButton.style.display = 'none';
-    } else {
-      migrateButton.addEventListener('click', async () => {
-        if (!confirm('This will migrate your custom tags and notes from localStorage to Supabase. Continue?')) {
-          return;
-        }
-
-        showToast('Starting migration...', 'info');
-
-        try {
-          const localData = getAllCustomData();
-          const results = await migrateFromLocalStorage(localData);
-
-          if (results.errors.length > 0) {
-            console.error('Migration errors:', results.errors);
-            showToast(`Migration completed with ${results.errors.length} errors. Check console for details.`, 'warning', 5000);
-          } else {
-            showToast(`Migration successful! Imported ${results.tagsImported} tags and ${results.notesImported} notes.`, 'success', 5000);
-          }
-        } catch (error) {
-          console.error('Migration failed:', error);
-          showToast('Migration failed. Please try again.', 'error', 5000);
-        }
-      });
-    }
-  }
+  // Import custom data button
+  setupImportButton();
+
+  // Sync now button
+  setupSyncButton();
 
   // Keyboard shortcuts
   document.addEventListener('keydown', (e) => {
@@ -161,13 +319,35 @@ function setupEventListeners() {
     }
   });
 
-  // Handle online/offline status
+  // Handle online/offline status (the cloud sync resumes by itself)
   window.addEventListener('online', () => {
     showToast('Back online', 'success', 2000);
   });
 
   window.addEventListener('offline', () => {
-    showToast('You are offline. Showing cached data.', 'warning', 3000);
+    showToast(
+      currentUserId
+        ? 'You are offline. Edits are saved in this browser and synced when you reconnect.'
+        : 'You are offline. Showing cached data.',
+      'warning',
+      4000
+    );
+  });
+
+  // Tags and notes pulled from another device, or saved in another tab
+  window.addEventListener('customDataSynced', () => {
+    refreshCustomData(currentRepositories);
+  });
+  onOtherTabChange(() => refreshCustomData(currentRepositories));
+
+  // Tags renamed or moved in the tag tree or the tag manager
+  window.addEventListener('customTagRenamed', () => {
+    refreshCustomData(currentRepositories);
+  });
+
+  // Tag colours changed in the tag manager
+  window.addEventListener('tagInfoChanged', async () => {
+    setTagColors(await getTagColors());
   });
 
   // Setup accessibility: skip to main content
@@ -175,6 +355,248 @@ function setupEventListeners() {
   document.body.insertBefore(skipLink, document.body.firstChild);
 }
 
+// Labels shown on the sync button for each workflow run status
+const SYNC_STATUS_LABELS = {
+  dispatched: 'Queued...',
+  queued: 'Queued...',
+  waiting: 'Queued...',
+  in_progress: 'Syncing...',
+  completed: 'Deploying...'
+};
+
+// Whether a sync workflow run is currently in progress
+let syncInProgress = false;
+
+/**
+ * Start or stop the cloud sync when the user signs in or out
+ * @param {Object|null} user - Supabase user, or null if signed out
+ */
+async function handleAuthChange(user) {
+  const userId = user?.id || null;
+  if (userId === currentUserId) return;
+  currentUserId = userId;
+
+  updateAuthMenu(user);
+
+  if (user) {
+    showToast('Signed in. Your tags and notes now sync across devices.', 'info', 4000);
+    await startCloudSync({ userId, resolveNotesConflict, confirmAccountSwitch });
+  } else {
+    stopCloudSync();
+    showToast('Signed out. Your tags and notes stay in this browser.', 'info', 4000);
+  }
+}
+
+/**
+ * Ask the user which notes to keep when they changed here and on another device
+ * @param {Object} conflict - repoId, local and remote notes
+ * @returns {Promise<string>} Notes to keep
+ */
+function resolveNotesConflict(conflict) {
+  return openNotesConflictDialog(conflict, currentRepositories);
+}
+
+/**
+ * Ask before replacing this browser's data with another account's while edits made
+ * with the previous account were never synced; agreeing downloads a backup first
+ * @param {Object} details - previousUserId and the number of pending edits
+ * @returns {Promise<boolean>} Whether to drop the pending edits and switch
+ */
+async function confirmAccountSwitch({ pending }) {
+  const confirmed = confirm(
+    `This browser has ${pending} unsynced ${pending === 1 ? 'edit' : 'edits'} made while signed in with another account.\n\n` +
+    'OK: download a backup of this browser\'s tags and notes, then replace them with this account\'s.\n' +
+    'Cancel: keep them and pause syncing. Sign in with the previous account to sync them.'
+  );
+  if (!confirmed) {
+    showToast(ERROR_MESSAGES.CLOUD_SYNC_ACCOUNT_SWITCH_DECLINED, 'warning', 6000);
+    return false;
+  }
+
+  // Nothing is dropped unless the backup was saved
+  if (!(await exportCustomData())) {
+    showToast('Could not export your data, so nothing was replaced', 'error', 5000);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Setup the "Import Data" button and its hidden file input
+ */
+function setupImportButton() {
+  const importButton = document.getElementById('import-custom-data');
+  const fileInput = document.getElementById('import-file');
+  if (!importButton || !fileInput) return;
+
+  importButton.addEventListener('click', () => fileInput.click());
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    // Reset so choosing the same file again triggers another change event
+    fileInput.value = '';
+    if (file) {
+      await importFromFile(file);
+    }
+  });
+}
+
+/**
+ * Preview an export file and import the items the user chose
+ * @param {File} file - JSON file created by "Export Data" (localStorage or Supabase format)
+ */
+async function importFromFile(file) {
+  let imported;
+  try {
+    imported = parseImportData(JSON.parse(await file.text()));
+  } catch (error) {
+    console.error('Failed to read import file:', error);
+    showToast(ERROR_MESSAGES.IMPORT_INVALID_FORMAT, 'error', 5000);
+    return;
+  }
+
+  try {
+    const [items, collections, tagInfo] = await Promise.all([
+      buildImportPreview(imported),
+      getImportableCollections(imported.collections),
+      getImportableTagInfo(imported.tagInfo)
+    ]);
+    if (items.length === 0 && collections.length === 0 && tagInfo.length === 0) {
+      showToast('Nothing to import: your tags, notes, collections and tag colours already match this file.', 'info', 4000);
+      return;
+    }
+
+    let results = { imported: 0, failed: 0 };
+    if (items.length > 0) {
+      const modes = await openImportDialog(items, {
+        format: imported.format,
+        repositories: currentRepositories
+      });
+      if (!modes) return;
+
+      results = await importCustomData(items, modes);
+    }
+
+    // New collections and tag info, and newer copies of existing ones, are imported as they are
+    const collectionResults = await importCollections(collections);
+    const tagInfoResults = await importTagInfo(tagInfo);
+    await refreshCustomData(currentRepositories);
+
+    const summary = [
+      results.imported > 0 ? `tags and notes for ${results.imported} repositories` : '',
+      collectionResults.imported > 0 ? `${collectionResults.imported} collections` : '',
+      tagInfoResults.imported > 0 ? `settings of ${tagInfoResults.imported} tags` : ''
+    ].filter(Boolean).join(' and ');
+    const failed = results.failed + collectionResults.failed + tagInfoResults.failed;
+
+    if (failed > 0) {
+      showToast(`Imported ${summary || 'nothing'}; ${failed} items could not be saved.`, 'warning', 5000);
+    } else {
+      showToast(`Imported ${summary || 'nothing'}`, 'success');
+    }
+  } catch (error) {
+    console.error('Import failed:', error);
+    showToast('Import failed. Please try again.', 'error', 5000);
+  }
+}
+
+/**
+ * Setup the "Sync now" and "Purge archived" buttons that dispatch the sync workflow
+ */
+function setupSyncButton() {
+  const syncButton = document.getElementById('sync-now');
+  syncButton?.addEventListener('click', () => startSync());
+
+  const purgeButton = document.getElementById('purge-archived');
+  purgeButton?.addEventListener('click', () => {
+    const count = currentMetadata.totalArchived || 0;
+    if (!confirm(`This will run the sync workflow and permanently remove ${count} archived (unstarred) repositories from stars.json. Continue?`)) {
+      return;
+    }
+    startSync({ purge_archived: 'true' });
+  });
+}
+
+/**
+ * Dispatch the sync workflow, follow its progress on the sync button
+ * and reload the data once the new stars.json is deployed
+ * @param {Object} inputs - Optional workflow_dispatch inputs
+ */
+async function startSync(inputs = {}) {
+  const syncButton = document.getElementById('sync-now');
+  const syncLabel = document.getElementById('sync-now-label');
+  if (!syncButton || syncInProgress) return;
+
+  if (!getWorkflowToken()) {
+    const token = prompt(
+      'Enter a fine-grained GitHub token with "Actions: Read and write" access to ' +
+      `${CONFIG.REPO_OWNER}/${CONFIG.REPO_NAME}. It is only stored in this browser.`
+    );
+    if (!token || !token.trim()) return;
+    setWorkflowToken(token);
+  }
+
+  syncInProgress = true;
+  syncButton.disabled = true;
+  syncButton.classList.add('opacity-60', 'cursor-wait');
+  if (syncLabel) syncLabel.textContent = 'Starting...';
+
+  try {
+    await runSyncWorkflow({
+      inputs,
+      onStatus: status => {
+        if (syncLabel && SYNC_STATUS_LABELS[status]) syncLabel.textContent = SYNC_STATUS_LABELS[status];
+      }
+    });
+
+    if (syncLabel) syncLabel.textContent = SYNC_STATUS_LABELS.completed;
+    const updated = await waitForUpdatedData(team ? team.lastUpdated : currentMetadata.lastUpdated);
+
+    if (updated) {
+      showToast('Stars synced successfully', 'success');
+    } else {
+      showToast('Sync finished, but the site has not been redeployed yet. Try reloading in a minute.', 'warning', 5000);
+    }
+  } catch (error) {
+    console.error('Sync workflow failed:', error);
+    if (error.status === 401 || error.status === 403) {
+      clearWorkflowToken();
+    }
+    showToast(error.message, 'error', 5000);
+  } finally {
+    syncInProgress = false;
+    syncButton.disabled = false;
+    syncButton.classList.remove('opacity-60', 'cursor-wait');
+    if (syncLabel) syncLabel.textContent = 'Sync now';
+  }
+}
+
+/**
+ * Poll stars.json (team.json on team sites) until the deployed data is newer
+ * than a given sync time, then re-render with it
+ * @param {string} previousLastUpdated - lastUpdated of the currently displayed data
+ * @returns {Promise<boolean>} Whether newer data was loaded
+ */
+async function waitForUpdatedData(previousLastUpdated) {
+  const deadline = Date.now() + CONFIG.DEPLOY_WAIT_MS;
+
+  while (Date.now() < deadline) {
+    const lastUpdated = team
+      ? (await loadTeamIndex({ bypassCache: true }))?.lastUpdated
+      : (await loadStarsData({ bypassCache: true })).metadata.lastUpdated;
+
+    if (lastUpdated && lastUpdated !== previousLastUpdated) {
+      await reloadData();
+      return true;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, CONFIG.WORKFLOW_POLL_INTERVAL_MS));
+  }
+
+  await reloadData();
+  return false;
+}
+
 /**
  * Create a skip to main content link for accessibility
  * @returns {HTMLElement} Skip link element
@@ -219,11 +641,32 @@ function createSkipLink() {
 }
 
 /**
- * Reload data (for future use when implementing refresh button)
+ * Reload stars data (and the team index) and re-render without re-initializing the UI
  */
 async function reloadData() {
   showToast('Reloading data...', 'info');
-  await init();
+
+  try {
+    if (team) {
+      team = await loadTeamIndex({ bypassCache: true }) || team;
+      initUserSwitcher(team, currentView, switchView);
+    }
+
+    const { metadata, repositories, lists } = await loadRepositories({ bypassCache: true });
+    currentRepositories = repositories;
+    updateMetadata(metadata);
+    setRepositories(repositories, lists);
+    setCollectionRepositories(repositories);
+    setTagTreeRepositories(repositories);
+    setStarLists(lists, repositories);
+    setSelectionRepositories(repositories);
+    setCleanupRepositories(repositories);
+    setDrawerRepositories(repositories);
+    await updateWhatsNew(repositories, { bypassCache: true, ...getHistoryOptions() });
+  } catch (error) {
+    console.error('Failed to reload data:', error);
+    showToast(ERROR_MESSAGES.LOAD_DATA_FAILED, 'error', 5000);
+  }
 }
 
 // Make reload available globally for potential UI buttons
@@ -236,13 +679,13 @@ if (document.readyState === 'loading') {
   init();
 }
 
-// Service Worker registration (for future PWA support)
+// Service Worker registration (offline support and installable PWA)
+// Registered relative to the page so it works under a GitHub Pages project path
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    // Uncomment when service worker is implemented
-    // navigator.serviceWorker.register('/sw.js')
-    //   .then(reg => console.log('Service Worker registered'))
-    //   .catch(err => console.log('Service Worker registration failed'));
+    navigator.serviceWorker.register('./sw.js')
+      .then(() => console.log('✅ Service Worker registered'))
+      .catch(error => console.log('Service Worker registration failed:', error));
   });
 }
 
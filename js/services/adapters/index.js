@@ -0,0 +1,69 @@
+/**
+ * Storage Adapters
+ * Every custom data backend implements the same interface, so customData.js
+ * (and everything built on it) works the same whichever one is configured.
+ *
+ * A collection is { id, name, description, emoji, color, repoIds (in order),
+ * createdAt, updatedAt }.
+ *
+ * Tag info is { tag, color, lastUsedAt, updatedAt }: settings of a tag as a whole
+ * (its chip colour) and when it was last added to a repository.
+ *
+ * Adapter interface (all methods async; failures are thrown, e.g. QuotaExceededError):
+ *   name               - Backend name (STORAGE_BACKENDS value)
+ *   remote             - True if data lives off this device (Supabase: the sync target, not a local store)
+ *   getTags(repoId)    - Tags of a repository
+ *   setTags(repoId, tags)  - Replace the tags of a repository (empty array removes them)
+ *   setManyTags(tagsByRepo) - Replace the tags of several repositories at once ({ repoId: [tags] },
+ *                        in one transaction or request where the backend allows)
+ *   getNotes(repoId)   - Notes of a repository ('' if none)
+ *   setNotes(repoId, notes) - Replace the notes of a repository (blank removes them)
+ *   setCollection(collection) - Create or replace a collection
+ *   deleteCollection(id) - Remove a collection
+ *   getTagInfo(tag)    - Info of a tag (null if none)
+ *   setTagInfo(info)   - Create or replace the info of a tag
+ *   deleteTagInfo(tag) - Remove the info of a tag
+ *   loadAll()          - { tags: { repoId: [tags] }, notes: { repoId: text }, collections: { id: collection },
+ *                        tagInfo: { tag: info } }
+ *                        (remote adapters add notesUpdatedAt: { repoId: ISO timestamp })
+ *   exportAll()        - Data for the "Export Data" file
+ *   clear()            - Remove all tags, notes, collections and tag info
+ *   subscribe(onChange) - Optional (remote adapters, not async): call onChange when data
+ *                        is changed elsewhere; returns a function that stops listening
+ */
+
+import { STORAGE_BACKENDS } from '../../utils/constants.js';
+import { createLocalStorageAdapter } from './localStorageAdapter.js';
+import { createIndexedDBAdapter } from './indexedDBAdapter.js';
+import { createSupabaseAdapter } from './supabaseAdapter.js';
+import { createMemoryAdapter } from './memoryAdapter.js';
+
+// Backend name -> adapter factory
+const ADAPTER_FACTORIES = {
+  [STORAGE_BACKENDS.LOCAL_STORAGE]: createLocalStorageAdapter,
+  [STORAGE_BACKENDS.INDEXED_DB]: createIndexedDBAdapter,
+  [STORAGE_BACKENDS.SUPABASE]: createSupabaseAdapter,
+  [STORAGE_BACKENDS.MEMORY]: createMemoryAdapter
+};
+
+/**
+ * Create the adapter for a backend
+ * @param {string} name - STORAGE_BACKENDS value
+ * @returns {Object} Storage adapter
+ * @throws {Error} If the backend is unknown
+ */
+export function createStorageAdapter(name) {
+  // Some browsers (e.g. private modes) have no IndexedDB
+  if (name === STORAGE_BACKENDS.INDEXED_DB && typeof indexedDB === 'undefined') {
+    console.warn('IndexedDB is not available; using localStorage for custom data');
+    return createLocalStorageAdapter();
+  }
+
+  const factory = ADAPTER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${name}"`);
+  }
+  return factory();
+}
+
+export { createMemoryAdapter };
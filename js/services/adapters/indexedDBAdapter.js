@@ -0,0 +1,301 @@
+/**
+ * IndexedDB Adapter
+ * Keeps custom tags, notes, collections and tag info in an IndexedDB database, which allows far
+ * more data than localStorage. Private to this browser.
+ * Tags and notes saved by the localStorage backend are moved in once, on first use.
+ */
+
+import { STORAGE_BACKENDS } from '../../utils/constants.js';
+import { createLocalStorageAdapter } from './localStorageAdapter.js';
+
+const DB_NAME = 'github-stars';
+const DB_VERSION = 4;
+
+// Object stores: tags and notes keyed by repoId, collections keyed by id, tag info by tag, meta keyed by key
+const STORES = {
+  TAGS: 'tags',
+  NOTES: 'notes',
+  COLLECTIONS: 'collections',
+  TAG_INFO: 'tagInfo',
+  META: 'meta'
+};
+
+// Key path of each object store
+const KEY_PATHS = {
+  [STORES.TAGS]: 'repoId',
+  [STORES.NOTES]: 'repoId',
+  [STORES.COLLECTIONS]: 'id',
+  [STORES.TAG_INFO]: 'tag',
+  [STORES.META]: 'key'
+};
+
+// Meta record marking the one-time import of localStorage data
+const MIGRATION_KEY = 'localStorageMigration';
+
+// Shared connection, opened on first use
+let dbPromise = null;
+
+/**
+ * Open (and on first use create) the database, then run the localStorage migration
+ * @returns {Promise<IDBDatabase>} Database connection
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(store => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store, { keyPath: KEY_PATHS[store] });
+          }
+        });
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    })
+      .then(async (db) => {
+        await migrateFromLocalStorage(db);
+        // Ask the browser not to evict the data under storage pressure
+        navigator.storage?.persist?.();
+        return db;
+      })
+      .catch(error => {
+        dbPromise = null;
+        throw error;
+      });
+  }
+
+  return dbPromise;
+}
+
+/**
+ * Move tags and notes saved by the localStorage backend into the database (once)
+ * Entries already in the database win. The localStorage keys are removed
+ * afterwards to free the (small) localStorage quota.
+ * @param {IDBDatabase} db - Database connection
+ */
+async function migrateFromLocalStorage(db) {
+  const [migration, tagKeys, noteKeys] = await runTransaction(db, [STORES.META, STORES.TAGS, STORES.NOTES], 'readonly',
+    (transaction) => [
+      transaction.objectStore(STORES.META).get(MIGRATION_KEY),
+      transaction.objectStore(STORES.TAGS).getAllKeys(),
+      transaction.objectStore(STORES.NOTES).getAllKeys()
+    ]);
+  if (migration) return;
+
+  const localAdapter = createLocalStorageAdapter();
+  const { tags, notes, collections, tagInfo } = await localAdapter.loadAll();
+  const existingTags = new Set(tagKeys);
+  const existingNotes = new Set(noteKeys);
+  const migratedAt = new Date().toISOString();
+  let tagCount = 0;
+  let noteCount = 0;
+
+  const stores = [STORES.META, STORES.TAGS, STORES.NOTES, STORES.COLLECTIONS, STORES.TAG_INFO];
+  await runTransaction(db, stores, 'readwrite', (transaction) => {
+    Object.entries(tags).forEach(([key, repoTags]) => {
+      const repoId = parseInt(key);
+      if (existingTags.has(repoId)) return;
+      transaction.objectStore(STORES.TAGS).put({ repoId, tags: repoTags, updatedAt: migratedAt });
+      tagCount++;
+    });
+
+    Object.entries(notes).forEach(([key, content]) => {
+      const repoId = parseInt(key);
+      if (existingNotes.has(repoId)) return;
+      transaction.objectStore(STORES.NOTES).put({ repoId, content, updatedAt: migratedAt });
+      noteCount++;
+    });
+
+    Object.values(collections).forEach(collection => {
+      transaction.objectStore(STORES.COLLECTIONS).put(collection);
+    });
+
+    Object.values(tagInfo).forEach(info => {
+      transaction.objectStore(STORES.TAG_INFO).put(info);
+    });
+
+    transaction.objectStore(STORES.META).put({ key: MIGRATION_KEY, migratedAt, tags: tagCount, notes: noteCount });
+  });
+
+  await localAdapter.clear();
+
+  if (tagCount > 0 || noteCount > 0) {
+    console.log(`✅ Moved ${tagCount} tag lists and ${noteCount} notes from localStorage to IndexedDB`);
+  }
+}
+
+/**
+ * Run work in a transaction and wait for it to finish
+ * Errors such as QuotaExceededError abort the transaction and reject the promise.
+ * @param {IDBDatabase} db - Database connection
+ * @param {Array<string>} storeNames - Object stores used
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the transaction; may return an IDBRequest (or an array of them) whose result is resolved
+ * @returns {Promise<*>} Result(s) of the returned request(s), if any
+ */
+function runTransaction(db, storeNames, mode, work) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const requests = work(transaction);
+
+    transaction.oncomplete = () => resolve(
+      Array.isArray(requests) ? requests.map(request => request.result) : requests?.result
+    );
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Open the database and run work in a transaction
+ * @param {Array<string>} storeNames - Object stores used
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - See runTransaction
+ * @returns {Promise<*>} Result(s) of the returned request(s), if any
+ */
+async function withTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+  return runTransaction(db, storeNames, mode, work);
+}
+
+/**
+ * Create the IndexedDB adapter
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ */
+export function createIndexedDBAdapter() {
+  const loadAll = async () => {
+    const [tagRecords, noteRecords, collectionRecords, tagInfoRecords] = await withTransaction(
+      [STORES.TAGS, STORES.NOTES, STORES.COLLECTIONS, STORES.TAG_INFO],
+      'readonly',
+      (transaction) => [
+        transaction.objectStore(STORES.TAGS).getAll(),
+        transaction.objectStore(STORES.NOTES).getAll(),
+        transaction.objectStore(STORES.COLLECTIONS).getAll(),
+        transaction.objectStore(STORES.TAG_INFO).getAll()
+      ]
+    );
+
+    const tags = {};
+    tagRecords.forEach(record => {
+      tags[record.repoId] = record.tags;
+    });
+
+    const notes = {};
+    noteRecords.forEach(record => {
+      notes[record.repoId] = record.content;
+    });
+
+    const collections = {};
+    collectionRecords.forEach(collection => {
+      collections[collection.id] = collection;
+    });
+
+    const tagInfo = {};
+    tagInfoRecords.forEach(info => {
+      tagInfo[info.tag] = info;
+    });
+
+    return { tags, notes, collections, tagInfo };
+  };
+
+  return {
+    name: STORAGE_BACKENDS.INDEXED_DB,
+    remote: false,
+
+    async getTags(repoId) {
+      const record = await withTransaction([STORES.TAGS], 'readonly',
+        (transaction) => transaction.objectStore(STORES.TAGS).get(repoId));
+      return record ? record.tags : [];
+    },
+
+    async setTags(repoId, tags) {
+      await withTransaction([STORES.TAGS], 'readwrite', (transaction) => {
+        const store = transaction.objectStore(STORES.TAGS);
+        if (tags.length > 0) {
+          store.put({ repoId, tags, updatedAt: new Date().toISOString() });
+        } else {
+          store.delete(repoId);
+        }
+      });
+    },
+
+    async setManyTags(tagsByRepo) {
+      const updatedAt = new Date().toISOString();
+      await withTransaction([STORES.TAGS], 'readwrite', (transaction) => {
+        const store = transaction.objectStore(STORES.TAGS);
+        Object.entries(tagsByRepo).forEach(([key, tags]) => {
+          const repoId = parseInt(key);
+          if (tags.length > 0) {
+            store.put({ repoId, tags, updatedAt });
+          } else {
+            store.delete(repoId);
+          }
+        });
+      });
+    },
+
+    async getNotes(repoId) {
+      const record = await withTransaction([STORES.NOTES], 'readonly',
+        (transaction) => transaction.objectStore(STORES.NOTES).get(repoId));
+      return record ? record.content : '';
+    },
+
+    async setNotes(repoId, notes) {
+      await withTransaction([STORES.NOTES], 'readwrite', (transaction) => {
+        const store = transaction.objectStore(STORES.NOTES);
+        if (notes.trim()) {
+          store.put({ repoId, content: notes, updatedAt: new Date().toISOString() });
+        } else {
+          store.delete(repoId);
+        }
+      });
+    },
+
+    async setCollection(collection) {
+      await withTransaction([STORES.COLLECTIONS], 'readwrite', (transaction) => {
+        transaction.objectStore(STORES.COLLECTIONS).put(collection);
+      });
+    },
+
+    async deleteCollection(id) {
+      await withTransaction([STORES.COLLECTIONS], 'readwrite', (transaction) => {
+        transaction.objectStore(STORES.COLLECTIONS).delete(id);
+      });
+    },
+
+    async getTagInfo(tag) {
+      const record = await withTransaction([STORES.TAG_INFO], 'readonly',
+        (transaction) => transaction.objectStore(STORES.TAG_INFO).get(tag));
+      return record || null;
+    },
+
+    async setTagInfo(info) {
+      await withTransaction([STORES.TAG_INFO], 'readwrite', (transaction) => {
+        transaction.objectStore(STORES.TAG_INFO).put(info);
+      });
+    },
+
+    async deleteTagInfo(tag) {
+      await withTransaction([STORES.TAG_INFO], 'readwrite', (transaction) => {
+        transaction.objectStore(STORES.TAG_INFO).delete(tag);
+      });
+    },
+
+    loadAll,
+
+    async exportAll() {
+      return { ...(await loadAll()), exportedAt: new Date().toISOString() };
+    },
+
+    async clear() {
+      const stores = [STORES.TAGS, STORES.NOTES, STORES.COLLECTIONS, STORES.TAG_INFO];
+      await withTransaction(stores, 'readwrite', (transaction) => {
+        stores.forEach(store => transaction.objectStore(store).clear());
+      });
+    }
+  };
+}
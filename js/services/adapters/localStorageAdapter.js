@@ -0,0 +1,130 @@
+/**
+ * localStorage Adapter
+ * Keeps custom tags and notes in this browser's localStorage,
+ * one key per repository (custom_tags_<id> and notes_<id>),
+ * one key per collection (collection_<id>) and one per tag with info (tag_info_<tag>)
+ */
+
+import { STORAGE_KEYS, STORAGE_BACKENDS } from '../../utils/constants.js';
+
+/**
+ * Create the localStorage adapter
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ */
+export function createLocalStorageAdapter() {
+  /**
+   * Collect the custom data keys stored in localStorage
+   * @returns {Array<string>} Keys of tags, notes, collection and tag info entries
+   */
+  const getCustomDataKeys = () => {
+    const prefixes = [
+      STORAGE_KEYS.CUSTOM_TAGS_PREFIX,
+      STORAGE_KEYS.NOTES_PREFIX,
+      STORAGE_KEYS.COLLECTION_PREFIX,
+      STORAGE_KEYS.TAG_INFO_PREFIX
+    ];
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (prefixes.some(prefix => key.startsWith(prefix))) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  };
+
+  const loadAll = async () => {
+    const tags = {};
+    const notes = {};
+    const collections = {};
+    const tagInfo = {};
+
+    getCustomDataKeys().forEach(key => {
+      if (key.startsWith(STORAGE_KEYS.CUSTOM_TAGS_PREFIX)) {
+        const repoTags = JSON.parse(localStorage.getItem(key));
+        if (repoTags.length > 0) {
+          tags[key.slice(STORAGE_KEYS.CUSTOM_TAGS_PREFIX.length)] = repoTags;
+        }
+      } else if (key.startsWith(STORAGE_KEYS.COLLECTION_PREFIX)) {
+        const collection = JSON.parse(localStorage.getItem(key));
+        collections[collection.id] = collection;
+      } else if (key.startsWith(STORAGE_KEYS.TAG_INFO_PREFIX)) {
+        const info = JSON.parse(localStorage.getItem(key));
+        tagInfo[info.tag] = info;
+      } else {
+        notes[key.slice(STORAGE_KEYS.NOTES_PREFIX.length)] = localStorage.getItem(key);
+      }
+    });
+
+    return { tags, notes, collections, tagInfo };
+  };
+
+  return {
+    name: STORAGE_BACKENDS.LOCAL_STORAGE,
+    remote: false,
+
+    async getTags(repoId) {
+      const data = localStorage.getItem(STORAGE_KEYS.CUSTOM_TAGS_PREFIX + repoId);
+      return data ? JSON.parse(data) : [];
+    },
+
+    async setTags(repoId, tags) {
+      const key = STORAGE_KEYS.CUSTOM_TAGS_PREFIX + repoId;
+      if (tags.length > 0) {
+        localStorage.setItem(key, JSON.stringify(tags));
+      } else {
+        localStorage.removeItem(key);
+      }
+    },
+
+    async setManyTags(tagsByRepo) {
+      for (const [repoId, tags] of Object.entries(tagsByRepo)) {
+        await this.setTags(repoId, tags);
+      }
+    },
+
+    async getNotes(repoId) {
+      return localStorage.getItem(STORAGE_KEYS.NOTES_PREFIX + repoId) || '';
+    },
+
+    async setNotes(repoId, notes) {
+      const key = STORAGE_KEYS.NOTES_PREFIX + repoId;
+      if (notes.trim()) {
+        localStorage.setItem(key, notes);
+      } else {
+        localStorage.removeItem(key);
+      }
+    },
+
+    async setCollection(collection) {
+      localStorage.setItem(STORAGE_KEYS.COLLECTION_PREFIX + collection.id, JSON.stringify(collection));
+    },
+
+    async deleteCollection(id) {
+      localStorage.removeItem(STORAGE_KEYS.COLLECTION_PREFIX + id);
+    },
+
+    async getTagInfo(tag) {
+      const data = localStorage.getItem(STORAGE_KEYS.TAG_INFO_PREFIX + tag);
+      return data ? JSON.parse(data) : null;
+    },
+
+    async setTagInfo(info) {
+      localStorage.setItem(STORAGE_KEYS.TAG_INFO_PREFIX + info.tag, JSON.stringify(info));
+    },
+
+    async deleteTagInfo(tag) {
+      localStorage.removeItem(STORAGE_KEYS.TAG_INFO_PREFIX + tag);
+    },
+
+    loadAll,
+
+    async exportAll() {
+      return { ...(await loadAll()), exportedAt: new Date().toISOString() };
+    },
+
+    async clear() {
+      getCustomDataKeys().forEach(key => localStorage.removeItem(key));
+    }
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * In-memory Adapter
+ * Keeps custom tags, notes, collections and tag info in plain objects for the lifetime of the page.
+ * Nothing is persisted; meant for tests and trying the app without touching saved data.
+ */
+
+import { STORAGE_BACKENDS } from '../../utils/constants.js';
+
+/**
+ * Create an in-memory adapter
+ * @param {Object} initialData - Optional starting data: tags: { repoId: [tags] }, notes: { repoId: text },
+ *   collections: { id: collection }, tagInfo: { tag: info }
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ */
+export function createMemoryAdapter(initialData = {}) {
+  let tags = { ...(initialData.tags || {}) };
+  let notes = { ...(initialData.notes || {}) };
+  let collections = structuredClone(initialData.collections || {});
+  let tagInfo = structuredClone(initialData.tagInfo || {});
+
+  const loadAll = async () => ({
+    tags: structuredClone(tags),
+    notes: { ...notes },
+    collections: structuredClone(collections),
+    tagInfo: structuredClone(tagInfo)
+  });
+
+  return {
+    name: STORAGE_BACKENDS.MEMORY,
+    remote: false,
+
+    async getTags(repoId) {
+      return [...(tags[repoId] || [])];
+    },
+
+    async setTags(repoId, repoTags) {
+      if (repoTags.length > 0) {
+        tags[repoId] = [...repoTags];
+      } else {
+        delete tags[repoId];
+      }
+    },
+
+    async setManyTags(tagsByRepo) {
+      for (const [repoId, repoTags] of Object.entries(tagsByRepo)) {
+        await this.setTags(repoId, repoTags);
+      }
+    },
+
+    async getNotes(repoId) {
+      return notes[repoId] || '';
+    },
+
+    async setNotes(repoId, repoNotes) {
+      if (repoNotes.trim()) {
+        notes[repoId] = repoNotes;
+      } else {
+        delete notes[repoId];
+      }
+    },
+
+    async setCollection(collection) {
+      collections[collection.id] = structuredClone(collection);
+    },
+
+    async deleteCollection(id) {
+      delete collections[id];
+    },
+
+    async getTagInfo(tag) {
+      return tagInfo[tag] ? { ...tagInfo[tag] } : null;
+    },
+
+    async setTagInfo(info) {
+      tagInfo[info.tag] = { ...info };
+    },
+
+    async deleteTagInfo(tag) {
+      delete tagInfo[tag];
+    },
+
+    loadAll,
+
+    async exportAll() {
+      return { ...(await loadAll()), exportedAt: new Date().toISOString() };
+    },
+
+    async clear() {
+      tags = {};
+      notes = {};
+      collections = {};
+      tagInfo = {};
+    }
+  };
+}
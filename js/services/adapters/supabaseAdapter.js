@@ -0,0 +1,75 @@
+/**
+ * Supabase Adapter
+ * Keeps custom tags, notes, collections and tag info in Supabase under the signed-in user,
+ * so they are shared across devices. Used as the remote side of cloudSync.js.
+ */
+
+import { STORAGE_BACKENDS } from '../../utils/constants.js';
+import * as SupabaseService from '../supabase.js';
+
+/**
+ * Turn a failed Supabase write (reported as false) into an error
+ * @param {boolean} success - Result of the Supabase service call
+ * @param {string} action - What was attempted, for the error message
+ */
+function assertSuccess(success, action) {
+  if (!success) {
+    throw new Error(`Supabase ${action} failed`);
+  }
+}
+
+/**
+ * Create the Supabase adapter
+ * @returns {Object} Storage adapter (see adapters/index.js)
+ */
+export function createSupabaseAdapter() {
+  return {
+    name: STORAGE_BACKENDS.SUPABASE,
+    remote: true,
+
+    getTags: (repoId) => SupabaseService.getCustomTags(repoId),
+
+    async setTags(repoId, tags) {
+      assertSuccess(await SupabaseService.setCustomTags(repoId, tags), 'tag update');
+    },
+
+    async setManyTags(tagsByRepo) {
+      assertSuccess(await SupabaseService.setManyCustomTags(tagsByRepo), 'tag update');
+    },
+
+    getNotes: (repoId) => SupabaseService.getNotes(repoId),
+
+    async setNotes(repoId, notes) {
+      assertSuccess(await SupabaseService.saveNotes(repoId, notes), 'notes update');
+    },
+
+    async setCollection(collection) {
+      assertSuccess(await SupabaseService.saveCollection(collection), 'collection update');
+    },
+
+    async deleteCollection(id) {
+      assertSuccess(await SupabaseService.deleteCollection(id), 'collection delete');
+    },
+
+    getTagInfo: (tag) => SupabaseService.getTagInfo(tag),
+
+    async setTagInfo(info) {
+      assertSuccess(await SupabaseService.saveTagInfo(info), 'tag info update');
+    },
+
+    async deleteTagInfo(tag) {
+      assertSuccess(await SupabaseService.deleteTagInfo(tag), 'tag info delete');
+    },
+
+    loadAll: () => SupabaseService.loadAllCustomData(),
+
+    // Exported as custom_tags and notes rows, which "Import Data" also accepts
+    exportAll: () => SupabaseService.getAllCustomData(),
+
+    async clear() {
+      assertSuccess(await SupabaseService.clearAllCustomData(), 'clear');
+    },
+
+    subscribe: (onChange) => SupabaseService.subscribeToCustomDataChanges(onChange)
+  };
+}
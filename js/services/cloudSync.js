@@ -0,0 +1,444 @@
+/**
+ * Cloud Sync Service
+ * Two-way sync of custom tags, notes, collections and tag info between the local store and Supabase.
+ * Edits are always saved locally first and queued (offlineQueue.js); a sync
+ * pushes the queue and pulls remote changes. Syncs run on sign-in, shortly
+ * after edits, when another device changes data (Supabase Realtime), when the
+ * connection comes back and periodically.
+ *
+ * Rules, per repository:
+ * - Tags: a queued local edit wins; otherwise the remote tags are taken
+ * - Notes: a queued local edit wins unless the remote notes were also changed
+ *   since the last sync (updated_at), which is a conflict resolved by the user
+ * - Collections and tag info: a queued local edit or deletion wins; otherwise
+ *   the remote copy is taken
+ * - First sync of this browser with an account: local and remote data are
+ *   merged (tags combined, differing notes resolved by the user, the more
+ *   recently updated copy of a collection or tag info kept)
+ * - Signing in with another account than the last one replaces local data
+ *   with that account's. If edits made with the previous account were never
+ *   synced, the user is asked first; declining pauses the sync and keeps them.
+ */
+
+import { CONFIG, STORAGE_KEYS, STORAGE_BACKENDS, CLOUD_SYNC_STATUS, ERROR_MESSAGES } from '../utils/constants.js';
+import { createStorageAdapter } from './adapters/index.js';
+import { getStorageAdapter } from './customData.js';
+import { getQueuedWrites, removeQueuedWrites, clearQueuedWrites } from './offlineQueue.js';
+import { notifyOtherTabs } from './crossTab.js';
+
+// Active sync: { userId, remote, resolveNotesConflict, confirmAccountSwitch, unsubscribe } (null when signed out)
+let session = null;
+
+// Running sync, and whether another one was requested meanwhile
+let runningSync = null;
+let syncRequested = false;
+
+// Timers for the debounced sync after changes and the periodic sync
+let debounceTimer = null;
+let intervalTimer = null;
+
+// Whether the window listeners are set up
+let listenersAdded = false;
+
+// Current status, broadcast with the cloudSyncStatusChanged event
+let status = {
+  state: CLOUD_SYNC_STATUS.DISABLED,
+  pending: 0,
+  lastSyncedAt: null,
+  error: null
+};
+
+/**
+ * Read the sync state of this browser
+ * @returns {Object} userId: account last synced with, lastSyncedAt: start time of the last successful sync
+ */
+function readSyncState() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.CLOUD_SYNC_STATE);
+    return data ? JSON.parse(data) : {};
+  } catch (error) {
+    console.error('Error reading sync state:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the sync state of this browser
+ * @param {Object} state - userId and lastSyncedAt
+ */
+function writeSyncState(state) {
+  try {
+    localStorage.setItem(STORAGE_KEYS.CLOUD_SYNC_STATE, JSON.stringify(state));
+  } catch (error) {
+    console.error('Error saving sync state:', error);
+  }
+}
+
+/**
+ * Update the status and notify listeners
+ * @param {Object} changes - Status fields to change
+ */
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  window.dispatchEvent(new CustomEvent('cloudSyncStatusChanged', { detail: { ...status } }));
+}
+
+/**
+ * Status after a sync attempt, based on what is still queued
+ * @returns {string} CLOUD_SYNC_STATUS value
+ */
+function idleState() {
+  return getQueuedWrites().length > 0 ? CLOUD_SYNC_STATUS.PENDING : CLOUD_SYNC_STATUS.SYNCED;
+}
+
+/**
+ * Get the current sync status
+ * @returns {Object} state, pending, lastSyncedAt, error
+ */
+export function getSyncStatus() {
+  return { ...status };
+}
+
+/**
+ * Sync shortly after the last of a burst of changes
+ */
+function scheduleSync() {
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(syncNow, CONFIG.CLOUD_SYNC_DEBOUNCE_MS);
+}
+
+/**
+ * Setup the listeners that trigger syncs (once)
+ */
+function addListeners() {
+  if (listenersAdded) return;
+  listenersAdded = true;
+
+  // Edits: sync shortly after the user stops editing
+  window.addEventListener('customDataWritten', () => {
+    if (!session) return;
+
+    setStatus({ state: CLOUD_SYNC_STATUS.PENDING, pending: getQueuedWrites().length });
+    scheduleSync();
+  });
+
+  window.addEventListener('online', () => {
+    if (session) syncNow();
+  });
+}
+
+/**
+ * Start syncing with Supabase for the signed-in user
+ * @param {Object} options - userId: Supabase user ID,
+ *   resolveNotesConflict: async ({ repoId, local, remote }) => merged notes text,
+ *   confirmAccountSwitch: async ({ previousUserId, pending }) => whether to drop the pending
+ *   (unsynced) edits of the account this browser last synced with; declined if not given,
+ *   remote: adapter to sync with (defaults to Supabase)
+ * @returns {Promise<Object|null>} Result of the first sync
+ */
+export function startSync({
+  userId,
+  resolveNotesConflict,
+  confirmAccountSwitch = async () => false,
+  remote = createStorageAdapter(STORAGE_BACKENDS.SUPABASE)
+}) {
+  session?.unsubscribe?.();
+  session = { userId, remote, resolveNotesConflict, confirmAccountSwitch, unsubscribe: null };
+
+  // Changes from other devices (including echoes of our own pushes, which sync to no-ops)
+  try {
+    session.unsubscribe = remote.subscribe?.(scheduleSync) || null;
+  } catch (error) {
+    console.error('Could not listen for remote changes; relying on periodic syncs:', error);
+  }
+
+  addListeners();
+  clearInterval(intervalTimer);
+  intervalTimer = setInterval(syncNow, CONFIG.CLOUD_SYNC_INTERVAL_MS);
+
+  setStatus({ lastSyncedAt: readSyncState().lastSyncedAt || null });
+  return syncNow();
+}
+
+/**
+ * Stop syncing (e.g. after signing out); local data and queued edits are kept
+ */
+export function stopSync() {
+  endSession();
+  setStatus({ state: CLOUD_SYNC_STATUS.DISABLED, error: null });
+}
+
+/**
+ * Stop listening for changes and cancel scheduled syncs
+ */
+function endSession() {
+  session?.unsubscribe?.();
+  session = null;
+  clearTimeout(debounceTimer);
+  clearInterval(intervalTimer);
+}
+
+/**
+ * Run a sync now, or once more after the running one
+ * @returns {Promise<Object|null>} pulled: IDs of repositories changed locally, collectionsPulled: whether
+ *   local collections changed, tagInfoPulled: whether local tag info changed, pushed: number of
+ *   remote writes; null if not synced
+ */
+export async function syncNow() {
+  clearTimeout(debounceTimer);
+
+  if (!session) return null;
+
+  if (!navigator.onLine) {
+    setStatus({ state: idleState(), pending: getQueuedWrites().length });
+    return null;
+  }
+
+  if (runningSync) {
+    syncRequested = true;
+    return runningSync;
+  }
+
+  runningSync = (async () => {
+    setStatus({ state: CLOUD_SYNC_STATUS.SYNCING, error: null });
+
+    try {
+      const result = await runSync(session);
+      setStatus({
+        state: idleState(),
+        pending: getQueuedWrites().length,
+        lastSyncedAt: readSyncState().lastSyncedAt,
+        error: null
+      });
+
+      const othersPulled = result.collectionsPulled || result.tagInfoPulled;
+      if (result.pulled.length > 0 || othersPulled) {
+        window.dispatchEvent(new CustomEvent('customDataSynced', { detail: { repoIds: result.pulled } }));
+        notifyOtherTabs(othersPulled ? [] : result.pulled);
+      }
+      console.log(`🔄 Synced with Supabase: ${result.pushed} pushed, ${result.pulled.length} pulled`);
+      return result;
+    } catch (error) {
+      console.error('Sync with Supabase failed:', error);
+      // Asking again on every periodic sync would not help; signing in again asks once more
+      if (error.accountSwitchDeclined) {
+        endSession();
+      }
+      setStatus({
+        state: CLOUD_SYNC_STATUS.ERROR,
+        pending: getQueuedWrites().length,
+        error: error.message
+      });
+      return null;
+    } finally {
+      runningSync = null;
+    }
+  })();
+
+  const result = await runningSync;
+
+  if (syncRequested && session) {
+    syncRequested = false;
+    return syncNow();
+  }
+  return result;
+}
+
+/**
+ * Compare two tag lists, ignoring order
+ * @param {Array<string>} a - Tags
+ * @param {Array<string>} b - Tags
+ * @returns {boolean} True if they contain the same tags
+ */
+function sameTags(a, b) {
+  return a.length === b.length && a.every(tag => b.includes(tag));
+}
+
+/**
+ * Compare two collections, ignoring timestamps
+ * @param {Object|null} a - Collection, or null if missing
+ * @param {Object|null} b - Collection, or null if missing
+ * @returns {boolean} True if both are missing or have the same content
+ */
+function sameCollection(a, b) {
+  if (!a || !b) return a === b;
+
+  const content = ({ name, description, emoji, color, repoIds }) => JSON.stringify([name, description, emoji, color, repoIds]);
+  return content(a) === content(b);
+}
+
+/**
+ * Compare two tag infos, ignoring updatedAt
+ * @param {Object|null} a - Tag info, or null if missing
+ * @param {Object|null} b - Tag info, or null if missing
+ * @returns {boolean} True if both are missing or have the same content
+ */
+function sameTagInfo(a, b) {
+  if (!a || !b) return a === b;
+  return (a.color || '') === (b.color || '') && (a.lastUsedAt || '') === (b.lastUsedAt || '');
+}
+
+/**
+ * Keys present in any of the given maps
+ * @param {...Object|Map|Set} maps - Objects or Maps keyed by repo ID, or Sets of repo IDs
+ * @returns {Set<string>} Repo IDs as strings
+ */
+function allKeys(...maps) {
+  const keys = new Set();
+  maps.forEach(map => {
+    const mapKeys = map instanceof Map || map instanceof Set ? map.keys() : Object.keys(map);
+    for (const key of mapKeys) keys.add(String(key));
+  });
+  return keys;
+}
+
+/**
+ * Reconcile local and remote data once
+ * @param {Object} activeSession - Session from startSync
+ * @returns {Promise<Object>} pulled: IDs of repositories changed locally, collectionsPulled: whether
+ *   local collections changed, tagInfoPulled: whether local tag info changed, pushed: number of remote writes
+ * @throws {Error} With accountSwitchDeclined set if the user keeps the pending edits of another account
+ */
+async function runSync({ userId, remote, resolveNotesConflict, confirmAccountSwitch }) {
+  const local = getStorageAdapter();
+  const startedAt = new Date().toISOString();
+  let state = readSyncState();
+
+  // Local data last synced with another account is not merged into this one.
+  // Without pending edits it is all stored in that account; otherwise the user decides.
+  if (state.userId && state.userId !== userId) {
+    const pending = getQueuedWrites().length;
+    if (pending > 0 && !(await confirmAccountSwitch({ previousUserId: state.userId, pending }))) {
+      const error = new Error(ERROR_MESSAGES.CLOUD_SYNC_ACCOUNT_SWITCH_DECLINED);
+      error.accountSwitchDeclined = true;
+      throw error;
+    }
+    await local.clear();
+    clearQueuedWrites();
+    state = {};
+  }
+  const firstSync = !state.lastSyncedAt;
+
+  const queued = getQueuedWrites();
+  const pending = { tags: new Set(), notes: new Set(), collection: new Set(), tagInfo: new Set() };
+  queued.forEach(write => pending[write.kind]?.add(String(write.repoId)));
+
+  const [localData, remoteData] = await Promise.all([local.loadAll(), remote.loadAll()]);
+  const pulled = new Set();
+  let pushed = 0;
+
+  // Tag changes are written in one batch per side (a renamed tag can touch many repositories)
+  const tagsToPush = {};
+  const tagsToPull = {};
+  for (const key of allKeys(localData.tags, remoteData.tags, pending.tags)) {
+    const localTags = localData.tags[key] || [];
+    const remoteTags = remoteData.tags[key] || [];
+
+    let tags = remoteTags;
+    if (pending.tags.has(key)) {
+      tags = localTags;
+    } else if (firstSync) {
+      tags = [...new Set([...remoteTags, ...localTags])];
+    }
+
+    if (!sameTags(tags, remoteTags)) {
+      tagsToPush[key] = tags;
+    }
+    if (!sameTags(tags, localTags)) {
+      tagsToPull[key] = tags;
+    }
+  }
+
+  if (Object.keys(tagsToPush).length > 0) {
+    await remote.setManyTags(tagsToPush);
+    pushed += Object.keys(tagsToPush).length;
+  }
+  if (Object.keys(tagsToPull).length > 0) {
+    await local.setManyTags(tagsToPull);
+    Object.keys(tagsToPull).forEach(key => pulled.add(parseInt(key)));
+  }
+
+  for (const key of allKeys(localData.notes, remoteData.notes, pending.notes)) {
+    const repoId = parseInt(key);
+    const localNotes = localData.notes[key] || '';
+    const remoteNotes = remoteData.notes[key] || '';
+    if (localNotes.trim() === remoteNotes.trim()) continue;
+
+    const remoteUpdatedAt = remoteData.notesUpdatedAt?.[key];
+    const localChanged = firstSync ? localNotes.trim() !== '' : pending.notes.has(key);
+    const remoteChanged = firstSync
+      ? remoteNotes.trim() !== ''
+      : Boolean(remoteUpdatedAt && remoteUpdatedAt > state.lastSyncedAt);
+
+    let notes = localChanged ? localNotes : remoteNotes;
+    if (localChanged && remoteChanged) {
+      notes = await resolveNotesConflict({ repoId, local: localNotes, remote: remoteNotes });
+    }
+
+    if (notes.trim() !== remoteNotes.trim()) {
+      await remote.setNotes(repoId, notes);
+      pushed++;
+    }
+    if (notes !== localNotes) {
+      await local.setNotes(repoId, notes);
+      pulled.add(repoId);
+    }
+  }
+
+  const localCollections = localData.collections || {};
+  const remoteCollections = remoteData.collections || {};
+  let collectionsPulled = false;
+
+  for (const id of allKeys(localCollections, remoteCollections, pending.collection)) {
+    const localCollection = localCollections[id] || null;
+    const remoteCollection = remoteCollections[id] || null;
+
+    let collection = remoteCollection;
+    if (pending.collection.has(id)) {
+      collection = localCollection;
+    } else if (firstSync && localCollection &&
+               (!remoteCollection || (localCollection.updatedAt || '') > (remoteCollection.updatedAt || ''))) {
+      collection = localCollection;
+    }
+
+    if (!sameCollection(collection, remoteCollection)) {
+      await (collection ? remote.setCollection(collection) : remote.deleteCollection(id));
+      pushed++;
+    }
+    if (!sameCollection(collection, localCollection)) {
+      await (collection ? local.setCollection(collection) : local.deleteCollection(id));
+      collectionsPulled = true;
+    }
+  }
+
+  const localTagInfo = localData.tagInfo || {};
+  const remoteTagInfo = remoteData.tagInfo || {};
+  let tagInfoPulled = false;
+
+  for (const tag of allKeys(localTagInfo, remoteTagInfo, pending.tagInfo)) {
+    const localInfo = localTagInfo[tag] || null;
+    const remoteInfo = remoteTagInfo[tag] || null;
+
+    let info = remoteInfo;
+    if (pending.tagInfo.has(tag)) {
+      info = localInfo;
+    } else if (firstSync && localInfo &&
+               (!remoteInfo || (localInfo.updatedAt || '') > (remoteInfo.updatedAt || ''))) {
+      info = localInfo;
+    }
+
+    if (!sameTagInfo(info, remoteInfo)) {
+      await (info ? remote.setTagInfo(info) : remote.deleteTagInfo(tag));
+      pushed++;
+    }
+    if (!sameTagInfo(info, localInfo)) {
+      await (info ? local.setTagInfo(info) : local.deleteTagInfo(tag));
+      tagInfoPulled = true;
+    }
+  }
+
+  removeQueuedWrites(queued);
+  writeSyncState({ userId, lastSyncedAt: startedAt });
+
+  return { pulled: [...pulled], collectionsPulled, tagInfoPulled, pushed };
+}
@@ -0,0 +1,84 @@
+/**
+ * Cross-tab Notifications
+ * Tells other open tabs of this site which repositories' tags or notes changed
+ * (or that collections or tag info changed), so they can reload them from the shared
+ * local store. Uses BroadcastChannel; where it is unavailable, localStorage
+ * `storage` events are used instead (these only fire for the localStorage backend).
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+const CHANNEL_NAME = 'github-stars-custom-data';
+
+// Shared channel, opened on first use (null if BroadcastChannel is unavailable)
+let channel;
+
+/**
+ * Get the broadcast channel
+ * @returns {BroadcastChannel|null} Channel, or null if unsupported
+ */
+function getChannel() {
+  if (channel === undefined) {
+    channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+  }
+  return channel;
+}
+
+/**
+ * Tell other tabs that custom data of some repositories changed
+ * @param {Array<number>} repoIds - GitHub repository IDs (empty: everything may have changed)
+ */
+export function notifyOtherTabs(repoIds) {
+  try {
+    getChannel()?.postMessage({ type: 'customDataChanged', repoIds });
+  } catch (error) {
+    console.error('Error notifying other tabs:', error);
+  }
+}
+
+/**
+ * Get the repository ID of a localStorage custom data key
+ * @param {string|null} key - localStorage key (null when storage was cleared)
+ * @returns {number|null} Repository ID, or null for other keys
+ */
+function repoIdFromStorageKey(key) {
+  const prefix = [STORAGE_KEYS.CUSTOM_TAGS_PREFIX, STORAGE_KEYS.NOTES_PREFIX].find(p => key?.startsWith(p));
+  return prefix ? parseInt(key.slice(prefix.length)) : null;
+}
+
+/**
+ * Listen for custom data changes made in other tabs
+ * @param {Function} callback - Called with the changed repository IDs
+ *   (an empty array when the changes are unknown, e.g. storage was cleared)
+ */
+export function onOtherTabChange(callback) {
+  const broadcast = getChannel();
+
+  if (broadcast) {
+    broadcast.addEventListener('message', (e) => {
+      if (e.data?.type === 'customDataChanged') {
+        callback(e.data.repoIds);
+      }
+    });
+    return;
+  }
+
+  window.addEventListener('storage', (e) => {
+    if (e.storageArea !== localStorage) return;
+
+    if (e.key === null) {
+      callback([]);
+      return;
+    }
+
+    if (e.key.startsWith(STORAGE_KEYS.COLLECTION_PREFIX) || e.key.startsWith(STORAGE_KEYS.TAG_INFO_PREFIX)) {
+      callback([]);
+      return;
+    }
+
+    const repoId = repoIdFromStorageKey(e.key);
+    if (repoId !== null) {
+      callback([repoId]);
+    }
+  });
+}
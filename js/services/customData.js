@@ -1,22 +1,77 @@
 /**
  * Custom Data Service
- * Manages user-added custom tags and notes using Supabase
- * Falls back to localStorage if Supabase is not available
+ * Manages user-added custom tags, notes, collections and tag info through a local storage adapter
+ * (IndexedDB, localStorage or in-memory; see adapters/index.js).
+ * When change tracking is on, every edit is also queued for the Supabase sync.
  */
 
-import { STORAGE_KEYS, ERROR_MESSAGES } from '../utils/constants.js';
-import * as SupabaseService from './supabase.js';
+import { ERROR_MESSAGES, IMPORT_MODES, CONFIG, COLLECTION_COLORS, TAG_COLORS, DEFAULT_COLLECTION_EMOJI } from '../utils/constants.js';
+import { createStorageAdapter } from './adapters/index.js';
+import { enqueueWrites } from './offlineQueue.js';
+import { notifyOtherTabs } from './crossTab.js';
+import { showToast } from '../ui/components.js';
+import { normalizeTag, renameTagPath, tagMatches } from '../utils/tags.js';
 
-// Flag to track if we're using Supabase or localStorage
-let useSupabase = false;
+// Active storage adapter
+let adapter = createStorageAdapter(CONFIG.STORAGE_BACKEND);
+
+// Whether edits are queued for the two-way sync (see cloudSync.js)
+let trackChanges = false;
 
 /**
  * Initialize the custom data service
- * @param {boolean} supabaseAvailable - Whether Supabase is available
+ * @param {string|Object} backend - STORAGE_BACKENDS value, or an adapter object (e.g. from createMemoryAdapter)
+ * @param {Object} options - trackChanges: queue every edit for syncing to Supabase
+ */
+export function initCustomData(backend = CONFIG.STORAGE_BACKEND, { trackChanges: track = false } = {}) {
+  adapter = typeof backend === 'string' ? createStorageAdapter(backend) : backend;
+  trackChanges = track;
+  console.log(`📊 Custom data service using: ${adapter.name}`);
+}
+
+/**
+ * Get the active storage adapter (used by the sync to read and write local data)
+ * @returns {Object} Storage adapter
+ */
+export function getStorageAdapter() {
+  return adapter;
+}
+
+/**
+ * Report a failed write, surfacing storage quota errors to the user
+ * @param {string} message - Console message
+ * @param {Error} error - Error thrown by the adapter
+ */
+function handleWriteError(message, error) {
+  console.error(message, error);
+  if (error.name === 'QuotaExceededError') {
+    showToast(ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED, 'error', 8000);
+  }
+}
+
+/**
+ * Tell other tabs about a saved edit, and queue it for the sync
+ * @param {string} kind - 'tags', 'notes', 'collection' or 'tagInfo'
+ * @param {number|string} repoId - GitHub repository ID (collection ID for collections, tag for tag info)
+ * @param {*} value - New value (null for a deleted collection or tag info)
+ */
+function recordChange(kind, repoId, value) {
+  recordChanges(kind, new Map([[repoId, value]]));
+}
+
+/**
+ * Tell other tabs about saved edits of several repositories, and queue them for the sync
+ * @param {string} kind - 'tags', 'notes', 'collection' or 'tagInfo'
+ * @param {Map} values - Repository ID (collection ID for collections, tag for tag info) -> new value
+ * @throws {Error} If the sync queue cannot be saved (e.g. QuotaExceededError)
  */
-export function initCustomData(supabaseAvailable) {
-  useSupabase = supabaseAvailable;
-  console.log(`📊 Custom data service using: ${useSupabase ? 'Supabase' : 'localStorage'}`);
+function recordChanges(kind, values) {
+  // Collections and tag info are not tied to one repository: other tabs reload everything
+  notifyOtherTabs(kind === 'tags' || kind === 'notes' ? [...values.keys()] : []);
+  if (!trackChanges) return;
+
+  enqueueWrites(kind, [...values.keys()]);
+  window.dispatchEvent(new CustomEvent('customDataWritten', { detail: { kind, repoIds: [...values.keys()] } }));
 }
 
 /**
@@ -25,15 +80,8 @@ export function initCustomData(supabaseAvailable) {
  * @returns {Promise<Array<string>>} Array of custom tags
  */
 export async function getCustomTags(repoId) {
-  if (useSupabase) {
-    return await SupabaseService.getCustomTags(repoId);
-  }
-
-  // Fallback to localStorage
   try {
-    const key = STORAGE_KEYS.CUSTOM_TAGS_PREFIX + repoId;
-    const data = localStorage.getItem(key);
-    return data ? JSON.parse(data) : [];
+    return await adapter.getTags(repoId);
   } catch (error) {
     console.error('Error getting custom tags:', error);
     return [];
@@ -47,38 +95,266 @@ export async function getCustomTags(repoId) {
  * @returns {Promise<boolean>} Success status
  */
 export async function setCustomTags(repoId, tags) {
-  if (useSupabase) {
-    return await SupabaseService.setCustomTags(repoId, tags);
+  try {
+    const previous = await adapter.getTags(repoId);
+    await adapter.setTags(repoId, tags);
+    recordChange('tags', repoId, tags);
+    await markTagsUsed(tags.filter(tag => !previous.includes(tag)));
+    return true;
+  } catch (error) {
+    handleWriteError('Error setting custom tags:', error);
+    return false;
   }
+}
+
+/**
+ * Rename or move a tag, together with every tag below it, on all repositories
+ * ("lang" -> "languages" also turns "lang/parsers" into "languages/parsers";
+ * "parsers" -> "lang/parsers" moves it under "lang"). All affected
+ * repositories are written in one batch.
+ * @param {string} from - Tag to rename
+ * @param {string} to - New tag path
+ * @returns {Promise<Array<number>|null>} IDs of the changed repositories, or null on failure
+ */
+export async function renameTag(from, to) {
+  const source = normalizeTag(from);
+  const target = normalizeTag(to);
+  if (!source || !target) return null;
+  if (source === target) return [];
 
-  // Fallback to localStorage
   try {
-    const key = STORAGE_KEYS.CUSTOM_TAGS_PREFIX + repoId;
-    localStorage.setItem(key, JSON.stringify(tags));
-    return true;
+    const { tags } = await adapter.loadAll();
+    const changes = new Map();
+
+    Object.entries(tags).forEach(([key, repoTags]) => {
+      const renamed = [...new Set(repoTags.map(tag => renameTagPath(tag, source, target)))];
+      if (renamed.join('\n') !== repoTags.join('\n')) {
+        changes.set(parseInt(key), renamed);
+      }
+    });
+
+    if (changes.size === 0) return [];
+
+    await adapter.setManyTags(Object.fromEntries(changes));
+    recordChanges('tags', changes);
+    await renameTagInfo(source, target);
+
+    console.log(`✅ Renamed tag "${source}" to "${target}" on ${changes.size} repositories`);
+    return [...changes.keys()];
   } catch (error) {
-    console.error('Error setting custom tags:', error);
-    if (error.name === 'QuotaExceededError') {
-      showToast(ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED, 'error');
+    handleWriteError('Error renaming tag:', error);
+    return null;
+  }
+}
+
+/**
+ * Add and remove tags on several repositories in one batch (bulk tagging)
+ * @param {Array<number>} repoIds - GitHub repository IDs
+ * @param {Object} changes - add: tags to add, remove: tags to remove (exact tags, not those nested below)
+ * @returns {Promise<Array<number>|null>} IDs of the changed repositories, or null on failure
+ */
+export async function updateTagsOfRepositories(repoIds, { add = [], remove = [] }) {
+  const tagsToAdd = add.map(normalizeTag).filter(Boolean);
+  const tagsToRemove = new Set(remove.map(normalizeTag).filter(Boolean));
+
+  try {
+    const { tags } = await adapter.loadAll();
+    const changes = new Map();
+
+    repoIds.forEach(repoId => {
+      const current = tags[repoId] || [];
+      const updated = [...new Set([...current, ...tagsToAdd])].filter(tag => !tagsToRemove.has(tag));
+      if (updated.join('\n') !== current.join('\n')) {
+        changes.set(repoId, updated);
+      }
+    });
+
+    if (changes.size === 0) return [];
+
+    await adapter.setManyTags(Object.fromEntries(changes));
+    recordChanges('tags', changes);
+    if (tagsToAdd.length > 0) await markTagsUsed(tagsToAdd);
+
+    console.log(`✅ Updated tags of ${changes.size} repositories`);
+    return [...changes.keys()];
+  } catch (error) {
+    handleWriteError('Error updating tags:', error);
+    return null;
+  }
+}
+
+/**
+ * Remove a tag from every repository in one batch
+ * Only the exact tag is removed; tags nested below it are kept. Its colour is forgotten.
+ * @param {string} tag - Tag to delete
+ * @returns {Promise<Array<number>|null>} IDs of the changed repositories, or null on failure
+ */
+export async function deleteTag(tag) {
+  const target = normalizeTag(tag);
+  if (!target) return null;
+
+  try {
+    const { tags, tagInfo = {} } = await adapter.loadAll();
+    const changes = new Map();
+
+    Object.entries(tags).forEach(([key, repoTags]) => {
+      if (repoTags.includes(target)) {
+        changes.set(parseInt(key), repoTags.filter(repoTag => repoTag !== target));
+      }
+    });
+
+    if (changes.size > 0) {
+      await adapter.setManyTags(Object.fromEntries(changes));
+      recordChanges('tags', changes);
+    }
+    if (tagInfo[target]) {
+      await adapter.deleteTagInfo(target);
+      recordChange('tagInfo', target, null);
+      window.dispatchEvent(new CustomEvent('tagInfoChanged'));
     }
+
+    console.log(`✅ Deleted tag "${target}" from ${changes.size} repositories`);
+    return [...changes.keys()];
+  } catch (error) {
+    handleWriteError('Error deleting tag:', error);
+    return null;
+  }
+}
+
+/**
+ * Get every custom tag with its usage
+ * @returns {Promise<Array<Object>>} { tag, count (repositories with exactly this tag),
+ *   lastUsedAt (when it was last added to a repository, or null), color }, sorted by tag
+ */
+export async function getTagUsage() {
+  const { tags, tagInfo = {} } = await loadAllCustomData();
+  const counts = new Map();
+
+  Object.values(tags).forEach(repoTags => {
+    repoTags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({
+      tag,
+      count,
+      lastUsedAt: tagInfo[tag]?.lastUsedAt || null,
+      color: tagInfo[tag]?.color || ''
+    }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Get the chip colours of the tags that have one
+ * @returns {Promise<Object>} Tag -> TAG_COLORS value
+ */
+export async function getTagColors() {
+  const { tagInfo = {} } = await loadAllCustomData();
+  const colors = {};
+  Object.values(tagInfo).forEach(info => {
+    if (info.color) colors[info.tag] = info.color;
+  });
+  return colors;
+}
+
+/**
+ * Set the chip colour of a tag (tags nested below it without a colour of their own use it too)
+ * @param {string} tag - Tag
+ * @param {string} color - TAG_COLORS value, or '' for the default
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setTagColor(tag, color) {
+  const target = normalizeTag(tag);
+  if (!target || (color && !TAG_COLORS.includes(color))) return false;
+
+  try {
+    const info = await adapter.getTagInfo(target);
+    await saveTagInfos([{ tag: target, lastUsedAt: null, ...info, color }]);
+    return true;
+  } catch (error) {
+    handleWriteError('Error setting tag colour:', error);
     return false;
   }
 }
 
+/**
+ * Stamp tags as just added to a repository (their "last used" date)
+ * Failures are reported but not rethrown: the tags themselves are already saved.
+ * @param {Array<string>} tags - Tags added
+ */
+async function markTagsUsed(tags) {
+  if (tags.length === 0) return;
+
+  try {
+    // Only the added tags' records are read; loading everything is slow on remote backends
+    const infos = await Promise.all(tags.map(tag => adapter.getTagInfo(tag)));
+    const lastUsedAt = new Date().toISOString();
+    await saveTagInfos(tags.map((tag, i) => ({ tag, color: '', ...infos[i], lastUsedAt })));
+  } catch (error) {
+    handleWriteError('Error updating tag usage:', error);
+  }
+}
+
+/**
+ * Move the info of a renamed tag, and of the tags below it, to the new paths
+ * A tag merged into an existing one keeps the existing tag's colour (unless it has none)
+ * and the later of the two last used dates. Failures are reported but not rethrown: the tags are already renamed.
+ * @param {string} source - Renamed tag path
+ * @param {string} target - New tag path
+ */
+async function renameTagInfo(source, target) {
+  try {
+    const { tagInfo = {} } = await adapter.loadAll();
+    const moved = Object.values(tagInfo).filter(info => tagMatches(info.tag, source));
+    if (moved.length === 0) return;
+
+    const saved = moved.map(info => {
+      const tag = renameTagPath(info.tag, source, target);
+      const existing = tagInfo[tag];
+      return {
+        tag,
+        color: existing?.color || info.color,
+        lastUsedAt: [existing?.lastUsedAt, info.lastUsedAt].filter(Boolean).sort().pop() || null
+      };
+    });
+
+    for (const info of moved) {
+      await adapter.deleteTagInfo(info.tag);
+    }
+    recordChanges('tagInfo', new Map(moved.map(info => [info.tag, null])));
+    await saveTagInfos(saved);
+  } catch (error) {
+    handleWriteError('Error moving tag info:', error);
+  }
+}
+
+/**
+ * Save tag infos, stamping their update time
+ * @param {Array<Object>} infos - Tag infos (see adapters/index.js)
+ * @throws {Error} If the adapter fails
+ */
+async function saveTagInfos(infos) {
+  const updatedAt = new Date().toISOString();
+  const changes = new Map();
+
+  for (const info of infos) {
+    const saved = { tag: info.tag, color: info.color || '', lastUsedAt: info.lastUsedAt || null, updatedAt };
+    await adapter.setTagInfo(saved);
+    changes.set(saved.tag, saved);
+  }
+
+  recordChanges('tagInfo', changes);
+  window.dispatchEvent(new CustomEvent('tagInfoChanged'));
+}
+
 /**
  * Get notes for a repository
  * @param {number} repoId - GitHub repository ID
  * @returns {Promise<string>} Notes text
  */
 export async function getNotes(repoId) {
-  if (useSupabase) {
-    return await SupabaseService.getNotes(repoId);
-  }
-
-  // Fallback to localStorage
   try {
-    const key = STORAGE_KEYS.NOTES_PREFIX + repoId;
-    return localStorage.getItem(key) || '';
+    return await adapter.getNotes(repoId);
   } catch (error) {
     console.error('Error getting notes:', error);
     return '';
@@ -92,71 +368,176 @@ export async function getNotes(repoId) {
  * @returns {Promise<boolean>} Success status
  */
 export async function setNotes(repoId, notes) {
-  if (useSupabase) {
-    return await SupabaseService.saveNotes(repoId, notes);
+  try {
+    await adapter.setNotes(repoId, notes);
+    recordChange('notes', repoId, notes);
+    return true;
+  } catch (error) {
+    handleWriteError('Error setting notes:', error);
+    return false;
   }
+}
 
-  // Fallback to localStorage
+/**
+ * Append text to the notes of several repositories (on a new line after existing notes)
+ * @param {Array<number>} repoIds - GitHub repository IDs
+ * @param {string} text - Text to append
+ * @returns {Promise<Array<number>|null>} IDs of the changed repositories, or null on failure
+ */
+export async function appendToNotes(repoIds, text) {
+  const addition = text.trim();
+  if (!addition) return [];
+
+  const changes = new Map();
   try {
-    const key = STORAGE_KEYS.NOTES_PREFIX + repoId;
-    if (notes.trim()) {
-      localStorage.setItem(key, notes);
-    } else {
-      localStorage.removeItem(key);
+    const { notes } = await adapter.loadAll();
+
+    for (const repoId of repoIds) {
+      const current = (notes[repoId] || '').trimEnd();
+      const updated = current ? `${current}\n${addition}` : addition;
+      await adapter.setNotes(repoId, updated);
+      changes.set(repoId, updated);
     }
-    return true;
+
+    console.log(`✅ Appended to the notes of ${changes.size} repositories`);
+    return [...changes.keys()];
   } catch (error) {
-    console.error('Error setting notes:', error);
-    if (error.name === 'QuotaExceededError') {
-      showToast(ERROR_MESSAGES.STORAGE_QUOTA_EXCEEDED, 'error');
+    handleWriteError('Error appending to notes:', error);
+    return null;
+  } finally {
+    // Notes saved before a failure are still shared and synced
+    if (changes.size > 0) {
+      try {
+        recordChanges('notes', changes);
+      } catch (error) {
+        handleWriteError('Error queueing notes for sync:', error);
+      }
     }
-    return false;
   }
 }
 
 /**
- * Merge custom data with repository data
- * @param {Object} repo - Repository object from GitHub
- * @returns {Promise<Object>} Repository with custom data merged in
+ * Create an ID for a new collection
+ * @returns {string} Unique ID
  */
-export async function mergeCustomData(repo) {
-  const [custom_tags, notes] = await Promise.all([
-    getCustomTags(repo.id),
-    getNotes(repo.id)
-  ]);
+function createCollectionId() {
+  return globalThis.crypto?.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
 
-  return {
-    ...repo,
-    custom_tags,
-    notes
-  };
+/**
+ * Get all collections, oldest first
+ * @returns {Promise<Array<Object>>} Collections (see adapters/index.js)
+ */
+export async function getCollections() {
+  const { collections } = await loadAllCustomData();
+  return Object.values(collections).sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
 }
 
 /**
- * Get all custom data (for export)
- * @returns {Object} All custom tags and notes
+ * Save a collection (created or changed), stamping its update time
+ * @param {Object} collection - Collection (see adapters/index.js)
+ * @returns {Promise<Object|null>} Saved collection, or null if it could not be saved
  */
-export function getAllCustomData() {
-  const customData = {
-    tags: {},
-    notes: {},
-    exportedAt: new Date().toISOString()
+export async function saveCollection(collection) {
+  const saved = {
+    ...collection,
+    name: collection.name.trim(),
+    description: (collection.description || '').trim(),
+    repoIds: [...new Set(collection.repoIds)],
+    updatedAt: new Date().toISOString()
   };
 
-  // Iterate through localStorage
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
+  try {
+    await adapter.setCollection(saved);
+    recordChange('collection', saved.id, saved);
+    window.dispatchEvent(new CustomEvent('collectionsChanged'));
+    return saved;
+  } catch (error) {
+    handleWriteError('Error saving collection:', error);
+    return null;
+  }
+}
+
+/**
+ * Create a collection
+ * @param {Object} fields - name, description, emoji, color, repoIds (all but name optional)
+ * @returns {Promise<Object|null>} New collection, or null if it could not be saved
+ */
+export async function createCollection({ name, description = '', emoji = DEFAULT_COLLECTION_EMOJI, color = COLLECTION_COLORS[0], repoIds = [] }) {
+  return saveCollection({
+    id: createCollectionId(),
+    name,
+    description,
+    emoji,
+    color,
+    repoIds,
+    createdAt: new Date().toISOString()
+  });
+}
 
-    if (key.startsWith(STORAGE_KEYS.CUSTOM_TAGS_PREFIX)) {
-      const repoId = key.replace(STORAGE_KEYS.CUSTOM_TAGS_PREFIX, '');
-      customData.tags[repoId] = JSON.parse(localStorage.getItem(key));
-    } else if (key.startsWith(STORAGE_KEYS.NOTES_PREFIX)) {
-      const repoId = key.replace(STORAGE_KEYS.NOTES_PREFIX, '');
-      customData.notes[repoId] = localStorage.getItem(key);
-    }
+/**
+ * Append repositories to the end of a collection (ones already in it keep their place)
+ * @param {Object} collection - Collection
+ * @param {Array<number>} repoIds - GitHub repository IDs
+ * @returns {Promise<Object|null>} Saved collection, or null if it could not be saved
+ */
+export async function addToCollection(collection, repoIds) {
+  return saveCollection({ ...collection, repoIds: [...collection.repoIds, ...repoIds] });
+}
+
+/**
+ * Remove repositories from a collection
+ * @param {Object} collection - Collection
+ * @param {Array<number>} repoIds - GitHub repository IDs
+ * @returns {Promise<Object|null>} Saved collection, or null if it could not be saved
+ */
+export async function removeFromCollection(collection, repoIds) {
+  return saveCollection({ ...collection, repoIds: collection.repoIds.filter(id => !repoIds.includes(id)) });
+}
+
+/**
+ * Delete a collection (the repositories in it are not affected)
+ * @param {string} id - Collection ID
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteCollection(id) {
+  try {
+    await adapter.deleteCollection(id);
+    recordChange('collection', id, null);
+    window.dispatchEvent(new CustomEvent('collectionsChanged'));
+    return true;
+  } catch (error) {
+    handleWriteError('Error deleting collection:', error);
+    return false;
+  }
+}
+
+/**
+ * Load custom tags, notes, collections and tag info at once
+ * @returns {Promise<Object>} tags: { repoId: [tags] }, notes: { repoId: content }, collections: { id: collection },
+ *   tagInfo: { tag: info }
+ */
+export async function loadAllCustomData() {
+  try {
+    return await adapter.loadAll();
+  } catch (error) {
+    console.error(`Error loading custom data from ${adapter.name}:`, error);
+    return { tags: {}, notes: {}, collections: {}, tagInfo: {} };
   }
+}
 
-  return customData;
+/**
+ * Merge bulk-loaded custom data with repository data
+ * @param {Object} repo - Repository object from GitHub
+ * @param {Object} customData - Result of loadAllCustomData
+ * @returns {Object} Repository with custom data merged in
+ */
+export function applyCustomData(repo, customData) {
+  return {
+    ...repo,
+    custom_tags: customData.tags[repo.id] || [],
+    notes: customData.notes[repo.id] || ''
+  };
 }
 
 /**
@@ -164,24 +545,9 @@ export function getAllCustomData() {
  * @returns {Promise<boolean>} Success status
  */
 export async function exportCustomData() {
-  if (useSupabase) {
-    return await SupabaseService.exportCustomData();
-  }
-
-  // Fallback to localStorage export
   try {
-    const data = getAllCustomData();
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `github-stars-custom-data-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    const data = await adapter.exportAll();
+    downloadJSON(data, `github-stars-custom-data-${new Date().toISOString().split('T')[0]}.json`);
 
     console.log('✅ Custom data exported successfully');
     return true;
@@ -192,82 +558,374 @@ export async function exportCustomData() {
 }
 
 /**
- * Import custom data from JSON
- * @param {Object} data - Custom data object
- * @returns {boolean} Success status
+ * Export the tags and notes of some repositories, with their names and links
+ * The file can be imported like a full export ("Import Data").
+ * @param {Array<Object>} repositories - Selected repositories
+ * @returns {Promise<boolean>} Success status
  */
-export function importCustomData(data) {
+export async function exportSelectedCustomData(repositories) {
   try {
-    if (!data.tags || !data.notes) {
-      throw new Error('Invalid data format');
-    }
-
-    // Import tags
-    Object.entries(data.tags).forEach(([repoId, tags]) => {
-      setCustomTags(parseInt(repoId), tags);
+    const { tags, notes } = await adapter.loadAll();
+    const data = { tags: {}, notes: {}, repositories: [], exportedAt: new Date().toISOString() };
+
+    repositories.forEach(repo => {
+      if (tags[repo.id]) data.tags[repo.id] = tags[repo.id];
+      if (notes[repo.id]) data.notes[repo.id] = notes[repo.id];
+      data.repositories.push({
+        id: repo.id,
+        full_name: repo.full_name,
+        html_url: repo.html_url,
+        description: repo.description
+      });
     });
 
-    // Import notes
-    Object.entries(data.notes).forEach(([repoId, notes]) => {
-      setNotes(parseInt(repoId), notes);
-    });
+    downloadJSON(data, `github-stars-selection-${new Date().toISOString().split('T')[0]}.json`);
 
-    console.log('✅ Custom data imported successfully');
+    console.log(`✅ Exported ${repositories.length} selected repositories`);
     return true;
   } catch (error) {
-    console.error('Error importing custom data:', error);
+    console.error('Error exporting selection:', error);
     return false;
   }
 }
 
 /**
- * Clear all custom data (with confirmation)
- * @returns {boolean} Success status
+ * Download data as a JSON file
+ * @param {Object} data - Data to save
+ * @param {string} filename - File name
+ */
+function downloadJSON(data, filename) {
+  const json = JSON.stringify(data, null, 2);
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Normalize a list of tags the way the tag input does (trimmed, lowercase, unique)
+ * @param {Array} tags - Tags from an import file
+ * @returns {Array<string>} Normalized tags
+ */
+function normalizeTags(tags) {
+  const normalized = tags
+    .filter(tag => typeof tag === 'string')
+    .map(normalizeTag)
+    .filter(Boolean);
+  return [...new Set(normalized)];
+}
+
+/**
+ * Read the collections of an export file, dropping malformed ones
+ * @param {Object|Array|undefined} value - { id: collection } (local export) or an array (Supabase export)
+ * @returns {Array<Object>} Collections
+ */
+function parseImportedCollections(value) {
+  if (!value || typeof value !== 'object') return [];
+
+  return Object.values(value)
+    .filter(collection =>
+      typeof collection?.id === 'string' &&
+      typeof collection.name === 'string' && collection.name.trim() &&
+      Array.isArray(collection.repoIds)
+    )
+    .map(collection => ({
+      id: collection.id,
+      name: collection.name,
+      description: typeof collection.description === 'string' ? collection.description : '',
+      emoji: typeof collection.emoji === 'string' ? collection.emoji : DEFAULT_COLLECTION_EMOJI,
+      color: COLLECTION_COLORS.includes(collection.color) ? collection.color : COLLECTION_COLORS[0],
+      repoIds: collection.repoIds.map(Number).filter(Number.isInteger),
+      createdAt: collection.createdAt || new Date().toISOString(),
+      updatedAt: collection.updatedAt || null
+    }));
+}
+
+/**
+ * Read the tag info of an export file, dropping malformed entries
+ * @param {Object|Array|undefined} value - { tag: info } (local export) or an array (Supabase export)
+ * @returns {Array<Object>} Tag infos
+ */
+function parseImportedTagInfo(value) {
+  if (!value || typeof value !== 'object') return [];
+
+  return Object.values(value)
+    .filter(info => typeof info?.tag === 'string' && normalizeTag(info.tag))
+    .map(info => ({
+      tag: normalizeTag(info.tag),
+      color: TAG_COLORS.includes(info.color) ? info.color : '',
+      lastUsedAt: typeof info.lastUsedAt === 'string' ? info.lastUsedAt : null,
+      updatedAt: typeof info.updatedAt === 'string' ? info.updatedAt : null
+    }));
+}
+
+/**
+ * Detect the format of an export file and convert it to tags and notes maps
+ * Accepts both the localStorage export ({ tags: { repoId: [tags] }, notes: { repoId: text } })
+ * and the Supabase export (arrays of custom_tags and notes rows). Both may contain collections and tag info.
+ * @param {Object} data - Parsed export file
+ * @returns {Object} format: 'localStorage' or 'supabase', tags: { repoId: [tags] }, notes: { repoId: text },
+ *   collections: [collection], tagInfo: [info]
+ * @throws {Error} If the file is not a custom data export
  */
-export function clearAllCustomData() {
-  const keys = [];
+export function parseImportData(data) {
+  if (!data || typeof data !== 'object' || !data.tags || !data.notes) {
+    throw new Error(ERROR_MESSAGES.IMPORT_INVALID_FORMAT);
+  }
+
+  const isRepoId = (value) => /^\d+$/.test(String(value));
+  const rawTags = {};
+  const rawNotes = {};
+  let format;
+
+  if (Array.isArray(data.tags) && Array.isArray(data.notes)) {
+    format = 'supabase';
+
+    data.tags.forEach(row => {
+      if (!isRepoId(row?.repo_id) || typeof row.tag !== 'string') return;
+      (rawTags[row.repo_id] ||= []).push(row.tag);
+    });
+
+    data.notes.forEach(row => {
+      if (!isRepoId(row?.repo_id) || typeof row.content !== 'string') return;
+      rawNotes[row.repo_id] = row.content;
+    });
+  } else if (typeof data.tags === 'object' && typeof data.notes === 'object' &&
+             !Array.isArray(data.tags) && !Array.isArray(data.notes)) {
+    format = 'localStorage';
+
+    Object.entries(data.tags).forEach(([repoId, tags]) => {
+      if (isRepoId(repoId) && Array.isArray(tags)) rawTags[repoId] = tags;
+    });
+
+    Object.entries(data.notes).forEach(([repoId, notes]) => {
+      if (isRepoId(repoId) && typeof notes === 'string') rawNotes[repoId] = notes;
+    });
+  } else {
+    throw new Error(ERROR_MESSAGES.IMPORT_INVALID_FORMAT);
+  }
+
+  const tags = {};
+  Object.entries(rawTags).forEach(([repoId, repoTags]) => {
+    const normalized = normalizeTags(repoTags);
+    if (normalized.length > 0) tags[repoId] = normalized;
+  });
+
+  const notes = {};
+  Object.entries(rawNotes).forEach(([repoId, content]) => {
+    if (content.trim()) notes[repoId] = content;
+  });
 
-  // Collect all custom data keys
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key.startsWith(STORAGE_KEYS.CUSTOM_TAGS_PREFIX) ||
-        key.startsWith(STORAGE_KEYS.NOTES_PREFIX)) {
-      keys.push(key);
+  return {
+    format,
+    tags,
+    notes,
+    collections: parseImportedCollections(data.collections),
+    tagInfo: parseImportedTagInfo(data.tagInfo)
+  };
+}
+
+/**
+ * Compare imported custom data with the current data
+ * Only repositories where the import would change something are returned.
+ * @param {Object} imported - Result of parseImportData
+ * @returns {Promise<Array<Object>>} Items: { repoId, tags: { current, incoming, added, removed }, notes: { current, incoming, status } }
+ *   where notes.status is 'new', 'conflict' or 'unchanged'
+ */
+export async function buildImportPreview(imported) {
+  const current = await loadAllCustomData();
+  const repoIds = new Set([...Object.keys(imported.tags), ...Object.keys(imported.notes)]);
+  const items = [];
+
+  repoIds.forEach(key => {
+    const currentTags = current.tags[key] || [];
+    const incomingTags = imported.tags[key] || [];
+    const added = incomingTags.filter(tag => !currentTags.includes(tag));
+    // Tags a replace would drop; a file without tags for the repo leaves them alone
+    const removed = key in imported.tags
+      ? currentTags.filter(tag => !incomingTags.includes(tag))
+      : [];
+
+    const currentNotes = current.notes[key] || '';
+    const incomingNotes = imported.notes[key] ?? null;
+    let status = 'unchanged';
+    if (incomingNotes !== null && incomingNotes.trim() !== currentNotes.trim()) {
+      status = currentNotes.trim() ? 'conflict' : 'new';
     }
+
+    if (added.length === 0 && removed.length === 0 && status === 'unchanged') return;
+
+    items.push({
+      repoId: parseInt(key),
+      tags: { current: currentTags, incoming: incomingTags, added, removed },
+      notes: { current: currentNotes, incoming: incomingNotes, status }
+    });
+  });
+
+  return items;
+}
+
+/**
+ * Work out the tags and notes an import item ends up with
+ * @param {Object} item - Item from buildImportPreview
+ * @param {string} mode - IMPORT_MODES.MERGE or IMPORT_MODES.REPLACE
+ * @returns {Object} Resulting tags and notes
+ */
+export function resolveImportItem(item, mode) {
+  const { tags, notes } = item;
+
+  if (mode === IMPORT_MODES.REPLACE) {
+    return {
+      tags: tags.removed.length > 0 || tags.added.length > 0 ? tags.incoming : tags.current,
+      notes: notes.incoming ?? notes.current
+    };
   }
 
-  // Remove all custom data
-  keys.forEach(key => localStorage.removeItem(key));
+  // Merge: keep every existing tag and append the new ones;
+  // conflicting notes keep both texts, existing first
+  let mergedNotes = notes.current;
+  if (notes.status === 'new') {
+    mergedNotes = notes.incoming;
+  } else if (notes.status === 'conflict' && !notes.current.includes(notes.incoming.trim())) {
+    mergedNotes = `${notes.current.trimEnd()}\n\n${notes.incoming.trim()}`;
+  }
 
-  console.log(`✅ Cleared ${keys.length} custom data items`);
-  return true;
+  return {
+    tags: [...tags.current, ...tags.added],
+    notes: mergedNotes
+  };
 }
 
 /**
- * Get all unique custom tags across all repositories
- * @returns {Promise<Array<string>>} Sorted array of unique custom tags
+ * Write import items chosen in the preview
+ * @param {Array<Object>} items - Items from buildImportPreview
+ * @param {Object} modes - repoId -> IMPORT_MODES value (default: merge)
+ * @returns {Promise<Object>} Counts of imported, skipped and failed items
  */
-export async function getAllUniqueTags() {
-  if (useSupabase) {
-    return await SupabaseService.getAllUniqueTags();
+export async function importCustomData(items, modes = {}) {
+  const results = { imported: 0, skipped: 0, failed: 0 };
+
+  for (const item of items) {
+    const mode = modes[item.repoId] || IMPORT_MODES.MERGE;
+    if (mode === IMPORT_MODES.SKIP) {
+      results.skipped++;
+      continue;
+    }
+
+    const { tags, notes } = resolveImportItem(item, mode);
+    const writes = [];
+
+    if (JSON.stringify(tags) !== JSON.stringify(item.tags.current)) {
+      writes.push(setCustomTags(item.repoId, tags));
+    }
+    if (notes !== item.notes.current) {
+      writes.push(setNotes(item.repoId, notes));
+    }
+
+    const success = (await Promise.all(writes)).every(Boolean);
+    if (success) {
+      results.imported++;
+    } else {
+      results.failed++;
+    }
   }
 
-  // Fallback to localStorage
-  const tags = new Set();
+  console.log(`✅ Imported custom data for ${results.imported} repositories`);
+  return results;
+}
+
+/**
+ * Pick the imported collections that are new, or newer than the saved copy
+ * @param {Array<Object>} collections - Collections from parseImportData
+ * @returns {Promise<Array<Object>>} Collections to import
+ */
+export async function getImportableCollections(collections) {
+  const { collections: current } = await loadAllCustomData();
+
+  return collections.filter(collection => {
+    const existing = current[collection.id];
+    return !existing || (collection.updatedAt || '') > (existing.updatedAt || '');
+  });
+}
 
-  for (let i = 0; i < localStorage.length; i++) {
-    const key = localStorage.key(i);
-    if (key.startsWith(STORAGE_KEYS.CUSTOM_TAGS_PREFIX)) {
-      const repoTags = JSON.parse(localStorage.getItem(key));
-      repoTags.forEach(tag => tags.add(tag));
+/**
+ * Save imported collections
+ * @param {Array<Object>} collections - Collections from getImportableCollections
+ * @returns {Promise<Object>} Counts of imported and failed collections
+ */
+export async function importCollections(collections) {
+  const results = { imported: 0, failed: 0 };
+
+  for (const collection of collections) {
+    if (await saveCollection(collection)) {
+      results.imported++;
+    } else {
+      results.failed++;
     }
   }
 
-  return Array.from(tags).sort();
+  return results;
+}
+
+/**
+ * Pick the imported tag infos that are new, or newer than the saved copy
+ * @param {Array<Object>} tagInfo - Tag infos from parseImportData
+ * @returns {Promise<Array<Object>>} Tag infos to import
+ */
+export async function getImportableTagInfo(tagInfo) {
+  const { tagInfo: current = {} } = await loadAllCustomData();
+
+  return tagInfo.filter(info => {
+    const existing = current[info.tag];
+    return !existing || (info.updatedAt || '') > (existing.updatedAt || '');
+  });
+}
+
+/**
+ * Save imported tag infos (tag colours and last used dates)
+ * @param {Array<Object>} tagInfo - Tag infos from getImportableTagInfo
+ * @returns {Promise<Object>} Counts of imported and failed tag infos
+ */
+export async function importTagInfo(tagInfo) {
+  if (tagInfo.length === 0) return { imported: 0, failed: 0 };
+
+  try {
+    await saveTagInfos(tagInfo);
+    return { imported: tagInfo.length, failed: 0 };
+  } catch (error) {
+    handleWriteError('Error importing tag info:', error);
+    return { imported: 0, failed: tagInfo.length };
+  }
 }
 
-// Helper function for toast notifications (will be defined in components.js)
-function showToast(message, type = 'info') {
-  // This will be imported from components.js when available
-  console.log(`[${type.toUpperCase()}] ${message}`);
+/**
+ * Clear all custom data in the active backend
+ * @returns {Promise<boolean>} Success status
+ */
+export async function clearAllCustomData() {
+  try {
+    await adapter.clear();
+    notifyOtherTabs([]);
+
+    console.log(`✅ Cleared all custom data (${adapter.name})`);
+    return true;
+  } catch (error) {
+    console.error('Error clearing custom data:', error);
+    return false;
+  }
+}
+
+/**
+ * Get all unique custom tags across all repositories
+ * @returns {Promise<Array<string>>} Sorted array of unique custom tags
+ */
+export async function getAllUniqueTags() {
+  const { tags } = await loadAllCustomData();
+  return [...new Set(Object.values(tags).flat())].sort();
 }
@@ -0,0 +1,85 @@
+/**
+ * Offline Queue Service
+ * Stores local edits in localStorage until they have been sent to Supabase,
+ * so edits made offline (or while a sync is running) are not lost.
+ * Only which repository (or collection, or tag) changed is queued, once per kind;
+ * the sync reads the edited value from the local store, so large notes are not
+ * stored twice.
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+/**
+ * Get all queued writes, oldest first
+ * @returns {Array<Object>} Queued writes: { kind, repoId, queuedAt }
+ *   (repoId holds the collection ID for 'collection' writes and the tag for 'tagInfo' writes)
+ */
+export function getQueuedWrites() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.OFFLINE_QUEUE);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Error reading offline queue:', error);
+    return [];
+  }
+}
+
+/**
+ * Persist the queue
+ * @param {Array<Object>} writes - Queued writes
+ * @throws {Error} If localStorage refuses the write (e.g. QuotaExceededError), since
+ *   an edit missing from the queue would never be synced
+ */
+function saveQueue(writes) {
+  if (writes.length > 0) {
+    localStorage.setItem(STORAGE_KEYS.OFFLINE_QUEUE, JSON.stringify(writes));
+  } else {
+    localStorage.removeItem(STORAGE_KEYS.OFFLINE_QUEUE);
+  }
+}
+
+/**
+ * Queue a write, replacing any earlier queued write of the same kind for the repository
+ * @param {string} kind - Write kind: 'notes', 'tags', 'collection' or 'tagInfo'
+ * @param {number|string} repoId - GitHub repository ID (collection ID for collections, tag for tag info)
+ * @throws {Error} If the queue cannot be saved
+ */
+export function enqueueWrite(kind, repoId) {
+  enqueueWrites(kind, [repoId]);
+}
+
+/**
+ * Queue writes of the same kind for several repositories (e.g. a renamed tag)
+ * @param {string} kind - Write kind: 'notes', 'tags', 'collection' or 'tagInfo'
+ * @param {Array<number|string>} repoIds - Repository IDs (collection IDs for collections, tags for tag info)
+ * @throws {Error} If the queue cannot be saved
+ */
+export function enqueueWrites(kind, repoIds) {
+  const changed = new Set(repoIds);
+  const writes = getQueuedWrites().filter(write => !(write.kind === kind && changed.has(write.repoId)));
+  const queuedAt = new Date().toISOString();
+  changed.forEach(repoId => writes.push({ kind, repoId, queuedAt }));
+  saveQueue(writes);
+
+  const target = { collection: 'collection', tagInfo: 'tag' }[kind] || 'repo';
+  console.log(changed.size === 1
+    ? `📥 Queued ${kind} change of ${target} ${[...changed][0]} for sync`
+    : `📥 Queued ${kind} changes of ${changed.size} ${target}s for sync`);
+}
+
+/**
+ * Drop all queued writes (e.g. when local data is replaced by another account's)
+ */
+export function clearQueuedWrites() {
+  saveQueue([]);
+}
+
+/**
+ * Remove writes that have been sent
+ * Writes queued again for the same repository in the meantime are kept.
+ * @param {Array<Object>} sent - Writes as returned by getQueuedWrites
+ */
+export function removeQueuedWrites(sent) {
+  const sentKeys = new Set(sent.map(write => `${write.kind}:${write.repoId}:${write.queuedAt}`));
+  saveQueue(getQueuedWrites().filter(write => !sentKeys.has(`${write.kind}:${write.repoId}:${write.queuedAt}`)));
+}
@@ -0,0 +1,49 @@
+/**
+ * Preferences Service
+ * Small key/value store for UI preferences, kept as one JSON object in localStorage
+ */
+
+import { STORAGE_KEYS } from '../utils/constants.js';
+
+/**
+ * Get all stored preferences
+ * @returns {Object} Preferences object
+ */
+export function getPreferences() {
+  try {
+    const data = localStorage.getItem(STORAGE_KEYS.PREFERENCES);
+    return data ? JSON.parse(data) : {};
+  } catch (error) {
+    console.error('Error getting preferences:', error);
+    return {};
+  }
+}
+
+/**
+ * Get a single preference
+ * @param {string} key - Preference name
+ * @param {*} defaultValue - Value returned if the preference is not set
+ * @returns {*} Preference value
+ */
+export function getPreference(key, defaultValue = null) {
+  const preferences = getPreferences();
+  return key in preferences ? preferences[key] : defaultValue;
+}
+
+/**
+ * Set a single preference
+ * @param {string} key - Preference name
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} Success status
+ */
+export function setPreference(key, value) {
+  try {
+    const preferences = getPreferences();
+    preferences[key] = value;
+    localStorage.setItem(STORAGE_KEYS.PREFERENCES, JSON.stringify(preferences));
+    return true;
+  } catch (error) {
+    console.error('Error setting preference:', error);
+    return false;
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Search Index Service
+ * In-memory inverted index over repository text, custom tags and notes,
+ * with field-weighted relevance ranking, prefix matching and typo tolerance
+ */
+
+// Relevance weight of a match in each field
+const FIELD_WEIGHTS = {
+  name: 5,
+  custom_tags: 4,
+  full_name: 3,
+  topics: 3,
+  owner: 3,
+  language: 2,
+  description: 2,
+  notes: 2
+};
+
+// Relevance multiplier per match kind
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.4
+};
+
+// term -> Map(repoId -> best field weight for that term)
+let postings = new Map();
+
+// repoId -> Set of terms indexed for that repository
+let documentTerms = new Map();
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} Tokens
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Get the text of each indexed field of a repository
+ * @param {Object} repo - Repository object with custom data merged
+ * @returns {Object} Field name -> text
+ */
+function getFieldTexts(repo) {
+  return {
+    name: repo.name,
+    full_name: repo.full_name,
+    owner: repo.owner?.login,
+    description: repo.description,
+    language: repo.language && repo.language !== 'Unknown' ? repo.language : '',
+    topics: (repo.topics || []).join(' '),
+    custom_tags: (repo.custom_tags || []).join(' '),
+    notes: repo.notes
+  };
+}
+
+/**
+ * Add a repository to the index
+ * @param {Object} repo - Repository object with custom data merged
+ */
+function addDocument(repo) {
+  const terms = new Set();
+
+  Object.entries(getFieldTexts(repo)).forEach(([field, text]) => {
+    const weight = FIELD_WEIGHTS[field];
+
+    tokenize(text).forEach(term => {
+      terms.add(term);
+
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      const docs = postings.get(term);
+      docs.set(repo.id, Math.max(docs.get(repo.id) || 0, weight));
+    });
+  });
+
+  documentTerms.set(repo.id, terms);
+}
+
+/**
+ * Remove a repository from the index
+ * @param {number} repoId - GitHub repository ID
+ */
+function removeDocument(repoId) {
+  const terms = documentTerms.get(repoId);
+  if (!terms) return;
+
+  terms.forEach(term => {
+    const docs = postings.get(term);
+    docs?.delete(repoId);
+    if (docs && docs.size === 0) {
+      postings.delete(term);
+    }
+  });
+
+  documentTerms.delete(repoId);
+}
+
+/**
+ * Build the index from scratch
+ * @param {Array} repositories - Array of all repositories
+ */
+export function buildSearchIndex(repositories) {
+  postings = new Map();
+  documentTerms = new Map();
+  repositories.forEach(addDocument);
+}
+
+/**
+ * Re-index a single repository (e.g. after its tags or notes changed)
+ * @param {Object} repo - Repository object with custom data merged
+ */
+export function updateSearchDocument(repo) {
+  removeDocument(repo.id);
+  addDocument(repo);
+}
+
+/**
+ * Find the repositories containing every word of a text exactly
+ * Unlike searchRepositories there is no prefix or typo matching, so
+ * excluding a word does not also remove repositories with similar words.
+ * @param {string} text - Free text
+ * @returns {Set<number>} IDs of matching repositories
+ */
+export function findExactMatches(text) {
+  const terms = [...new Set(tokenize(text))];
+  if (terms.length === 0) return new Set();
+
+  const [first, ...rest] = terms.map(term => postings.get(term) || new Map());
+  return new Set([...first.keys()].filter(repoId => rest.every(docs => docs.has(repoId))));
+}
+
+/**
+ * Edit distance (insertions, deletions, substitutions and adjacent
+ * transpositions) with an upper bound
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Maximum distance of interest
+ * @returns {number} Distance, or max + 1 if it exceeds max
+ */
+function boundedEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term
+ * @param {string} term - Query term
+ * @returns {number} Allowed edit distance
+ */
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Find indexed terms matching a query term
+ * @param {string} queryTerm - Query term
+ * @returns {Array<Object>} Matching terms with their match weight
+ */
+function expandTerm(queryTerm) {
+  const matches = [];
+  const typos = allowedTypos(queryTerm);
+
+  postings.forEach((_, term) => {
+    if (term === queryTerm) {
+      matches.push({ term, weight: MATCH_WEIGHTS.exact });
+    } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+      matches.push({ term, weight: MATCH_WEIGHTS.prefix });
+    } else if (typos > 0 && boundedEditDistance(queryTerm, term, typos) <= typos) {
+      matches.push({ term, weight: MATCH_WEIGHTS.fuzzy });
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Search the index
+ * Every query term has to match (exactly, as a prefix or with a typo);
+ * a repository's score is the sum of its best match per query term.
+ * @param {string} query - Free-text query
+ * @returns {Object} scores: Map(repoId -> relevance), terms: Set of matched indexed terms for highlighting
+ */
+export function searchRepositories(query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const matchedTerms = new Set();
+  let scores = null;
+
+  for (const queryTerm of queryTerms) {
+    const termScores = new Map();
+
+    expandTerm(queryTerm).forEach(({ term, weight }) => {
+      matchedTerms.add(term);
+      postings.get(term).forEach((fieldWeight, repoId) => {
+        const score = fieldWeight * weight;
+        termScores.set(repoId, Math.max(termScores.get(repoId) || 0, score));
+      });
+    });
+
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      // AND semantics: keep only repositories matching every term so far
+      const combined = new Map();
+      scores.forEach((score, repoId) => {
+        if (termScores.has(repoId)) {
+          combined.set(repoId, score + termScores.get(repoId));
+        }
+      });
+      scores = combined;
+    }
+
+    if (scores.size === 0) break;
+  }
+
+  return { scores: scores || new Map(), terms: matchedTerms };
+}
@@ -5,13 +5,28 @@
 
 import { CONFIG, ERROR_MESSAGES } from '../utils/constants.js';
 
+/**
+ * Fetch a data file, optionally skipping browser and CDN caches
+ * @param {string} file - URL of the file
+ * @param {boolean} bypassCache - Skip caches (used after a sync)
+ * @returns {Promise<Response>} Response
+ */
+function fetchDataFile(file, bypassCache) {
+  return bypassCache
+    ? fetch(`${file}?t=${Date.now()}`, { cache: 'no-store' })
+    : fetch(file);
+}
+
 /**
  * Load stars data from the JSON file
+ * @param {Object} options - Load options
+ * @param {boolean} options.bypassCache - Skip browser and CDN caches (used after a sync)
+ * @param {string} options.file - Data file (default: CONFIG.DATA_FILE; a team member's file in team mode)
  * @returns {Promise<Object>} Stars data with metadata and repositories
  */
-export async function loadStarsData() {
+export async function loadStarsData({ bypassCache = false, file = CONFIG.DATA_FILE } = {}) {
   try {
-    const response = await fetch(CONFIG.DATA_FILE);
+    const response = await fetchDataFile(file, bypassCache);
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -42,6 +57,74 @@ export async function loadStarsData() {
   }
 }
 
+/**
+ * Load the sync change log
+ * @param {Object} options - Load options
+ * @param {boolean} options.bypassCache - Skip browser and CDN caches (used after a sync)
+ * @param {string} options.file - History file (default: CONFIG.HISTORY_FILE)
+ * @returns {Promise<Object>} History with a runs array (oldest first), empty if unavailable
+ */
+export async function loadHistoryData({ bypassCache = false, file = CONFIG.HISTORY_FILE } = {}) {
+  try {
+    const response = await fetchDataFile(file, bypassCache);
+
+    // No history is written until the second sync
+    if (response.status === 404) {
+      return { runs: [] };
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const history = await response.json();
+    return Array.isArray(history.runs) ? history : { runs: [] };
+  } catch (error) {
+    console.error('Error loading history data:', error);
+    return { runs: [] };
+  }
+}
+
+/**
+ * Load the team index written by a team sync
+ * @param {Object} options - Load options
+ * @param {boolean} options.bypassCache - Skip browser and CDN caches (used after a sync)
+ * @returns {Promise<Object|null>} Team with users (file paths resolved to URLs), or null if not in team mode
+ */
+export async function loadTeamIndex({ bypassCache = false } = {}) {
+  try {
+    const response = await fetchDataFile(CONFIG.TEAM_FILE, bypassCache);
+
+    // Single-user sites have no team.json
+    if (response.status === 404) {
+      return null;
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const team = await response.json();
+    if (!Array.isArray(team.users) || team.users.length === 0) {
+      return null;
+    }
+
+    // Paths in team.json are relative to it
+    const base = new URL(CONFIG.TEAM_FILE, window.location.href);
+    return {
+      ...team,
+      users: team.users.map(user => ({
+        ...user,
+        dataFile: new URL(user.dataFile, base).href,
+        historyFile: new URL(user.historyFile, base).href
+      }))
+    };
+  } catch (error) {
+    console.error('Error loading team data:', error);
+    return null;
+  }
+}
+
 /**
  * Parse a date string to a human-readable format
  * @param {string} dateString - ISO date string
@@ -1,6 +1,7 @@
 /**
  * Supabase Service
- * Handles all database operations for custom tags and notes
+ * Handles sign-in and all database operations for custom tags, notes, collections and tag info.
+ * Every row belongs to the signed-in user (user_id column, enforced by RLS).
  */
 
 import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../utils/constants.js';
@@ -8,6 +9,9 @@ import { SUPABASE_URL, SUPABASE_ANON_KEY } from '../utils/constants.js';
 // Initialize Supabase client (will be set after library loads)
 let supabase = null;
 
+// Signed-in Supabase user (null when signed out)
+let currentUser = null;
+
 /**
  * Initialize Supabase client
  * Must be called after the Supabase library is loaded
@@ -23,6 +27,119 @@ export function initSupabase() {
   return true;
 }
 
+/**
+ * Get the signed-in user, restoring a stored session or one
+ * returned in the URL by a magic link / OAuth redirect
+ * @returns {Promise<Object|null>} Supabase user, or null if signed out
+ */
+export async function getCurrentUser() {
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase.auth.getSession();
+    if (error) throw error;
+
+    currentUser = data.session?.user || null;
+    return currentUser;
+  } catch (error) {
+    console.error('Error getting Supabase session:', error);
+    currentUser = null;
+    return null;
+  }
+}
+
+/**
+ * Listen for sign-in and sign-out
+ * @param {Function} callback - Called with the user (or null) whenever the session changes
+ */
+export function onAuthChange(callback) {
+  if (!supabase) return;
+
+  supabase.auth.onAuthStateChange((event, session) => {
+    currentUser = session?.user || null;
+    callback(currentUser, event);
+  });
+}
+
+/**
+ * URL the sign-in links and OAuth flow return to (works under a GitHub Pages project path)
+ * @returns {string} Current page URL without query or hash
+ */
+function getRedirectUrl() {
+  return window.location.origin + window.location.pathname;
+}
+
+/**
+ * Send a magic sign-in link by email
+ * @param {string} email - Email address
+ * @returns {Promise<boolean>} Success status
+ */
+export async function signInWithEmail(email) {
+  try {
+    const { error } = await supabase.auth.signInWithOtp({
+      email,
+      options: { emailRedirectTo: getRedirectUrl() }
+    });
+
+    if (error) throw error;
+
+    console.log(`✅ Sign-in link sent to ${email}`);
+    return true;
+  } catch (error) {
+    console.error('Error sending sign-in link:', error);
+    return false;
+  }
+}
+
+/**
+ * Sign in with GitHub (redirects to GitHub and back)
+ * @returns {Promise<boolean>} Success status (false if the redirect could not start)
+ */
+export async function signInWithGitHub() {
+  try {
+    const { error } = await supabase.auth.signInWithOAuth({
+      provider: 'github',
+      options: { redirectTo: getRedirectUrl() }
+    });
+
+    if (error) throw error;
+    return true;
+  } catch (error) {
+    console.error('Error signing in with GitHub:', error);
+    return false;
+  }
+}
+
+/**
+ * Sign out of Supabase
+ * @returns {Promise<boolean>} Success status
+ */
+export async function signOut() {
+  try {
+    const { error } = await supabase.auth.signOut();
+    if (error) throw error;
+
+    currentUser = null;
+    console.log('✅ Signed out');
+    return true;
+  } catch (error) {
+    console.error('Error signing out:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the ID of the signed-in user, used to scope every query
+ * @returns {string} Supabase user ID
+ * @throws {Error} If no user is signed in
+ */
+function requireUserId() {
+  if (!currentUser) {
+    throw new Error('Not signed in to Supabase');
+  }
+  return currentUser.id;
+}
+
 /**
  * Get custom tags for a repository
  * @param {number} repoId - GitHub repository ID
@@ -30,9 +147,11 @@ export function initSupabase() {
  */
 export async function getCustomTags(repoId) {
   try {
+    const userId = requireUserId();
     const { data, error } = await supabase
       .from('custom_tags')
       .select('tag')
+      .eq('user_id', userId)
       .eq('repo_id', repoId)
       .order('created_at', { ascending: true });
 
@@ -53,9 +172,11 @@ export async function getCustomTags(repoId) {
  */
 export async function addCustomTag(repoId, tag) {
   try {
+    const userId = requireUserId();
     const { error } = await supabase
       .from('custom_tags')
       .insert({
+        user_id: userId,
         repo_id: repoId,
         tag: tag.toLowerCase().trim()
       });
@@ -84,9 +205,11 @@ export async function addCustomTag(repoId, tag) {
  */
 export async function removeCustomTag(repoId, tag) {
   try {
+    const userId = requireUserId();
     const { error } = await supabase
       .from('custom_tags')
       .delete()
+      .eq('user_id', userId)
       .eq('repo_id', repoId)
       .eq('tag', tag);
 
@@ -108,15 +231,19 @@ export async function removeCustomTag(repoId, tag) {
  */
 export async function setCustomTags(repoId, tags) {
   try {
+    const userId = requireUserId();
+
     // Delete existing tags
     await supabase
       .from('custom_tags')
       .delete()
+      .eq('user_id', userId)
       .eq('repo_id', repoId);
 
     // Insert new tags
     if (tags.length > 0) {
       const rows = tags.map(tag => ({
+        user_id: userId,
         repo_id: repoId,
         tag: tag.toLowerCase().trim()
       }));
@@ -136,6 +263,65 @@ export async function setCustomTags(repoId, tags) {
   }
 }
 
+// Repositories per request when writing tags in bulk
+const BATCH_SIZE = 100;
+
+/**
+ * Set the custom tags of several repositories at once (e.g. after renaming a tag)
+ * The new rows are added before the old ones are removed, so a failed request
+ * never loses tags (at worst a repository keeps its old tags as well), in chunks
+ * of repositories so the request URLs stay short.
+ * @param {Object} tagsByRepo - { repoId: [tags] } (an empty array removes a repository's tags)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function setManyCustomTags(tagsByRepo) {
+  try {
+    const userId = requireUserId();
+    const entries = Object.entries(tagsByRepo);
+
+    for (let i = 0; i < entries.length; i += BATCH_SIZE) {
+      const chunk = entries.slice(i, i + BATCH_SIZE);
+      const repoIds = chunk.map(([repoId]) => parseInt(repoId));
+      const wanted = new Map(chunk.map(([repoId, tags]) => [parseInt(repoId), new Set(tags)]));
+
+      const rows = chunk.flatMap(([repoId, tags]) => tags.map(tag => ({
+        user_id: userId,
+        repo_id: parseInt(repoId),
+        tag
+      })));
+
+      if (rows.length > 0) {
+        const { error } = await supabase
+          .from('custom_tags')
+          .upsert(rows, { onConflict: 'user_id,repo_id,tag', ignoreDuplicates: true });
+
+        if (error) throw error;
+      }
+
+      const existing = await selectAllRows('custom_tags', 'id, repo_id, tag', 'id', query => query.in('repo_id', repoIds));
+      const staleIds = existing
+        .filter(row => !wanted.get(Number(row.repo_id))?.has(row.tag))
+        .map(row => row.id);
+
+      for (let j = 0; j < staleIds.length; j += BATCH_SIZE) {
+        const { error } = await supabase
+          .from('custom_tags')
+          .delete()
+          .eq('user_id', userId)
+          .in('id', staleIds.slice(j, j + BATCH_SIZE));
+
+        if (error) throw error;
+      }
+    }
+
+    console.log(`✅ Tags updated for ${entries.length} repos`);
+    return true;
+  } catch (error) {
+    console.error('Error setting custom tags:', error);
+    return false;
+  }
+}
+
 /**
  * Get notes for a repository
  * @param {number} repoId - GitHub repository ID
@@ -143,9 +329,11 @@ export async function setCustomTags(repoId, tags) {
  */
 export async function getNotes(repoId) {
   try {
+    const userId = requireUserId();
     const { data, error } = await supabase
       .from('notes')
       .select('content')
+      .eq('user_id', userId)
       .eq('repo_id', repoId)
       .single();
 
@@ -172,6 +360,7 @@ export async function getNotes(repoId) {
  */
 export async function saveNotes(repoId, content) {
   try {
+    const userId = requireUserId();
     const trimmedContent = content.trim();
 
     if (trimmedContent === '') {
@@ -179,16 +368,18 @@ export async function saveNotes(repoId, content) {
       await supabase
         .from('notes')
         .delete()
+        .eq('user_id', userId)
         .eq('repo_id', repoId);
     } else {
       // Upsert (insert or update)
       const { error } = await supabase
         .from('notes')
         .upsert({
+          user_id: userId,
           repo_id: repoId,
           content: trimmedContent,
           updated_at: new Date().toISOString()
-        });
+        }, { onConflict: 'user_id,repo_id' });
 
       if (error) throw error;
     }
@@ -207,9 +398,11 @@ export async function saveNotes(repoId, content) {
  */
 export async function getAllUniqueTags() {
   try {
+    const userId = requireUserId();
     const { data, error } = await supabase
       .from('custom_tags')
       .select('tag')
+      .eq('user_id', userId)
       .order('tag');
 
     if (error) throw error;
@@ -224,108 +417,325 @@ export async function getAllUniqueTags() {
 }
 
 /**
- * Get all custom data for export
- * @returns {Promise<Object>} All custom tags and notes
+ * Convert a collections row to a collection
+ * @param {Object} row - Row of the collections table
+ * @returns {Object} Collection (see adapters/index.js)
  */
-export async function getAllCustomData() {
+function rowToCollection(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description || '',
+    emoji: row.emoji || '',
+    color: row.color || '',
+    repoIds: (row.repo_ids || []).map(Number),
+    createdAt: toISOTimestamp(row.created_at),
+    updatedAt: toISOTimestamp(row.updated_at)
+  };
+}
+
+/**
+ * Create or replace a collection
+ * @param {Object} collection - Collection (see adapters/index.js)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveCollection(collection) {
   try {
-    const [tagsResult, notesResult] = await Promise.all([
-      supabase.from('custom_tags').select('*'),
-      supabase.from('notes').select('*')
-    ]);
+    const userId = requireUserId();
+    const { error } = await supabase
+      .from('collections')
+      .upsert({
+        user_id: userId,
+        id: collection.id,
+        name: collection.name,
+        description: collection.description,
+        emoji: collection.emoji,
+        color: collection.color,
+        repo_ids: collection.repoIds,
+        created_at: collection.createdAt,
+        updated_at: collection.updatedAt
+      }, { onConflict: 'user_id,id' });
+
+    if (error) throw error;
 
-    return {
-      tags: tagsResult.data || [],
-      notes: notesResult.data || [],
-      exportedAt: new Date().toISOString(),
-      source: 'supabase'
-    };
+    console.log(`✅ Collection "${collection.name}" saved`);
+    return true;
   } catch (error) {
-    console.error('Error getting all custom data:', error);
-    return {
-      tags: [],
-      notes: [],
-      exportedAt: new Date().toISOString(),
-      source: 'supabase',
-      error: error.message
-    };
+    console.error('Error saving collection:', error);
+    return false;
   }
 }
 
 /**
- * Export all custom data as JSON file
+ * Delete a collection
+ * @param {string} id - Collection ID
  * @returns {Promise<boolean>} Success status
  */
-export async function exportCustomData() {
+export async function deleteCollection(id) {
   try {
-    const data = await getAllCustomData();
-    const json = JSON.stringify(data, null, 2);
-    const blob = new Blob([json], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `github-stars-custom-data-${new Date().toISOString().split('T')[0]}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-
-    console.log('✅ Custom data exported successfully');
+    const userId = requireUserId();
+    const { error } = await supabase
+      .from('collections')
+      .delete()
+      .eq('user_id', userId)
+      .eq('id', id);
+
+    if (error) throw error;
+
+    console.log(`✅ Collection ${id} deleted`);
     return true;
   } catch (error) {
-    console.error('Error exporting custom data:', error);
+    console.error('Error deleting collection:', error);
     return false;
   }
 }
 
 /**
- * Import custom data from localStorage (migration helper)
- * @param {Object} localStorageData - Data from localStorage
- * @returns {Promise<Object>} Migration results
+ * Convert a tag_info row to tag info
+ * @param {Object} row - Row of the tag_info table
+ * @returns {Object} Tag info (see adapters/index.js)
  */
-export async function migrateFromLocalStorage(localStorageData) {
-  const results = {
-    tagsImported: 0,
-    notesImported: 0,
-    errors: []
+function rowToTagInfo(row) {
+  return {
+    tag: row.tag,
+    color: row.color || '',
+    lastUsedAt: toISOTimestamp(row.last_used_at),
+    updatedAt: toISOTimestamp(row.updated_at)
   };
+}
+
+/**
+ * Get the info of a tag
+ * Unlike the other getters, a failure is thrown rather than reported as "none",
+ * since callers write the info back and would otherwise reset the tag's colour.
+ * @param {string} tag - Tag
+ * @returns {Promise<Object|null>} Tag info (see adapters/index.js), or null if the tag has none
+ * @throws {Error} If the query fails
+ */
+export async function getTagInfo(tag) {
+  const userId = requireUserId();
+  const { data, error } = await supabase
+    .from('tag_info')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('tag', tag)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  return data ? rowToTagInfo(data) : null;
+}
 
+/**
+ * Create or replace the info of a tag
+ * @param {Object} info - Tag info (see adapters/index.js)
+ * @returns {Promise<boolean>} Success status
+ */
+export async function saveTagInfo(info) {
   try {
-    // Import tags
-    for (const [key, value] of Object.entries(localStorageData.tags || {})) {
-      try {
-        const repoId = parseInt(key);
-        const tags = JSON.parse(value);
-
-        if (Array.isArray(tags) && tags.length > 0) {
-          await setCustomTags(repoId, tags);
-          results.tagsImported += tags.length;
-        }
-      } catch (error) {
-        results.errors.push(`Failed to import tags for ${key}: ${error.message}`);
-      }
-    }
+    const userId = requireUserId();
+    const { error } = await supabase
+      .from('tag_info')
+      .upsert({
+        user_id: userId,
+        tag: info.tag,
+        color: info.color,
+        last_used_at: info.lastUsedAt,
+        updated_at: info.updatedAt
+      }, { onConflict: 'user_id,tag' });
 
-    // Import notes
-    for (const [key, content] of Object.entries(localStorageData.notes || {})) {
-      try {
-        const repoId = parseInt(key);
-
-        if (content && content.trim()) {
-          await saveNotes(repoId, content);
-          results.notesImported++;
-        }
-      } catch (error) {
-        results.errors.push(`Failed to import notes for ${key}: ${error.message}`);
-      }
-    }
+    if (error) throw error;
+
+    console.log(`✅ Tag info of "${info.tag}" saved`);
+    return true;
+  } catch (error) {
+    console.error('Error saving tag info:', error);
+    return false;
+  }
+}
+
+/**
+ * Delete the info of a tag
+ * @param {string} tag - Tag
+ * @returns {Promise<boolean>} Success status
+ */
+export async function deleteTagInfo(tag) {
+  try {
+    const userId = requireUserId();
+    const { error } = await supabase
+      .from('tag_info')
+      .delete()
+      .eq('user_id', userId)
+      .eq('tag', tag);
 
-    console.log('✅ Migration complete:', results);
-    return results;
+    if (error) throw error;
+
+    console.log(`✅ Tag info of "${tag}" deleted`);
+    return true;
   } catch (error) {
-    console.error('Error during migration:', error);
-    results.errors.push(`Migration failed: ${error.message}`);
-    return results;
+    console.error('Error deleting tag info:', error);
+    return false;
   }
 }
+
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+/**
+ * Select every row of a table owned by the signed-in user, paging past the per-request row limit
+ * @param {string} table - Table name
+ * @param {string} columns - Columns to select
+ * @param {string} orderColumn - Column giving a stable order across pages
+ * @param {Function} filter - Narrows the query further (default: all of the user's rows)
+ * @returns {Promise<Array>} All rows
+ * @throws {Error} If any page fails
+ */
+async function selectAllRows(table, columns, orderColumn, filter = query => query) {
+  const userId = requireUserId();
+  const rows = [];
+
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await filter(supabase
+      .from(table)
+      .select(columns)
+      .eq('user_id', userId))
+      .order(orderColumn, { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+
+    if (error) throw error;
+
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+
+  return rows;
+}
+
+/**
+ * Normalize a timestamp column value to an ISO string in UTC
+ * Columns created as TIMESTAMP (without time zone) come back without an offset;
+ * they hold UTC values, since the app always writes UTC.
+ * @param {string} value - Column value
+ * @returns {string|null} ISO timestamp, or null if empty
+ */
+function toISOTimestamp(value) {
+  if (!value) return null;
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  return new Date(hasZone ? value : `${value}Z`).toISOString();
+}
+
+/**
+ * Load all custom tags, notes, collections and tag info in bulk (four queries, plus paging for large tables)
+ * @returns {Promise<Object>} tags: { repoId: [tags] }, notes: { repoId: content },
+ *   collections: { id: collection }, tagInfo: { tag: info },
+ *   notesUpdatedAt: { repoId: ISO timestamp } (used by the two-way sync)
+ */
+export async function loadAllCustomData() {
+  const [tagRows, noteRows, collectionRows, tagInfoRows] = await Promise.all([
+    selectAllRows('custom_tags', 'repo_id, tag', 'id'),
+    selectAllRows('notes', 'repo_id, content, updated_at', 'repo_id'),
+    selectAllRows('collections', '*', 'id'),
+    selectAllRows('tag_info', '*', 'tag')
+  ]);
+
+  const tags = {};
+  tagRows.forEach(row => {
+    (tags[row.repo_id] = tags[row.repo_id] || []).push(row.tag);
+  });
+
+  const notes = {};
+  const notesUpdatedAt = {};
+  noteRows.forEach(row => {
+    notes[row.repo_id] = row.content;
+    notesUpdatedAt[row.repo_id] = toISOTimestamp(row.updated_at);
+  });
+
+  const collections = {};
+  collectionRows.forEach(row => {
+    collections[row.id] = rowToCollection(row);
+  });
+
+  const tagInfo = {};
+  tagInfoRows.forEach(row => {
+    tagInfo[row.tag] = rowToTagInfo(row);
+  });
+
+  return { tags, notes, collections, tagInfo, notesUpdatedAt };
+}
+
+/**
+ * Get all custom data for export (paging past the per-request row limit)
+ * @returns {Promise<Object>} All custom tags and notes (rows), collections and tag info
+ * @throws {Error} If any query fails, so an export is never silently incomplete
+ */
+export async function getAllCustomData() {
+  const [tagRows, noteRows, collectionRows, tagInfoRows] = await Promise.all([
+    selectAllRows('custom_tags', '*', 'id'),
+    selectAllRows('notes', '*', 'repo_id'),
+    selectAllRows('collections', '*', 'id'),
+    selectAllRows('tag_info', '*', 'tag')
+  ]);
+
+  return {
+    tags: tagRows,
+    notes: noteRows,
+    collections: collectionRows.map(rowToCollection),
+    tagInfo: tagInfoRows.map(rowToTagInfo),
+    exportedAt: new Date().toISOString(),
+    source: 'supabase'
+  };
+}
+
+/**
+ * Delete all custom tags, notes, collections and tag info of the signed-in user
+ * @returns {Promise<boolean>} Success status
+ */
+export async function clearAllCustomData() {
+  try {
+    const userId = requireUserId();
+    const results = await Promise.all([
+      supabase.from('custom_tags').delete().eq('user_id', userId),
+      supabase.from('notes').delete().eq('user_id', userId),
+      supabase.from('collections').delete().eq('user_id', userId),
+      supabase.from('tag_info').delete().eq('user_id', userId)
+    ]);
+
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    console.log('✅ Cleared all custom data in Supabase');
+    return true;
+  } catch (error) {
+    console.error('Error clearing custom data:', error);
+    return false;
+  }
+}
+
+/**
+ * Listen for changes to the signed-in user's tags, notes, collections and tag info, wherever they
+ * are made (Supabase Realtime). Row Level Security limits the events to the
+ * user's own rows; the tables must be in the supabase_realtime publication.
+ * @param {Function} onChange - Called with the table name on every insert, update or delete
+ * @returns {Function} Stops listening
+ */
+export function subscribeToCustomDataChanges(onChange) {
+  const userId = requireUserId();
+
+  const channel = supabase
+    .channel(`custom-data-${userId}`)
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'custom_tags' }, () => onChange('custom_tags'))
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'notes' }, () => onChange('notes'))
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'collections' }, () => onChange('collections'))
+    .on('postgres_changes', { event: '*', schema: 'public', table: 'tag_info' }, () => onChange('tag_info'))
+    .subscribe((status, error) => {
+      if (status === 'SUBSCRIBED') {
+        console.log('✅ Listening for Supabase changes');
+      } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+        console.error('Supabase realtime subscription failed:', error || status);
+      }
+    });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
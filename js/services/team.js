@@ -0,0 +1,101 @@
+/**
+ * Team Service
+ * Loads the data behind the user switcher: one team member's stars, or the
+ * combined team view that lists who starred each repository
+ */
+
+import { loadStarsData, loadHistoryData } from './storage.js';
+
+/**
+ * Combine the stars of every team member into one stars.json-like structure
+ * Each repository is listed once with `stargazers`: the members currently
+ * starring it (with their starred_at), earliest first. It counts as unstarred
+ * only once every member who starred it has unstarred it. The star lists of
+ * every member are kept side by side (each list names its owner).
+ * @param {Array<Object>} members - login and stars.json data of each member
+ * @returns {Object} metadata, repositories and lists
+ */
+export function combineTeamData(members) {
+  const repositoriesById = new Map();
+  const unstarredAt = new Map();
+
+  members.forEach(({ login, data }) => {
+    data.repositories.forEach(repo => {
+      let combined = repositoriesById.get(repo.id);
+
+      // Keep the most recently updated copy of the GitHub data
+      if (!combined || (repo.updated_at || '') > (combined.updated_at || '')) {
+        combined = { ...repo, stargazers: combined ? combined.stargazers : [] };
+        repositoriesById.set(repo.id, combined);
+      }
+
+      if (repo.unstarred_at) {
+        unstarredAt.set(repo.id, [...(unstarredAt.get(repo.id) || []), repo.unstarred_at]);
+      } else {
+        combined.stargazers.push({ login, starred_at: repo.starred_at });
+      }
+    });
+  });
+
+  const repositories = [...repositoriesById.values()].map(repo => {
+    const stargazers = [...repo.stargazers].sort((a, b) => (a.starred_at || '').localeCompare(b.starred_at || ''));
+    const combined = { ...repo, stargazers, starred_at: stargazers[0]?.starred_at || repo.starred_at };
+    delete combined.unstarred_at;
+
+    if (stargazers.length === 0) {
+      combined.unstarred_at = unstarredAt.get(repo.id).sort().at(-1);
+    }
+    return combined;
+  });
+
+  const totalArchived = repositories.filter(repo => repo.unstarred_at).length;
+  const lastUpdated = members
+    .map(({ data }) => data.metadata.lastUpdated)
+    .filter(Boolean)
+    .sort()
+    .at(-1) || null;
+
+  return {
+    metadata: {
+      lastUpdated,
+      username: '',
+      totalStars: repositories.length - totalArchived,
+      totalArchived,
+      version: '1.0'
+    },
+    repositories,
+    lists: members.flatMap(({ data }) => data.lists || [])
+  };
+}
+
+/**
+ * Load the combined data of every team member
+ * @param {Object} team - Team from loadTeamIndex
+ * @param {Object} options - Options passed to loadStarsData
+ * @returns {Promise<Object>} metadata, repositories and lists (see combineTeamData)
+ */
+export async function loadTeamData(team, options = {}) {
+  const members = await Promise.all(team.users.map(async user => ({
+    login: user.login,
+    data: await loadStarsData({ ...options, file: user.dataFile })
+  })));
+
+  return combineTeamData(members);
+}
+
+/**
+ * Load the change logs of several team members as one history
+ * Each run keeps the login it belongs to.
+ * @param {Array<Object>} users - Users from loadTeamIndex
+ * @param {Object} options - Options passed to loadHistoryData
+ * @returns {Promise<Object>} History with a runs array (oldest first)
+ */
+export async function loadTeamHistory(users, options = {}) {
+  const histories = await Promise.all(users.map(async user => {
+    const history = await loadHistoryData({ ...options, file: user.historyFile });
+    return history.runs.map(run => ({ ...run, login: user.login }));
+  }));
+
+  const runs = histories.flat().sort((a, b) => a.syncedAt.localeCompare(b.syncedAt));
+  return { runs };
+}
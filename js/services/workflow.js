@@ -0,0 +1,221 @@
+/**
+ * Workflow Service
+ * Triggers the star sync GitHub Actions workflow from the browser
+ * and polls the resulting run until it finishes
+ */
+
+import { CONFIG, ENDPOINTS, ERROR_MESSAGES, STORAGE_KEYS } from '../utils/constants.js';
+
+/**
+ * Get the stored workflow token
+ * @returns {string} Token, or empty string if none is stored
+ */
+export function getWorkflowToken() {
+  try {
+    return localStorage.getItem(STORAGE_KEYS.WORKFLOW_TOKEN) || '';
+  } catch (error) {
+    console.error('Error getting workflow token:', error);
+    return '';
+  }
+}
+
+/**
+ * Store the workflow token locally
+ * @param {string} token - Fine-grained personal access token
+ * @returns {boolean} Success status
+ */
+export function setWorkflowToken(token) {
+  try {
+    if (token && token.trim()) {
+      localStorage.setItem(STORAGE_KEYS.WORKFLOW_TOKEN, token.trim());
+    } else {
+      localStorage.removeItem(STORAGE_KEYS.WORKFLOW_TOKEN);
+    }
+    return true;
+  } catch (error) {
+    console.error('Error setting workflow token:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove the stored workflow token
+ */
+export function clearWorkflowToken() {
+  setWorkflowToken('');
+}
+
+/**
+ * Perform an authenticated request against the GitHub API
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+async function githubRequest(url, options = {}) {
+  const token = getWorkflowToken();
+
+  const response = await fetch(url, {
+    ...options,
+    headers: {
+      'Accept': 'application/vnd.github+json',
+      'Authorization': `Bearer ${token}`,
+      'X-GitHub-Api-Version': '2022-11-28',
+      ...(options.headers || {})
+    }
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    const error = new Error(ERROR_MESSAGES.WORKFLOW_TOKEN_INVALID);
+    error.status = response.status;
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Get the login of the stored token's user, who shows up as the actor of the runs it dispatches
+ * @returns {Promise<string>} Login
+ */
+async function getTokenLogin() {
+  const response = await githubRequest(ENDPOINTS.AUTHENTICATED_USER);
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const user = await response.json();
+  return user.login;
+}
+
+/**
+ * Dispatch the sync workflow
+ * @param {Object} inputs - Optional workflow_dispatch inputs
+ * @returns {Promise<{dispatchedAt: string, actor: string}>} ISO timestamp taken just
+ *   before the dispatch, and the login of the token's user
+ */
+export async function dispatchSyncWorkflow(inputs = {}) {
+  const actor = await getTokenLogin();
+  const dispatchedAt = new Date().toISOString();
+  const url = ENDPOINTS.WORKFLOW_DISPATCH(CONFIG.REPO_OWNER, CONFIG.REPO_NAME, CONFIG.WORKFLOW_FILE);
+
+  const response = await githubRequest(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ ref: CONFIG.WORKFLOW_REF, inputs })
+  });
+
+  // The dispatch endpoint answers 204 No Content on success
+  if (response.status !== 204) {
+    const error = new Error(ERROR_MESSAGES.WORKFLOW_TRIGGER_FAILED);
+    error.status = response.status;
+    throw error;
+  }
+
+  console.log(`✅ Sync workflow dispatched at ${dispatchedAt}`);
+  return { dispatchedAt, actor };
+}
+
+/**
+ * Find the workflow run created by a dispatch
+ * The dispatch API does not return a run ID, so of the workflow_dispatch runs
+ * started by the token's user around the dispatch time, the one created
+ * closest to it is used. Runs dispatched by other people are never picked.
+ * @param {Object} dispatch - Result of dispatchSyncWorkflow
+ * @param {string} dispatch.dispatchedAt - ISO timestamp of the dispatch
+ * @param {string} dispatch.actor - Login of the token's user
+ * @returns {Promise<Object|null>} Workflow run or null if not created yet
+ */
+async function findDispatchedRun({ dispatchedAt, actor }) {
+  const url = ENDPOINTS.WORKFLOW_RUNS(CONFIG.REPO_OWNER, CONFIG.REPO_NAME, CONFIG.WORKFLOW_FILE);
+  const response = await githubRequest(`${url}?event=workflow_dispatch&actor=${encodeURIComponent(actor)}&per_page=10`);
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const dispatchedTime = new Date(dispatchedAt).getTime();
+  // Allow for a little clock skew between the browser and GitHub
+  const since = dispatchedTime - 10000;
+  const login = actor.toLowerCase();
+
+  const candidates = (data.workflow_runs || []).filter(run =>
+    [run.actor?.login, run.triggering_actor?.login].some(name => name?.toLowerCase() === login) &&
+    new Date(run.created_at).getTime() >= since
+  );
+
+  return candidates.reduce((closest, run) => {
+    const distance = Math.abs(new Date(run.created_at).getTime() - dispatchedTime);
+    return !closest || distance < Math.abs(new Date(closest.created_at).getTime() - dispatchedTime) ? run : closest;
+  }, null);
+}
+
+/**
+ * Get a workflow run by ID
+ * @param {number} runId - Workflow run ID
+ * @returns {Promise<Object>} Workflow run
+ */
+async function getWorkflowRun(runId) {
+  const url = ENDPOINTS.WORKFLOW_RUN(CONFIG.REPO_OWNER, CONFIG.REPO_NAME, runId);
+  const response = await githubRequest(url);
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Poll a dispatched workflow run until it completes
+ * @param {Object} dispatch - Result of dispatchSyncWorkflow
+ * @param {Function} onStatus - Optional callback receiving the run status ('queued', 'in_progress', ...)
+ * @returns {Promise<Object>} Completed workflow run
+ */
+export async function waitForWorkflowRun(dispatch, onStatus = null) {
+  const deadline = Date.now() + CONFIG.WORKFLOW_TIMEOUT_MS;
+  let run = null;
+
+  while (Date.now() < deadline) {
+    await delay(CONFIG.WORKFLOW_POLL_INTERVAL_MS);
+
+    run = run ? await getWorkflowRun(run.id) : await findDispatchedRun(dispatch);
+    if (!run) continue;
+
+    onStatus?.(run.status);
+
+    if (run.status === 'completed') {
+      if (run.conclusion !== 'success') {
+        const error = new Error(ERROR_MESSAGES.WORKFLOW_RUN_FAILED);
+        error.run = run;
+        throw error;
+      }
+      return run;
+    }
+  }
+
+  throw new Error(ERROR_MESSAGES.WORKFLOW_TIMEOUT);
+}
+
+/**
+ * Dispatch the sync workflow and wait for its run to finish
+ * @param {Object} options - Options
+ * @param {Object} options.inputs - Optional workflow_dispatch inputs
+ * @param {Function} options.onStatus - Optional status callback
+ * @returns {Promise<Object>} Completed workflow run
+ */
+export async function runSyncWorkflow({ inputs = {}, onStatus = null } = {}) {
+  const dispatch = await dispatchSyncWorkflow(inputs);
+  onStatus?.('dispatched');
+  return await waitForWorkflowRun(dispatch, onStatus);
+}
@@ -0,0 +1,104 @@
+/**
+ * Account Menu
+ * Header menu to sign in to Supabase (magic link or GitHub) and sign out
+ */
+
+import { signInWithEmail, signInWithGitHub, signOut } from '../services/supabase.js';
+import { showToast } from './components.js';
+
+/**
+ * Show the account menu and setup its handlers
+ * @param {Object} options - beforeSignOut: async function run before signing out
+ */
+export function initAuthMenu({ beforeSignOut } = {}) {
+  const menu = document.getElementById('auth-menu');
+  const toggle = document.getElementById('auth-toggle');
+  const panel = document.getElementById('auth-panel');
+  if (!menu || !toggle || !panel) return;
+
+  menu.classList.remove('hidden');
+
+  const closePanel = () => {
+    panel.classList.add('hidden');
+    toggle.setAttribute('aria-expanded', 'false');
+  };
+
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const opening = panel.classList.contains('hidden');
+    panel.classList.toggle('hidden');
+    toggle.setAttribute('aria-expanded', String(opening));
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!panel.contains(e.target) && !toggle.contains(e.target)) {
+      closePanel();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
+      closePanel();
+      toggle.focus();
+    }
+  });
+
+  // Magic link
+  const emailForm = document.getElementById('auth-email-form');
+  emailForm?.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const emailInput = document.getElementById('auth-email');
+    const email = emailInput.value.trim();
+    if (!email) return;
+
+    const success = await signInWithEmail(email);
+    if (success) {
+      emailInput.value = '';
+      closePanel();
+      showToast('Check your email for a sign-in link', 'success', 5000);
+    } else {
+      showToast('Could not send the sign-in link. Please try again.', 'error', 5000);
+    }
+  });
+
+  // GitHub OAuth (the page redirects to GitHub on success)
+  document.getElementById('auth-github')?.addEventListener('click', async () => {
+    const success = await signInWithGitHub();
+    if (!success) {
+      showToast('Could not start GitHub sign-in. Please try again.', 'error', 5000);
+    }
+  });
+
+  document.getElementById('auth-sign-out')?.addEventListener('click', async () => {
+    closePanel();
+    if (beforeSignOut) {
+      await beforeSignOut();
+    }
+    const success = await signOut();
+    if (!success) {
+      showToast('Could not sign out. Please try again.', 'error', 5000);
+    }
+  });
+}
+
+/**
+ * Show the signed-in or signed-out state of the menu
+ * @param {Object|null} user - Supabase user, or null if signed out
+ */
+export function updateAuthMenu(user) {
+  const label = document.getElementById('auth-label');
+  const signedOut = document.getElementById('auth-signed-out');
+  const signedIn = document.getElementById('auth-signed-in');
+  const account = document.getElementById('auth-account');
+
+  const name = user ? (user.email || user.user_metadata?.user_name || 'your account') : '';
+
+  if (label) {
+    label.textContent = user ? name : 'Sign in';
+  }
+  if (account) {
+    account.textContent = name;
+  }
+  signedOut?.classList.toggle('hidden', Boolean(user));
+  signedIn?.classList.toggle('hidden', !user);
+}
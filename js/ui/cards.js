@@ -3,26 +3,53 @@
  * Renders repository cards with custom tags and notes
  */
 
+import { CONFIG, TAG_COLORS } from '../utils/constants.js';
+import { normalizeTag, getParentTag } from '../utils/tags.js';
 import { formatDate, formatNumber } from '../services/storage.js';
 import { setCustomTags, setNotes, getAllUniqueTags } from '../services/customData.js';
-import { createLanguageBadge, createBadge, sanitizeHTML, showToast } from './components.js';
+import { createLanguageBadge, createBadge, sanitizeHTML, highlightText, highlightExcerpt, showToast, getTagChipClasses, renderHealthBadge } from './components.js';
+import { getRepoHealth } from '../utils/health.js';
+
+// ID of the <datalist> suggesting existing tags to the tag inputs
+const TAG_SUGGESTIONS_ID = 'custom-tag-suggestions';
+
+// Shape of the license, archived and fork badges (same as the language badge)
+const META_BADGE_CLASSES = 'inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-md';
 
 /**
  * Create a repository card element
  * @param {Object} repo - Repository object with custom data merged
+ * @param {Object} options - Render options
+ * @param {Set<string>} options.highlightTerms - Search terms to highlight
  * @returns {HTMLElement} Card element
  */
-export function createRepoCard(repo) {
+export function createRepoCard(repo, { highlightTerms = null } = {}) {
   const card = document.createElement('div');
   card.className = 'repo-card bg-white dark:bg-gray-800 rounded-xl p-6 shadow-sm';
   card.dataset.repoId = repo.id;
+  if (repo.unstarred_at) {
+    card.classList.add('repo-card-archived');
+  }
+  card.classList.toggle('selected', selectedRepoIds.has(repo.id));
 
   const languageBadge = createLanguageBadge(repo.language);
+  const homepage = getHomepageURL(repo.homepage);
+  const notesExcerpt = highlightExcerpt(repo.notes, highlightTerms);
 
   card.innerHTML = `
     <!-- Header -->
     <div class="flex items-start justify-between mb-3">
       <div class="flex items-center gap-3 flex-1 min-w-0">
+        <!-- Selection checkbox (shown in selection mode) -->
+        <label class="repo-select shrink-0 p-1 -ml-1 cursor-pointer">
+          <input
+            type="checkbox"
+            class="w-4 h-4 rounded border-gray-300 dark:border-gray-600 text-primary focus:ring-primary cursor-pointer"
+            data-select-repo
+            aria-label="Select ${sanitizeHTML(repo.full_name)}"
+            ${selectedRepoIds.has(repo.id) ? 'checked' : ''}
+          >
+        </label>
         <img
           src="${repo.owner.avatar_url}"
           alt="${repo.owner.login}"
@@ -36,14 +63,36 @@ export function createRepoCard(repo) {
             rel="noopener noreferrer"
             class="text-lg font-semibold text-gray-900 dark:text-white hover:text-primary transition-colors block truncate"
           >
-            ${sanitizeHTML(repo.name)}
+            ${highlightText(repo.name, highlightTerms)}
           </a>
           <p class="text-sm text-gray-600 dark:text-gray-400">
-            ${sanitizeHTML(repo.owner.login)}
+            ${highlightText(repo.owner.login, highlightTerms)}
           </p>
         </div>
       </div>
       <div class="flex items-center gap-1 text-gray-600 dark:text-gray-400 flex-shrink-0">
+        <button
+          type="button"
+          class="p-1 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 hover:text-primary transition-colors"
+          data-show-details
+          aria-label="Show details of ${sanitizeHTML(repo.full_name)}"
+          title="Details and README"
+        >
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/>
+          </svg>
+        </button>
+        <button
+          type="button"
+          class="p-1 mr-1 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 hover:text-primary transition-colors"
+          data-add-to-collection
+          aria-label="Add ${sanitizeHTML(repo.full_name)} to a collection"
+          title="Add to collection"
+        >
+          <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"/>
+          </svg>
+        </button>
         <svg class="w-4 h-4 text-yellow-500" fill="currentColor" viewBox="0 0 20 20">
           <path d="M9.049 2.927c.3-.921 1.603-.921 1.902 0l1.07 3.292a1 1 0 00.95.69h3.462c.969 0 1.371 1.24.588 1.81l-2.8 2.034a1 1 0 00-.364 1.118l1.07 3.292c.3.921-.755 1.688-1.54 1.118l-2.8-2.034a1 1 0 00-1.175 0l-2.8 2.034c-.784.57-1.838-.197-1.539-1.118l1.07-3.292a1 1 0 00-.364-1.118L2.98 8.72c-.783-.57-.38-1.81.588-1.81h3.461a1 1 0 00.951-.69l1.07-3.292z"/>
         </svg>
@@ -53,19 +102,23 @@ export function createRepoCard(repo) {
 
     <!-- Description -->
     <p class="text-gray-700 dark:text-gray-300 text-sm mb-4 line-clamp-2">
-      ${repo.description ? sanitizeHTML(repo.description) : '<em class="text-gray-400">No description</em>'}
+      ${repo.description ? highlightText(repo.description, highlightTerms) : '<em class="text-gray-400">No description</em>'}
     </p>
 
-    <!-- Language -->
-    <div class="mb-4">
+    <!-- Language, health, license and GitHub status -->
+    <div class="flex flex-wrap items-center gap-2 mb-4">
       ${languageBadge ? languageBadge.outerHTML : ''}
+      ${renderHealthBadge(getRepoHealth(repo))}
+      ${repo.license ? `<span class="${META_BADGE_CLASSES} bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300" title="License">${sanitizeHTML(repo.license)}</span>` : ''}
+      ${repo.archived ? `<span class="${META_BADGE_CLASSES} bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200" title="Read-only: archived by its owner">Archived on GitHub</span>` : ''}
+      ${repo.fork ? `<span class="${META_BADGE_CLASSES} bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">Fork</span>` : ''}
     </div>
 
     <!-- GitHub Topics -->
     ${repo.topics && repo.topics.length > 0 ? `
       <div class="flex flex-wrap gap-2 mb-4" data-topics>
         ${repo.topics.slice(0, 5).map(topic =>
-          `<span class="badge badge-topic" data-topic="${sanitizeHTML(topic)}">${sanitizeHTML(topic)}</span>`
+          `<span class="badge badge-topic" data-topic="${sanitizeHTML(topic)}">${highlightText(topic, highlightTerms)}</span>`
         ).join('')}
         ${repo.topics.length > 5 ?
           `<span class="text-xs text-gray-500 dark:text-gray-400">+${repo.topics.length - 5} more</span>`
@@ -73,6 +126,24 @@ export function createRepoCard(repo) {
       </div>
     ` : ''}
 
+    <!-- Team members who starred it (team view) -->
+    ${repo.stargazers && repo.stargazers.length > 0 ? `
+      <div class="flex flex-wrap items-center gap-2 mb-4" data-stargazers>
+        <span class="text-xs font-medium text-gray-600 dark:text-gray-400">Starred by</span>
+        ${repo.stargazers.map(stargazer => `
+          <button
+            type="button"
+            class="inline-flex items-center gap-1 pl-0.5 pr-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full text-xs hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+            data-stargazer="${sanitizeHTML(stargazer.login)}"
+            title="Starred ${formatDate(stargazer.starred_at)} · Show everything @${sanitizeHTML(stargazer.login)} starred"
+          >
+            <img src="https://github.com/${encodeURIComponent(stargazer.login)}.png?size=40" alt="" class="w-4 h-4 rounded-full" loading="lazy">
+            @${sanitizeHTML(stargazer.login)}
+          </button>
+        `).join('')}
+      </div>
+    ` : ''}
+
     <!-- Custom Tags -->
     <div class="mb-4">
       <div class="flex items-center gap-2 mb-2">
@@ -83,9 +154,9 @@ export function createRepoCard(repo) {
       </div>
       <div class="tag-input" data-tag-input>
         ${repo.custom_tags.map(tag =>
-          `<span class="inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300 rounded-md text-xs cursor-pointer hover:bg-indigo-200 dark:hover:bg-indigo-800 transition-colors" data-custom-tag="${sanitizeHTML(tag)}">
-            <span class="pointer-events-none">${sanitizeHTML(tag)}</span>
-            <button class="hover:text-indigo-900 dark:hover:text-indigo-100" data-remove-tag="${sanitizeHTML(tag)}" onclick="event.stopPropagation()">
+          `<span class="${getTagChipClasses(getTagColor(tag))}" data-custom-tag="${sanitizeHTML(tag)}">
+            <span class="pointer-events-none">${highlightText(tag, highlightTerms)}</span>
+            <button class="hover:opacity-70" data-remove-tag="${sanitizeHTML(tag)}" onclick="event.stopPropagation()">
               <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                 <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
               </svg>
@@ -96,6 +167,8 @@ export function createRepoCard(repo) {
           type="text"
           placeholder="Add tag..."
           class="flex-1 min-w-[100px] bg-transparent border-none outline-none text-sm"
+          list="${TAG_SUGGESTIONS_ID}"
+          autocomplete="off"
           data-tag-new-input
         >
       </div>
@@ -109,6 +182,7 @@ export function createRepoCard(repo) {
         </svg>
         <span class="text-xs font-medium text-gray-600 dark:text-gray-400">Notes</span>
       </div>
+      ${notesExcerpt ? `<p class="text-xs text-gray-500 dark:text-gray-400 mb-2" data-notes-match>Match in notes: ${notesExcerpt}</p>` : ''}
       <textarea
         class="w-full px-3 py-2 text-sm bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent resize-none transition-all"
         rows="2"
@@ -119,9 +193,23 @@ export function createRepoCard(repo) {
 
     <!-- Footer Metadata -->
     <div class="mt-4 pt-4 border-t border-gray-200 dark:border-gray-700 text-xs text-gray-500 dark:text-gray-400">
+      ${'forks_count' in repo ? `
+        <div class="flex flex-wrap items-center gap-x-3 gap-y-1 mb-2">
+          <span title="Forks">${formatNumber(repo.forks_count)} ${repo.forks_count === 1 ? 'fork' : 'forks'}</span>
+          <span title="Open issues and pull requests">${formatNumber(repo.open_issues_count || 0)} open issues</span>
+          ${repo.pushed_at ? `<span>Pushed ${formatDate(repo.pushed_at)}</span>` : ''}
+          ${homepage ? `
+            <a href="${homepage.href}" target="_blank" rel="noopener noreferrer" class="ml-auto truncate max-w-[50%] text-primary hover:underline" title="${homepage.href}">
+              ${sanitizeHTML(homepage.host + homepage.pathname.replace(/\/$/, ''))}
+            </a>
+          ` : ''}
+        </div>
+      ` : ''}
       <div class="flex items-center justify-between">
         <span>Updated ${formatDate(repo.updated_at)}</span>
-        ${repo.starred_at ? `<span>Starred ${formatDate(repo.starred_at)}</span>` : ''}
+        ${repo.unstarred_at
+          ? `<span class="font-medium text-amber-600 dark:text-amber-400" title="Starred ${formatDate(repo.starred_at)}">Unstarred ${formatDate(repo.unstarred_at)}</span>`
+          : repo.starred_at ? `<span>Starred ${formatDate(repo.starred_at)}</span>` : ''}
       </div>
     </div>
   `;
@@ -132,12 +220,39 @@ export function createRepoCard(repo) {
   return card;
 }
 
+/**
+ * Parse a repository's homepage into a link target
+ * Owners often omit the scheme ("example.com"); anything but http(s) is dropped.
+ * @param {string} homepage - Homepage from the repository metadata
+ * @returns {URL|null} Parsed URL (href is safe to put in an attribute) or null
+ */
+export function getHomepageURL(homepage) {
+  if (!homepage) return null;
+
+  try {
+    const url = new URL(/^[a-z][a-z\d+.-]*:/i.test(homepage) ? homepage : `https://${homepage}`);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Setup event listeners for a card
  * @param {HTMLElement} card - Card element
  * @param {Object} repo - Repository object
  */
 function setupCardEventListeners(card, repo) {
+  // Clicking the card outside its links and controls (or the info button) opens the details drawer
+  card.addEventListener('click', (e) => {
+    const detailsButton = e.target.closest('[data-show-details]');
+    if (!detailsButton && e.target.closest('a, button, input, textarea, label, [data-topic], [data-custom-tag], [data-tag-input]')) return;
+    // Selecting text is not a click on the card
+    if (!detailsButton && window.getSelection()?.toString()) return;
+
+    window.dispatchEvent(new CustomEvent('showRepoDetails', { detail: { repoId: repo.id } }));
+  });
+
   // Topic badges click to filter
   card.querySelectorAll('[data-topic]').forEach(badge => {
     badge.addEventListener('click', () => {
@@ -146,6 +261,30 @@ function setupCardEventListeners(card, repo) {
     });
   });
 
+  // Bookmark button opens the "add to collection" menu
+  const collectionButton = card.querySelector('[data-add-to-collection]');
+  collectionButton?.addEventListener('click', () => {
+    window.dispatchEvent(new CustomEvent('addToCollection', {
+      detail: { repoIds: [repo.id], anchor: collectionButton }
+    }));
+  });
+
+  // Selection checkbox (shift-click selects a range; see selection.js)
+  const selectCheckbox = card.querySelector('[data-select-repo]');
+  selectCheckbox?.addEventListener('click', (e) => {
+    window.dispatchEvent(new CustomEvent('toggleRepoSelection', {
+      detail: { repoId: repo.id, selected: selectCheckbox.checked, range: e.shiftKey }
+    }));
+  });
+
+  // Stargazers click to filter
+  card.querySelectorAll('[data-stargazer]').forEach(button => {
+    button.addEventListener('click', () => {
+      const login = button.dataset.stargazer;
+      window.dispatchEvent(new CustomEvent('filterByStargazer', { detail: { login } }));
+    });
+  });
+
   // Custom tags click to filter
   card.querySelectorAll('[data-custom-tag]').forEach(badge => {
     badge.addEventListener('click', () => {
@@ -158,11 +297,11 @@ function setupCardEventListeners(card, repo) {
   const tagInput = card.querySelector('[data-tag-new-input]');
   const tagContainer = card.querySelector('[data-tag-input]');
 
-  // Add tag on Enter
+  // Add tag on Enter ("lang/parsers" nests the tag under "lang")
   tagInput?.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && tagInput.value.trim()) {
+    if (e.key === 'Enter' && normalizeTag(tagInput.value)) {
       e.preventDefault();
-      const newTag = tagInput.value.trim().toLowerCase();
+      const newTag = normalizeTag(tagInput.value);
 
       // Get current tags
       const currentTags = repo.custom_tags || [];
@@ -178,6 +317,7 @@ function setupCardEventListeners(card, repo) {
       const updatedTags = [...currentTags, newTag];
       setCustomTags(repo.id, updatedTags);
       repo.custom_tags = updatedTags;
+      notifyCustomDataChanged(repo);
 
       // Create and add tag element
       const tagElement = createTagElement(newTag, () => {
@@ -191,7 +331,7 @@ function setupCardEventListeners(card, repo) {
     }
   });
 
-  // Show autocomplete suggestions
+  // Suggest existing tags while typing
   tagInput?.addEventListener('input', () => {
     showTagSuggestions(tagInput, repo);
   });
@@ -214,6 +354,7 @@ function setupCardEventListeners(card, repo) {
     notesTimeout = setTimeout(() => {
       setNotes(repo.id, notesInput.value);
       repo.notes = notesInput.value;
+      notifyCustomDataChanged(repo);
       showToast('Notes saved', 'success', 1500);
     }, 1000); // Debounce 1 second
   });
@@ -227,11 +368,11 @@ function setupCardEventListeners(card, repo) {
  */
 function createTagElement(tag, onRemove) {
   const tagEl = document.createElement('span');
-  tagEl.className = 'inline-flex items-center gap-1 px-2 py-1 bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300 rounded-md text-xs cursor-pointer hover:bg-indigo-200 dark:hover:bg-indigo-800 transition-colors';
+  tagEl.className = getTagChipClasses(getTagColor(tag));
   tagEl.dataset.customTag = tag;
   tagEl.innerHTML = `
     <span class="pointer-events-none">${sanitizeHTML(tag)}</span>
-    <button class="hover:text-indigo-900 dark:hover:text-indigo-100">
+    <button class="hover:opacity-70">
       <svg class="w-3 h-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
       </svg>
@@ -262,51 +403,237 @@ function removeTag(repo, tag, element) {
   const updatedTags = repo.custom_tags.filter(t => t !== tag);
   setCustomTags(repo.id, updatedTags);
   repo.custom_tags = updatedTags;
+  notifyCustomDataChanged(repo);
   element.remove();
   showToast('Tag removed', 'success', 1500);
 }
 
 /**
- * Show tag suggestions (autocomplete)
- * @param {HTMLInputElement} input - Input element
+ * Let other modules (e.g. the search index) know a repository's tags or notes changed
  * @param {Object} repo - Repository object
  */
-function showTagSuggestions(input, repo) {
-  // Get all unique tags
-  const allTags = getAllUniqueTags();
-  const currentTags = repo.custom_tags || [];
-  const inputValue = input.value.toLowerCase().trim();
+function notifyCustomDataChanged(repo) {
+  window.dispatchEvent(new CustomEvent('customDataChanged', { detail: { repoId: repo.id } }));
+}
 
+/**
+ * Fill the tag suggestions list with existing tags matching the input
+ * @param {HTMLInputElement} input - Tag input
+ * @param {Object} repo - Repository object
+ */
+async function showTagSuggestions(input, repo) {
+  const inputValue = normalizeTag(input.value);
   if (!inputValue) return;
 
-  // Filter suggestions
-  const suggestions = allTags
-    .filter(tag =>
-      tag.includes(inputValue) &&
-      !currentTags.includes(tag)
-    )
-    .slice(0, 5);
-
-  // For now, just log suggestions - can implement dropdown UI later
-  if (suggestions.length > 0) {
-    console.log('Suggestions:', suggestions);
+  const currentTags = repo.custom_tags || [];
+  const suggestions = (await getAllUniqueTags())
+    .filter(tag => tag.includes(inputValue) && !currentTags.includes(tag))
+    .slice(0, 8);
+
+  getTagSuggestionsList().replaceChildren(...suggestions.map(tag => new Option(tag)));
+}
+
+/**
+ * Get the shared <datalist> of tag suggestions, creating it on first use
+ * @returns {HTMLDataListElement} Suggestions list
+ */
+function getTagSuggestionsList() {
+  let list = document.getElementById(TAG_SUGGESTIONS_ID);
+  if (!list) {
+    list = document.createElement('datalist');
+    list.id = TAG_SUGGESTIONS_ID;
+    document.body.appendChild(list);
+  }
+  return list;
+}
+
+// Built cards by repository ID, reused across re-filters
+// Each entry remembers the repo object and highlight terms it was built with.
+const cardCache = new Map();
+
+// IDs of the repositories selected for bulk actions
+let selectedRepoIds = new Set();
+
+// Chip colour of each tag that has one (tag -> TAG_COLORS value)
+let tagColors = {};
+
+// Repositories matching the current filters, and how many of them are in the DOM
+let renderQueue = [];
+let renderedCount = 0;
+let renderOptions = {};
+
+// Observer that appends the next page when the "load more" sentinel scrolls into view
+let loadMoreObserver = null;
+
+/**
+ * Get a card for a repository, reusing a cached one when possible
+ * @param {Object} repo - Repository object with custom data merged
+ * @param {Object} options - Render options passed to createRepoCard
+ * @returns {HTMLElement} Card element
+ */
+function getCard(repo, options) {
+  const highlightKey = options.highlightTerms ? [...options.highlightTerms].sort().join(' ') : '';
+  const cached = cardCache.get(repo.id);
+
+  if (cached && cached.repo === repo && cached.highlightKey === highlightKey) {
+    return cached.card;
+  }
+
+  const card = createRepoCard(repo, options);
+  cardCache.set(repo.id, { card, repo, highlightKey });
+  return card;
+}
+
+/**
+ * Update the custom tags and notes of a repository's card in place
+ * (e.g. after they were changed in another tab or on another device).
+ * Notes being edited in the card are left alone.
+ * @param {Object} repo - Repository object with the new custom data
+ */
+export function updateCardCustomData(repo) {
+  const cached = cardCache.get(repo.id);
+  if (!cached) return;
+
+  const { card } = cached;
+  const tagContainer = card.querySelector('[data-tag-input]');
+  const tagInput = card.querySelector('[data-tag-new-input]');
+
+  if (tagContainer && tagInput) {
+    tagContainer.querySelectorAll('[data-custom-tag]').forEach(element => element.remove());
+    repo.custom_tags.forEach(tag => {
+      const tagElement = createTagElement(tag, () => {
+        removeTag(repo, tag, tagElement);
+      });
+      tagContainer.insertBefore(tagElement, tagInput);
+    });
+  }
+
+  const notesInput = card.querySelector('[data-notes-input]');
+  if (notesInput && document.activeElement !== notesInput && notesInput.value !== repo.notes) {
+    notesInput.value = repo.notes;
+  }
+}
+
+/**
+ * Show which repositories are selected on their cards (built now or later)
+ * @param {Set<number>} repoIds - IDs of the selected repositories
+ */
+export function setCardSelection(repoIds) {
+  selectedRepoIds = new Set(repoIds);
+
+  cardCache.forEach(({ card }, repoId) => {
+    const selected = selectedRepoIds.has(repoId);
+    card.classList.toggle('selected', selected);
+    const checkbox = card.querySelector('[data-select-repo]');
+    if (checkbox) checkbox.checked = selected;
+  });
+}
+
+/**
+ * Get the chip colour of a tag: its own, else the nearest parent's, else the default
+ * @param {string} tag - Tag
+ * @returns {string} TAG_COLORS value
+ */
+export function getTagColor(tag) {
+  for (let path = tag; path; path = getParentTag(path)) {
+    if (tagColors[path]) return tagColors[path];
+  }
+  return TAG_COLORS[0];
+}
+
+/**
+ * Use new tag colours and recolour the tag chips of built cards
+ * @param {Object} colors - Tag -> TAG_COLORS value
+ */
+export function setTagColors(colors) {
+  tagColors = { ...colors };
+
+  cardCache.forEach(({ card }) => {
+    card.querySelectorAll('[data-custom-tag]').forEach(chip => {
+      chip.className = getTagChipClasses(getTagColor(chip.dataset.customTag));
+    });
+  });
+}
+
+/**
+ * Drop all cached cards (e.g. after the repository list was reloaded)
+ */
+export function clearCardCache() {
+  cardCache.clear();
+}
+
+/**
+ * Append the next page of cards to the grid
+ */
+function renderNextPage() {
+  const container = document.getElementById('repos-container');
+  if (!container) return;
+
+  const fragment = document.createDocumentFragment();
+  const end = Math.min(renderedCount + CONFIG.ITEMS_PER_PAGE, renderQueue.length);
+
+  for (let i = renderedCount; i < end; i++) {
+    fragment.appendChild(getCard(renderQueue[i], renderOptions));
+  }
+
+  container.appendChild(fragment);
+  renderedCount = end;
+  updateLoadMore();
+}
+
+/**
+ * Show or hide the "load more" sentinel depending on remaining cards
+ */
+function updateLoadMore() {
+  const loadMore = document.getElementById('load-more');
+  if (!loadMore) return;
+
+  const remaining = renderQueue.length - renderedCount;
+  loadMore.classList.toggle('hidden', remaining <= 0);
+  loadMore.textContent = `Show more (${remaining} remaining)`;
+}
+
+/**
+ * Setup infinite scroll on the "load more" sentinel (runs once)
+ */
+function setupLoadMore() {
+  const loadMore = document.getElementById('load-more');
+  if (!loadMore || loadMore.dataset.initialized) return;
+  loadMore.dataset.initialized = 'true';
+
+  // The button still works on its own if IntersectionObserver is unavailable
+  loadMore.addEventListener('click', renderNextPage);
+
+  if ('IntersectionObserver' in window) {
+    loadMoreObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting) && renderedCount < renderQueue.length) {
+        renderNextPage();
+      }
+    }, { rootMargin: '600px 0px' });
+    loadMoreObserver.observe(loadMore);
   }
 }
 
 /**
  * Render repositories to the grid
+ * Only the first page of cards is built; more are appended as the user
+ * scrolls. Cards are cached per repository and reused on later renders.
  * @param {Array} repositories - Array of repository objects
+ * @param {Object} options - Render options passed to createRepoCard
  */
-export function renderRepositories(repositories) {
+export function renderRepositories(repositories, options = {}) {
   const container = document.getElementById('repos-container');
   if (!container) return;
 
-  container.innerHTML = '';
+  setupLoadMore();
 
-  repositories.forEach(repo => {
-    const card = createRepoCard(repo);
-    container.appendChild(card);
-  });
+  renderQueue = repositories;
+  renderedCount = 0;
+  renderOptions = options;
+
+  // Detach (not destroy) current cards so cached ones keep their listeners
+  container.replaceChildren();
+  renderNextPage();
 
   // Update total count
   const totalStarsElement = document.getElementById('total-stars');
@@ -0,0 +1,261 @@
+/**
+ * Clean-up
+ * Lists the starred repositories that probably need attention: those archived
+ * on GitHub (read-only) and those without a push for years. Each one can be
+ * tagged or added to a collection from here, or opened on GitHub to unstar it
+ * (it then moves to the archive of unstarred repositories on the next sync).
+ *
+ * URL: ?view=cleanup (see views.js)
+ */
+
+import { updateTagsOfRepositories } from '../services/customData.js';
+import { formatDate } from '../services/storage.js';
+import { registerView, showView, getCurrentView } from './views.js';
+import { sanitizeHTML, showToast, renderHealthBadge } from './components.js';
+import { getRepoHealth, isNeglected, INACTIVE_MONTHS } from '../utils/health.js';
+import { normalizeTag } from '../utils/tags.js';
+
+// Name of the clean-up view (see views.js)
+const VIEW_NAME = 'cleanup';
+
+// Repositories currently loaded
+let repositories = [];
+
+// Called with the changed repository IDs after repositories were tagged here
+let onCustomDataChanged = () => {};
+
+/**
+ * Setup the clean-up view
+ * @param {Array<Object>} repos - Repositories currently loaded
+ * @param {Object} options - onCustomDataChanged: called with the IDs of repositories
+ *   tagged from this view
+ */
+export function initCleanup(repos, { onCustomDataChanged: onChange } = {}) {
+  if (onChange) onCustomDataChanged = onChange;
+
+  registerView(VIEW_NAME, {
+    sectionId: 'cleanup-view',
+    buttonId: 'show-cleanup',
+    onShow: () => renderCleanup()
+  });
+
+  document.getElementById('cleanup-view')?.addEventListener('click', handleClick);
+
+  // Tags edited on a card or renamed in the tag tree or tag manager
+  ['customDataChanged', 'customTagRenamed'].forEach(name => {
+    window.addEventListener(name, () => refreshCleanup());
+  });
+
+  setCleanupRepositories(repos);
+}
+
+/**
+ * Use newly loaded repositories (e.g. after a sync or switching user)
+ * @param {Array<Object>} repos - Repositories currently loaded
+ */
+export function setCleanupRepositories(repos) {
+  repositories = repos;
+  refreshCleanup();
+}
+
+/**
+ * Update the count in the navigation and, while shown, the view
+ * (after tags changed here, in another tab or through a sync)
+ */
+export function refreshCleanup() {
+  const count = document.getElementById('cleanup-count');
+  if (count) count.textContent = getGroups().reduce((total, group) => total + group.repos.length, 0);
+
+  if (getCurrentView() === VIEW_NAME) renderCleanup();
+}
+
+/**
+ * Split the starred repositories needing attention into archived and inactive ones
+ * Unstarred repositories are left out; they are already in the archive.
+ * @returns {Array<Object>} Groups: id, title, description and repos (least healthy first)
+ */
+function getGroups() {
+  const now = Date.now();
+  const neglected = repositories
+    .filter(repo => !repo.unstarred_at && isNeglected(repo, now))
+    .map(repo => ({ repo, health: getRepoHealth(repo, now) }))
+    .sort((a, b) =>
+      (a.health?.score ?? 0) - (b.health?.score ?? 0) ||
+      new Date(a.repo.pushed_at || 0) - new Date(b.repo.pushed_at || 0)
+    );
+
+  return [
+    {
+      id: 'archived',
+      title: 'Archived on GitHub',
+      description: 'Their owners made them read-only; they will not get fixes.',
+      repos: neglected.filter(entry => entry.repo.archived)
+    },
+    {
+      id: 'inactive',
+      title: `No push for ${INACTIVE_MONTHS / 12}+ years`,
+      description: 'Possibly abandoned. Check for a maintained fork or alternative.',
+      repos: neglected.filter(entry => !entry.repo.archived)
+    }
+  ];
+}
+
+/**
+ * Render the clean-up view
+ */
+function renderCleanup() {
+  const container = document.getElementById('cleanup-view');
+  if (!container) return;
+
+  const groups = getGroups();
+  const hasData = repositories.some(repo => repo.pushed_at);
+
+  container.innerHTML = `
+    <div class="mb-6">
+      <h2 class="text-xl font-semibold text-gray-900 dark:text-white">Clean-up</h2>
+      <p class="text-sm text-gray-600 dark:text-gray-400">
+        Stars that are archived on GitHub or inactive for years. Tag them, move them to a collection,
+        or unstar them on GitHub and the next sync moves them to your archive.
+      </p>
+    </div>
+    ${!hasData ? `
+      <div class="empty-state">
+        <h3 class="text-xl font-semibold mb-2">No activity data yet</h3>
+        <p class="text-gray-500 dark:text-gray-400 max-w-md">
+          This data was synced before repository activity was recorded. Run the sync again to see which stars need attention.
+        </p>
+      </div>
+    ` : groups.every(group => group.repos.length === 0) ? `
+      <div class="empty-state">
+        <h3 class="text-xl font-semibold mb-2">Nothing to clean up</h3>
+        <p class="text-gray-500 dark:text-gray-400 max-w-md">
+          None of your stars are archived or inactive. Back to <button data-show-stars class="text-primary hover:underline">All stars</button>.
+        </p>
+      </div>
+    ` : groups.filter(group => group.repos.length > 0).map(renderGroup).join('')}
+  `;
+}
+
+/**
+ * Render a group of repositories
+ * @param {Object} group - Group from getGroups
+ * @returns {string} Group HTML
+ */
+function renderGroup(group) {
+  return `
+    <section class="mb-8" data-cleanup-group="${group.id}" aria-labelledby="cleanup-${group.id}">
+      <div class="flex flex-col sm:flex-row sm:items-end justify-between gap-2 mb-3">
+        <div>
+          <h3 id="cleanup-${group.id}" class="text-base font-semibold text-gray-900 dark:text-white">${group.title} <span class="text-gray-500 dark:text-gray-400 font-normal">(${group.repos.length})</span></h3>
+          <p class="text-sm text-gray-600 dark:text-gray-400">${group.description}</p>
+        </div>
+        <button data-cleanup-tag-all class="shrink-0 px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors">
+          Tag all…
+        </button>
+      </div>
+      <div class="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+        <table class="w-full text-sm">
+          <thead class="text-left text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <tr>
+              <th scope="col" class="px-4 py-3 font-medium">Repository</th>
+              <th scope="col" class="px-4 py-3 font-medium">Health</th>
+              <th scope="col" class="px-4 py-3 font-medium">Last push</th>
+              <th scope="col" class="px-4 py-3 font-medium">Tags</th>
+              <th scope="col" class="px-4 py-3 font-medium"><span class="sr-only">Actions</span></th>
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-100 dark:divide-gray-700">
+            ${group.repos.map(renderRow).join('')}
+          </tbody>
+        </table>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Render the row of a repository
+ * @param {Object} entry - repo and its health
+ * @returns {string} Table row HTML
+ */
+function renderRow({ repo, health }) {
+  const name = sanitizeHTML(repo.full_name);
+  const buttonClasses = 'px-2 py-1 text-xs font-medium text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors';
+
+  return `
+    <tr data-repo-id="${repo.id}">
+      <td class="px-4 py-2">
+        <a href="${repo.html_url}" target="_blank" rel="noopener noreferrer" class="font-medium text-gray-900 dark:text-white hover:text-primary">${name}</a>
+        ${repo.description ? `<p class="text-xs text-gray-500 dark:text-gray-400 line-clamp-1">${sanitizeHTML(repo.description)}</p>` : ''}
+      </td>
+      <td class="px-4 py-2">${renderHealthBadge(health)}</td>
+      <td class="px-4 py-2 whitespace-nowrap text-gray-600 dark:text-gray-400">${repo.pushed_at ? formatDate(repo.pushed_at) : '—'}</td>
+      <td class="px-4 py-2">
+        <div class="flex flex-wrap gap-1">
+          ${(repo.custom_tags || []).map(tag => `<span class="px-2 py-0.5 rounded-md text-xs bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">${sanitizeHTML(tag)}</span>`).join('') || '<span class="text-gray-400">—</span>'}
+        </div>
+      </td>
+      <td class="px-4 py-2 whitespace-nowrap text-right">
+        <button data-cleanup-tag class="${buttonClasses}" aria-label="Tag ${name}">Tag…</button>
+        <button data-cleanup-collection class="${buttonClasses}" aria-label="Add ${name} to a collection">Collection…</button>
+        <a href="${repo.html_url}" target="_blank" rel="noopener noreferrer" class="${buttonClasses}" aria-label="Open ${name} on GitHub to unstar it">Unstar on GitHub</a>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Handle the tag and collection buttons
+ * @param {MouseEvent} e - Click event
+ */
+function handleClick(e) {
+  if (e.target.closest('[data-show-stars]')) {
+    showView('stars');
+    return;
+  }
+
+  const tagAll = e.target.closest('[data-cleanup-tag-all]');
+  if (tagAll) {
+    const groupId = tagAll.closest('[data-cleanup-group]').dataset.cleanupGroup;
+    const group = getGroups().find(item => item.id === groupId);
+    tagRepositories(group.repos.map(entry => entry.repo.id), group.title);
+    return;
+  }
+
+  const row = e.target.closest('[data-repo-id]');
+  if (!row) return;
+  const repoId = Number(row.dataset.repoId);
+
+  if (e.target.closest('[data-cleanup-tag]')) {
+    tagRepositories([repoId], repositories.find(repo => repo.id === repoId)?.full_name);
+  } else if (e.target.closest('[data-cleanup-collection]')) {
+    window.dispatchEvent(new CustomEvent('addToCollection', {
+      detail: { repoIds: [repoId], anchor: e.target.closest('[data-cleanup-collection]') }
+    }));
+  }
+}
+
+/**
+ * Ask for a tag and add it to repositories
+ * @param {Array<number>} repoIds - Repositories to tag
+ * @param {string} label - What is being tagged, for the prompt
+ */
+async function tagRepositories(repoIds, label) {
+  const input = prompt(`Tag to add to ${label} (e.g. cleanup/replace):`);
+  if (input === null) return;
+
+  const tag = normalizeTag(input);
+  if (!tag) {
+    showToast('Tag names cannot be empty', 'warning', 2000);
+    return;
+  }
+
+  const changed = await updateTagsOfRepositories(repoIds, { add: [tag] });
+  if (changed === null) {
+    showToast('Failed to update tags', 'error');
+    return;
+  }
+
+  await onCustomDataChanged(changed);
+  showToast(`Tagged ${changed.length} ${changed.length === 1 ? 'repository' : 'repositories'} "${tag}"`, 'success');
+}
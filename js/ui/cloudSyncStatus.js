@@ -0,0 +1,62 @@
+/**
+ * Cloud Sync Status
+ * Header indicator showing whether tags and notes are synced with Supabase,
+ * waiting to be sent, or failed to sync. Clicking it syncs now.
+ */
+
+import { CLOUD_SYNC_STATUS } from '../utils/constants.js';
+import { getSyncStatus, syncNow } from '../services/cloudSync.js';
+
+// Dot colour and label for each state
+const STATUS_DISPLAY = {
+  [CLOUD_SYNC_STATUS.SYNCING]: { dot: 'bg-blue-500 animate-pulse', label: () => 'Syncing…' },
+  [CLOUD_SYNC_STATUS.SYNCED]: { dot: 'bg-green-500', label: () => 'Synced' },
+  [CLOUD_SYNC_STATUS.PENDING]: {
+    dot: 'bg-amber-500',
+    label: (status) => navigator.onLine ? `${status.pending} pending` : `Offline · ${status.pending} pending`
+  },
+  [CLOUD_SYNC_STATUS.ERROR]: { dot: 'bg-red-500', label: () => 'Sync error' }
+};
+
+/**
+ * Show the indicator for a status
+ * @param {Object} status - Status from cloudSync.js
+ */
+function renderStatus(status) {
+  const button = document.getElementById('cloud-sync-status');
+  const display = STATUS_DISPLAY[status.state];
+  if (!button) return;
+
+  if (!display) {
+    button.classList.add('hidden');
+    return;
+  }
+
+  const label = display.label(status);
+  const details = [
+    status.lastSyncedAt ? `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}` : 'Not synced yet',
+    status.error ? `Error: ${status.error}` : '',
+    'Click to sync now'
+  ].filter(Boolean).join('\n');
+
+  document.getElementById('cloud-sync-dot').className = `w-2 h-2 rounded-full shrink-0 ${display.dot}`;
+  document.getElementById('cloud-sync-label').textContent = label;
+  button.title = details;
+  button.setAttribute('aria-label', `Tags and notes: ${label}. ${details.replace(/\n/g, '. ')}`);
+  button.classList.remove('hidden');
+}
+
+/**
+ * Setup the sync status indicator
+ */
+export function initCloudSyncStatus() {
+  const button = document.getElementById('cloud-sync-status');
+  if (!button) return;
+
+  button.addEventListener('click', () => syncNow());
+
+  window.addEventListener('cloudSyncStatusChanged', (e) => renderStatus(e.detail));
+  window.addEventListener('offline', () => renderStatus(getSyncStatus()));
+
+  renderStatus(getSyncStatus());
+}
@@ -0,0 +1,121 @@
+/**
+ * Collection Dialog
+ * Creates a collection or edits its name, description and cover
+ */
+
+import { COLLECTION_COLORS, DEFAULT_COLLECTION_EMOJI } from '../utils/constants.js';
+import { renderCollectionCover } from './components.js';
+
+// Resolves the promise returned by openCollectionDialog
+let resolveDialog = null;
+
+// Element focused before the dialog opened
+let previousFocus = null;
+
+/**
+ * Show the collection form and wait for the user
+ * @param {Object|null} collection - Collection to edit, or null to create one
+ * @returns {Promise<Object|null>} name, description, emoji and color, or null if cancelled
+ */
+export function openCollectionDialog(collection = null) {
+  const dialog = document.getElementById('collection-dialog');
+  if (!dialog) return Promise.resolve(null);
+
+  setupDialog();
+
+  const color = collection?.color || COLLECTION_COLORS[0];
+  document.getElementById('collection-dialog-title').textContent = collection ? 'Edit collection' : 'New collection';
+  document.getElementById('collection-save').textContent = collection ? 'Save' : 'Create';
+  document.getElementById('collection-name').value = collection?.name || '';
+  document.getElementById('collection-description').value = collection?.description || '';
+  document.getElementById('collection-emoji').value = collection?.emoji || DEFAULT_COLLECTION_EMOJI;
+  dialog.querySelectorAll('input[name="collection-color"]').forEach(input => {
+    input.checked = input.value === color;
+  });
+  updatePreview();
+
+  previousFocus = document.activeElement;
+  dialog.classList.remove('hidden');
+  document.getElementById('collection-name').focus();
+
+  return new Promise(resolve => {
+    resolveDialog = resolve;
+  });
+}
+
+/**
+ * Close the dialog and resolve the pending promise
+ * @param {Object|null} result - Form values, or null if cancelled
+ */
+function closeDialog(result) {
+  document.getElementById('collection-dialog')?.classList.add('hidden');
+  previousFocus?.focus();
+
+  if (resolveDialog) {
+    resolveDialog(result);
+    resolveDialog = null;
+  }
+}
+
+/**
+ * Read the form
+ * @returns {Object} name, description, emoji and color
+ */
+function getFormValues() {
+  const dialog = document.getElementById('collection-dialog');
+  return {
+    name: document.getElementById('collection-name').value.trim(),
+    description: document.getElementById('collection-description').value.trim(),
+    emoji: document.getElementById('collection-emoji').value.trim() || DEFAULT_COLLECTION_EMOJI,
+    color: dialog.querySelector('input[name="collection-color"]:checked')?.value || COLLECTION_COLORS[0]
+  };
+}
+
+/**
+ * Show the cover as it will look
+ */
+function updatePreview() {
+  const preview = document.getElementById('collection-cover-preview');
+  if (preview) {
+    preview.innerHTML = renderCollectionCover(getFormValues(), 'w-14 h-14 text-3xl');
+  }
+}
+
+/**
+ * Add the colour choices and setup the dialog once
+ */
+function setupDialog() {
+  const dialog = document.getElementById('collection-dialog');
+  if (dialog.dataset.initialized) return;
+  dialog.dataset.initialized = 'true';
+
+  document.getElementById('collection-colors').innerHTML = COLLECTION_COLORS.map(color => `
+    <label class="cursor-pointer" title="${color}">
+      <input type="radio" name="collection-color" value="${color}" class="sr-only peer">
+      <span class="block rounded-xl ring-offset-2 dark:ring-offset-gray-800 peer-checked:ring-2 peer-checked:ring-primary peer-focus-visible:ring-2 peer-focus-visible:ring-primary">
+        ${renderCollectionCover({ color, emoji: '' }, 'w-8 h-8')}
+      </span>
+      <span class="sr-only">${color}</span>
+    </label>
+  `).join('');
+
+  document.getElementById('collection-form')?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const values = getFormValues();
+    if (values.name) closeDialog(values);
+  });
+
+  document.getElementById('collection-form')?.addEventListener('input', updatePreview);
+  document.getElementById('collection-cancel')?.addEventListener('click', () => closeDialog(null));
+
+  // Close on backdrop click
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDialog(null);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !dialog.classList.contains('hidden')) {
+      closeDialog(null);
+    }
+  });
+}
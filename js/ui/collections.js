@@ -0,0 +1,676 @@
+/**
+ * Collections
+ * Named, ordered lists of repositories with a description and a cover.
+ * Shows the list of collections, one collection (reordered by drag and drop
+ * or the move buttons), and the "add to collection" menu of the cards.
+ *
+ * URLs: ?view=collections lists them (see views.js), ?collection=<id> opens one (on any
+ * device synced with the same account), and a share link (?shared=...)
+ * carries the whole collection so anyone can view and save a copy.
+ */
+
+import {
+  getCollections,
+  createCollection,
+  saveCollection,
+  addToCollection,
+  removeFromCollection,
+  deleteCollection
+} from '../services/customData.js';
+import { formatNumber } from '../services/storage.js';
+import { sanitizeHTML, showToast, renderCollectionCover } from './components.js';
+import { openCollectionDialog } from './collectionDialog.js';
+import { registerView, showView as showTopLevelView, getCurrentView } from './views.js';
+import { COLLECTION_COLORS, COLLECTION_MAX_LENGTHS, DEFAULT_COLLECTION_EMOJI } from '../utils/constants.js';
+
+// Name of the collections view (see views.js)
+const VIEW_NAME = 'collections';
+
+// URL parameters owned by the collections views
+const PARAMS = {
+  COLLECTION: 'collection',
+  SHARED: 'shared'
+};
+
+// Saved collections, oldest first
+let collections = [];
+
+// Loaded repositories by ID, to show the repositories of a collection
+let repositoriesById = new Map();
+
+// What is shown: null (another view), { type: 'list' }, { type: 'collection', id } or { type: 'shared', collection }
+let currentView = null;
+
+// Repository IDs the "add to collection" menu is open for
+let menuRepoIds = [];
+
+/**
+ * Setup the collections views (opened through views.js, from the navigation or the URL)
+ * @param {Array<Object>} repositories - Repositories currently loaded
+ */
+export async function initCollections(repositories) {
+  setCollectionRepositories(repositories);
+  collections = await getCollections();
+  updateCollectionsCount();
+
+  registerView(VIEW_NAME, {
+    sectionId: 'collections-view',
+    buttonId: 'show-collections',
+    matchesURL: (params) => params.has(PARAMS.COLLECTION) || params.has(PARAMS.SHARED),
+    onShow: () => {
+      // From the navigation (or ?view=collections): the list; on load: the collection in the URL
+      if (!currentView) {
+        currentView = getViewFromURL();
+        updateViewURL();
+      }
+      renderView();
+    },
+    onHide: () => {
+      currentView = null;
+      updateViewURL();
+    }
+  });
+
+  window.addEventListener('collectionsChanged', () => refreshCollections());
+  window.addEventListener('addToCollection', (e) => openCollectionMenu(e.detail.repoIds, e.detail.anchor));
+  setupCollectionMenu();
+}
+
+/**
+ * Use newly loaded repositories (e.g. after a sync or switching user)
+ * @param {Array<Object>} repositories - Repositories currently loaded
+ */
+export function setCollectionRepositories(repositories) {
+  repositoriesById = new Map(repositories.map(repo => [repo.id, repo]));
+  if (currentView) renderView();
+}
+
+/**
+ * Reload collections from the store (after edits, syncs or changes in another tab)
+ */
+export async function refreshCollections() {
+  const loaded = await getCollections();
+
+  // Edits made here are already shown; re-rendering would move the keyboard focus
+  if (JSON.stringify(loaded) === JSON.stringify(collections)) return;
+  collections = loaded;
+
+  // A collection deleted elsewhere closes its view
+  if (currentView?.type === 'collection' && !findCollection(currentView.id)) {
+    showView({ type: 'list' });
+    return;
+  }
+
+  updateCollectionsCount();
+  if (currentView) renderView();
+}
+
+/**
+ * Find a saved collection
+ * @param {string} id - Collection ID
+ * @returns {Object|undefined} Collection
+ */
+function findCollection(id) {
+  return collections.find(collection => collection.id === id);
+}
+
+/**
+ * Read the collections view to open from the URL
+ * @returns {Object} View (see currentView); the list if the URL names no collection
+ */
+function getViewFromURL() {
+  const params = new URLSearchParams(window.location.search);
+
+  if (params.has(PARAMS.SHARED)) {
+    const collection = decodeSharedCollection(params.get(PARAMS.SHARED));
+    if (collection) return { type: 'shared', collection };
+    showToast('This shared collection link is incomplete or damaged.', 'error', 5000);
+  }
+
+  if (params.has(PARAMS.COLLECTION)) {
+    const id = params.get(PARAMS.COLLECTION);
+    if (findCollection(id)) return { type: 'collection', id };
+    showToast('This collection does not exist in this browser. Sign in to sync your collections, or ask for a share link.', 'warning', 6000);
+    return { type: 'list' };
+  }
+
+  return { type: 'list' };
+}
+
+/**
+ * Put the open collection in the URL, keeping the other parameters (view, filters, user)
+ */
+function updateViewURL() {
+  const params = new URLSearchParams(window.location.search);
+  Object.values(PARAMS).forEach(param => params.delete(param));
+
+  if (currentView?.type === 'collection') {
+    params.set(PARAMS.COLLECTION, currentView.id);
+  } else if (currentView?.type === 'shared') {
+    params.set(PARAMS.SHARED, encodeSharedCollection(currentView.collection));
+  }
+
+  const query = params.toString();
+  window.history.replaceState({}, '', query ? `${window.location.pathname}?${query}` : window.location.pathname);
+}
+
+/**
+ * Switch between the collections views, or back to all stars
+ * @param {Object|null} view - View to show (see currentView), or null for all stars
+ */
+function showView(view) {
+  if (!view) {
+    showTopLevelView('stars');
+    return;
+  }
+
+  currentView = view;
+  updateViewURL();
+
+  if (getCurrentView() === VIEW_NAME) {
+    renderView();
+  } else {
+    showTopLevelView(VIEW_NAME);
+  }
+}
+
+/**
+ * Show the number of collections on the navigation button
+ */
+function updateCollectionsCount() {
+  const count = document.getElementById('collections-count');
+  if (count) count.textContent = collections.length;
+}
+
+/**
+ * Render the current collections view
+ */
+function renderView() {
+  const container = document.getElementById('collections-view');
+  updateCollectionsCount();
+  if (!container || !currentView) return;
+
+  if (currentView.type === 'list') {
+    renderCollectionList(container);
+  } else if (currentView.type === 'collection') {
+    renderCollection(container, findCollection(currentView.id), { editable: true });
+  } else {
+    renderCollection(container, currentView.collection, { editable: false });
+  }
+}
+
+/**
+ * Render the list of collections
+ * @param {HTMLElement} container - Collections view
+ */
+function renderCollectionList(container) {
+  container.innerHTML = `
+    <div class="flex items-center justify-between gap-4 mb-6">
+      <div>
+        <h2 class="text-xl font-semibold text-gray-900 dark:text-white">Collections</h2>
+        <p class="text-sm text-gray-600 dark:text-gray-400">Ordered lists of repositories, like a reading list or a starter kit.</p>
+      </div>
+      <button data-new-collection class="shrink-0 px-4 py-2 text-sm font-medium text-white bg-primary border border-primary rounded-lg hover:bg-indigo-600 transition-colors">
+        New collection
+      </button>
+    </div>
+    ${collections.length === 0 ? `
+      <div class="empty-state">
+        <h3 class="text-xl font-semibold mb-2">No collections yet</h3>
+        <p class="text-gray-500 dark:text-gray-400 max-w-md">
+          Create one here, or use the bookmark button on any repository card to add it to a new collection.
+        </p>
+      </div>
+    ` : `
+      <div class="repo-grid">
+        ${collections.map(collection => `
+          <button data-open-collection="${sanitizeHTML(collection.id)}" class="repo-card text-left bg-white dark:bg-gray-800 rounded-xl p-6 shadow-sm flex gap-4 items-start">
+            ${renderCollectionCover(collection)}
+            <span class="min-w-0 flex-1">
+              <span class="block text-lg font-semibold text-gray-900 dark:text-white truncate">${sanitizeHTML(collection.name)}</span>
+              <span class="block text-sm text-gray-600 dark:text-gray-400 line-clamp-2">${collection.description ? sanitizeHTML(collection.description) : '<em class="text-gray-400">No description</em>'}</span>
+              <span class="block mt-2 text-xs text-gray-500 dark:text-gray-400">${formatCount(collection.repoIds.length)}</span>
+            </span>
+          </button>
+        `).join('')}
+      </div>
+    `}
+  `;
+
+  container.querySelector('[data-new-collection]')?.addEventListener('click', async () => {
+    const fields = await openCollectionDialog();
+    if (!fields) return;
+
+    const collection = await createCollection(fields);
+    if (collection) {
+      collections.push(collection);
+      showView({ type: 'collection', id: collection.id });
+    } else {
+      showToast('Failed to create the collection', 'error');
+    }
+  });
+
+  container.querySelectorAll('[data-open-collection]').forEach(button => {
+    button.addEventListener('click', () => showView({ type: 'collection', id: button.dataset.openCollection }));
+  });
+}
+
+/**
+ * Format a number of repositories
+ * @param {number} count - Number of repositories
+ * @returns {string} e.g. "3 repositories"
+ */
+function formatCount(count) {
+  return `${count} ${count === 1 ? 'repository' : 'repositories'}`;
+}
+
+/**
+ * Render one collection
+ * @param {HTMLElement} container - Collections view
+ * @param {Object} collection - Collection to show
+ * @param {Object} options - editable: false for shared collections (read-only, can be saved)
+ */
+function renderCollection(container, collection, { editable }) {
+  const buttonClasses = 'px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors';
+
+  container.innerHTML = `
+    <button data-back class="mb-4 text-sm text-gray-600 dark:text-gray-400 hover:text-primary transition-colors">
+      ← All collections
+    </button>
+    <div class="mb-6 bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-6 flex flex-col sm:flex-row gap-4 sm:items-start">
+      ${renderCollectionCover(collection, 'w-16 h-16 text-4xl')}
+      <div class="flex-1 min-w-0">
+        <h2 class="text-xl font-semibold text-gray-900 dark:text-white break-words">${sanitizeHTML(collection.name)}</h2>
+        ${collection.description ? `<p class="mt-1 text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap break-words">${sanitizeHTML(collection.description)}</p>` : ''}
+        <p class="mt-2 text-xs text-gray-500 dark:text-gray-400">
+          ${formatCount(collection.repoIds.length)}${editable ? '' : ' · Shared with you'}
+        </p>
+      </div>
+      <div class="flex flex-wrap gap-2 shrink-0">
+        ${editable ? `
+          <button data-edit class="${buttonClasses}">Edit</button>
+          <button data-share class="${buttonClasses}">Copy share link</button>
+          <button data-delete class="${buttonClasses} hover:text-red-600">Delete</button>
+        ` : `
+          <button data-save-shared class="px-3 py-2 text-sm font-medium text-white bg-primary border border-primary rounded-lg hover:bg-indigo-600 transition-colors">Save to my collections</button>
+        `}
+      </div>
+    </div>
+    ${collection.repoIds.length === 0 ? `
+      <p class="text-sm text-gray-500 dark:text-gray-400">
+        No repositories yet. Use the bookmark button on a repository card in <button data-show-stars class="text-primary hover:underline">All stars</button> to add some.
+      </p>
+    ` : `
+      ${editable ? '<p class="mb-3 text-xs text-gray-500 dark:text-gray-400">Drag repositories (or use the arrows) to change the order.</p>' : ''}
+      <ol class="space-y-2" data-collection-items>
+        ${collection.repoIds.map((repoId, index) => renderItem(repoId, index, collection.repoIds.length, editable)).join('')}
+      </ol>
+    `}
+  `;
+
+  container.querySelector('[data-back]')?.addEventListener('click', () => showView({ type: 'list' }));
+  container.querySelector('[data-show-stars]')?.addEventListener('click', () => showView(null));
+
+  if (editable) {
+    setupCollectionActions(container, collection);
+    setupItemReordering(container, collection);
+  } else {
+    container.querySelector('[data-save-shared]')?.addEventListener('click', () => saveSharedCollection(collection));
+  }
+}
+
+/**
+ * Render one repository of a collection
+ * @param {number} repoId - GitHub repository ID
+ * @param {number} index - Position in the collection
+ * @param {number} count - Number of repositories in the collection
+ * @param {boolean} editable - Whether it can be moved and removed
+ * @returns {string} Item HTML
+ */
+function renderItem(repoId, index, count, editable) {
+  const repo = repositoriesById.get(repoId);
+  const iconButton = 'p-1.5 rounded-md text-gray-500 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-30 disabled:pointer-events-none transition-colors';
+  const name = repo ? sanitizeHTML(repo.full_name) : `Repository #${repoId}`;
+
+  return `
+    <li
+      class="collection-item flex items-center gap-3 p-3 bg-white dark:bg-gray-800 border border-gray-200 dark:border-gray-700 rounded-lg"
+      data-repo-id="${repoId}"
+      ${editable ? 'draggable="true"' : ''}
+    >
+      ${editable ? `
+        <svg class="w-4 h-4 shrink-0 text-gray-400 cursor-grab" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+          <path d="M7 4a1.5 1.5 0 110-3 1.5 1.5 0 010 3zm6 0a1.5 1.5 0 110-3 1.5 1.5 0 010 3zM7 11.5a1.5 1.5 0 110-3 1.5 1.5 0 010 3zm6 0a1.5 1.5 0 110-3 1.5 1.5 0 010 3zM7 19a1.5 1.5 0 110-3 1.5 1.5 0 010 3zm6 0a1.5 1.5 0 110-3 1.5 1.5 0 010 3z"/>
+        </svg>
+      ` : ''}
+      <span class="w-6 shrink-0 text-right text-sm font-medium text-gray-400">${index + 1}</span>
+      ${repo ? `<img src="${repo.owner.avatar_url}" alt="" class="w-8 h-8 rounded-full shrink-0" loading="lazy">` : ''}
+      <div class="flex-1 min-w-0">
+        ${repo ? `
+          <a href="${repo.html_url}" target="_blank" rel="noopener noreferrer" class="font-semibold text-gray-900 dark:text-white hover:text-primary transition-colors break-all">${name}</a>
+          <p class="text-sm text-gray-600 dark:text-gray-400 truncate">${repo.description ? sanitizeHTML(repo.description) : ''}</p>
+        ` : `
+          <p class="font-semibold text-gray-900 dark:text-white">${name}</p>
+          <p class="text-sm text-gray-500 dark:text-gray-400">Not in these stars</p>
+        `}
+      </div>
+      ${repo ? `<span class="hidden sm:block shrink-0 text-sm text-gray-600 dark:text-gray-400">★ ${formatNumber(repo.stargazers_count)}</span>` : ''}
+      ${editable ? `
+        <div class="flex shrink-0">
+          <button class="${iconButton}" data-move="-1" aria-label="Move ${name} up" ${index === 0 ? 'disabled' : ''}>↑</button>
+          <button class="${iconButton}" data-move="1" aria-label="Move ${name} down" ${index === count - 1 ? 'disabled' : ''}>↓</button>
+          <button class="${iconButton} hover:text-red-600" data-remove aria-label="Remove ${name} from the collection">✕</button>
+        </div>
+      ` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Setup the edit, share and delete buttons of a collection
+ * @param {HTMLElement} container - Collections view
+ * @param {Object} collection - Collection shown
+ */
+function setupCollectionActions(container, collection) {
+  container.querySelector('[data-edit]')?.addEventListener('click', async () => {
+    const fields = await openCollectionDialog(collection);
+    if (fields) await updateCollection({ ...collection, ...fields });
+  });
+
+  container.querySelector('[data-share]')?.addEventListener('click', async () => {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.searchParams.set(PARAMS.SHARED, encodeSharedCollection(collection));
+
+    try {
+      await navigator.clipboard.writeText(url.href);
+      showToast('Share link copied. Anyone with it can view this collection.', 'success');
+    } catch (error) {
+      console.error('Failed to copy share link:', error);
+      prompt('Copy this share link:', url.href);
+    }
+  });
+
+  container.querySelector('[data-delete]')?.addEventListener('click', async () => {
+    if (!confirm(`Delete the collection "${collection.name}"? The repositories in it are not affected.`)) return;
+
+    if (await deleteCollection(collection.id)) {
+      collections = collections.filter(c => c.id !== collection.id);
+      showView({ type: 'list' });
+      showToast('Collection deleted', 'success');
+    } else {
+      showToast('Failed to delete the collection', 'error');
+    }
+  });
+}
+
+/**
+ * Save a changed collection and show it right away
+ * @param {Object} collection - Changed collection
+ * @returns {Promise<boolean>} Success status
+ */
+async function updateCollection(collection) {
+  const saved = await saveCollection(collection);
+  if (!saved) {
+    showToast('Failed to save the collection', 'error');
+    return false;
+  }
+
+  collections = collections.map(c => (c.id === saved.id ? saved : c));
+  renderView();
+  return true;
+}
+
+/**
+ * Move an item of a list to another position
+ * @param {Array} items - List
+ * @param {number} from - Index of the item to move
+ * @param {number} to - Index it should end up at
+ * @returns {Array} Reordered copy of the list
+ */
+function moveItem(items, from, to) {
+  const result = [...items];
+  const [item] = result.splice(from, 1);
+  result.splice(to, 0, item);
+  return result;
+}
+
+/**
+ * Setup drag and drop, the move buttons and the remove buttons of a collection's items
+ * @param {HTMLElement} container - Collections view
+ * @param {Object} collection - Collection shown
+ */
+function setupItemReordering(container, collection) {
+  const list = container.querySelector('[data-collection-items]');
+  if (!list) return;
+
+  const indexOf = (item) => collection.repoIds.indexOf(parseInt(item.dataset.repoId));
+  let draggedIndex = null;
+
+  const clearDropMarkers = () => {
+    list.querySelectorAll('.drop-before, .drop-after').forEach(item => item.classList.remove('drop-before', 'drop-after'));
+  };
+
+  list.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('[data-repo-id]');
+    if (!item) return;
+
+    draggedIndex = indexOf(item);
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', item.dataset.repoId);
+  });
+
+  list.addEventListener('dragover', (e) => {
+    const item = e.target.closest('[data-repo-id]');
+    if (draggedIndex === null || !item) return;
+
+    e.preventDefault();
+    const { top, height } = item.getBoundingClientRect();
+    const after = e.clientY > top + height / 2;
+    clearDropMarkers();
+    item.classList.add(after ? 'drop-after' : 'drop-before');
+  });
+
+  list.addEventListener('dragleave', (e) => {
+    if (!list.contains(e.relatedTarget)) clearDropMarkers();
+  });
+
+  list.addEventListener('drop', (e) => {
+    const item = e.target.closest('[data-repo-id]');
+    if (draggedIndex === null || !item) return;
+
+    e.preventDefault();
+    const targetIndex = indexOf(item) + (item.classList.contains('drop-after') ? 1 : 0);
+    // Removing the dragged item first shifts later positions up by one
+    const to = targetIndex > draggedIndex ? targetIndex - 1 : targetIndex;
+    const from = draggedIndex;
+    clearDropMarkers();
+
+    if (to !== from) {
+      updateCollection({ ...collection, repoIds: moveItem(collection.repoIds, from, to) });
+    }
+  });
+
+  list.addEventListener('dragend', () => {
+    draggedIndex = null;
+    clearDropMarkers();
+    list.querySelector('.dragging')?.classList.remove('dragging');
+  });
+
+  list.addEventListener('click', async (e) => {
+    const button = e.target.closest('button');
+    const item = e.target.closest('[data-repo-id]');
+    if (!button || !item) return;
+
+    const index = indexOf(item);
+
+    if (button.dataset.move) {
+      const to = index + parseInt(button.dataset.move);
+      if (await updateCollection({ ...collection, repoIds: moveItem(collection.repoIds, index, to) })) {
+        // Keep the keyboard focus on the moved item's button
+        container.querySelector(`[data-repo-id="${item.dataset.repoId}"] [data-move="${button.dataset.move}"]:not(:disabled)`)?.focus();
+      }
+    } else if ('remove' in button.dataset) {
+      await updateCollection({ ...collection, repoIds: collection.repoIds.filter(id => id !== parseInt(item.dataset.repoId)) });
+    }
+  });
+}
+
+/**
+ * Encode a collection for a share link (name, description, cover and repository IDs)
+ * @param {Object} collection - Collection
+ * @returns {string} URL-safe base64 of the collection's JSON
+ */
+function encodeSharedCollection(collection) {
+  const json = JSON.stringify({
+    n: collection.name,
+    d: collection.description,
+    e: collection.emoji,
+    c: collection.color,
+    r: collection.repoIds
+  });
+  const binary = String.fromCharCode(...new TextEncoder().encode(json));
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a collection from a share link
+ * Links are untrusted: names longer than the dialog allows are rejected, long
+ * descriptions are cut and an invalid emoji falls back to the default.
+ * @param {string} value - Value of the shared URL parameter
+ * @returns {Object|null} Collection (without ID), or null if the value is invalid
+ */
+function decodeSharedCollection(value) {
+  try {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    const data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    const name = typeof data.n === 'string' ? data.n.trim() : '';
+    if (!name || name.length > COLLECTION_MAX_LENGTHS.NAME || !Array.isArray(data.r)) return null;
+
+    const emoji = typeof data.e === 'string' ? data.e.trim() : '';
+    return {
+      name,
+      description: typeof data.d === 'string' ? data.d.trim().slice(0, COLLECTION_MAX_LENGTHS.DESCRIPTION) : '',
+      emoji: emoji && emoji.length <= COLLECTION_MAX_LENGTHS.EMOJI ? emoji : DEFAULT_COLLECTION_EMOJI,
+      color: COLLECTION_COLORS.includes(data.c) ? data.c : COLLECTION_COLORS[0],
+      repoIds: data.r.map(Number).filter(Number.isInteger)
+    };
+  } catch (error) {
+    console.error('Invalid shared collection:', error);
+    return null;
+  }
+}
+
+/**
+ * Save a copy of a shared collection and open it
+ * @param {Object} shared - Collection decoded from a share link
+ */
+async function saveSharedCollection(shared) {
+  const collection = await createCollection(shared);
+  if (!collection) {
+    showToast('Failed to save the collection', 'error');
+    return;
+  }
+
+  collections.push(collection);
+  showView({ type: 'collection', id: collection.id });
+  showToast(`Saved "${collection.name}" to your collections`, 'success');
+}
+
+/**
+ * Setup closing the "add to collection" menu
+ */
+function setupCollectionMenu() {
+  const menu = document.getElementById('collection-menu');
+  if (!menu) return;
+
+  document.addEventListener('click', (e) => {
+    if (!menu.classList.contains('hidden') && !menu.contains(e.target) && !e.target.closest('[data-add-to-collection]')) {
+      closeCollectionMenu();
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !menu.classList.contains('hidden')) {
+      closeCollectionMenu();
+    }
+  });
+
+  menu.addEventListener('change', async (e) => {
+    const collection = findCollection(e.target.dataset.collectionId);
+    if (!collection) return;
+
+    const saved = e.target.checked
+      ? await addToCollection(collection, menuRepoIds)
+      : await removeFromCollection(collection, menuRepoIds);
+
+    if (!saved) {
+      showToast('Failed to save the collection', 'error');
+      e.target.checked = !e.target.checked;
+    }
+  });
+
+  menu.addEventListener('click', async (e) => {
+    if (!e.target.closest('[data-menu-new-collection]')) return;
+
+    const repoIds = menuRepoIds;
+    closeCollectionMenu();
+
+    const fields = await openCollectionDialog();
+    if (!fields) return;
+
+    const collection = await createCollection({ ...fields, repoIds });
+    if (collection) {
+      showToast(`Added to "${collection.name}"`, 'success');
+    } else {
+      showToast('Failed to create the collection', 'error');
+    }
+  });
+}
+
+/**
+ * Open the "add to collection" menu next to a button
+ * @param {Array<number>} repoIds - Repositories to add or remove
+ * @param {HTMLElement} anchor - Button the menu belongs to
+ */
+function openCollectionMenu(repoIds, anchor) {
+  const menu = document.getElementById('collection-menu');
+  if (!menu) return;
+
+  menuRepoIds = repoIds;
+  menu.innerHTML = `
+    <p class="px-3 pt-2 pb-1 text-xs font-medium text-gray-500 dark:text-gray-400">Add to collection</p>
+    <div class="max-h-64 overflow-y-auto">
+      ${collections.map(collection => `
+        <label class="flex items-center gap-2 px-3 py-1.5 text-sm cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700">
+          <input type="checkbox" data-collection-id="${sanitizeHTML(collection.id)}" class="rounded text-primary focus:ring-primary"
+            ${repoIds.every(id => collection.repoIds.includes(id)) ? 'checked' : ''}>
+          ${renderCollectionCover(collection, 'w-6 h-6 text-sm')}
+          <span class="truncate">${sanitizeHTML(collection.name)}</span>
+        </label>
+      `).join('')}
+    </div>
+    <button data-menu-new-collection class="w-full text-left px-3 py-2 text-sm font-medium text-primary border-t border-gray-200 dark:border-gray-700 hover:bg-gray-100 dark:hover:bg-gray-700">
+      + New collection…
+    </button>
+  `;
+
+  menu.classList.remove('hidden');
+
+  // Below the button, kept inside the viewport
+  const rect = anchor.getBoundingClientRect();
+  const left = Math.min(rect.right - menu.offsetWidth, window.innerWidth - menu.offsetWidth - 8);
+  const below = rect.bottom + 4 + menu.offsetHeight <= window.innerHeight;
+  menu.style.left = `${Math.max(8, left)}px`;
+  menu.style.top = `${below ? rect.bottom + 4 : Math.max(8, rect.top - menu.offsetHeight - 4)}px`;
+
+  (menu.querySelector('input') || menu.querySelector('button'))?.focus();
+}
+
+/**
+ * Close the "add to collection" menu
+ */
+function closeCollectionMenu() {
+  document.getElementById('collection-menu')?.classList.add('hidden');
+  menuRepoIds = [];
+}
@@ -3,11 +3,11 @@
  * Reusable UI elements like modals, toasts, badges, etc.
  */
 
-import { STORAGE_KEYS } from '../utils/constants.js';
+import { STORAGE_KEYS, STATUS_FILTERS, NO_LICENSE } from '../utils/constants.js';
 
 /**
  * Show a toast notification
- * @param {string} message - Message to display
+ * @param {string} message - Message to display (plain text)
  * @param {string} type - Toast type: 'success', 'error', 'warning', 'info'
  * @param {number} duration - Duration in milliseconds (default: 3000)
  */
@@ -36,8 +36,10 @@ export function showToast(message, type = 'info', duration = 3000) {
 
   toast.innerHTML = `
     ${icon}
-    <span>${message}</span>
+    <span></span>
   `;
+  // Messages can quote user data (e.g. a collection name from a share link)
+  toast.querySelector('span').textContent = message;
 
   container.appendChild(toast);
 
@@ -109,6 +111,76 @@ export function createLanguageBadge(language) {
   return badge;
 }
 
+// Cover background of each collection colour (COLLECTION_COLORS)
+const COLLECTION_COVER_CLASSES = {
+  indigo: 'bg-indigo-100 dark:bg-indigo-900/60',
+  sky: 'bg-sky-100 dark:bg-sky-900/60',
+  emerald: 'bg-emerald-100 dark:bg-emerald-900/60',
+  amber: 'bg-amber-100 dark:bg-amber-900/60',
+  rose: 'bg-rose-100 dark:bg-rose-900/60',
+  violet: 'bg-violet-100 dark:bg-violet-900/60',
+  slate: 'bg-slate-200 dark:bg-slate-700'
+};
+
+/**
+ * Render the cover of a collection: its emoji on its colour
+ * @param {Object} collection - Collection (emoji, color)
+ * @param {string} sizeClasses - Size and text classes, e.g. 'w-12 h-12 text-2xl'
+ * @returns {string} Cover HTML
+ */
+export function renderCollectionCover(collection, sizeClasses = 'w-12 h-12 text-2xl') {
+  const colorClasses = COLLECTION_COVER_CLASSES[collection.color] || COLLECTION_COVER_CLASSES.indigo;
+  return `<span class="inline-flex items-center justify-center shrink-0 rounded-xl ${sizeClasses} ${colorClasses}" aria-hidden="true">${sanitizeHTML(collection.emoji || '')}</span>`;
+}
+
+// Chip colours of each custom tag colour (TAG_COLORS)
+const TAG_CHIP_CLASSES = {
+  indigo: 'bg-indigo-100 dark:bg-indigo-900 text-indigo-700 dark:text-indigo-300 hover:bg-indigo-200 dark:hover:bg-indigo-800',
+  sky: 'bg-sky-100 dark:bg-sky-900 text-sky-700 dark:text-sky-300 hover:bg-sky-200 dark:hover:bg-sky-800',
+  emerald: 'bg-emerald-100 dark:bg-emerald-900 text-emerald-700 dark:text-emerald-300 hover:bg-emerald-200 dark:hover:bg-emerald-800',
+  amber: 'bg-amber-100 dark:bg-amber-900 text-amber-700 dark:text-amber-300 hover:bg-amber-200 dark:hover:bg-amber-800',
+  rose: 'bg-rose-100 dark:bg-rose-900 text-rose-700 dark:text-rose-300 hover:bg-rose-200 dark:hover:bg-rose-800',
+  violet: 'bg-violet-100 dark:bg-violet-900 text-violet-700 dark:text-violet-300 hover:bg-violet-200 dark:hover:bg-violet-800',
+  slate: 'bg-slate-200 dark:bg-slate-700 text-slate-700 dark:text-slate-200 hover:bg-slate-300 dark:hover:bg-slate-600'
+};
+
+/**
+ * Get the classes of a custom tag chip
+ * @param {string} color - TAG_COLORS value (unknown colours get the default)
+ * @returns {string} Class names
+ */
+export function getTagChipClasses(color) {
+  const colorClasses = TAG_CHIP_CLASSES[color] || TAG_CHIP_CLASSES.indigo;
+  return `inline-flex items-center gap-1 px-2 py-1 rounded-md text-xs cursor-pointer transition-colors ${colorClasses}`;
+}
+
+// Badge colours of each health level (HEALTH_LEVELS)
+const HEALTH_BADGE_CLASSES = {
+  healthy: 'bg-emerald-100 dark:bg-emerald-900 text-emerald-800 dark:text-emerald-200',
+  aging: 'bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200',
+  inactive: 'bg-rose-100 dark:bg-rose-900 text-rose-800 dark:text-rose-200',
+  archived: 'bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+};
+
+/**
+ * Render the health badge of a repository
+ * @param {Object|null} health - Result of getRepoHealth
+ * @returns {string} Badge HTML ('' without health data)
+ */
+export function renderHealthBadge(health) {
+  if (!health) return '';
+
+  const colorClasses = HEALTH_BADGE_CLASSES[health.level] || HEALTH_BADGE_CLASSES.inactive;
+  return `
+    <span class="inline-flex items-center gap-1 px-2.5 py-1 text-xs font-medium rounded-md ${colorClasses}" title="Health ${health.score}/100 (${health.level}): ${sanitizeHTML(health.reasons.join(' · '))}">
+      <svg class="w-3 h-3" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+        <path fill-rule="evenodd" d="M3.172 5.172a4 4 0 015.656 0L10 6.343l1.172-1.171a4 4 0 115.656 5.656L10 17.657l-6.828-6.829a4 4 0 010-5.656z" clip-rule="evenodd"/>
+      </svg>
+      <span class="sr-only">Health</span> ${health.score}
+    </span>
+  `;
+}
+
 /**
  * Initialize dark mode toggle
  */
@@ -191,7 +263,7 @@ export function setEmptyState(show) {
 
 /**
  * Create a filter chip
- * @param {string} label - Filter label
+ * @param {string} label - Filter label (plain text; values from shared URLs end up here)
  * @param {Function} onRemove - Remove handler
  * @returns {HTMLElement} Filter chip element
  */
@@ -199,7 +271,7 @@ export function createFilterChip(label, onRemove) {
   const chip = document.createElement('div');
   chip.className = 'filter-chip';
   chip.innerHTML = `
-    <span>${label}</span>
+    <span></span>
     <button aria-label="Remove filter">
       <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
@@ -207,6 +279,7 @@ export function createFilterChip(label, onRemove) {
     </button>
   `;
 
+  chip.querySelector('span').textContent = label;
   chip.querySelector('button')?.addEventListener('click', onRemove);
 
   return chip;
@@ -215,8 +288,10 @@ export function createFilterChip(label, onRemove) {
 /**
  * Update active filters display
  * @param {Object} filters - Active filters object
+ * @param {Object} context - Lookup data for labels
+ * @param {Array} context.starLists - GitHub star lists, to name the star list filter
  */
-export function updateActiveFilters(filters) {
+export function updateActiveFilters(filters, { starLists = [] } = {}) {
   const container = document.getElementById('active-filters');
   const chipsContainer = document.getElementById('filter-chips');
 
@@ -240,6 +315,56 @@ export function updateActiveFilters(filters) {
     });
   }
 
+  if (filters.stargazer) {
+    activeFilters.push({
+      label: `Starred by: @${filters.stargazer}`,
+      type: 'stargazer'
+    });
+  }
+
+  if (filters.starList) {
+    const list = starLists.find(item => item.id === filters.starList);
+    activeFilters.push({
+      label: `List: ${list ? list.name : filters.starList}`,
+      type: 'starList'
+    });
+  }
+
+  if (filters.license) {
+    activeFilters.push({
+      label: filters.license === NO_LICENSE ? 'No license' : `License: ${filters.license}`,
+      type: 'license'
+    });
+  }
+
+  if (filters.hideArchived) {
+    activeFilters.push({
+      label: 'Hiding archived on GitHub',
+      type: 'hideArchived'
+    });
+  }
+
+  if (filters.hideForks) {
+    activeFilters.push({
+      label: 'Hiding forks',
+      type: 'hideForks'
+    });
+  }
+
+  if (filters.hasHomepage) {
+    activeFilters.push({
+      label: 'Has homepage',
+      type: 'hasHomepage'
+    });
+  }
+
+  if (filters.status && filters.status !== STATUS_FILTERS.ACTIVE) {
+    activeFilters.push({
+      label: filters.status === STATUS_FILTERS.ARCHIVED ? 'Archived only' : 'Including archived',
+      type: 'status'
+    });
+  }
+
   if (filters.topics && filters.topics.length > 0) {
     filters.topics.forEach(topic => {
       activeFilters.push({
@@ -278,11 +403,60 @@ export function updateActiveFilters(filters) {
 
 /**
  * Sanitize HTML to prevent XSS
+ * Quotes are escaped too, so the result is safe inside attribute values
+ * (e.g. data-tag="…" of a tag containing a quote).
  * @param {string} html - HTML string
  * @returns {string} Sanitized HTML
  */
 export function sanitizeHTML(html) {
-  const div = document.createElement('div');
-  div.textContent = html;
-  return div.innerHTML;
+  return String(html ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text and wrap words matching search terms in <mark>
+ * @param {string} text - Plain text
+ * @param {Set<string>} terms - Lowercase terms to highlight
+ * @returns {string} Sanitized HTML
+ */
+export function highlightText(text, terms) {
+  if (!text) return '';
+  if (!terms || terms.size === 0) return sanitizeHTML(text);
+
+  // Splitting on a capture group keeps words at odd indexes
+  return String(text)
+    .split(/([\p{L}\p{N}]+)/u)
+    .map((part, index) =>
+      index % 2 === 1 && terms.has(part.toLowerCase())
+        ? `<mark class="search-highlight">${sanitizeHTML(part)}</mark>`
+        : sanitizeHTML(part)
+    )
+    .join('');
+}
+
+/**
+ * Build a short excerpt of text around the first highlighted word
+ * @param {string} text - Plain text
+ * @param {Set<string>} terms - Lowercase terms to highlight
+ * @param {number} radius - Characters kept on each side of the match
+ * @returns {string} Sanitized, highlighted excerpt, or empty string if nothing matches
+ */
+export function highlightExcerpt(text, terms, radius = 40) {
+  if (!text || !terms || terms.size === 0) return '';
+
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    if (terms.has(match[0].toLowerCase())) {
+      const start = Math.max(0, match.index - radius);
+      const end = Math.min(text.length, match.index + match[0].length + radius);
+      return `${start > 0 ? '…' : ''}${highlightText(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+    }
+  }
+
+  return '';
 }
@@ -0,0 +1,82 @@
+/**
+ * Notes Conflict Dialog
+ * Shown by the cloud sync when the notes of a repository were changed both on
+ * this device and on another one; the user keeps one version or a merged text
+ */
+
+import { sanitizeHTML } from './components.js';
+
+// Resolves the promise returned by openNotesConflictDialog
+let resolveDialog = null;
+
+// Versions of the conflict being shown
+let currentConflict = null;
+
+// Element focused before the dialog opened
+let previousFocus = null;
+
+/**
+ * Show a notes conflict and wait for the user's choice
+ * Conflicts are shown one at a time; the sync waits for each answer.
+ * @param {Object} conflict - repoId, local: notes on this device, remote: notes from Supabase
+ * @param {Array<Object>} repositories - Repositories used to name the repository
+ * @returns {Promise<string>} Notes to keep
+ */
+export function openNotesConflictDialog({ repoId, local, remote }, repositories = []) {
+  const dialog = document.getElementById('conflict-dialog');
+  if (!dialog) return Promise.resolve(local);
+
+  setupDialog();
+  currentConflict = { local, remote };
+
+  const repo = repositories.find(r => r.id === repoId);
+  document.getElementById('conflict-repo').textContent = repo ? repo.full_name : `Repository #${repoId}`;
+  document.getElementById('conflict-local').innerHTML = sanitizeHTML(local);
+  document.getElementById('conflict-remote').innerHTML = sanitizeHTML(remote);
+  document.getElementById('conflict-merged').value = `${local.trim()}\n\n${remote.trim()}`;
+
+  previousFocus = document.activeElement;
+  dialog.classList.remove('hidden');
+  document.getElementById('conflict-keep-local')?.focus();
+
+  return new Promise(resolve => {
+    resolveDialog = resolve;
+  });
+}
+
+/**
+ * Close the dialog and resolve the pending promise
+ * @param {string} notes - Notes to keep
+ */
+function closeDialog(notes) {
+  document.getElementById('conflict-dialog')?.classList.add('hidden');
+  previousFocus?.focus();
+
+  if (resolveDialog) {
+    resolveDialog(notes);
+    resolveDialog = null;
+    currentConflict = null;
+  }
+}
+
+/**
+ * Setup the dialog buttons once
+ * There is no cancel: the sync needs an answer before the notes can be saved.
+ */
+function setupDialog() {
+  const dialog = document.getElementById('conflict-dialog');
+  if (dialog.dataset.initialized) return;
+  dialog.dataset.initialized = 'true';
+
+  document.getElementById('conflict-keep-local')?.addEventListener('click', () => {
+    closeDialog(currentConflict.local);
+  });
+
+  document.getElementById('conflict-keep-remote')?.addEventListener('click', () => {
+    closeDialog(currentConflict.remote);
+  });
+
+  document.getElementById('conflict-save-merged')?.addEventListener('click', () => {
+    closeDialog(document.getElementById('conflict-merged').value);
+  });
+}
@@ -0,0 +1,299 @@
+/**
+ * Statistics Dashboard
+ * Charts of the repositories matching the current filters: languages, stars
+ * added per month, top topics, custom tags and owners, and how many
+ * repositories have tags or notes. Everything is computed and drawn in the
+ * browser from the loaded data, and redrawn whenever the filters change.
+ * Clicking a language, topic or tag adds it to the filters.
+ *
+ * URL: ?view=stats (see views.js)
+ */
+
+import { getFilteredRepositories, clearFilters } from './filters.js';
+import { formatNumber } from '../services/storage.js';
+import { registerView, showView, getCurrentView } from './views.js';
+import { sanitizeHTML } from './components.js';
+import { computeStatistics } from '../utils/statistics.js';
+
+// Name of the dashboard view (see views.js)
+const VIEW_NAME = 'stats';
+
+// Entries shown in each ranking
+const RANKING_SIZE = 10;
+
+// Height of the stars per month chart (SVG units; each month is one unit wide)
+const CHART_HEIGHT = 40;
+
+// Events adding a ranking entry to the filters, by ranking
+const FILTER_EVENTS = {
+  language: (value) => new CustomEvent('filterByLanguage', { detail: { language: value } }),
+  topic: (value) => new CustomEvent('filterByTopic', { detail: { topic: value } }),
+  tag: (value) => new CustomEvent('filterByCustomTag', { detail: { customTag: value } })
+};
+
+/**
+ * Setup the statistics dashboard view
+ */
+export function initDashboard() {
+  registerView(VIEW_NAME, {
+    sectionId: 'stats-view',
+    buttonId: 'show-stats',
+    onShow: () => renderDashboard()
+  });
+
+  document.getElementById('stats-view')?.addEventListener('click', handleClick);
+
+  // New results, and tags or notes edited on a card
+  ['filtersApplied', 'customDataChanged', 'customTagRenamed'].forEach(name => {
+    window.addEventListener(name, () => refreshDashboard());
+  });
+}
+
+/**
+ * Redraw the dashboard if it is shown (e.g. after tags or notes changed in another tab)
+ */
+export function refreshDashboard() {
+  if (getCurrentView() === VIEW_NAME) renderDashboard();
+}
+
+/**
+ * Render the dashboard from the repositories matching the filters
+ */
+function renderDashboard() {
+  const container = document.getElementById('stats-view');
+  if (!container) return;
+
+  const stats = computeStatistics(getFilteredRepositories());
+  const { annotated } = stats;
+  const percentAnnotated = stats.total > 0 ? Math.round(((stats.total - annotated.neither) / stats.total) * 100) : 0;
+  const buttonClasses = 'px-3 py-1.5 text-sm font-medium text-gray-700 dark:text-gray-300 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg hover:bg-gray-50 dark:hover:bg-gray-600 transition-colors';
+
+  container.innerHTML = `
+    <div class="flex flex-col sm:flex-row sm:items-end justify-between gap-4 mb-6">
+      <div>
+        <h2 class="text-xl font-semibold text-gray-900 dark:text-white">Statistics</h2>
+        <p class="text-sm text-gray-600 dark:text-gray-400">
+          ${formatCount(stats.total)} matching your filters. Click a language, topic or tag to narrow them down.
+        </p>
+      </div>
+      <div class="flex gap-2 shrink-0">
+        <button data-stats-edit-filters class="${buttonClasses}">Edit filters</button>
+        <button data-stats-clear-filters class="${buttonClasses}">Clear filters</button>
+      </div>
+    </div>
+    ${stats.total === 0 ? `
+      <div class="empty-state">
+        <h3 class="text-xl font-semibold mb-2">No repositories match</h3>
+        <p class="text-gray-500 dark:text-gray-400 max-w-md">Clear or change the filters to see statistics.</p>
+      </div>
+    ` : `
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+        ${renderTile('Repositories', formatNumber(stats.total))}
+        ${renderTile('Annotated', `${percentAnnotated}%`, 'Have custom tags or notes')}
+        ${renderTile('Languages', stats.languages.filter(entry => entry.name !== 'Unknown').length)}
+        ${renderTile('Topics', stats.topics.length)}
+      </div>
+      <div class="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        ${renderPanel('Stars added per month', renderMonths(stats.months), 'lg:col-span-2')}
+        ${renderPanel('Languages', renderRanking(stats.languages, 'language'))}
+        ${renderPanel('Annotated', renderAnnotated(annotated, stats.total))}
+        ${renderPanel('Top topics', renderRanking(stats.topics, 'topic'))}
+        ${renderPanel('Custom tags', renderRanking(stats.tags, 'tag'))}
+        ${renderPanel('Top owners', renderRanking(stats.owners, 'owner'))}
+      </div>
+    `}
+  `;
+}
+
+/**
+ * Render a summary figure
+ * @param {string} label - What is counted
+ * @param {string|number} value - Figure
+ * @param {string} hint - Optional explanation (shown on hover)
+ * @returns {string} Tile HTML
+ */
+function renderTile(label, value, hint = '') {
+  return `
+    <div class="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4" ${hint ? `title="${hint}"` : ''}>
+      <p class="text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400">${label}</p>
+      <p class="mt-1 text-2xl font-semibold text-gray-900 dark:text-white">${value}</p>
+    </div>
+  `;
+}
+
+/**
+ * Render a chart panel
+ * @param {string} title - Panel title
+ * @param {string} body - Chart HTML
+ * @param {string} classes - Extra classes (e.g. to span both columns)
+ * @returns {string} Panel HTML
+ */
+function renderPanel(title, body, classes = '') {
+  return `
+    <section class="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-5 ${classes}">
+      <h3 class="text-sm font-semibold text-gray-900 dark:text-white mb-4">${title}</h3>
+      ${body}
+    </section>
+  `;
+}
+
+/**
+ * Render a ranking as horizontal bars (the longest bar is the most frequent entry)
+ * Languages, topics and tags can be clicked to filter by them.
+ * @param {Array<Object>} ranking - [{ name, count }] from computeStatistics
+ * @param {string} type - 'language', 'topic', 'tag' or 'owner'
+ * @returns {string} Ranking HTML
+ */
+function renderRanking(ranking, type) {
+  if (ranking.length === 0) {
+    return `<p class="text-sm text-gray-500 dark:text-gray-400">None${type === 'tag' ? ' yet. Add custom tags to repositories to see how they are distributed.' : '.'}</p>`;
+  }
+
+  const top = ranking.slice(0, RANKING_SIZE);
+  const max = top[0].count;
+  const rest = ranking.length - top.length;
+
+  return `
+    <ol class="space-y-2">
+      ${top.map(entry => {
+        const name = sanitizeHTML(entry.name);
+        const clickable = FILTER_EVENTS[type] && !(type === 'language' && entry.name === 'Unknown');
+        const content = `
+          <span class="flex items-center justify-between gap-2 text-sm">
+            <span class="flex items-center gap-2 min-w-0">
+              ${entry.avatar_url ? `<img src="${entry.avatar_url}" alt="" class="w-5 h-5 rounded-full shrink-0" loading="lazy">` : ''}
+              <span class="truncate text-gray-800 dark:text-gray-200 ${clickable ? 'group-hover:text-primary' : ''}">${name}</span>
+            </span>
+            <span class="shrink-0 text-xs text-gray-500 dark:text-gray-400">${entry.count}</span>
+          </span>
+          <span class="block h-2 mt-1 rounded-full bg-gray-100 dark:bg-gray-700">
+            <span class="block h-2 rounded-full bg-primary" style="width: ${Math.max(2, (entry.count / max) * 100)}%"></span>
+          </span>
+        `;
+
+        return `
+          <li>
+            ${clickable ? `
+              <button class="group w-full text-left rounded focus:outline-none focus:ring-2 focus:ring-primary" data-stats-filter="${type}" data-stats-value="${name}" title="Filter by ${name}">
+                ${content}
+              </button>
+            ` : `<div>${content}</div>`}
+          </li>
+        `;
+      }).join('')}
+    </ol>
+    ${rest > 0 ? `<p class="mt-3 text-xs text-gray-500 dark:text-gray-400">and ${rest} more</p>` : ''}
+  `;
+}
+
+/**
+ * Render the stars added per month as a column chart
+ * @param {Array<Object>} months - [{ month, count }] from computeStatistics
+ * @returns {string} Chart HTML
+ */
+function renderMonths(months) {
+  if (months.length === 0) {
+    return '<p class="text-sm text-gray-500 dark:text-gray-400">No star dates recorded.</p>';
+  }
+
+  const max = Math.max(...months.map(entry => entry.count));
+  const busiest = months.find(entry => entry.count === max);
+
+  return `
+    <svg viewBox="0 0 ${months.length} ${CHART_HEIGHT}" preserveAspectRatio="none" class="w-full h-40" role="img"
+      aria-label="Stars added per month, ${formatMonth(months[0].month)} to ${formatMonth(months[months.length - 1].month)}; most in ${formatMonth(busiest.month)} (${max})">
+      ${months.map((entry, index) => {
+        const height = max > 0 ? (entry.count / max) * CHART_HEIGHT : 0;
+        return `
+          <rect x="${index + 0.1}" y="${CHART_HEIGHT - height}" width="0.8" height="${height}" class="fill-primary">
+            <title>${formatMonth(entry.month)}: ${entry.count} ${entry.count === 1 ? 'star' : 'stars'}</title>
+          </rect>
+        `;
+      }).join('')}
+    </svg>
+    <div class="mt-2 flex justify-between text-xs text-gray-500 dark:text-gray-400">
+      <span>${formatMonth(months[0].month)}</span>
+      <span>Busiest: ${formatMonth(busiest.month)} (${max})</span>
+      <span>${formatMonth(months[months.length - 1].month)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render the share of repositories with tags and/or notes as a stacked bar
+ * @param {Object} annotated - tagged, withNotes, both and neither counts
+ * @param {number} total - Number of repositories
+ * @returns {string} Chart HTML
+ */
+function renderAnnotated(annotated, total) {
+  const parts = [
+    { label: 'Tags and notes', count: annotated.both, classes: 'bg-primary' },
+    { label: 'Tags only', count: annotated.tagged - annotated.both, classes: 'bg-indigo-300 dark:bg-indigo-500' },
+    { label: 'Notes only', count: annotated.withNotes - annotated.both, classes: 'bg-amber-300 dark:bg-amber-500' },
+    { label: 'Neither', count: annotated.neither, classes: 'bg-gray-200 dark:bg-gray-700' }
+  ];
+
+  return `
+    <div class="flex h-4 rounded-full overflow-hidden" role="img" aria-label="${parts.map(part => `${part.label}: ${part.count}`).join(', ')}">
+      ${parts.filter(part => part.count > 0).map(part =>
+        `<span class="${part.classes}" style="width: ${(part.count / total) * 100}%" title="${part.label}: ${part.count}"></span>`
+      ).join('')}
+    </div>
+    <ul class="mt-4 space-y-2 text-sm">
+      ${parts.map(part => `
+        <li class="flex items-center justify-between gap-2">
+          <span class="flex items-center gap-2 text-gray-800 dark:text-gray-200">
+            <span class="w-3 h-3 rounded-sm ${part.classes}" aria-hidden="true"></span>
+            ${part.label}
+          </span>
+          <span class="text-xs text-gray-500 dark:text-gray-400">${part.count} (${Math.round((part.count / total) * 100)}%)</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Handle the filter buttons and clicks on ranking entries
+ * @param {MouseEvent} e - Click event
+ */
+function handleClick(e) {
+  if (e.target.closest('[data-stats-edit-filters]')) {
+    showView('stars');
+    document.getElementById('search-input')?.focus();
+    return;
+  }
+
+  if (e.target.closest('[data-stats-clear-filters]')) {
+    clearFilters();
+    return;
+  }
+
+  const entry = e.target.closest('[data-stats-filter]');
+  if (!entry) return;
+
+  const { statsFilter: type, statsValue: value } = entry.dataset;
+  window.dispatchEvent(FILTER_EVENTS[type](value));
+
+  // The dashboard was redrawn for the narrowed results; keep the focus on the entry if it is still listed
+  document.querySelector(`#stats-view [data-stats-filter="${type}"][data-stats-value="${CSS.escape(value)}"]`)?.focus();
+}
+
+/**
+ * Format a month for display
+ * @param {string} month - 'YYYY-MM'
+ * @returns {string} e.g. "Mar 2024"
+ */
+function formatMonth(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return new Date(Date.UTC(year, monthNumber - 1)).toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Format a number of repositories
+ * @param {number} count - Number of repositories
+ * @returns {string} e.g. "3 repositories"
+ */
+function formatCount(count) {
+  return `${count} ${count === 1 ? 'repository' : 'repositories'}`;
+}
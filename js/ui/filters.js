@@ -3,35 +3,93 @@
  * Handles filtering, searching, and sorting of repositories
  */
 
-import { CONFIG, SORT_OPTIONS } from '../utils/constants.js';
+import { CONFIG, SORT_OPTIONS, STATUS_FILTERS, NO_LICENSE } from '../utils/constants.js';
 import { updateActiveFilters, setEmptyState } from './components.js';
-import { renderRepositories } from './cards.js';
-
-// Current filter state
-let currentFilters = {
-  search: '',
-  language: '',
-  topics: [],
-  customTags: [],
-  sort: SORT_OPTIONS.STARS_DESC
+import { renderRepositories, clearCardCache, updateCardCustomData } from './cards.js';
+import { buildSearchIndex, updateSearchDocument, searchRepositories, findExactMatches, tokenize } from '../services/searchIndex.js';
+import { parseQuery, createEmptyQueryFilters } from '../utils/queryParser.js';
+import { normalizeTag, tagMatches, renameTagPath } from '../utils/tags.js';
+import { getRepoHealth } from '../utils/health.js';
+
+/**
+ * Create the default (unfiltered) filter state
+ * @returns {Object} Filter state
+ */
+function createDefaultFilters() {
+  return {
+    search: '',
+    language: '',
+    stargazer: '',
+    // ID of a GitHub star list
+    starList: '',
+    license: '',
+    topics: [],
+    customTags: [],
+    exclude: {
+      languages: [],
+      topics: [],
+      customTags: [],
+      stargazers: []
+    },
+    stars: { min: null, max: null },
+    starred: { from: null, to: null },
+    updated: { from: null, to: null },
+    status: STATUS_FILTERS.ACTIVE,
+    // GitHub's own archived flag (read-only upstream), unrelated to the unstarred archive
+    hideArchived: false,
+    hideForks: false,
+    hasHomepage: false,
+    sort: SORT_OPTIONS.STARS_DESC
+  };
+}
+
+// Toggle filters and the IDs of their buttons
+const METADATA_TOGGLES = {
+  hideArchived: 'hide-archived-toggle',
+  hideForks: 'hide-forks-toggle',
+  hasHomepage: 'homepage-toggle'
 };
 
+// Current filter state (search holds the raw query typed in the search box)
+let currentFilters = createDefaultFilters();
+
+// Filters parsed from the qualifiers in the search query
+let queryFilters = createEmptyQueryFilters();
+
 // All repositories (source of truth)
 let allRepositories = [];
 
+// GitHub star lists of the loaded data (id, name, owner, repositoryIds)
+let starLists = [];
+
+// Repositories matching the current filters, in display order
+let filteredRepositories = [];
+
 /**
  * Initialize filters
  * @param {Array} repositories - Array of all repositories
+ * @param {Array} lists - GitHub star lists from stars.json
  */
-export function initFilters(repositories) {
+export function initFilters(repositories, lists = []) {
   allRepositories = repositories;
+  setStarLists(lists);
+  buildSearchIndex(allRepositories);
 
   setupSearchInput();
   setupLanguageFilter();
+  setupStargazerFilter();
+  setupLicenseFilter();
+  setupMetadataToggles();
+  setupStatusFilter();
   setupSortSelect();
   setupFilterRemoval();
+  setupLanguageFiltering();
   setupTopicFiltering();
   setupCustomTagFiltering();
+  setupCustomTagRenames();
+  setupStargazerFiltering();
+  setupStarListFiltering();
+  setupSearchIndexUpdates();
 
   // Initial render
   applyFilters();
@@ -49,12 +107,85 @@ function setupSearchInput() {
   searchInput.addEventListener('input', (e) => {
     clearTimeout(timeout);
     timeout = setTimeout(() => {
-      currentFilters.search = e.target.value.toLowerCase().trim();
+      setSearchQuery(e.target.value);
       applyFilters();
     }, CONFIG.SEARCH_DEBOUNCE_MS);
   });
 }
 
+/**
+ * Parse the search query into filters and show any syntax errors inline
+ * @param {string} query - Raw search box input
+ */
+function setSearchQuery(query) {
+  currentFilters.search = query.trim();
+
+  const { filters, errors } = parseQuery(currentFilters.search);
+  queryFilters = filters;
+
+  const searchInput = document.getElementById('search-input');
+  const errorElement = document.getElementById('search-error');
+
+  searchInput?.classList.toggle('border-red-500', errors.length > 0);
+  searchInput?.setAttribute('aria-invalid', String(errors.length > 0));
+
+  if (errorElement) {
+    errorElement.textContent = errors.map(error => `${error.term}: ${error.message}`).join(' · ');
+    errorElement.classList.toggle('hidden', errors.length === 0);
+  }
+}
+
+/**
+ * Combine the filters set through the UI with those parsed from the query
+ * @returns {Object} Effective filters (languages holds every required language)
+ */
+function getEffectiveFilters() {
+  const unique = (values) => [...new Set(values)];
+  const intersect = (a, b, low, high) => ({
+    [low]: a[low] === null ? b[low] : b[low] === null ? a[low] : Math.max(a[low], b[low]),
+    [high]: a[high] === null ? b[high] : b[high] === null ? a[high] : Math.min(a[high], b[high])
+  });
+
+  return {
+    search: queryFilters.search,
+    languages: [currentFilters.language, queryFilters.language].filter(Boolean),
+    topics: unique([...currentFilters.topics, ...queryFilters.topics]),
+    customTags: unique([...currentFilters.customTags, ...queryFilters.customTags].map(normalizeTag).filter(Boolean)),
+    stargazers: unique([currentFilters.stargazer.toLowerCase(), ...queryFilters.stargazers].filter(Boolean)),
+    exclude: {
+      languages: unique([...currentFilters.exclude.languages, ...queryFilters.exclude.languages]),
+      topics: unique([...currentFilters.exclude.topics, ...queryFilters.exclude.topics]),
+      customTags: unique([...currentFilters.exclude.customTags, ...queryFilters.exclude.customTags].map(normalizeTag).filter(Boolean)),
+      stargazers: unique([...currentFilters.exclude.stargazers, ...queryFilters.exclude.stargazers]),
+      text: queryFilters.exclude.text
+    },
+    stars: intersect(currentFilters.stars, queryFilters.stars, 'min', 'max'),
+    starred: intersect(currentFilters.starred, queryFilters.starred, 'from', 'to'),
+    updated: intersect(currentFilters.updated, queryFilters.updated, 'from', 'to'),
+    starList: currentFilters.starList,
+    license: currentFilters.license,
+    hideArchived: currentFilters.hideArchived,
+    hideForks: currentFilters.hideForks,
+    hasHomepage: currentFilters.hasHomepage,
+    status: currentFilters.status,
+    sort: currentFilters.sort
+  };
+}
+
+/**
+ * Check whether a date falls inside an inclusive range
+ * @param {string} dateString - ISO date string
+ * @param {Object} range - { from, to } timestamps, null for open ends
+ * @returns {boolean} True if inside the range (repos without the date never match a set range)
+ */
+function isInDateRange(dateString, range) {
+  if (range.from === null && range.to === null) return true;
+  if (!dateString) return false;
+
+  const time = new Date(dateString).getTime();
+  return (range.from === null || time >= range.from) && (range.to === null || time <= range.to);
+}
+
 /**
  * Setup language filter dropdown
  */
@@ -62,7 +193,25 @@ function setupLanguageFilter() {
   const languageFilter = document.getElementById('language-filter');
   if (!languageFilter) return;
 
-  // Populate language options
+  populateLanguageOptions();
+
+  // Handle selection
+  languageFilter.addEventListener('change', (e) => {
+    currentFilters.language = e.target.value;
+    applyFilters();
+  });
+}
+
+/**
+ * Populate the language dropdown from the current repositories
+ */
+function populateLanguageOptions() {
+  const languageFilter = document.getElementById('language-filter');
+  if (!languageFilter) return;
+
+  // Keep the "All Languages" option, drop previously added ones
+  languageFilter.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
   const languages = new Set();
   allRepositories.forEach(repo => {
     if (repo.language && repo.language !== 'Unknown') {
@@ -78,9 +227,154 @@ function setupLanguageFilter() {
     languageFilter.appendChild(option);
   });
 
-  // Handle selection
-  languageFilter.addEventListener('change', (e) => {
-    currentFilters.language = e.target.value;
+  languageFilter.value = currentFilters.language;
+}
+
+/**
+ * Setup the "starred by" dropdown (team view only)
+ */
+function setupStargazerFilter() {
+  const stargazerFilter = document.getElementById('stargazer-filter');
+  if (!stargazerFilter) return;
+
+  populateStargazerOptions();
+
+  stargazerFilter.addEventListener('change', (e) => {
+    currentFilters.stargazer = e.target.value;
+    applyFilters();
+  });
+}
+
+/**
+ * Populate the "starred by" dropdown with the team members found in the
+ * current repositories; hidden (and reset) when not in the team view
+ */
+function populateStargazerOptions() {
+  const stargazerFilter = document.getElementById('stargazer-filter');
+  if (!stargazerFilter) return;
+
+  stargazerFilter.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+
+  const logins = getStargazerLogins(allRepositories);
+
+  [...logins].sort((a, b) => a.localeCompare(b)).forEach(login => {
+    const option = document.createElement('option');
+    option.value = login;
+    option.textContent = `@${login}`;
+    stargazerFilter.appendChild(option);
+  });
+
+  if (!logins.has(currentFilters.stargazer)) {
+    currentFilters.stargazer = '';
+  }
+  stargazerFilter.value = currentFilters.stargazer;
+  stargazerFilter.classList.toggle('hidden', logins.size === 0);
+}
+
+/**
+ * Logins of the team members who starred any of the repositories
+ * @param {Array} repositories - Repositories (with stargazers in the team view)
+ * @returns {Set<string>} Logins; empty when not in the team view
+ */
+function getStargazerLogins(repositories) {
+  const logins = new Set();
+  repositories.forEach(repo => {
+    repo.stargazers?.forEach(stargazer => logins.add(stargazer.login));
+  });
+  return logins;
+}
+
+/**
+ * Setup license filter dropdown
+ */
+function setupLicenseFilter() {
+  const licenseFilter = document.getElementById('license-filter');
+  if (!licenseFilter) return;
+
+  populateLicenseOptions();
+
+  licenseFilter.addEventListener('change', (e) => {
+    currentFilters.license = e.target.value;
+    applyFilters();
+  });
+}
+
+/**
+ * Populate the license dropdown from the current repositories; hidden
+ * (and reset) when the data was synced before licenses were recorded
+ */
+function populateLicenseOptions() {
+  const licenseFilter = document.getElementById('license-filter');
+  if (!licenseFilter) return;
+
+  // Keep the "Any License" and "No license" options
+  licenseFilter.querySelectorAll(`option:not([value=""]):not([value="${NO_LICENSE}"])`).forEach(option => option.remove());
+
+  const licenses = getLicenses(allRepositories);
+
+  [...licenses].sort((a, b) => a.localeCompare(b)).forEach(license => {
+    const option = document.createElement('option');
+    option.value = license;
+    option.textContent = license;
+    licenseFilter.appendChild(option);
+  });
+
+  const hasLicenseData = allRepositories.some(repo => 'license' in repo);
+  if (!hasLicenseData) {
+    currentFilters.license = '';
+  }
+  licenseFilter.value = currentFilters.license;
+  licenseFilter.classList.toggle('hidden', !hasLicenseData);
+}
+
+/**
+ * Licenses of the repositories
+ * @param {Array} repositories - Repositories
+ * @returns {Set<string>} License names (without "no license")
+ */
+function getLicenses(repositories) {
+  const licenses = new Set();
+  repositories.forEach(repo => {
+    if (repo.license) licenses.add(repo.license);
+  });
+  return licenses;
+}
+
+/**
+ * Setup the "Hide archived on GitHub", "Hide forks" and "Has homepage" toggle buttons
+ */
+function setupMetadataToggles() {
+  Object.entries(METADATA_TOGGLES).forEach(([key, id]) => {
+    const button = document.getElementById(id);
+    if (!button) return;
+
+    button.addEventListener('click', () => {
+      currentFilters[key] = !currentFilters[key];
+      applyFilters();
+    });
+  });
+}
+
+/**
+ * Reflect the toggle filters on their buttons
+ */
+function updateMetadataToggles() {
+  Object.entries(METADATA_TOGGLES).forEach(([key, id]) => {
+    document.getElementById(id)?.setAttribute('aria-pressed', String(currentFilters[key]));
+  });
+}
+
+/**
+ * Setup starred/archived status dropdown
+ */
+function setupStatusFilter() {
+  const statusFilter = document.getElementById('status-filter');
+  if (!statusFilter) return;
+
+  statusFilter.value = currentFilters.status;
+
+  statusFilter.addEventListener('change', (e) => {
+    currentFilters.status = e.target.value;
     applyFilters();
   });
 }
@@ -107,7 +401,7 @@ function setupFilterRemoval() {
 
     switch (type) {
       case 'search':
-        currentFilters.search = '';
+        setSearchQuery('');
         const searchInput = document.getElementById('search-input');
         if (searchInput) searchInput.value = '';
         break;
@@ -118,6 +412,34 @@ function setupFilterRemoval() {
         if (languageFilter) languageFilter.value = '';
         break;
 
+      case 'stargazer':
+        currentFilters.stargazer = '';
+        const stargazerFilter = document.getElementById('stargazer-filter');
+        if (stargazerFilter) stargazerFilter.value = '';
+        break;
+
+      case 'starList':
+        currentFilters.starList = '';
+        break;
+
+      case 'license':
+        currentFilters.license = '';
+        const licenseFilter = document.getElementById('license-filter');
+        if (licenseFilter) licenseFilter.value = '';
+        break;
+
+      case 'hideArchived':
+      case 'hideForks':
+      case 'hasHomepage':
+        currentFilters[type] = false;
+        break;
+
+      case 'status':
+        currentFilters.status = STATUS_FILTERS.ACTIVE;
+        const statusFilter = document.getElementById('status-filter');
+        if (statusFilter) statusFilter.value = STATUS_FILTERS.ACTIVE;
+        break;
+
       case 'topic':
         currentFilters.topics = currentFilters.topics.filter(t => t !== value);
         break;
@@ -131,6 +453,21 @@ function setupFilterRemoval() {
   });
 }
 
+/**
+ * Setup language filtering from clicks elsewhere (e.g. the statistics dashboard)
+ */
+function setupLanguageFiltering() {
+  window.addEventListener('filterByLanguage', (e) => {
+    const { language } = e.detail;
+    if (currentFilters.language === language) return;
+
+    currentFilters.language = language;
+    const languageFilter = document.getElementById('language-filter');
+    if (languageFilter) languageFilter.value = language;
+    applyFilters();
+  });
+}
+
 /**
  * Setup topic filtering from badge clicks
  */
@@ -159,71 +496,244 @@ function setupCustomTagFiltering() {
   });
 }
 
+/**
+ * Keep tag filters pointing at renamed or moved tags
+ * The repositories' new tags arrive through patchCustomData, which re-applies the filters.
+ */
+function setupCustomTagRenames() {
+  window.addEventListener('customTagRenamed', (e) => {
+    const { from, to } = e.detail;
+    const rename = (tags) => [...new Set(tags.map(tag => renameTagPath(normalizeTag(tag), from, to)))];
+
+    currentFilters.customTags = rename(currentFilters.customTags);
+    currentFilters.exclude.customTags = rename(currentFilters.exclude.customTags);
+  });
+}
+
+/**
+ * Setup "starred by" filtering from clicks on a card's stargazers
+ */
+function setupStargazerFiltering() {
+  window.addEventListener('filterByStargazer', (e) => {
+    const { login } = e.detail;
+    if (currentFilters.stargazer === login) return;
+
+    currentFilters.stargazer = login;
+    const stargazerFilter = document.getElementById('stargazer-filter');
+    if (stargazerFilter) stargazerFilter.value = login;
+    applyFilters();
+  });
+}
+
+/**
+ * Setup star list filtering from the GitHub Lists sidebar
+ */
+function setupStarListFiltering() {
+  window.addEventListener('filterByStarList', (e) => {
+    const { listId } = e.detail;
+    if (currentFilters.starList === listId) return;
+
+    currentFilters.starList = listId;
+    applyFilters();
+  });
+}
+
+/**
+ * Use the star lists of newly loaded data; a filter on a list that is gone is dropped
+ * @param {Array} lists - GitHub star lists from stars.json
+ */
+function setStarLists(lists) {
+  starLists = lists;
+  if (!starLists.some(list => list.id === currentFilters.starList)) {
+    currentFilters.starList = '';
+  }
+}
+
+/**
+ * Keep the search index in sync with tag and note edits
+ */
+function setupSearchIndexUpdates() {
+  window.addEventListener('customDataChanged', (e) => {
+    const repo = allRepositories.find(r => r.id === e.detail.repoId);
+    if (repo) {
+      updateSearchDocument(repo);
+    }
+  });
+}
+
 /**
  * Apply all active filters and render results
  */
 function applyFilters() {
+  const filters = getEffectiveFilters();
   let filtered = [...allRepositories];
+  let relevance = null;
+  let highlightTerms = null;
+
+  // Apply starred/archived status filter
+  if (filters.status === STATUS_FILTERS.ACTIVE) {
+    filtered = filtered.filter(repo => !repo.unstarred_at);
+  } else if (filters.status === STATUS_FILTERS.ARCHIVED) {
+    filtered = filtered.filter(repo => repo.unstarred_at);
+  }
+
+  // Apply star list filter
+  if (filters.starList) {
+    const members = new Set(starLists.find(list => list.id === filters.starList)?.repositoryIds || []);
+    filtered = filtered.filter(repo => members.has(repo.id));
+  }
 
-  // Apply search filter
-  if (currentFilters.search) {
+  // Apply GitHub metadata filters (repositories synced before it was recorded have none)
+  if (filters.license) {
     filtered = filtered.filter(repo =>
-      repo.name.toLowerCase().includes(currentFilters.search) ||
-      repo.description.toLowerCase().includes(currentFilters.search) ||
-      repo.full_name.toLowerCase().includes(currentFilters.search) ||
-      repo.owner.login.toLowerCase().includes(currentFilters.search)
+      filters.license === NO_LICENSE ? 'license' in repo && !repo.license : repo.license === filters.license
     );
   }
+  if (filters.hideArchived) {
+    filtered = filtered.filter(repo => !repo.archived);
+  }
+  if (filters.hideForks) {
+    filtered = filtered.filter(repo => !repo.fork);
+  }
+  if (filters.hasHomepage) {
+    filtered = filtered.filter(repo => Boolean(repo.homepage));
+  }
 
-  // Apply language filter
-  if (currentFilters.language) {
-    filtered = filtered.filter(repo => repo.language === currentFilters.language);
+  // Apply search filter (name, description, owner, topics, language, custom tags and notes)
+  if (tokenize(filters.search).length > 0) {
+    const results = searchRepositories(filters.search);
+    relevance = results.scores;
+    highlightTerms = results.terms;
+    filtered = filtered.filter(repo => relevance.has(repo.id));
+  }
+
+  // Apply excluded search terms (-word), matched as whole words
+  if (filters.exclude.text.length > 0) {
+    const excluded = new Set(filters.exclude.text.flatMap(text => [...findExactMatches(text)]));
+    filtered = filtered.filter(repo => !excluded.has(repo.id));
+  }
+
+  // Apply language filters (dropdown and lang: qualifier, case-insensitive)
+  if (filters.languages.length > 0) {
+    filtered = filtered.filter(repo =>
+      filters.languages.every(language =>
+        repo.language && repo.language.toLowerCase() === language.toLowerCase()
+      )
+    );
   }
 
   // Apply topic filters
-  if (currentFilters.topics.length > 0) {
+  if (filters.topics.length > 0) {
     filtered = filtered.filter(repo =>
-      currentFilters.topics.every(topic =>
+      filters.topics.every(topic =>
         repo.topics && repo.topics.includes(topic)
       )
     );
   }
 
-  // Apply custom tag filters
-  if (currentFilters.customTags.length > 0) {
+  // Apply custom tag filters (a tag also matches the tags nested below it)
+  if (filters.customTags.length > 0) {
     filtered = filtered.filter(repo =>
-      currentFilters.customTags.every(tag =>
-        repo.custom_tags && repo.custom_tags.includes(tag)
-      )
+      filters.customTags.every(tag => hasCustomTag(repo, tag))
+    );
+  }
+
+  // Apply "starred by" filters (dropdown and by: qualifier; team view only)
+  if (filters.stargazers.length > 0) {
+    filtered = filtered.filter(repo =>
+      filters.stargazers.every(login => isStarredBy(repo, login))
+    );
+  }
+
+  // Apply exclusions (-lang:, -topic:, -tag:, -by:)
+  const { exclude } = filters;
+  if (exclude.languages.length > 0 || exclude.topics.length > 0 || exclude.customTags.length > 0 || exclude.stargazers.length > 0) {
+    filtered = filtered.filter(repo =>
+      !exclude.languages.some(language =>
+        repo.language && repo.language.toLowerCase() === language.toLowerCase()
+      ) &&
+      !exclude.topics.some(topic => repo.topics && repo.topics.includes(topic)) &&
+      !exclude.customTags.some(tag => hasCustomTag(repo, tag)) &&
+      !exclude.stargazers.some(login => isStarredBy(repo, login))
     );
   }
 
+  // Apply star count range
+  if (filters.stars.min !== null || filters.stars.max !== null) {
+    filtered = filtered.filter(repo =>
+      (filters.stars.min === null || repo.stargazers_count >= filters.stars.min) &&
+      (filters.stars.max === null || repo.stargazers_count <= filters.stars.max)
+    );
+  }
+
+  // Apply date ranges
+  filtered = filtered.filter(repo =>
+    isInDateRange(repo.starred_at, filters.starred) &&
+    isInDateRange(repo.updated_at, filters.updated)
+  );
+
   // Apply sorting
-  filtered = sortRepositories(filtered, currentFilters.sort);
+  filtered = sortRepositories(filtered, filters.sort, relevance);
+  filteredRepositories = filtered;
 
   // Update UI
-  updateActiveFilters(currentFilters);
+  updateActiveFilters(currentFilters, { starLists });
+  updateMetadataToggles();
 
-  if (filtered.length === 0) {
-    setEmptyState(true);
-  } else {
-    setEmptyState(false);
-    renderRepositories(filtered);
-  }
+  // Purging only makes sense while looking at the archive
+  const purgeButton = document.getElementById('purge-archived');
+  purgeButton?.classList.toggle('hidden', currentFilters.status !== STATUS_FILTERS.ARCHIVED);
+
+  setEmptyState(filtered.length === 0);
+  renderRepositories(filtered, { highlightTerms });
+
+  // Views summarizing the results (e.g. the statistics dashboard) follow the filters
+  window.dispatchEvent(new CustomEvent('filtersApplied', {
+    detail: { count: filtered.length, total: allRepositories.length }
+  }));
 
   console.log(`Filtered: ${filtered.length} / ${allRepositories.length} repositories`);
 }
 
+/**
+ * Check whether a repository has a custom tag or one nested below it
+ * @param {Object} repo - Repository with custom_tags
+ * @param {string} tag - Tag path (e.g. "lang" matches "lang/parsers")
+ * @returns {boolean} True if a tag matches
+ */
+function hasCustomTag(repo, tag) {
+  return Boolean(repo.custom_tags?.some(repoTag => tagMatches(repoTag, tag)));
+}
+
+/**
+ * Check whether a team member starred a repository
+ * @param {Object} repo - Repository (with stargazers in the team view)
+ * @param {string} login - GitHub username (any case)
+ * @returns {boolean} True if the member currently stars it
+ */
+function isStarredBy(repo, login) {
+  return Boolean(repo.stargazers?.some(stargazer => stargazer.login.toLowerCase() === login.toLowerCase()));
+}
+
 /**
  * Sort repositories based on sort option
  * @param {Array} repos - Repositories to sort
  * @param {string} sortOption - Sort option from SORT_OPTIONS
+ * @param {Map} relevance - Search scores by repository ID (null when not searching)
  * @returns {Array} Sorted repositories
  */
-function sortRepositories(repos, sortOption) {
+function sortRepositories(repos, sortOption, relevance = null) {
   const sorted = [...repos];
 
   switch (sortOption) {
+    case SORT_OPTIONS.RELEVANCE:
+      // Without a search, relevance falls back to most stars
+      sorted.sort((a, b) =>
+        ((relevance?.get(b.id) || 0) - (relevance?.get(a.id) || 0)) ||
+        (b.stargazers_count - a.stargazers_count)
+      );
+      break;
+
     case SORT_OPTIONS.STARS_DESC:
       sorted.sort((a, b) => b.stargazers_count - a.stargazers_count);
       break;
@@ -248,6 +758,14 @@ function sortRepositories(repos, sortOption) {
       sorted.sort((a, b) => new Date(a.updated_at) - new Date(b.updated_at));
       break;
 
+    case SORT_OPTIONS.HEALTH_DESC: {
+      // Healthiest first; repositories synced without health data go last
+      const now = Date.now();
+      const scores = new Map(sorted.map(repo => [repo.id, getRepoHealth(repo, now)?.score ?? -1]));
+      sorted.sort((a, b) => scores.get(b.id) - scores.get(a.id) || b.stargazers_count - a.stargazers_count);
+      break;
+    }
+
     default:
       // Default to stars descending
       sorted.sort((a, b) => b.stargazers_count - a.stargazers_count);
@@ -256,12 +774,60 @@ function sortRepositories(repos, sortOption) {
   return sorted;
 }
 
+/**
+ * Replace the repository list (e.g. after a sync) and re-apply current filters
+ * @param {Array} repositories - Array of all repositories
+ * @param {Array} lists - GitHub star lists from stars.json
+ */
+export function setRepositories(repositories, lists = []) {
+  allRepositories = repositories;
+  setStarLists(lists);
+  buildSearchIndex(allRepositories);
+  clearCardCache();
+  populateLanguageOptions();
+  populateStargazerOptions();
+  populateLicenseOptions();
+  applyFilters();
+}
+
+/**
+ * Patch changed custom tags and notes into the repositories and their cards
+ * without re-rendering the list; filters are re-applied only if they depend
+ * on custom data (search text or tag filters)
+ * @param {Array<Object>} changes - repoId, custom_tags and notes of each changed repository
+ */
+export function patchCustomData(changes) {
+  const repositoriesById = new Map(allRepositories.map(repo => [repo.id, repo]));
+  let patched = 0;
+
+  changes.forEach(({ repoId, custom_tags, notes }) => {
+    const repo = repositoriesById.get(repoId);
+    if (!repo) return;
+
+    repo.custom_tags = custom_tags;
+    repo.notes = notes;
+    updateSearchDocument(repo);
+    updateCardCustomData(repo);
+    patched++;
+  });
+
+  if (patched === 0) return;
+
+  const filters = getEffectiveFilters();
+  if (tokenize(filters.search).length > 0 || filters.exclude.text.length > 0 || filters.customTags.length > 0 || filters.exclude.customTags.length > 0) {
+    applyFilters();
+  }
+}
+
 /**
  * Update filters programmatically
  * @param {Object} filters - Filters to update
  */
 export function updateFilters(filters) {
   currentFilters = { ...currentFilters, ...filters };
+  if ('search' in filters) {
+    setSearchQuery(filters.search);
+  }
   applyFilters();
 }
 
@@ -269,26 +835,35 @@ export function updateFilters(filters) {
  * Clear all filters
  */
 export function clearFilters() {
-  currentFilters = {
-    search: '',
-    language: '',
-    topics: [],
-    customTags: [],
-    sort: SORT_OPTIONS.STARS_DESC
-  };
+  currentFilters = createDefaultFilters();
+  setSearchQuery('');
 
   // Reset UI elements
   const searchInput = document.getElementById('search-input');
   const languageFilter = document.getElementById('language-filter');
+  const stargazerFilter = document.getElementById('stargazer-filter');
+  const licenseFilter = document.getElementById('license-filter');
+  const statusFilter = document.getElementById('status-filter');
   const sortSelect = document.getElementById('sort-select');
 
   if (searchInput) searchInput.value = '';
   if (languageFilter) languageFilter.value = '';
+  if (stargazerFilter) stargazerFilter.value = '';
+  if (licenseFilter) licenseFilter.value = '';
+  if (statusFilter) statusFilter.value = STATUS_FILTERS.ACTIVE;
   if (sortSelect) sortSelect.value = SORT_OPTIONS.STARS_DESC;
 
   applyFilters();
 }
 
+/**
+ * Get the repositories matching the current filters
+ * @returns {Array<Object>} Repositories in display order
+ */
+export function getFilteredRepositories() {
+  return filteredRepositories;
+}
+
 /**
  * Get current filter state
  * @returns {Object} Current filters
@@ -299,12 +874,15 @@ export function getFilters() {
 
 /**
  * Initialize URL-based filters (for sharing filtered views)
+ * Values naming things that are not in the loaded data are ignored.
+ * @param {Array} repositories - Array of all repositories
+ * @param {Array} lists - GitHub star lists from stars.json
  */
-export function initURLFilters() {
+export function initURLFilters(repositories, lists = []) {
   const params = new URLSearchParams(window.location.search);
 
   if (params.has('search')) {
-    currentFilters.search = params.get('search');
+    setSearchQuery(params.get('search'));
     const searchInput = document.getElementById('search-input');
     if (searchInput) searchInput.value = currentFilters.search;
   }
@@ -315,10 +893,40 @@ export function initURLFilters() {
     if (languageFilter) languageFilter.value = currentFilters.language;
   }
 
+  if (params.has('by') && getStargazerLogins(repositories).has(params.get('by'))) {
+    currentFilters.stargazer = params.get('by');
+    const stargazerFilter = document.getElementById('stargazer-filter');
+    if (stargazerFilter) stargazerFilter.value = currentFilters.stargazer;
+  }
+
+  if (params.has('list') && lists.some(list => list.id === params.get('list'))) {
+    currentFilters.starList = params.get('list');
+  }
+
+  if (params.has('license') && [NO_LICENSE, ...getLicenses(repositories)].includes(params.get('license'))) {
+    currentFilters.license = params.get('license');
+    const licenseFilter = document.getElementById('license-filter');
+    if (licenseFilter) licenseFilter.value = currentFilters.license;
+  }
+
+  if (params.has('hide')) {
+    const hidden = params.get('hide').split(',');
+    currentFilters.hideArchived = hidden.includes('archived');
+    currentFilters.hideForks = hidden.includes('forks');
+  }
+
+  if (params.has('homepage')) {
+    currentFilters.hasHomepage = true;
+  }
+
   if (params.has('topic')) {
     currentFilters.topics = params.get('topic').split(',');
   }
 
+  if (params.has('status')) {
+    currentFilters.status = params.get('status');
+  }
+
   if (params.has('sort')) {
     currentFilters.sort = params.get('sort');
     const sortSelect = document.getElementById('sort-select');
@@ -332,9 +940,22 @@ export function initURLFilters() {
 export function updateURL() {
   const params = new URLSearchParams();
 
+  // Keep the parameters of the user switcher, the collections views and the details drawer
+  const currentParams = new URLSearchParams(window.location.search);
+  ['user', 'view', 'collection', 'shared', 'repo'].forEach(name => {
+    if (currentParams.has(name)) params.set(name, currentParams.get(name));
+  });
+
   if (currentFilters.search) params.set('search', currentFilters.search);
   if (currentFilters.language) params.set('language', currentFilters.language);
+  if (currentFilters.stargazer) params.set('by', currentFilters.stargazer);
+  if (currentFilters.starList) params.set('list', currentFilters.starList);
+  if (currentFilters.license) params.set('license', currentFilters.license);
+  const hidden = [currentFilters.hideArchived && 'archived', currentFilters.hideForks && 'forks'].filter(Boolean);
+  if (hidden.length > 0) params.set('hide', hidden.join(','));
+  if (currentFilters.hasHomepage) params.set('homepage', '1');
   if (currentFilters.topics.length > 0) params.set('topic', currentFilters.topics.join(','));
+  if (currentFilters.status !== STATUS_FILTERS.ACTIVE) params.set('status', currentFilters.status);
   if (currentFilters.sort && currentFilters.sort !== SORT_OPTIONS.STARS_DESC) {
     params.set('sort', currentFilters.sort);
   }
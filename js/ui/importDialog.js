@@ -0,0 +1,192 @@
+/**
+ * Import Preview Dialog
+ * Shows what an import would change (new tags, conflicting notes)
+ * and lets the user merge, replace or skip each repository
+ */
+
+import { IMPORT_MODES } from '../utils/constants.js';
+import { sanitizeHTML } from './components.js';
+
+// Labels of the detected export formats
+const FORMAT_LABELS = {
+  localStorage: 'browser (localStorage) export',
+  supabase: 'Supabase export'
+};
+
+// Resolves the promise returned by openImportDialog
+let resolveDialog = null;
+
+// Element focused before the dialog opened
+let previousFocus = null;
+
+/**
+ * Show the import preview and wait for the user's choices
+ * @param {Array<Object>} items - Items from buildImportPreview
+ * @param {Object} options - format: detected format, repositories: repositories used to name items
+ * @returns {Promise<Object|null>} repoId -> IMPORT_MODES value, or null if cancelled
+ */
+export function openImportDialog(items, { format, repositories = [] } = {}) {
+  const dialog = document.getElementById('import-dialog');
+  if (!dialog) return Promise.resolve(null);
+
+  setupDialog();
+
+  const repositoriesById = new Map(repositories.map(repo => [repo.id, repo]));
+  const conflicts = items.filter(item => item.notes.status === 'conflict').length;
+
+  document.getElementById('import-summary').textContent =
+    `Detected a ${FORMAT_LABELS[format] || 'custom data export'}. ` +
+    `${items.length} ${items.length === 1 ? 'repository' : 'repositories'} would change` +
+    (conflicts > 0 ? `, ${conflicts} with conflicting notes.` : '.');
+
+  document.getElementById('import-list').innerHTML = items
+    .map(item => renderItem(item, repositoriesById.get(item.repoId)))
+    .join('');
+
+  previousFocus = document.activeElement;
+  dialog.classList.remove('hidden');
+  document.getElementById('import-confirm')?.focus();
+
+  return new Promise(resolve => {
+    resolveDialog = resolve;
+  });
+}
+
+/**
+ * Close the dialog and resolve the pending promise
+ * @param {Object|null} result - Chosen modes, or null if cancelled
+ */
+function closeDialog(result) {
+  document.getElementById('import-dialog')?.classList.add('hidden');
+  previousFocus?.focus();
+
+  if (resolveDialog) {
+    resolveDialog(result);
+    resolveDialog = null;
+  }
+}
+
+/**
+ * Read the mode chosen for each item
+ * @returns {Object} repoId -> IMPORT_MODES value
+ */
+function getChosenModes() {
+  const modes = {};
+  document.querySelectorAll('#import-list select[data-repo-id]').forEach(select => {
+    modes[select.dataset.repoId] = select.value;
+  });
+  return modes;
+}
+
+/**
+ * Setup the dialog buttons once
+ */
+function setupDialog() {
+  const dialog = document.getElementById('import-dialog');
+  if (dialog.dataset.initialized) return;
+  dialog.dataset.initialized = 'true';
+
+  document.getElementById('import-confirm')?.addEventListener('click', () => {
+    closeDialog(getChosenModes());
+  });
+
+  document.getElementById('import-cancel')?.addEventListener('click', () => closeDialog(null));
+
+  // Apply one mode to every item
+  dialog.querySelectorAll('[data-import-all]').forEach(button => {
+    button.addEventListener('click', () => {
+      dialog.querySelectorAll('#import-list select[data-repo-id]').forEach(select => {
+        select.value = button.dataset.importAll;
+      });
+    });
+  });
+
+  // Close on backdrop click
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDialog(null);
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !dialog.classList.contains('hidden')) {
+      closeDialog(null);
+    }
+  });
+}
+
+/**
+ * Render a list of tags as small badges
+ * @param {Array<string>} tags - Tags
+ * @param {string} prefix - '+' or '-'
+ * @param {string} classes - Badge colour classes
+ * @returns {string} Badges HTML
+ */
+function renderTagBadges(tags, prefix, classes) {
+  return tags
+    .map(tag => `<span class="inline-block px-2 py-0.5 rounded text-xs font-medium ${classes}">${prefix}${sanitizeHTML(tag)}</span>`)
+    .join(' ');
+}
+
+/**
+ * Render the notes part of an item
+ * @param {Object} notes - notes from a preview item
+ * @returns {string} Notes HTML
+ */
+function renderNotes(notes) {
+  const block = (label, text) => `
+    <div class="flex-1 min-w-0">
+      <p class="text-xs font-medium text-gray-500 dark:text-gray-400">${label}</p>
+      <p class="mt-1 p-2 max-h-32 overflow-y-auto rounded bg-gray-50 dark:bg-gray-900 text-sm whitespace-pre-wrap break-words">${sanitizeHTML(text)}</p>
+    </div>
+  `;
+
+  if (notes.status === 'new') {
+    return `<div class="mt-2">${block('New note', notes.incoming)}</div>`;
+  }
+
+  if (notes.status === 'conflict') {
+    return `
+      <div class="mt-2">
+        <p class="text-xs font-semibold text-amber-600 dark:text-amber-400">Conflicting notes</p>
+        <div class="mt-1 flex flex-col sm:flex-row gap-2">
+          ${block('Current', notes.current)}
+          ${block('In file', notes.incoming)}
+        </div>
+      </div>
+    `;
+  }
+
+  return '';
+}
+
+/**
+ * Render one preview item
+ * @param {Object} item - Item from buildImportPreview
+ * @param {Object|undefined} repo - Matching repository, if it is in stars.json
+ * @returns {string} Item HTML
+ */
+function renderItem(item, repo) {
+  const name = repo
+    ? sanitizeHTML(repo.full_name)
+    : `Repository #${item.repoId} <span class="text-xs font-normal text-gray-500 dark:text-gray-400">(not in your stars)</span>`;
+
+  const tagChanges = [
+    renderTagBadges(item.tags.added, '+', 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'),
+    renderTagBadges(item.tags.removed, '−', 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200 line-through')
+  ].filter(Boolean).join(' ');
+
+  return `
+    <li class="py-3 border-b border-gray-200 dark:border-gray-700 last:border-b-0">
+      <div class="flex items-start justify-between gap-3">
+        <p class="font-semibold text-sm text-gray-900 dark:text-white break-all">${name}</p>
+        <select data-repo-id="${item.repoId}" aria-label="Import mode for ${repo ? sanitizeHTML(repo.full_name) : `repository ${item.repoId}`}" class="shrink-0 px-2 py-1 text-sm bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary">
+          <option value="${IMPORT_MODES.MERGE}">Merge</option>
+          <option value="${IMPORT_MODES.REPLACE}">Replace</option>
+          <option value="${IMPORT_MODES.SKIP}">Skip</option>
+        </select>
+      </div>
+      ${tagChanges ? `<div class="mt-2 flex flex-wrap gap-1 items-center"><span class="text-xs text-gray-500 dark:text-gray-400 mr-1">Tags:</span>${tagChanges}</div>` : ''}
+      ${item.tags.removed.length > 0 ? '<p class="mt-1 text-xs text-gray-500 dark:text-gray-400">Struck-through tags are only removed with Replace.</p>' : ''}
+      ${renderNotes(item.notes)}
+    </li>
+  `;
+}
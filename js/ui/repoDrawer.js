@@ -0,0 +1,357 @@
+/**
+ * Repository Details Drawer
+ * Side panel with everything known about one repository: its README excerpt
+ * from the sync (rendered as sanitized Markdown), all topics, the GitHub
+ * metadata, and your tags and notes. It opens when a card is clicked and is
+ * kept in the URL (?repo=<owner/name>), so details can be linked to directly.
+ */
+
+import { formatDate, formatNumber } from '../services/storage.js';
+import { showView, getCurrentView } from './views.js';
+import { getHomepageURL, getTagColor } from './cards.js';
+import { createLanguageBadge, sanitizeHTML, getTagChipClasses, renderHealthBadge } from './components.js';
+import { getRepoHealth } from '../utils/health.js';
+import { renderMarkdown } from '../utils/markdown.js';
+
+// URL parameter holding the full name of the repository shown
+const REPO_PARAM = 'repo';
+
+// Events fired by the topic, tag, language and stargazer buttons
+const FILTER_EVENTS = {
+  topic: (value) => new CustomEvent('filterByTopic', { detail: { topic: value } }),
+  tag: (value) => new CustomEvent('filterByCustomTag', { detail: { customTag: value } }),
+  language: (value) => new CustomEvent('filterByLanguage', { detail: { language: value } }),
+  stargazer: (value) => new CustomEvent('filterByStargazer', { detail: { login: value } })
+};
+
+const SECTION_HEADING_CLASSES = 'text-xs font-medium uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2';
+
+// Repositories that can be shown (all loaded ones, whatever the filters)
+let repositories = [];
+
+// ID of the repository shown, or null while the drawer is closed
+let openRepoId = null;
+
+// Element focused before the drawer opened
+let previousFocus = null;
+
+/**
+ * Setup the drawer and open it for the repository in the URL, if any
+ * @param {Array<Object>} repos - Repositories currently loaded
+ */
+export function initRepoDrawer(repos) {
+  const drawer = document.getElementById('repo-drawer');
+  if (!drawer) return;
+
+  repositories = repos;
+
+  window.addEventListener('showRepoDetails', (e) => openRepoDrawer(e.detail.repoId));
+
+  // Tags and notes edited on the card
+  window.addEventListener('customDataChanged', (e) => {
+    if (e.detail?.repoId === openRepoId) renderDrawer();
+  });
+
+  document.getElementById('repo-drawer-close')?.addEventListener('click', closeRepoDrawer);
+  drawer.addEventListener('click', (e) => {
+    // Close on backdrop click
+    if (e.target === drawer) {
+      closeRepoDrawer();
+      return;
+    }
+
+    const filterButton = e.target.closest('[data-drawer-filter]');
+    if (filterButton) {
+      applyFilter(filterButton.dataset.drawerFilter, filterButton.dataset.drawerValue);
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !drawer.classList.contains('hidden')) {
+      closeRepoDrawer();
+    }
+  });
+
+  const fullName = new URLSearchParams(window.location.search).get(REPO_PARAM);
+  if (fullName) {
+    const repo = findByFullName(fullName);
+    if (repo) {
+      openRepoDrawer(repo.id);
+    } else {
+      setRepoParam(null);
+    }
+  }
+}
+
+/**
+ * Use newly loaded repositories (e.g. after a sync or switching user);
+ * the drawer closes if its repository is no longer there
+ * @param {Array<Object>} repos - Repositories currently loaded
+ */
+export function setDrawerRepositories(repos) {
+  repositories = repos;
+  if (openRepoId === null) return;
+
+  if (repositories.some(repo => repo.id === openRepoId)) {
+    renderDrawer();
+  } else {
+    closeRepoDrawer();
+  }
+}
+
+/**
+ * Re-render the open drawer (e.g. after tags were renamed or recoloured)
+ */
+export function refreshRepoDrawer() {
+  if (openRepoId !== null) renderDrawer();
+}
+
+/**
+ * Show the details of a repository
+ * @param {number} repoId - Repository ID
+ */
+export function openRepoDrawer(repoId) {
+  const drawer = document.getElementById('repo-drawer');
+  const repo = repositories.find(item => item.id === repoId);
+  if (!drawer || !repo) return;
+
+  if (openRepoId === null) {
+    previousFocus = document.activeElement;
+  }
+  openRepoId = repoId;
+  renderDrawer();
+  setRepoParam(repo.full_name);
+
+  drawer.classList.remove('hidden');
+  document.body.classList.add('overflow-hidden');
+  document.getElementById('repo-drawer-content').scrollTop = 0;
+  document.getElementById('repo-drawer-close')?.focus();
+}
+
+/**
+ * Close the drawer
+ */
+export function closeRepoDrawer() {
+  if (openRepoId === null) return;
+
+  openRepoId = null;
+  document.getElementById('repo-drawer')?.classList.add('hidden');
+  document.body.classList.remove('overflow-hidden');
+  setRepoParam(null);
+
+  // The card may have been re-rendered while the drawer was open
+  if (previousFocus?.isConnected) previousFocus.focus();
+  previousFocus = null;
+}
+
+/**
+ * Find a repository by its full name (case-insensitive, like GitHub)
+ * @param {string} fullName - owner/name
+ * @returns {Object|undefined} Repository
+ */
+function findByFullName(fullName) {
+  const name = fullName.toLowerCase();
+  return repositories.find(repo => repo.full_name.toLowerCase() === name);
+}
+
+/**
+ * Put the repository shown in the URL, keeping the other parameters
+ * @param {string|null} fullName - owner/name, or null to remove it
+ */
+function setRepoParam(fullName) {
+  const params = new URLSearchParams(window.location.search);
+  if (fullName) {
+    params.set(REPO_PARAM, fullName);
+  } else {
+    params.delete(REPO_PARAM);
+  }
+  const query = params.toString();
+  window.history.replaceState({}, '', query ? `${window.location.pathname}?${query}` : window.location.pathname);
+}
+
+/**
+ * Filter the repositories by a topic, tag, language or stargazer from the drawer
+ * and show the result
+ * @param {string} type - Key of FILTER_EVENTS
+ * @param {string} value - Value filtered by
+ */
+function applyFilter(type, value) {
+  if (!FILTER_EVENTS[type]) return;
+
+  closeRepoDrawer();
+  if (getCurrentView() !== 'stars') showView('stars');
+  window.dispatchEvent(FILTER_EVENTS[type](value));
+}
+
+/**
+ * Render the details of the open repository
+ */
+function renderDrawer() {
+  const repo = repositories.find(item => item.id === openRepoId);
+  if (!repo) return;
+
+  document.getElementById('repo-drawer-title').textContent = repo.full_name;
+  document.getElementById('repo-drawer-content').innerHTML = `
+    ${renderHeader(repo)}
+    ${renderMetadata(repo)}
+    ${repo.topics?.length > 0 ? `
+      <section>
+        <h3 class="${SECTION_HEADING_CLASSES}">Topics</h3>
+        <div class="flex flex-wrap gap-2">
+          ${repo.topics.map(topic => `
+            <button type="button" class="badge badge-topic" data-drawer-filter="topic" data-drawer-value="${sanitizeHTML(topic)}" title="Show repositories with this topic">${sanitizeHTML(topic)}</button>
+          `).join('')}
+        </div>
+      </section>
+    ` : ''}
+    ${repo.stargazers?.length > 0 ? `
+      <section>
+        <h3 class="${SECTION_HEADING_CLASSES}">Starred by</h3>
+        <div class="flex flex-wrap gap-2">
+          ${repo.stargazers.map(stargazer => `
+            <button
+              type="button"
+              class="inline-flex items-center gap-1 pl-0.5 pr-2 py-0.5 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full text-xs hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
+              data-drawer-filter="stargazer"
+              data-drawer-value="${sanitizeHTML(stargazer.login)}"
+              title="Starred ${formatDate(stargazer.starred_at)}"
+            >
+              <img src="https://github.com/${encodeURIComponent(stargazer.login)}.png?size=40" alt="" class="w-4 h-4 rounded-full" loading="lazy">
+              @${sanitizeHTML(stargazer.login)}
+            </button>
+          `).join('')}
+        </div>
+      </section>
+    ` : ''}
+    ${renderCustomData(repo)}
+    ${renderReadme(repo)}
+  `;
+}
+
+/**
+ * Render the owner, description and status badges
+ * @param {Object} repo - Repository
+ * @returns {string} HTML
+ */
+function renderHeader(repo) {
+  const languageBadge = createLanguageBadge(repo.language);
+
+  return `
+    <div class="flex items-start gap-4">
+      <img src="${repo.owner.avatar_url}" alt="${sanitizeHTML(repo.owner.login)}" class="w-12 h-12 rounded-full flex-shrink-0">
+      <div class="min-w-0 flex-1">
+        <a href="${repo.html_url}" target="_blank" rel="noopener noreferrer" class="text-lg font-semibold text-gray-900 dark:text-white hover:text-primary transition-colors break-words">
+          ${sanitizeHTML(repo.full_name)}
+        </a>
+        <p class="mt-1 text-sm text-gray-700 dark:text-gray-300">
+          ${repo.description ? sanitizeHTML(repo.description) : '<em class="text-gray-400">No description</em>'}
+        </p>
+        <div class="mt-3 flex flex-wrap items-center gap-2">
+          ${languageBadge ? `
+            <button type="button" data-drawer-filter="language" data-drawer-value="${sanitizeHTML(repo.language)}" title="Show repositories in ${sanitizeHTML(repo.language)}">
+              ${languageBadge.outerHTML}
+            </button>
+          ` : ''}
+          ${renderHealthBadge(getRepoHealth(repo))}
+          ${repo.archived ? '<span class="inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-md bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200">Archived on GitHub</span>' : ''}
+          ${repo.fork ? '<span class="inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300">Fork</span>' : ''}
+          ${repo.unstarred_at ? `<span class="inline-flex items-center px-2.5 py-1 text-xs font-medium rounded-md bg-amber-100 dark:bg-amber-900 text-amber-800 dark:text-amber-200">Unstarred ${formatDate(repo.unstarred_at)}</span>` : ''}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the GitHub metadata as a list of label/value pairs
+ * Fields that older syncs did not record are left out.
+ * @param {Object} repo - Repository
+ * @returns {string} HTML
+ */
+function renderMetadata(repo) {
+  const homepage = getHomepageURL(repo.homepage);
+  const health = getRepoHealth(repo);
+
+  const fields = [
+    ['Stars', formatNumber(repo.stargazers_count || 0)],
+    'forks_count' in repo && ['Forks', formatNumber(repo.forks_count)],
+    'open_issues_count' in repo && ['Open issues', formatNumber(repo.open_issues_count)],
+    'license' in repo && ['License', sanitizeHTML(repo.license || 'None')],
+    repo.default_branch && ['Default branch', `<code>${sanitizeHTML(repo.default_branch)}</code>`],
+    health && ['Health', `${health.score}/100 · ${sanitizeHTML(health.reasons.join(' · '))}`],
+    ['Created', formatDate(repo.created_at)],
+    ['Updated', formatDate(repo.updated_at)],
+    repo.pushed_at && ['Last push', formatDate(repo.pushed_at)],
+    repo.starred_at && ['Starred', formatDate(repo.starred_at)],
+    homepage && ['Homepage', `<a href="${homepage.href}" target="_blank" rel="noopener noreferrer" class="text-primary hover:underline break-all">${sanitizeHTML(homepage.host + homepage.pathname.replace(/\/$/, ''))}</a>`]
+  ].filter(Boolean);
+
+  return `
+    <section>
+      <h3 class="${SECTION_HEADING_CLASSES}">Details</h3>
+      <dl class="grid grid-cols-2 sm:grid-cols-3 gap-x-4 gap-y-3 text-sm">
+        ${fields.map(([label, value]) => `
+          <div class="min-w-0 ${label === 'Health' || label === 'Homepage' ? 'col-span-2 sm:col-span-3' : ''}">
+            <dt class="text-xs text-gray-500 dark:text-gray-400">${label}</dt>
+            <dd class="text-gray-900 dark:text-white">${value}</dd>
+          </div>
+        `).join('')}
+      </dl>
+    </section>
+  `;
+}
+
+/**
+ * Render your tags and notes
+ * @param {Object} repo - Repository with custom data merged
+ * @returns {string} HTML
+ */
+function renderCustomData(repo) {
+  const tags = repo.custom_tags || [];
+
+  return `
+    <section>
+      <h3 class="${SECTION_HEADING_CLASSES}">Your tags</h3>
+      ${tags.length > 0 ? `
+        <div class="flex flex-wrap gap-2">
+          ${tags.map(tag => `
+            <button type="button" class="${getTagChipClasses(getTagColor(tag))}" data-drawer-filter="tag" data-drawer-value="${sanitizeHTML(tag)}" title="Show repositories tagged ${sanitizeHTML(tag)}">${sanitizeHTML(tag)}</button>
+          `).join('')}
+        </div>
+      ` : '<p class="text-sm text-gray-500 dark:text-gray-400">No tags yet. Add them on the card.</p>'}
+    </section>
+    <section>
+      <h3 class="${SECTION_HEADING_CLASSES}">Your notes</h3>
+      ${repo.notes?.trim()
+        ? `<p class="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-wrap">${sanitizeHTML(repo.notes)}</p>`
+        : '<p class="text-sm text-gray-500 dark:text-gray-400">No notes yet. Add them on the card.</p>'}
+    </section>
+  `;
+}
+
+/**
+ * Render the README excerpt
+ * Relative links point to the repository's files on GitHub.
+ * @param {Object} repo - Repository
+ * @returns {string} HTML
+ */
+function renderReadme(repo) {
+  let content;
+  if (repo.readme) {
+    const baseURL = `${repo.html_url}/blob/${encodeURIComponent(repo.default_branch || 'HEAD')}/README.md`;
+    content = `<div class="markdown text-gray-700 dark:text-gray-300">${renderMarkdown(repo.readme, { baseURL })}</div>`;
+  } else {
+    // An empty excerpt means the repository has none; a missing one was not synced yet
+    content = `<p class="text-sm text-gray-500 dark:text-gray-400">${repo.readme === '' ? 'This repository has no README.' : 'No README excerpt yet; it is added by the next sync.'}</p>`;
+  }
+
+  return `
+    <section>
+      <div class="flex items-baseline justify-between gap-2">
+        <h3 class="${SECTION_HEADING_CLASSES}">README</h3>
+        <a href="${repo.html_url}#readme" target="_blank" rel="noopener noreferrer" class="text-xs text-primary hover:underline">Read it all on GitHub</a>
+      </div>
+      ${content}
+    </section>
+  `;
+}
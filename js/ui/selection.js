@@ -0,0 +1,206 @@
+/**
+ * Selection Mode
+ * Select repositories with the checkboxes on their cards (shift-click selects
+ * a range, "Select all results" everything matching the filters) and apply
+ * bulk actions to them: add or remove a tag, append to their notes, add them
+ * to a collection, or export just their tags and notes.
+ */
+
+import { updateTagsOfRepositories, appendToNotes, exportSelectedCustomData } from '../services/customData.js';
+import { getFilteredRepositories } from './filters.js';
+import { setCardSelection } from './cards.js';
+import { showToast } from './components.js';
+
+// IDs of the selected repositories
+let selectedIds = new Set();
+
+// Repository whose checkbox was clicked last (start of a shift-click range)
+let anchorId = null;
+
+// All loaded repositories by ID (selected ones may be hidden by the filters)
+let repositoriesById = new Map();
+
+// Called with the changed repository IDs after a bulk edit
+let onCustomDataChanged = () => {};
+
+/**
+ * Setup selection mode and the bulk action bar
+ * @param {Array<Object>} repositories - Repositories currently loaded
+ * @param {Object} options - onCustomDataChanged: called with the IDs of repositories
+ *   whose tags or notes were changed by a bulk action
+ */
+export function initSelection(repositories, { onCustomDataChanged: onChange } = {}) {
+  setSelectionRepositories(repositories);
+  if (onChange) onCustomDataChanged = onChange;
+
+  document.getElementById('selection-toggle')?.addEventListener('click', () => {
+    setSelectionMode(!isSelectionMode());
+  });
+  document.getElementById('bulk-done')?.addEventListener('click', () => setSelectionMode(false));
+  document.getElementById('bulk-clear')?.addEventListener('click', () => setSelected(new Set()));
+  document.getElementById('bulk-select-all')?.addEventListener('click', () => {
+    setSelected(new Set([...selectedIds, ...getFilteredRepositories().map(repo => repo.id)]));
+  });
+
+  window.addEventListener('toggleRepoSelection', (e) => toggleRepository(e.detail));
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && isSelectionMode() && !e.target.closest('input, textarea, select')) {
+      setSelectionMode(false);
+    }
+  });
+
+  setupBulkActions();
+}
+
+/**
+ * Use newly loaded repositories (e.g. after a sync or switching user)
+ * Selected repositories that are no longer loaded are dropped.
+ * @param {Array<Object>} repositories - Repositories currently loaded
+ */
+export function setSelectionRepositories(repositories) {
+  repositoriesById = new Map(repositories.map(repo => [repo.id, repo]));
+  setSelected(new Set([...selectedIds].filter(id => repositoriesById.has(id))));
+}
+
+/**
+ * Check whether selection mode is on
+ * @returns {boolean} True while selecting
+ */
+function isSelectionMode() {
+  return document.getElementById('selection-toggle')?.getAttribute('aria-pressed') === 'true';
+}
+
+/**
+ * Turn selection mode on or off (turning it off clears the selection)
+ * @param {boolean} enabled - Whether to select
+ */
+function setSelectionMode(enabled) {
+  document.getElementById('selection-toggle')?.setAttribute('aria-pressed', String(enabled));
+  document.getElementById('repos-container')?.classList.toggle('selecting', enabled);
+  document.getElementById('bulk-bar')?.classList.toggle('hidden', !enabled);
+
+  if (!enabled) {
+    anchorId = null;
+    setSelected(new Set());
+  }
+}
+
+/**
+ * Replace the selection and update the cards and the bulk action bar
+ * @param {Set<number>} ids - IDs of the selected repositories
+ */
+function setSelected(ids) {
+  selectedIds = ids;
+  setCardSelection(selectedIds);
+
+  const count = document.getElementById('bulk-count');
+  if (count) count.textContent = `${selectedIds.size} selected`;
+
+  document.querySelectorAll('#bulk-bar [data-bulk-action]').forEach(button => {
+    button.disabled = selectedIds.size === 0;
+  });
+}
+
+/**
+ * Select or deselect a repository from its checkbox
+ * With shift held, every result between it and the previously clicked one gets the same state.
+ * @param {Object} detail - repoId, selected (new checkbox state), range (shift key held)
+ */
+function toggleRepository({ repoId, selected, range }) {
+  const ids = new Set(selectedIds);
+  let targets = [repoId];
+
+  if (range && anchorId !== null) {
+    const order = getFilteredRepositories().map(repo => repo.id);
+    const from = order.indexOf(anchorId);
+    const to = order.indexOf(repoId);
+    if (from !== -1 && to !== -1) {
+      targets = order.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+  }
+
+  targets.forEach(id => (selected ? ids.add(id) : ids.delete(id)));
+  anchorId = repoId;
+  setSelected(ids);
+}
+
+/**
+ * Setup the buttons of the bulk action bar
+ */
+function setupBulkActions() {
+  const tagForm = document.getElementById('bulk-tag-form');
+  const tagInput = document.getElementById('bulk-tag-input');
+
+  tagForm?.addEventListener('submit', (e) => {
+    e.preventDefault();
+    applyTagChange({ add: [tagInput.value] });
+  });
+
+  document.getElementById('bulk-remove-tag')?.addEventListener('click', () => {
+    applyTagChange({ remove: [tagInput.value] });
+  });
+
+  document.getElementById('bulk-notes')?.addEventListener('click', async () => {
+    const repoIds = [...selectedIds];
+    const text = prompt(`Text to append to the notes of ${describeCount(repoIds.length)}:`);
+    if (!text?.trim()) return;
+
+    const changed = await appendToNotes(repoIds, text);
+    if (changed === null) {
+      showToast('Failed to update notes', 'error');
+      return;
+    }
+    onCustomDataChanged(changed);
+    showToast(`Appended to the notes of ${describeCount(changed.length)}`, 'success');
+  });
+
+  const collectionButton = document.getElementById('bulk-collection');
+  collectionButton?.addEventListener('click', () => {
+    window.dispatchEvent(new CustomEvent('addToCollection', {
+      detail: { repoIds: [...selectedIds], anchor: collectionButton }
+    }));
+  });
+
+  document.getElementById('bulk-export')?.addEventListener('click', async () => {
+    const repositories = [...selectedIds].map(id => repositoriesById.get(id)).filter(Boolean);
+    const success = await exportSelectedCustomData(repositories);
+    if (success) {
+      showToast(`Exported ${describeCount(repositories.length)}`, 'success');
+    } else {
+      showToast('Failed to export the selection', 'error');
+    }
+  });
+}
+
+/**
+ * Add or remove the tag typed in the bulk action bar on every selected repository
+ * @param {Object} change - add or remove: tags (see updateTagsOfRepositories)
+ */
+async function applyTagChange(change) {
+  const tagInput = document.getElementById('bulk-tag-input');
+  const tag = (change.add || change.remove)[0].trim();
+  if (!tag) {
+    tagInput?.focus();
+    return;
+  }
+
+  const changed = await updateTagsOfRepositories([...selectedIds], change);
+  if (changed === null) {
+    showToast('Failed to update tags', 'error');
+    return;
+  }
+
+  if (tagInput) tagInput.value = '';
+  onCustomDataChanged(changed);
+  showToast(`${change.add ? 'Tagged' : 'Untagged'} ${describeCount(changed.length)}`, 'success');
+}
+
+/**
+ * Describe a number of repositories
+ * @param {number} count - Number of repositories
+ * @returns {string} e.g. "1 repository", "12 repositories"
+ */
+function describeCount(count) {
+  return `${count} ${count === 1 ? 'repository' : 'repositories'}`;
+}
@@ -0,0 +1,192 @@
+/**
+ * GitHub Lists
+ * Sidebar listing the Lists the user sorted their stars into on GitHub, as
+ * fetched by the sync. Lists are read-only here: they can be used as a filter,
+ * or copied into a custom tag on every repository in them.
+ */
+
+import { updateTagsOfRepositories } from '../services/customData.js';
+import { getFilters } from './filters.js';
+import { sanitizeHTML, showToast } from './components.js';
+import { normalizeTag, TAG_SEPARATOR } from '../utils/tags.js';
+
+// Star lists from stars.json
+let starLists = [];
+
+// Repositories currently loaded, to count list members that are in the data
+let repositories = [];
+
+// Called after tagging, to refresh cards and other views
+let onCustomDataChanged = () => {};
+
+/**
+ * Setup the GitHub Lists sidebar
+ * @param {Array<Object>} lists - Star lists from stars.json
+ * @param {Array<Object>} repos - Repositories currently loaded
+ * @param {Object} options - onCustomDataChanged: called with the IDs of repositories
+ *   tagged from a list
+ */
+export function initStarLists(lists, repos, { onCustomDataChanged: onChange } = {}) {
+  const container = document.getElementById('star-lists');
+  if (!container) return;
+
+  if (onChange) onCustomDataChanged = onChange;
+  starLists = lists;
+  repositories = repos;
+
+  container.addEventListener('click', handleClick);
+
+  // The list filter is set here or removed from the filter chips
+  ['filterByStarList', 'removeFilter'].forEach(name => {
+    window.addEventListener(name, () => refreshStarLists());
+  });
+
+  refreshStarLists();
+}
+
+/**
+ * Use newly loaded lists and repositories (e.g. after a sync or switching user)
+ * @param {Array<Object>} lists - Star lists from stars.json
+ * @param {Array<Object>} repos - Repositories currently loaded
+ */
+export function setStarLists(lists, repos) {
+  starLists = lists;
+  repositories = repos;
+  refreshStarLists();
+}
+
+/**
+ * Re-render the lists
+ */
+export function refreshStarLists() {
+  const container = document.getElementById('star-lists');
+  if (!container) return;
+
+  container.classList.toggle('hidden', starLists.length === 0);
+  if (starLists.length === 0) return;
+
+  const activeList = getFilters().starList;
+  // A team view merges the lists of every member
+  const showOwner = new Set(starLists.map(list => list.owner)).size > 1;
+
+  container.innerHTML = `
+    <div class="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4">
+      <div class="flex items-baseline justify-between gap-2 mb-2 px-1">
+        <h2 class="text-sm font-semibold text-gray-900 dark:text-white">GitHub Lists</h2>
+        <span class="text-xs text-gray-500 dark:text-gray-400">Read-only</span>
+      </div>
+      <ul class="space-y-0.5 text-sm">
+        ${starLists.map(list => renderList(list, list.id === activeList, showOwner)).join('')}
+      </ul>
+    </div>
+  `;
+
+  // Descriptions are free text, so they are set as a property rather than in the markup
+  container.querySelectorAll('[data-list-id]').forEach(row => {
+    const list = starLists.find(item => item.id === row.dataset.listId);
+    row.querySelector('[data-list-filter]').title = list.description || `Show repositories in ${list.name}`;
+  });
+}
+
+/**
+ * Render a list with its filter, convert and GitHub buttons
+ * @param {Object} list - Star list
+ * @param {boolean} isActive - Whether the repositories are filtered by this list
+ * @param {boolean} showOwner - Prefix the name with the list's owner
+ * @returns {string} List item HTML
+ */
+function renderList(list, isActive, showOwner) {
+  const name = sanitizeHTML(list.name);
+  const count = getMemberIds(list).length;
+  const iconButton = 'p-1 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-100 dark:hover:text-gray-200 dark:hover:bg-gray-700 transition-colors opacity-0 group-hover:opacity-100 focus:opacity-100';
+
+  return `
+    <li>
+      <div class="group flex items-center gap-1 rounded-md" data-list-id="${sanitizeHTML(list.id)}">
+        <button
+          class="flex-1 min-w-0 flex items-center justify-between gap-2 px-2 py-1 rounded-md text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 aria-pressed:bg-indigo-100 aria-pressed:text-indigo-700 dark:aria-pressed:bg-indigo-900 dark:aria-pressed:text-indigo-300 transition-colors"
+          data-list-filter
+          aria-pressed="${isActive}"
+        >
+          <span class="truncate">${showOwner ? `<span class="text-gray-500 dark:text-gray-400">@${sanitizeHTML(list.owner)}/</span>` : ''}${name}</span>
+          <span class="shrink-0 text-xs text-gray-500 dark:text-gray-400">${count}</span>
+        </button>
+        <button class="${iconButton}" data-list-convert aria-label="Convert to tag" title="Convert to tag">
+          <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"/>
+          </svg>
+        </button>
+        <a href="${sanitizeHTML(list.url)}" target="_blank" rel="noopener noreferrer" class="${iconButton}" aria-label="Open on GitHub" title="Open on GitHub">
+          <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10 6H6a2 2 0 00-2 2v10a2 2 0 002 2h10a2 2 0 002-2v-4M14 4h6m0 0v6m0-6L10 14"/>
+          </svg>
+        </a>
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * Get the IDs of a list's repositories that are in the loaded data
+ * (a list can hold repositories that are not starred)
+ * @param {Object} list - Star list
+ * @returns {Array<number>} Repository IDs
+ */
+function getMemberIds(list) {
+  const members = new Set(list.repositoryIds);
+  return repositories.filter(repo => members.has(repo.id)).map(repo => repo.id);
+}
+
+/**
+ * Handle the filter and convert buttons
+ * @param {MouseEvent} e - Click event
+ */
+function handleClick(e) {
+  const row = e.target.closest('[data-list-id]');
+  if (!row) return;
+  const list = starLists.find(item => item.id === row.dataset.listId);
+  if (!list) return;
+
+  if (e.target.closest('[data-list-filter]')) {
+    if (getFilters().starList === list.id) {
+      window.dispatchEvent(new CustomEvent('removeFilter', { detail: { type: 'starList' } }));
+    } else {
+      window.dispatchEvent(new CustomEvent('filterByStarList', { detail: { listId: list.id } }));
+    }
+    return;
+  }
+
+  if (e.target.closest('[data-list-convert]')) {
+    convertToTag(list);
+  }
+}
+
+/**
+ * Add a custom tag to every repository in a list
+ * @param {Object} list - Star list
+ */
+async function convertToTag(list) {
+  const repoIds = getMemberIds(list);
+  if (repoIds.length === 0) {
+    showToast(`No repositories of "${list.name}" are loaded`, 'warning', 2000);
+    return;
+  }
+
+  const input = prompt(`Tag to add to the ${repoIds.length} repositories in "${list.name}":`, `lists${TAG_SEPARATOR}${list.slug}`);
+  if (input === null) return;
+
+  const tag = normalizeTag(input);
+  if (!tag) {
+    showToast('Tag names cannot be empty', 'warning', 2000);
+    return;
+  }
+
+  const changed = await updateTagsOfRepositories(repoIds, { add: [tag] });
+  if (changed === null) {
+    showToast('Failed to update tags', 'error');
+    return;
+  }
+
+  await onCustomDataChanged(changed);
+  showToast(`Tagged ${changed.length} ${changed.length === 1 ? 'repository' : 'repositories'} "${tag}"`, 'success');
+}
@@ -0,0 +1,343 @@
+/**
+ * Tag Manager
+ * Lists every custom tag with the number of repositories using it, when it
+ * was last added to one and its chip colour. Tags can be renamed, merged into
+ * another tag (e.g. `ml` into `machine-learning`) or deleted everywhere.
+ *
+ * URL: ?view=tags (see views.js)
+ */
+
+import { getTagUsage, renameTag, deleteTag, setTagColor } from '../services/customData.js';
+import { formatDate } from '../services/storage.js';
+import { getFilters } from './filters.js';
+import { registerView, showView, getCurrentView } from './views.js';
+import { sanitizeHTML, showToast, getTagChipClasses } from './components.js';
+import { normalizeTag, getParentTag } from '../utils/tags.js';
+import { TAG_COLORS } from '../utils/constants.js';
+
+// Name of the tag manager view (see views.js)
+const VIEW_NAME = 'tags';
+
+// Orders of the tag list
+const SORTS = {
+  name: (a, b) => a.tag.localeCompare(b.tag),
+  count: (a, b) => b.count - a.count || a.tag.localeCompare(b.tag),
+  lastUsed: (a, b) => (b.lastUsedAt || '').localeCompare(a.lastUsedAt || '') || a.tag.localeCompare(b.tag)
+};
+
+// Tags with their usage (see getTagUsage)
+let usage = [];
+
+// Current order (SORTS key) and text filter
+let sort = 'name';
+let query = '';
+
+// Called with the changed repository IDs after a tag was deleted
+let onCustomDataChanged = () => {};
+
+/**
+ * Setup the tag manager view
+ * @param {Object} options - onCustomDataChanged: called with the IDs of repositories
+ *   whose tags were changed by deleting a tag
+ */
+export async function initTagManager({ onCustomDataChanged: onChange } = {}) {
+  if (onChange) onCustomDataChanged = onChange;
+
+  registerView(VIEW_NAME, {
+    sectionId: 'tags-view',
+    buttonId: 'show-tags',
+    onShow: () => renderTagManager()
+  });
+
+  const container = document.getElementById('tags-view');
+  container?.addEventListener('click', handleClick);
+  container?.addEventListener('change', handleChange);
+  container?.addEventListener('input', (e) => {
+    if (!e.target.matches('[data-tag-search]')) return;
+    query = normalizeTag(e.target.value);
+    applySearch();
+  });
+
+  // Tags edited on a card, renamed in the tag tree, or recoloured
+  ['customDataChanged', 'customTagRenamed', 'tagInfoChanged'].forEach(name => {
+    window.addEventListener(name, () => refreshTagManager());
+  });
+
+  await refreshTagManager();
+}
+
+/**
+ * Reload the tags and their usage (after edits, syncs or changes in another tab)
+ */
+export async function refreshTagManager() {
+  const loaded = await getTagUsage();
+
+  // Unchanged tags are not re-rendered, so the keyboard focus stays where it is
+  if (JSON.stringify(loaded) === JSON.stringify(usage)) return;
+  usage = loaded;
+
+  const count = document.getElementById('tags-count');
+  if (count) count.textContent = usage.length;
+
+  if (getCurrentView() === VIEW_NAME) renderTagManager();
+}
+
+/**
+ * Get the colour a tag's chip is shown in (its own or the nearest parent's)
+ * @param {string} tag - Tag
+ * @returns {string} TAG_COLORS value
+ */
+function getEffectiveColor(tag) {
+  const colors = new Map(usage.map(entry => [entry.tag, entry.color]));
+  for (let path = tag; path; path = getParentTag(path)) {
+    if (colors.get(path)) return colors.get(path);
+  }
+  return TAG_COLORS[0];
+}
+
+/**
+ * Render the tag manager
+ */
+function renderTagManager() {
+  const container = document.getElementById('tags-view');
+  if (!container) return;
+
+  const buttonClasses = 'px-2 py-1 text-xs font-medium text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors';
+  const inputClasses = 'px-3 py-1.5 text-sm bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent';
+  const sorted = [...usage].sort(SORTS[sort]);
+
+  container.innerHTML = `
+    <div class="flex flex-col sm:flex-row sm:items-end justify-between gap-4 mb-6">
+      <div>
+        <h2 class="text-xl font-semibold text-gray-900 dark:text-white">Tags</h2>
+        <p class="text-sm text-gray-600 dark:text-gray-400">Rename, merge, delete and colour your custom tags. Changes apply to every repository.</p>
+      </div>
+      <div class="flex gap-2 shrink-0">
+        <input type="search" data-tag-search value="${sanitizeHTML(query)}" placeholder="Find a tag" aria-label="Find a tag" class="${inputClasses} w-40">
+        <select data-tag-sort aria-label="Sort tags" class="${inputClasses}">
+          <option value="name" ${sort === 'name' ? 'selected' : ''}>Name</option>
+          <option value="count" ${sort === 'count' ? 'selected' : ''}>Most used</option>
+          <option value="lastUsed" ${sort === 'lastUsed' ? 'selected' : ''}>Recently used</option>
+        </select>
+      </div>
+    </div>
+    ${usage.length === 0 ? `
+      <div class="empty-state">
+        <h3 class="text-xl font-semibold mb-2">No custom tags yet</h3>
+        <p class="text-gray-500 dark:text-gray-400 max-w-md">
+          Add tags to repositories in <button data-show-stars class="text-primary hover:underline">All stars</button> and they will be listed here.
+        </p>
+      </div>
+    ` : `
+      <div class="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+        <table class="w-full text-sm">
+          <thead class="text-left text-xs uppercase tracking-wide text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+            <tr>
+              <th scope="col" class="px-4 py-3 font-medium">Tag</th>
+              <th scope="col" class="px-4 py-3 font-medium text-right">Repositories</th>
+              <th scope="col" class="px-4 py-3 font-medium">Last used</th>
+              <th scope="col" class="px-4 py-3 font-medium">Colour</th>
+              <th scope="col" class="px-4 py-3 font-medium"><span class="sr-only">Actions</span></th>
+            </tr>
+          </thead>
+          <tbody class="divide-y divide-gray-100 dark:divide-gray-700">
+            ${sorted.map(entry => renderRow(entry, buttonClasses)).join('')}
+          </tbody>
+        </table>
+        <p data-tag-no-match class="hidden px-4 py-6 text-center text-sm text-gray-500 dark:text-gray-400">No tags match.</p>
+      </div>
+    `}
+  `;
+
+  applySearch();
+}
+
+/**
+ * Render the row of a tag
+ * @param {Object} entry - Tag usage (see getTagUsage)
+ * @param {string} buttonClasses - Classes of the action buttons
+ * @returns {string} Table row HTML
+ */
+function renderRow(entry, buttonClasses) {
+  const tag = sanitizeHTML(entry.tag);
+  const inherited = getParentTag(entry.tag) ? 'Parent tag’s' : 'Default';
+
+  return `
+    <tr data-tag="${tag}">
+      <td class="px-4 py-2">
+        <span class="${getTagChipClasses(getEffectiveColor(entry.tag))} cursor-default">${tag}</span>
+      </td>
+      <td class="px-4 py-2 text-right">
+        <button data-tag-show class="text-primary hover:underline" title="Show repositories tagged ${tag}">${entry.count}</button>
+      </td>
+      <td class="px-4 py-2 text-gray-600 dark:text-gray-400" ${entry.lastUsedAt ? `title="${new Date(entry.lastUsedAt).toLocaleString()}"` : ''}>
+        ${entry.lastUsedAt ? formatDate(entry.lastUsedAt) : '—'}
+      </td>
+      <td class="px-4 py-2">
+        <select data-tag-color aria-label="Colour of ${tag}" class="px-2 py-1 text-xs bg-gray-50 dark:bg-gray-900 border border-gray-300 dark:border-gray-600 rounded-md">
+          <option value="" ${entry.color ? '' : 'selected'}>${inherited}</option>
+          ${TAG_COLORS.map(color => `<option value="${color}" ${entry.color === color ? 'selected' : ''}>${color[0].toUpperCase() + color.slice(1)}</option>`).join('')}
+        </select>
+      </td>
+      <td class="px-4 py-2 whitespace-nowrap text-right">
+        <button data-tag-rename class="${buttonClasses}" aria-label="Rename ${tag}">Rename</button>
+        <button data-tag-merge class="${buttonClasses}" aria-label="Merge ${tag} into another tag">Merge</button>
+        <button data-tag-delete class="${buttonClasses} hover:text-red-600" aria-label="Delete ${tag}">Delete</button>
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Hide the rows not matching the search text
+ */
+function applySearch() {
+  const container = document.getElementById('tags-view');
+  if (!container) return;
+
+  let visible = 0;
+  container.querySelectorAll('tr[data-tag]').forEach(row => {
+    const matches = row.dataset.tag.includes(query);
+    row.classList.toggle('hidden', !matches);
+    if (matches) visible++;
+  });
+  container.querySelector('[data-tag-no-match]')?.classList.toggle('hidden', visible > 0 || usage.length === 0);
+}
+
+/**
+ * Handle the sort and colour selects
+ * @param {Event} e - Change event
+ */
+async function handleChange(e) {
+  if (e.target.matches('[data-tag-sort]')) {
+    sort = e.target.value;
+    renderTagManager();
+    document.querySelector('#tags-view [data-tag-sort]')?.focus();
+    return;
+  }
+
+  if (e.target.matches('[data-tag-color]')) {
+    const tag = e.target.closest('[data-tag]').dataset.tag;
+    if (!await setTagColor(tag, e.target.value)) {
+      showToast(`Could not change the colour of "${tag}"`, 'error');
+      return;
+    }
+
+    // The rows are re-rendered with the new colour; keep the focus on this select
+    await refreshTagManager();
+    document.querySelector(`#tags-view [data-tag="${CSS.escape(tag)}"] [data-tag-color]`)?.focus();
+  }
+}
+
+/**
+ * Handle the show, rename, merge and delete buttons
+ * @param {MouseEvent} e - Click event
+ */
+function handleClick(e) {
+  if (e.target.closest('[data-show-stars]')) {
+    showView('stars');
+    return;
+  }
+
+  const row = e.target.closest('[data-tag]');
+  if (!row) return;
+  const tag = row.dataset.tag;
+
+  if (e.target.closest('[data-tag-show]')) {
+    window.dispatchEvent(new CustomEvent('filterByCustomTag', { detail: { customTag: tag } }));
+    showView('stars');
+  } else if (e.target.closest('[data-tag-rename]')) {
+    const to = prompt(`Rename "${tag}" (tags nested below it are renamed too):`, tag);
+    if (to !== null) moveTag(tag, to);
+  } else if (e.target.closest('[data-tag-merge]')) {
+    mergeTag(tag);
+  } else if (e.target.closest('[data-tag-delete]')) {
+    removeTag(tag);
+  }
+}
+
+/**
+ * Check whether a tag is used by any repository
+ * @param {string} tag - Tag
+ * @returns {boolean} True if it is listed
+ */
+function tagExists(tag) {
+  return usage.some(entry => entry.tag === tag);
+}
+
+/**
+ * Rename a tag on every repository; renaming onto an existing tag merges the two
+ * @param {string} from - Current tag
+ * @param {string} to - New tag, as typed
+ * @param {Object} options - confirmed: the user already agreed to merge
+ */
+async function moveTag(from, to, { confirmed = false } = {}) {
+  const target = normalizeTag(to);
+  if (!target) {
+    showToast('Tag names cannot be empty', 'warning', 2000);
+    return;
+  }
+  if (target === from) return;
+
+  const merging = tagExists(target);
+  if (merging && !confirmed && !confirm(`"${target}" already exists. Merge "${from}" into it?`)) return;
+
+  const repoIds = await renameTag(from, target);
+  if (repoIds === null) {
+    showToast(`Could not rename "${from}"`, 'error');
+    return;
+  }
+
+  window.dispatchEvent(new CustomEvent('customTagRenamed', { detail: { from, to: target, repoIds } }));
+  showToast(`${merging ? 'Merged' : 'Renamed'} "${from}" ${merging ? 'into' : 'to'} "${target}" on ${formatCount(repoIds.length)}`, 'success');
+}
+
+/**
+ * Merge a tag into another existing tag (e.g. "ml" into "machine-learning")
+ * @param {string} from - Tag to merge away
+ */
+function mergeTag(from) {
+  const input = prompt(`Merge "${from}" into which tag? Every repository tagged "${from}" gets that tag instead.`);
+  if (input === null) return;
+
+  const target = normalizeTag(input);
+  if (target && !tagExists(target)) {
+    showToast(`There is no tag "${target}". Use Rename to give "${from}" a new name.`, 'warning', 4000);
+    return;
+  }
+  moveTag(from, target, { confirmed: true });
+}
+
+/**
+ * Delete a tag from every repository (after confirming)
+ * @param {string} tag - Tag to delete
+ */
+async function removeTag(tag) {
+  const entry = usage.find(item => item.tag === tag);
+  if (!confirm(`Remove "${tag}" from ${formatCount(entry?.count || 0)}? Tags nested below it are kept.`)) return;
+
+  const repoIds = await deleteTag(tag);
+  if (repoIds === null) {
+    showToast(`Could not delete "${tag}"`, 'error');
+    return;
+  }
+
+  // A filter on the deleted tag would now match nothing
+  const filters = getFilters();
+  if (filters.customTags.includes(tag)) {
+    window.dispatchEvent(new CustomEvent('removeFilter', { detail: { type: 'customTag', value: tag } }));
+  }
+
+  onCustomDataChanged(repoIds);
+  await refreshTagManager();
+  showToast(`Deleted "${tag}" from ${formatCount(repoIds.length)}`, 'success');
+}
+
+/**
+ * Format a number of repositories
+ * @param {number} count - Number of repositories
+ * @returns {string} e.g. "3 repositories"
+ */
+function formatCount(count) {
+  return `${count} ${count === 1 ? 'repository' : 'repositories'}`;
+}
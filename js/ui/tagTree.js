@@ -0,0 +1,264 @@
+/**
+ * Tag Tree
+ * Sidebar listing the custom tags as a collapsible tree (`lang/parsers` is shown
+ * under `lang`) with the number of repositories below each tag. Clicking a tag
+ * filters by it and everything nested in it. Tags are renamed or moved with the
+ * edit button or by dragging one onto another, which rewrites the tags of every
+ * affected repository in one batch.
+ */
+
+import { renameTag } from '../services/customData.js';
+import { getPreference, setPreference } from '../services/preferences.js';
+import { getFilters } from './filters.js';
+import { sanitizeHTML, showToast } from './components.js';
+import { buildTagTree, normalizeTag, getParentTag, getTagLeaf, tagMatches, TAG_SEPARATOR } from '../utils/tags.js';
+
+// Preference holding the paths of expanded tags
+const EXPANDED_PREFERENCE = 'expandedTags';
+
+// Repositories whose tags are counted
+let repositories = [];
+
+// Paths of the expanded tags
+let expanded = new Set();
+
+// Path of the tag being dragged
+let draggedPath = null;
+
+/**
+ * Setup the tag tree sidebar
+ * @param {Array<Object>} repos - Repositories currently loaded
+ */
+export function initTagTree(repos) {
+  const container = document.getElementById('tag-tree');
+  if (!container) return;
+
+  repositories = repos;
+  expanded = new Set(getPreference(EXPANDED_PREFERENCE, []));
+
+  container.addEventListener('click', handleClick);
+  setupDragAndDrop(container);
+
+  // Tags edited on a card, and the tag filters (set here, from cards or the filter chips)
+  window.addEventListener('customDataChanged', () => refreshTagTree());
+  ['filterByCustomTag', 'removeFilter'].forEach(name => {
+    window.addEventListener(name, () => refreshTagTree());
+  });
+
+  refreshTagTree();
+}
+
+/**
+ * Use newly loaded repositories (e.g. after a sync or switching user)
+ * @param {Array<Object>} repos - Repositories currently loaded
+ */
+export function setTagTreeRepositories(repos) {
+  repositories = repos;
+  refreshTagTree();
+}
+
+/**
+ * Re-render the tree from the repositories' current tags
+ */
+export function refreshTagTree() {
+  const container = document.getElementById('tag-tree');
+  if (!container) return;
+
+  const tree = buildTagTree(repositories);
+  container.classList.toggle('hidden', tree.length === 0);
+  if (tree.length === 0) return;
+
+  const activeTags = new Set(getFilters().customTags.map(normalizeTag));
+
+  container.innerHTML = `
+    <div class="bg-white dark:bg-gray-800 rounded-xl shadow-sm border border-gray-200 dark:border-gray-700 p-4">
+      <div class="flex items-baseline justify-between gap-2 mb-2 px-1 rounded-md" data-tag-root>
+        <h2 class="text-sm font-semibold text-gray-900 dark:text-white">Tags</h2>
+        <span class="text-xs text-gray-500 dark:text-gray-400">Drag to nest</span>
+      </div>
+      <ul class="space-y-0.5 text-sm">
+        ${tree.map(node => renderNode(node, activeTags)).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Render a tag and, when expanded, its children
+ * @param {Object} node - Node from buildTagTree
+ * @param {Set<string>} activeTags - Tags currently filtered by
+ * @returns {string} List item HTML
+ */
+function renderNode(node, activeTags) {
+  const hasChildren = node.children.length > 0;
+  const isExpanded = hasChildren && expanded.has(node.path);
+  const isActive = activeTags.has(node.path);
+  const path = sanitizeHTML(node.path);
+  const iconButton = 'p-1 rounded text-gray-400 hover:text-gray-700 hover:bg-gray-100 dark:hover:text-gray-200 dark:hover:bg-gray-700 transition-colors';
+
+  return `
+    <li>
+      <div class="tag-tree-row group flex items-center gap-1 rounded-md" draggable="true" data-tag-path="${path}">
+        ${hasChildren ? `
+          <button class="${iconButton}" data-tag-toggle aria-expanded="${isExpanded}" aria-label="${isExpanded ? 'Collapse' : 'Expand'} ${path}">
+            <svg class="w-3 h-3 transition-transform ${isExpanded ? 'rotate-90' : ''}" fill="currentColor" viewBox="0 0 20 20" aria-hidden="true">
+              <path d="M7 4l6 6-6 6V4z"/>
+            </svg>
+          </button>
+        ` : '<span class="w-5 shrink-0"></span>'}
+        <button
+          class="flex-1 min-w-0 flex items-center justify-between gap-2 px-2 py-1 rounded-md text-left text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 aria-pressed:bg-indigo-100 aria-pressed:text-indigo-700 dark:aria-pressed:bg-indigo-900 dark:aria-pressed:text-indigo-300 transition-colors"
+          data-tag-filter
+          aria-pressed="${isActive}"
+          title="Show repositories tagged ${path}${hasChildren ? ' or below it' : ''}"
+        >
+          <span class="truncate">${sanitizeHTML(node.name)}</span>
+          <span class="shrink-0 text-xs text-gray-500 dark:text-gray-400">${node.count}</span>
+        </button>
+        <button class="${iconButton} opacity-0 group-hover:opacity-100 focus:opacity-100" data-tag-rename aria-label="Rename or move ${path}">
+          <svg class="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24" aria-hidden="true">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15.232 5.232l3.536 3.536M9 13l6.768-6.768a2.5 2.5 0 113.536 3.536L12.536 16.536 9 17l.464-3.536z"/>
+          </svg>
+        </button>
+      </div>
+      ${isExpanded ? `
+        <ul class="ml-4 pl-1 border-l border-gray-200 dark:border-gray-700 space-y-0.5">
+          ${node.children.map(child => renderNode(child, activeTags)).join('')}
+        </ul>
+      ` : ''}
+    </li>
+  `;
+}
+
+/**
+ * Handle the expand, filter and rename buttons
+ * @param {MouseEvent} e - Click event
+ */
+function handleClick(e) {
+  const row = e.target.closest('[data-tag-path]');
+  if (!row) return;
+  const path = row.dataset.tagPath;
+
+  if (e.target.closest('[data-tag-toggle]')) {
+    if (expanded.has(path)) {
+      expanded.delete(path);
+    } else {
+      expanded.add(path);
+    }
+    setPreference(EXPANDED_PREFERENCE, [...expanded]);
+    refreshTagTree();
+    document.querySelector(`[data-tag-path="${CSS.escape(path)}"] [data-tag-toggle]`)?.focus();
+    return;
+  }
+
+  if (e.target.closest('[data-tag-filter]')) {
+    const active = getFilters().customTags.find(tag => normalizeTag(tag) === path);
+    if (active) {
+      window.dispatchEvent(new CustomEvent('removeFilter', { detail: { type: 'customTag', value: active } }));
+    } else {
+      window.dispatchEvent(new CustomEvent('filterByCustomTag', { detail: { customTag: path } }));
+    }
+    return;
+  }
+
+  if (e.target.closest('[data-tag-rename]')) {
+    const to = prompt(`Rename "${path}" (use / to move it, e.g. lang/${getTagLeaf(path)}):`, path);
+    if (to !== null) moveTag(path, to);
+  }
+}
+
+/**
+ * Let tags be dragged onto another tag (nesting them under it) or onto the header (top level)
+ * @param {HTMLElement} container - Tag tree container
+ */
+function setupDragAndDrop(container) {
+  const clearDropMarkers = () => {
+    container.querySelectorAll('.drop-target').forEach(element => element.classList.remove('drop-target'));
+  };
+
+  // Where the dragged tag would end up when dropped on an element, or null if nowhere
+  const getDropParent = (target) => {
+    if (draggedPath === null) return null;
+    if (target.closest('[data-tag-root]')) {
+      return getParentTag(draggedPath) ? '' : null;
+    }
+
+    const row = target.closest('[data-tag-path]');
+    if (!row) return null;
+
+    // A tag cannot go inside itself, and dropping it on its parent changes nothing
+    const parent = row.dataset.tagPath;
+    return tagMatches(parent, draggedPath) || parent === getParentTag(draggedPath) ? null : parent;
+  };
+
+  container.addEventListener('dragstart', (e) => {
+    const row = e.target.closest('[data-tag-path]');
+    if (!row) return;
+
+    draggedPath = row.dataset.tagPath;
+    row.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggedPath);
+  });
+
+  container.addEventListener('dragover', (e) => {
+    if (getDropParent(e.target) === null) return;
+
+    e.preventDefault();
+    clearDropMarkers();
+    e.target.closest('[data-tag-root], [data-tag-path]').classList.add('drop-target');
+  });
+
+  container.addEventListener('dragleave', (e) => {
+    if (!container.contains(e.relatedTarget)) clearDropMarkers();
+  });
+
+  container.addEventListener('drop', (e) => {
+    const parent = getDropParent(e.target);
+    if (parent === null) return;
+
+    e.preventDefault();
+    clearDropMarkers();
+    moveTag(draggedPath, parent ? parent + TAG_SEPARATOR + getTagLeaf(draggedPath) : getTagLeaf(draggedPath));
+  });
+
+  container.addEventListener('dragend', () => {
+    draggedPath = null;
+    clearDropMarkers();
+    container.querySelector('.dragging')?.classList.remove('dragging');
+  });
+}
+
+/**
+ * Rename or move a tag (and the tags below it) on every repository
+ * @param {string} from - Current tag path
+ * @param {string} to - New tag path, as typed
+ */
+async function moveTag(from, to) {
+  const target = normalizeTag(to);
+  if (!target) {
+    showToast('Tag names cannot be empty', 'warning', 2000);
+    return;
+  }
+  if (target === from) return;
+
+  // Renaming onto an existing tag merges the two
+  const exists = repositories.some(repo => repo.custom_tags?.some(tag => tagMatches(tag, target)));
+  if (exists && !confirm(`"${target}" already exists. Merge "${from}" into it?`)) return;
+
+  const repoIds = await renameTag(from, target);
+  if (repoIds === null) {
+    showToast(`Could not rename "${from}"`, 'error');
+    return;
+  }
+
+  // Keep the renamed tag (and its parents) expanded
+  expanded = new Set([...expanded].map(path => tagMatches(path, from) ? target + path.slice(from.length) : path));
+  for (let path = getParentTag(target); path; path = getParentTag(path)) {
+    expanded.add(path);
+  }
+  setPreference(EXPANDED_PREFERENCE, [...expanded]);
+
+  window.dispatchEvent(new CustomEvent('customTagRenamed', { detail: { from, to: target, repoIds } }));
+  showToast(`Renamed "${from}" to "${target}" on ${repoIds.length} ${repoIds.length === 1 ? 'repository' : 'repositories'}`, 'success');
+}
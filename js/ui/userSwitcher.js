@@ -0,0 +1,96 @@
+/**
+ * User Switcher
+ * Header dropdown shown when the sync fetches stars for a team
+ * (data/team.json): switches between the combined team view and the stars
+ * of a single member
+ */
+
+import { getPreference, setPreference } from '../services/preferences.js';
+
+// Preference holding the last selected view ('' = team view)
+const VIEW_PREFERENCE = 'teamView';
+
+// URL parameter selecting a team member (for sharing)
+const VIEW_PARAM = 'user';
+
+/**
+ * Get the view to show first: the ?user= URL parameter, else the last one used
+ * @param {Object} team - Team from loadTeamIndex
+ * @returns {string} Login of a team member, or '' for the team view
+ */
+export function getInitialView(team) {
+  const requested = new URLSearchParams(window.location.search).get(VIEW_PARAM) ?? getPreference(VIEW_PREFERENCE, '');
+  const member = findMember(team, requested);
+  return member ? member.login : '';
+}
+
+/**
+ * Find a team member by login
+ * @param {Object} team - Team from loadTeamIndex
+ * @param {string} login - GitHub username (any case)
+ * @returns {Object|null} Team member, or null if not in the team
+ */
+export function findMember(team, login) {
+  if (!login) return null;
+  return team.users.find(user => user.login.toLowerCase() === login.toLowerCase()) || null;
+}
+
+/**
+ * Setup the user switcher, or refresh its options after a sync
+ * @param {Object} team - Team from loadTeamIndex
+ * @param {string} view - Selected view (login, or '' for the team view)
+ * @param {Function} onChange - Called with the new view after the user switches
+ */
+export function initUserSwitcher(team, view, onChange) {
+  const switcher = document.getElementById('user-switcher');
+  if (!switcher) return;
+
+  renderOptions(switcher, team, view);
+
+  if (switcher.dataset.initialized) return;
+  switcher.dataset.initialized = 'true';
+
+  switcher.addEventListener('change', () => {
+    const selected = switcher.value;
+    setPreference(VIEW_PREFERENCE, selected);
+    updateViewURL(selected);
+    onChange(selected);
+  });
+}
+
+/**
+ * Fill the switcher with the team view and one option per member
+ * @param {HTMLSelectElement} switcher - User switcher
+ * @param {Object} team - Team from loadTeamIndex
+ * @param {string} view - Selected view
+ */
+function renderOptions(switcher, team, view) {
+
+  switcher.innerHTML = '';
+  switcher.appendChild(new Option(`Team · ${team.users.length} members`, ''));
+  team.users.forEach(user => {
+    switcher.appendChild(new Option(`@${user.login} (${user.totalStars} stars)`, user.login));
+  });
+
+  switcher.value = view;
+  switcher.classList.remove('hidden');
+  document.getElementById('username-display')?.classList.add('hidden');
+  updateViewURL(view);
+}
+
+/**
+ * Show the selected team member in the URL, keeping the other parameters
+ * @param {string} view - Selected view (login, or '' for the team view)
+ */
+function updateViewURL(view) {
+  const params = new URLSearchParams(window.location.search);
+
+  if (view) {
+    params.set(VIEW_PARAM, view);
+  } else {
+    params.delete(VIEW_PARAM);
+  }
+
+  const query = params.toString();
+  window.history.replaceState({}, '', query ? `${window.location.pathname}?${query}` : window.location.pathname);
+}
@@ -0,0 +1,80 @@
+/**
+ * Views
+ * Switches between the top-level views (all stars, collections, tags):
+ * one section is shown at a time, its navigation button is marked as the
+ * current page, and the view is kept in the URL (?view=<name>; none for all stars).
+ */
+
+// View shown when the URL names none
+const DEFAULT_VIEW = 'stars';
+
+// URL parameter holding the view name
+const VIEW_PARAM = 'view';
+
+// Registered views by name
+const views = new Map();
+
+// Name of the view shown
+let currentView = DEFAULT_VIEW;
+
+/**
+ * Register a view and wire its navigation button
+ * @param {string} name - View name (used in the URL)
+ * @param {Object} view - View definition
+ * @param {string} view.sectionId - ID of the element shown for the view
+ * @param {string} view.buttonId - ID of its navigation button
+ * @param {Function} view.onShow - Called after the view is shown
+ * @param {Function} view.onHide - Called after another view replaced it
+ * @param {Function} view.matchesURL - Optional: called with the URL parameters on load;
+ *   true opens this view even without ?view= (e.g. ?collection=<id>)
+ */
+export function registerView(name, { sectionId, buttonId, onShow = () => {}, onHide = () => {}, matchesURL = () => false }) {
+  views.set(name, { sectionId, buttonId, onShow, onHide, matchesURL });
+  document.getElementById(buttonId)?.addEventListener('click', () => showView(name));
+}
+
+/**
+ * Show the view named in the URL (call once every view is registered)
+ */
+export function initViews() {
+  const params = new URLSearchParams(window.location.search);
+  const name = [...views.keys()].find(viewName => views.get(viewName).matchesURL(params)) || params.get(VIEW_PARAM);
+  showView(views.has(name) ? name : DEFAULT_VIEW, { updateURL: false });
+}
+
+/**
+ * Show a view and hide the others
+ * @param {string} name - View name
+ * @param {Object} options - updateURL: put the view in the URL (default: true)
+ */
+export function showView(name, { updateURL = true } = {}) {
+  const previous = currentView;
+  currentView = views.has(name) ? name : DEFAULT_VIEW;
+
+  views.forEach((view, viewName) => {
+    document.getElementById(view.sectionId)?.classList.toggle('hidden', viewName !== currentView);
+    document.getElementById(view.buttonId)?.setAttribute('aria-current', viewName === currentView ? 'page' : 'false');
+  });
+
+  if (updateURL) {
+    const params = new URLSearchParams(window.location.search);
+    if (currentView === DEFAULT_VIEW) {
+      params.delete(VIEW_PARAM);
+    } else {
+      params.set(VIEW_PARAM, currentView);
+    }
+    const query = params.toString();
+    window.history.replaceState({}, '', query ? `${window.location.pathname}?${query}` : window.location.pathname);
+  }
+
+  if (previous !== currentView) views.get(previous)?.onHide();
+  views.get(currentView)?.onShow();
+}
+
+/**
+ * Get the name of the view shown
+ * @returns {string} View name
+ */
+export function getCurrentView() {
+  return currentView;
+}
@@ -0,0 +1,204 @@
+/**
+ * What's New Panel
+ * Lists repositories added, removed and renamed by recent syncs,
+ * highlighting the changes made since the user's last visit
+ */
+
+import { CONFIG } from '../utils/constants.js';
+import { loadHistoryData, formatDate, formatNumber } from '../services/storage.js';
+import { loadTeamHistory } from '../services/team.js';
+import { getPreference, setPreference } from '../services/preferences.js';
+import { sanitizeHTML } from './components.js';
+
+// Preference key holding the syncedAt of the newest run the user has seen
+const LAST_SEEN_KEY = 'whatsNewLastSeen';
+
+// Number of star count changes listed per run
+const MAX_STAR_CHANGES = 5;
+
+// Recent sync runs, newest first
+let recentRuns = [];
+
+// Repositories by ID, used to resolve links for star count changes
+let repositoriesById = new Map();
+
+/**
+ * Initialize the What's New panel
+ * @param {Array} repositories - Array of all repositories
+ * @param {Object} options - See updateWhatsNew
+ */
+export async function initWhatsNew(repositories, options = {}) {
+  setupPanel();
+  await updateWhatsNew(repositories, options);
+}
+
+/**
+ * Reload the change log and refresh the badge and panel
+ * @param {Array} repositories - Array of all repositories
+ * @param {Object} options - Options passed to loadHistoryData (e.g. file);
+ *   users: team members whose change logs are combined instead
+ */
+export async function updateWhatsNew(repositories, options = {}) {
+  repositoriesById = new Map(repositories.map(repo => [repo.id, repo]));
+
+  const { users, ...loadOptions } = options;
+  const history = users ? await loadTeamHistory(users, loadOptions) : await loadHistoryData(loadOptions);
+  recentRuns = history.runs.slice(-CONFIG.WHATS_NEW_MAX_RUNS).reverse();
+
+  renderBadge();
+  renderPanel();
+}
+
+/**
+ * Check whether a run happened after the user's last visit
+ * Without a recorded visit only the newest run counts as unseen.
+ * @param {Object} run - History run
+ * @returns {boolean} True if the run has not been seen
+ */
+function isUnseen(run) {
+  const lastSeen = getPreference(LAST_SEEN_KEY);
+  if (!lastSeen) {
+    return run === recentRuns[0];
+  }
+  return new Date(run.syncedAt) > new Date(lastSeen);
+}
+
+/**
+ * Count the added, removed and renamed repositories in unseen runs
+ * @returns {number} Number of unseen changes
+ */
+function countUnseenChanges() {
+  return recentRuns
+    .filter(isUnseen)
+    .reduce((total, run) =>
+      total + run.added.length + run.removed.length + run.renamed.length, 0);
+}
+
+/**
+ * Mark every loaded run as seen
+ */
+function markAllSeen() {
+  if (recentRuns.length === 0) return;
+  setPreference(LAST_SEEN_KEY, recentRuns[0].syncedAt);
+  renderBadge();
+}
+
+/**
+ * Setup the toggle button and outside-click handling
+ */
+function setupPanel() {
+  const toggle = document.getElementById('whats-new-toggle');
+  const panel = document.getElementById('whats-new-panel');
+  if (!toggle || !panel) return;
+
+  toggle.addEventListener('click', (e) => {
+    e.stopPropagation();
+    const opening = panel.classList.contains('hidden');
+    panel.classList.toggle('hidden');
+    toggle.setAttribute('aria-expanded', String(opening));
+
+    if (opening) {
+      // Render with the current highlights, then record the visit
+      renderPanel();
+      markAllSeen();
+    }
+  });
+
+  document.addEventListener('click', (e) => {
+    if (!panel.contains(e.target) && e.target !== toggle) {
+      panel.classList.add('hidden');
+      toggle.setAttribute('aria-expanded', 'false');
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && !panel.classList.contains('hidden')) {
+      panel.classList.add('hidden');
+      toggle.setAttribute('aria-expanded', 'false');
+      toggle.focus();
+    }
+  });
+}
+
+/**
+ * Update the unseen changes counter on the toggle button
+ */
+function renderBadge() {
+  const badge = document.getElementById('whats-new-badge');
+  if (!badge) return;
+
+  const count = countUnseenChanges();
+  badge.textContent = count > 99 ? '99+' : String(count);
+  badge.classList.toggle('hidden', count === 0);
+}
+
+/**
+ * Get a GitHub link for a repository in the change log
+ * @param {number} id - Repository ID
+ * @param {string} fullName - owner/name at the time of the change
+ * @returns {string} Link HTML
+ */
+function repoLink(id, fullName) {
+  const repo = repositoriesById.get(id);
+  const url = repo ? repo.html_url : `https://github.com/${fullName}`;
+  return `<a href="${sanitizeHTML(url)}" target="_blank" rel="noopener noreferrer" class="hover:text-primary transition-colors">${sanitizeHTML(fullName)}</a>`;
+}
+
+/**
+ * Render one section of a run
+ * @param {string} title - Section title
+ * @param {Array<string>} items - Item HTML
+ * @returns {string} Section HTML
+ */
+function renderSection(title, items) {
+  if (items.length === 0) return '';
+
+  return `
+    <div class="mt-2">
+      <p class="text-xs font-medium text-gray-500 dark:text-gray-400">${title}</p>
+      <ul class="mt-1 space-y-0.5 text-sm">
+        ${items.map(item => `<li class="truncate">${item}</li>`).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Render the list of recent runs into the panel
+ */
+function renderPanel() {
+  const list = document.getElementById('whats-new-list');
+  if (!list) return;
+
+  if (recentRuns.length === 0) {
+    list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No changes recorded yet. Changes appear here after the next sync.</p>';
+    return;
+  }
+
+  list.innerHTML = recentRuns.map(run => {
+    const starChanges = [...run.stars]
+      .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+      .slice(0, MAX_STAR_CHANGES)
+      .filter(([id]) => repositoriesById.has(id))
+      .map(([id, delta]) => {
+        const repo = repositoriesById.get(id);
+        const sign = delta > 0 ? '+' : '-';
+        const color = delta > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+        return `${repoLink(id, repo.full_name)} <span class="${color}">${sign}${formatNumber(Math.abs(delta))}</span>`;
+      });
+
+    return `
+      <div class="py-3 border-b border-gray-200 dark:border-gray-700 last:border-b-0">
+        <div class="flex items-center justify-between">
+          <span class="text-sm font-semibold" title="${new Date(run.syncedAt).toLocaleString()}">${formatDate(run.syncedAt)}${run.login ? ` <span class="font-normal text-gray-500 dark:text-gray-400">· @${sanitizeHTML(run.login)}</span>` : ''}</span>
+          ${isUnseen(run) ? '<span class="badge badge-primary">New</span>' : ''}
+        </div>
+        ${renderSection('Starred', run.added.map(item => repoLink(item.id, item.full_name)))}
+        ${renderSection('Unstarred', run.removed.map(item => repoLink(item.id, item.full_name)))}
+        ${renderSection('Renamed', run.renamed.map(item =>
+          `${sanitizeHTML(item.from)} → ${repoLink(item.id, item.to)}`))}
+        ${renderSection('Biggest star changes', starChanges)}
+      </div>
+    `;
+  }).join('');
+}
@@ -3,15 +3,20 @@ export const API_BASE = 'https://api.github.com';
 
 export const ENDPOINTS = {
   USER_STARRED: (username) => `${API_BASE}/users/${username}/starred`,
+  AUTHENTICATED_USER: `${API_BASE}/user`,
   WORKFLOW_DISPATCH: (owner, repo, workflow) =>
-    `${API_BASE}/repos/${owner}/${repo}/actions/workflows/${workflow}/dispatches`
+    `${API_BASE}/repos/${owner}/${repo}/actions/workflows/${workflow}/dispatches`,
+  WORKFLOW_RUNS: (owner, repo, workflow) =>
+    `${API_BASE}/repos/${owner}/${repo}/actions/workflows/${workflow}/runs`,
+  WORKFLOW_RUN: (owner, repo, runId) =>
+    `${API_BASE}/repos/${owner}/${repo}/actions/runs/${runId}`
 };
 
 // Feature Flags
 export const FEATURES = {
-  // Set to true to enable Supabase for cross-device sync (requires setup)
-  // Note: Supabase database is publicly writable - anyone can add/edit data
-  // For private use, keep this false (uses localStorage only)
+  // Set to true to enable Supabase for cross-device sync (requires setup, see README)
+  // Users sign in with a magic link or GitHub and only see their own rows.
+  // Tags and notes are always saved locally and synced both ways while signed in
   USE_SUPABASE: false
 };
 
@@ -24,29 +29,114 @@ export const SUPABASE_ANON_KEY = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpc3MiO
 export const STORAGE_KEYS = {
   CUSTOM_TAGS_PREFIX: 'custom_tags_',
   NOTES_PREFIX: 'notes_',
+  COLLECTION_PREFIX: 'collection_',
+  TAG_INFO_PREFIX: 'tag_info_',
   PREFERENCES: 'user_preferences',
+  OFFLINE_QUEUE: 'offline_queue',
+  CLOUD_SYNC_STATE: 'cloud_sync_state',
   WORKFLOW_TOKEN: 'workflow_token',
   DARK_MODE: 'dark_mode'
 };
 
+// Custom data storage backends (js/services/adapters)
+export const STORAGE_BACKENDS = {
+  LOCAL_STORAGE: 'localStorage',
+  INDEXED_DB: 'indexedDB',
+  SUPABASE: 'supabase',
+  MEMORY: 'memory'
+};
+
+/**
+ * Owner and name of the repository serving a GitHub Pages project site (OWNER.github.io/REPO/)
+ * @returns {Object|null} owner and repo, or null when hosted elsewhere (e.g. locally)
+ */
+function getPagesRepository() {
+  if (typeof window === 'undefined') return null;
+
+  const host = window.location.hostname.match(/^([^.]+)\.github\.io$/i);
+  const repo = window.location.pathname.split('/').filter(Boolean)[0];
+  return host && repo ? { owner: host[1], repo } : null;
+}
+
+const PAGES_REPOSITORY = getPagesRepository();
+
 // Configuration
 export const CONFIG = {
-  REPO_OWNER: 'nicolasbagatello',
-  REPO_NAME: 'github-star-list',
-  USERNAME: 'nicolasbagatello',
+  // Taken from the GitHub Pages URL; the fallbacks are used when running elsewhere
+  REPO_OWNER: PAGES_REPOSITORY?.owner || 'nicolasbagatello',
+  REPO_NAME: PAGES_REPOSITORY?.repo || 'github-star-list',
+  USERNAME: PAGES_REPOSITORY?.owner || 'nicolasbagatello',
+  // Where custom tags and notes are kept when not signed in to Supabase (see STORAGE_BACKENDS)
+  STORAGE_BACKEND: 'indexedDB',
   DATA_FILE: './data/stars.json',
+  HISTORY_FILE: './data/history.json',
+  // Written by a team sync (--users); when present, the site offers a user switcher and team view
+  TEAM_FILE: './data/team.json',
+  WHATS_NEW_MAX_RUNS: 10,
   ITEMS_PER_PAGE: 100,
-  SEARCH_DEBOUNCE_MS: 300
+  SEARCH_DEBOUNCE_MS: 300,
+  WORKFLOW_FILE: 'sync-stars.yml',
+  WORKFLOW_REF: 'main',
+  WORKFLOW_POLL_INTERVAL_MS: 5000,
+  WORKFLOW_TIMEOUT_MS: 10 * 60 * 1000,
+  DEPLOY_WAIT_MS: 2 * 60 * 1000,
+  // Two-way sync of tags and notes with Supabase (while signed in)
+  CLOUD_SYNC_INTERVAL_MS: 60 * 1000,
+  CLOUD_SYNC_DEBOUNCE_MS: 2000
 };
 
 // UI Constants
 export const SORT_OPTIONS = {
+  RELEVANCE: 'relevance',
   STARS_DESC: 'stars-desc',
   STARS_ASC: 'stars-asc',
   NAME_ASC: 'name-asc',
   NAME_DESC: 'name-desc',
   UPDATED_DESC: 'updated-desc',
-  UPDATED_ASC: 'updated-asc'
+  UPDATED_ASC: 'updated-asc',
+  HEALTH_DESC: 'health-desc'
+};
+
+// Starred/archived status filter values
+export const STATUS_FILTERS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived',
+  ALL: 'all'
+};
+
+// License filter value matching repositories without a license
+export const NO_LICENSE = 'none';
+
+// States of the tags and notes sync with Supabase
+export const CLOUD_SYNC_STATUS = {
+  DISABLED: 'disabled',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  PENDING: 'pending',
+  ERROR: 'error'
+};
+
+// Cover colours of collections (Tailwind colour names)
+export const COLLECTION_COLORS = ['indigo', 'sky', 'emerald', 'amber', 'rose', 'violet', 'slate'];
+
+// Chip colours of custom tags (Tailwind colour names; the first is the default)
+export const TAG_COLORS = ['indigo', 'sky', 'emerald', 'amber', 'rose', 'violet', 'slate'];
+
+// Cover emoji of a new collection
+export const DEFAULT_COLLECTION_EMOJI = '📚';
+
+// Longest collection fields accepted (as in the collection dialog)
+export const COLLECTION_MAX_LENGTHS = {
+  NAME: 100,
+  DESCRIPTION: 1000,
+  EMOJI: 8
+};
+
+// How an imported item is combined with existing custom data
+export const IMPORT_MODES = {
+  MERGE: 'merge',
+  REPLACE: 'replace',
+  SKIP: 'skip'
 };
 
 // Error Messages
@@ -54,5 +144,10 @@ export const ERROR_MESSAGES = {
   LOAD_DATA_FAILED: 'Failed to load repository data. Please try again later.',
   NETWORK_ERROR: 'Network error occurred. Showing cached data.',
   WORKFLOW_TRIGGER_FAILED: 'Failed to trigger sync workflow. Please try again.',
-  STORAGE_QUOTA_EXCEEDED: 'Local storage quota exceeded. Please export and clear old data.'
+  WORKFLOW_TOKEN_INVALID: 'GitHub token was rejected. Please enter a new token.',
+  WORKFLOW_RUN_FAILED: 'Sync workflow did not complete successfully.',
+  WORKFLOW_TIMEOUT: 'Timed out waiting for the sync workflow to finish.',
+  CLOUD_SYNC_ACCOUNT_SWITCH_DECLINED: 'Sync paused: this browser has unsynced edits made with another account. Sign in with that account to sync them.',
+  STORAGE_QUOTA_EXCEEDED: 'Browser storage is full, so this change was not saved. Export your data and remove tags or notes you no longer need.',
+  IMPORT_INVALID_FORMAT: 'This file is not a custom data export. Choose a JSON file created with "Export Data".'
 };
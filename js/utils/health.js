@@ -0,0 +1,116 @@
+/**
+ * Repository Health
+ * Scores how well maintained a starred repository looks, from the metadata
+ * recorded by the sync: how long ago it was last pushed to, whether its owner
+ * archived it on GitHub, and how many issues are open for its popularity.
+ */
+
+const MONTH_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Pushes within this many months count as fully active
+const ACTIVE_MONTHS = 3;
+
+// Months without a push after which a repository counts as long inactive
+// (and the activity part of its score is gone)
+export const INACTIVE_MONTHS = 24;
+
+// Points for recent activity and for a small open issue load (100 in total)
+const ACTIVITY_POINTS = 70;
+const ISSUE_POINTS = 30;
+
+// Open issues per star at which the issue part of the score is gone
+// (stars are counted as at least 10, so tiny repositories are not punished for one issue)
+const MAX_ISSUES_PER_STAR = 0.1;
+const MIN_STARS = 10;
+
+// Health levels, from best to worst
+export const HEALTH_LEVELS = {
+  HEALTHY: 'healthy',
+  AGING: 'aging',
+  INACTIVE: 'inactive',
+  ARCHIVED: 'archived'
+};
+
+// Lowest scores of the healthy and aging levels
+const HEALTHY_SCORE = 75;
+const AGING_SCORE = 40;
+
+/**
+ * Compute the health of a repository
+ * @param {Object} repo - Repository (pushed_at, archived, open_issues_count, stargazers_count)
+ * @param {number} now - Current time in ms (default: now)
+ * @returns {Object|null} score (0-100), level (HEALTH_LEVELS), monthsInactive and reasons
+ *   (sentences explaining the score), or null for data synced before pushes were recorded
+ */
+export function getRepoHealth(repo, now = Date.now()) {
+  if (!repo.pushed_at) return null;
+
+  const monthsInactive = Math.max(0, (now - new Date(repo.pushed_at).getTime()) / MONTH_MS);
+  const pushed = `Last push ${describeMonths(monthsInactive)}`;
+
+  if (repo.archived) {
+    return {
+      score: 0,
+      level: HEALTH_LEVELS.ARCHIVED,
+      monthsInactive,
+      reasons: ['Archived on GitHub (read-only)', pushed]
+    };
+  }
+
+  const issues = repo.open_issues_count || 0;
+  const issuesPerStar = issues / Math.max(repo.stargazers_count || 0, MIN_STARS);
+
+  const activity = ACTIVITY_POINTS * clamp(1 - (monthsInactive - ACTIVE_MONTHS) / (INACTIVE_MONTHS - ACTIVE_MONTHS));
+  const issueLoad = ISSUE_POINTS * clamp(1 - issuesPerStar / MAX_ISSUES_PER_STAR);
+  const score = Math.round(activity + issueLoad);
+
+  let level = HEALTH_LEVELS.INACTIVE;
+  if (score >= HEALTHY_SCORE) {
+    level = HEALTH_LEVELS.HEALTHY;
+  } else if (score >= AGING_SCORE) {
+    level = HEALTH_LEVELS.AGING;
+  }
+
+  return {
+    score,
+    level,
+    monthsInactive,
+    reasons: [pushed, `${issues} open ${issues === 1 ? 'issue' : 'issues'} for ${repo.stargazers_count || 0} stars`]
+  };
+}
+
+/**
+ * Check whether a repository needs cleaning up: archived on GitHub or not pushed to for INACTIVE_MONTHS
+ * @param {Object} repo - Repository
+ * @param {number} now - Current time in ms (default: now)
+ * @returns {boolean} True if archived or long inactive
+ */
+export function isNeglected(repo, now = Date.now()) {
+  if (repo.archived) return true;
+
+  const health = getRepoHealth(repo, now);
+  return Boolean(health && health.monthsInactive >= INACTIVE_MONTHS);
+}
+
+/**
+ * Limit a fraction to 0..1
+ * @param {number} value - Fraction
+ * @returns {number} Value between 0 and 1
+ */
+function clamp(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Describe a number of months ago
+ * @param {number} months - Months (fractional)
+ * @returns {string} e.g. "this month", "5 months ago", "3 years ago"
+ */
+function describeMonths(months) {
+  if (months < 1) return 'this month';
+  if (months < 24) {
+    const whole = Math.floor(months);
+    return `${whole} ${whole === 1 ? 'month' : 'months'} ago`;
+  }
+  return `${Math.floor(months / 12)} years ago`;
+}
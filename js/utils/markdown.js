@@ -0,0 +1,227 @@
+/**
+ * Markdown
+ * Renders the README excerpts from the sync as HTML. Only a safe subset is
+ * produced: every piece of text is escaped, raw HTML is shown as text, links
+ * are limited to http(s) and mailto, and images become links instead of
+ * loading from third-party hosts.
+ *
+ * Supported: headings, paragraphs, fenced and indented code, inline code,
+ * bold, italic, strikethrough, links, autolinks, lists, block quotes and rules.
+ */
+
+// Placeholder wrapping the index of an already rendered inline fragment
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+const SAFE_PROTOCOLS = new Set(['http:', 'https:', 'mailto:']);
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Resolve a link target against the document's URL, keeping only safe protocols
+ * @param {string} url - Link target as written
+ * @param {string} baseURL - URL relative links are resolved against
+ * @returns {string|null} Absolute URL, or null if it is unsafe or invalid
+ */
+function resolveURL(url, baseURL) {
+  try {
+    const resolved = new URL(url.trim().replace(/^<|>$/g, ''), baseURL || undefined);
+    return SAFE_PROTOCOLS.has(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Render inline Markdown (code, links, images, emphasis)
+ * @param {string} text - Markdown of one block
+ * @param {string} baseURL - URL relative links are resolved against
+ * @returns {string} HTML
+ */
+function renderInline(text, baseURL) {
+  const fragments = [];
+  const keep = (html) => `\u0000${fragments.push(html) - 1}\u0000`;
+  const link = (href, label) => href
+    ? `<a href="${escapeHTML(href)}" target="_blank" rel="noopener noreferrer">${label}</a>`
+    : label;
+
+  let html = text
+    // Code spans first: nothing inside them is formatted
+    .replace(/(`+)([\s\S]+?)\1/g, (match, ticks, code) => keep(`<code>${escapeHTML(code.trim())}</code>`))
+    // Images become links labelled with their alt text; linked images link to the outer target
+    .replace(/\[!\[([^\]]*)\]\(([^)\s]+)[^)]*\)\]\(([^)\s]+)[^)]*\)/g, (match, alt, src, href) =>
+      keep(link(resolveURL(href, baseURL), escapeHTML(alt || 'image'))))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, src) =>
+      keep(link(resolveURL(src, baseURL), escapeHTML(alt || 'image'))))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g, (match, label, href) =>
+      keep(link(resolveURL(href, baseURL), renderEmphasis(escapeHTML(label)))))
+    .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>/g, (match, href) =>
+      keep(link(resolveURL(href, baseURL), escapeHTML(href))));
+
+  html = renderEmphasis(escapeHTML(html));
+
+  // Fragments can hold placeholders of their own (e.g. code in a link label)
+  let previous;
+  do {
+    previous = html;
+    html = html.replace(PLACEHOLDER, (match, index) => fragments[index]);
+  } while (html !== previous);
+  return html;
+}
+
+/**
+ * Render bold, italic and strikethrough in escaped text
+ * @param {string} html - Escaped text
+ * @returns {string} HTML
+ */
+function renderEmphasis(html) {
+  return html
+    .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+    .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Render Markdown as sanitized HTML
+ * @param {string} markdown - Markdown text
+ * @param {Object} options - Render options
+ * @param {string} options.baseURL - URL relative links are resolved against
+ *   (e.g. the README's page on GitHub)
+ * @returns {string} HTML
+ */
+export function renderMarkdown(markdown, { baseURL = '' } = {}) {
+  if (!markdown) return '';
+  // NUL characters are reserved for the inline placeholders
+  return renderBlocks(String(markdown).replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n'), baseURL);
+}
+
+/**
+ * Render block-level Markdown
+ * @param {Array<string>} lines - Lines of the document
+ * @param {string} baseURL - URL relative links are resolved against
+ * @returns {string} HTML
+ */
+function renderBlocks(lines, baseURL) {
+  const blocks = [];
+  let paragraph = [];
+  let i = 0;
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${renderInline(paragraph.join('\n').trim(), baseURL)}</p>`);
+      paragraph = [];
+    }
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    // Fenced code
+    if ((match = line.match(/^\s*(```+|~~~+)/))) {
+      flushParagraph();
+      const fence = match[1];
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence)) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      blocks.push(`<pre><code>${escapeHTML(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    if (!line.trim()) {
+      flushParagraph();
+      i++;
+      continue;
+    }
+
+    // Indented code (not as a paragraph continuation)
+    if (paragraph.length === 0 && /^( {4}|\t)/.test(line)) {
+      const code = [];
+      while (i < lines.length && (/^( {4}|\t)/.test(lines[i]) || !lines[i].trim())) {
+        code.push(lines[i].replace(/^( {4}|\t)/, ''));
+        i++;
+      }
+      blocks.push(`<pre><code>${escapeHTML(code.join('\n').replace(/\n+$/, ''))}</code></pre>`);
+      continue;
+    }
+
+    if ((match = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/))) {
+      flushParagraph();
+      const level = match[1].length;
+      blocks.push(`<h${level}>${renderInline(match[2], baseURL)}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      flushParagraph();
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    // Setext headings ("Title" underlined with === or ---)
+    if (paragraph.length === 1 && /^\s{0,3}(=+|-+)\s*$/.test(line)) {
+      const level = line.trim().startsWith('=') ? 1 : 2;
+      blocks.push(`<h${level}>${renderInline(paragraph[0].trim(), baseURL)}</h${level}>`);
+      paragraph = [];
+      i++;
+      continue;
+    }
+
+    if (/^\s{0,3}>/.test(line)) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) {
+        quoted.push(lines[i].replace(/^\s{0,3}>\s?/, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>${renderBlocks(quoted, baseURL)}</blockquote>`);
+      continue;
+    }
+
+    // Lists; nested items are shown in the same list
+    if ((match = line.match(/^\s*([-*+]|\d+[.)])\s+/))) {
+      flushParagraph();
+      const ordered = /\d/.test(match[1]);
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(/^\s*([-*+]|\d+[.)])\s+(.*)$/);
+        if (item && /\d/.test(item[1]) === ordered) {
+          items.push([item[2]]);
+        } else if (items.length > 0 && lines[i].trim() && /^\s/.test(lines[i]) && !item) {
+          items[items.length - 1].push(lines[i].trim());
+        } else {
+          break;
+        }
+        i++;
+      }
+      const tag = ordered ? 'ol' : 'ul';
+      blocks.push(`<${tag}>${items.map(item => `<li>${renderInline(item.join('\n'), baseURL)}</li>`).join('')}</${tag}>`);
+      continue;
+    }
+
+    paragraph.push(line);
+    i++;
+  }
+
+  flushParagraph();
+  return blocks.join('\n');
+}
@@ -0,0 +1,285 @@
+/**
+ * Search Query Parser
+ * Turns search box input such as
+ *   lang:rust topic:cli tag:todo stars:>1000 -tag:archived starred:<2024-01-01 by:alice parser -deprecated
+ * into the filter structure used by filters.js
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Qualifier aliases -> canonical qualifier
+const QUALIFIERS = {
+  lang: 'lang',
+  language: 'lang',
+  topic: 'topic',
+  tag: 'tag',
+  by: 'by',
+  stars: 'stars',
+  starred: 'starred',
+  updated: 'updated'
+};
+
+// Qualifiers whose value is a list entry, and the filter arrays they feed
+const LIST_QUALIFIERS = {
+  topic: 'topics',
+  tag: 'customTags',
+  lang: 'languages',
+  by: 'stargazers'
+};
+
+/**
+ * Create an empty filter structure
+ * @returns {Object} Filters produced by a query
+ */
+export function createEmptyQueryFilters() {
+  return {
+    search: '',
+    language: '',
+    topics: [],
+    customTags: [],
+    stargazers: [],
+    exclude: {
+      languages: [],
+      topics: [],
+      customTags: [],
+      stargazers: [],
+      // Free text after a "-", e.g. -deprecated or -"work in progress"
+      text: []
+    },
+    stars: { min: null, max: null },
+    starred: { from: null, to: null },
+    updated: { from: null, to: null }
+  };
+}
+
+/**
+ * Split a query into terms, keeping quoted values together
+ * @param {string} input - Raw query
+ * @returns {Object} Terms with their text and start position, plus tokenizing errors
+ */
+function scan(input) {
+  const terms = [];
+  const errors = [];
+  let i = 0;
+
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    let text = '';
+    let quoted = false;
+
+    while (i < input.length && !/\s/.test(input[i])) {
+      if (input[i] === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          errors.push({ message: 'Missing closing quote', position: i, term: input.slice(start) });
+          text += input.slice(i + 1);
+          i = input.length;
+          break;
+        }
+        text += input.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+      } else {
+        text += input[i];
+        i++;
+      }
+    }
+
+    terms.push({ text, quoted, position: start, raw: input.slice(start, i) });
+  }
+
+  return { terms, errors };
+}
+
+/**
+ * Parse a numeric range such as 100, >100, >=100, <100, <=100, 10..100, 10..*, *..100
+ * @param {string} value - Range expression
+ * @returns {Object|null} Inclusive { min, max } or null if malformed
+ */
+function parseNumberRange(value) {
+  const toNumber = (text) => {
+    if (text === '*') return null;
+    const normalized = text.replace(/_/g, '').toLowerCase();
+    const match = normalized.match(/^(\d+(?:\.\d+)?)(k|m)?$/);
+    if (!match) return undefined;
+    const multiplier = { k: 1000, m: 1000000 }[match[2]] || 1;
+    return Math.round(parseFloat(match[1]) * multiplier);
+  };
+
+  if (value.includes('..')) {
+    const [from, to] = value.split('..');
+    const min = toNumber(from);
+    const max = toNumber(to);
+    if (min === undefined || max === undefined) return null;
+    if (min !== null && max !== null && min > max) return null;
+    return { min, max };
+  }
+
+  const match = value.match(/^(>=|<=|>|<)?(.+)$/);
+  const number = toNumber(match[2]);
+  if (number === undefined || number === null) return null;
+
+  switch (match[1]) {
+    case '>': return { min: number + 1, max: null };
+    case '>=': return { min: number, max: null };
+    case '<': return { min: null, max: number - 1 };
+    case '<=': return { min: null, max: number };
+    default: return { min: number, max: number };
+  }
+}
+
+/**
+ * Parse a date (YYYY, YYYY-MM or YYYY-MM-DD, UTC) into the range of time it covers
+ * @param {string} text - Date text
+ * @returns {Object|null|undefined} { start, end } in ms (end inclusive), null for "*", undefined if malformed
+ */
+function parseDateSpan(text) {
+  if (text === '*') return null;
+
+  const match = text.match(/^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/);
+  if (!match) return undefined;
+
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) - 1 : null;
+  const day = match[3] ? parseInt(match[3], 10) : null;
+
+  if (month !== null && (month < 0 || month > 11)) return undefined;
+
+  let start;
+  let end;
+  if (day !== null) {
+    start = Date.UTC(year, month, day);
+    // Reject dates like 2024-02-31 that roll over into the next month
+    if (new Date(start).getUTCMonth() !== month) return undefined;
+    end = start + DAY_MS - 1;
+  } else if (month !== null) {
+    start = Date.UTC(year, month, 1);
+    end = Date.UTC(year, month + 1, 1) - 1;
+  } else {
+    start = Date.UTC(year, 0, 1);
+    end = Date.UTC(year + 1, 0, 1) - 1;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Parse a date range such as 2024-01-01, >2024, <=2024-06, 2023-01..2023-06, 2024..*
+ * @param {string} value - Range expression
+ * @returns {Object|null} Inclusive { from, to } timestamps or null if malformed
+ */
+function parseDateRange(value) {
+  if (value.includes('..')) {
+    const [fromText, toText] = value.split('..');
+    const from = parseDateSpan(fromText);
+    const to = parseDateSpan(toText);
+    if (from === undefined || to === undefined) return null;
+    if (from && to && from.start > to.end) return null;
+    return { from: from ? from.start : null, to: to ? to.end : null };
+  }
+
+  const match = value.match(/^(>=|<=|>|<)?(.+)$/);
+  const span = parseDateSpan(match[2]);
+  if (!span) return null;
+
+  switch (match[1]) {
+    case '>': return { from: span.end + 1, to: null };
+    case '>=': return { from: span.start, to: null };
+    case '<': return { from: null, to: span.start - 1 };
+    case '<=': return { from: null, to: span.end };
+    default: return { from: span.start, to: span.end };
+  }
+}
+
+/**
+ * Parse a search query
+ * Unknown or malformed qualifiers are reported in errors and otherwise ignored,
+ * so the rest of the query still applies.
+ * @param {string} input - Raw search box input
+ * @returns {Object} filters: structure from createEmptyQueryFilters, errors: [{ message, term, position }]
+ */
+export function parseQuery(input) {
+  const filters = createEmptyQueryFilters();
+  const { terms, errors } = scan(input || '');
+  const textTerms = [];
+  const languages = [];
+
+  terms.forEach(term => {
+    const match = !term.raw.startsWith('"') && term.text.match(/^(-?)([a-zA-Z]+):(.*)$/s);
+
+    if (!match) {
+      // A lone "-" is not a negation; a quoted "-term" is searched literally
+      if (term.text.length > 1 && term.raw.startsWith('-')) {
+        filters.exclude.text.push(term.text.slice(1));
+      } else {
+        textTerms.push(term.text);
+      }
+      return;
+    }
+
+    const [, negation, key, value] = match;
+    const qualifier = QUALIFIERS[key.toLowerCase()];
+    const error = (message) => errors.push({ message, term: term.raw, position: term.position });
+
+    if (!qualifier) {
+      error(`Unknown qualifier "${key}:". Use lang:, topic:, tag:, by:, stars:, starred: or updated:`);
+      return;
+    }
+
+    if (!value) {
+      error(`"${key}:" needs a value`);
+      return;
+    }
+
+    if (LIST_QUALIFIERS[qualifier]) {
+      const normalized = qualifier === 'lang' ? value : value.toLowerCase();
+      if (negation) {
+        filters.exclude[LIST_QUALIFIERS[qualifier]].push(normalized);
+      } else if (qualifier === 'lang') {
+        languages.push(normalized);
+      } else {
+        filters[LIST_QUALIFIERS[qualifier]].push(normalized);
+      }
+      return;
+    }
+
+    if (negation) {
+      error(`"${key}:" cannot be negated; use a range like ${key}:<value instead`);
+      return;
+    }
+
+    if (qualifier === 'stars') {
+      const range = parseNumberRange(value);
+      if (!range) {
+        error(`Invalid star count "${value}". Try stars:>1000, stars:<=50 or stars:100..500`);
+        return;
+      }
+      filters.stars = range;
+      return;
+    }
+
+    const range = parseDateRange(value);
+    if (!range) {
+      error(`Invalid date "${value}". Use YYYY, YYYY-MM or YYYY-MM-DD, e.g. ${key}:<2024-01-01 or ${key}:2023..2024`);
+      return;
+    }
+    filters[qualifier] = range;
+  });
+
+  if (languages.length > 1) {
+    errors.push({
+      message: 'Only one lang: qualifier can be included; use -lang: to exclude others',
+      term: languages.map(lang => `lang:${lang}`).join(' '),
+      position: 0
+    });
+  }
+  filters.language = languages[0] || '';
+  filters.search = textTerms.join(' ');
+
+  return { filters, errors };
+}
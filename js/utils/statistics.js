@@ -0,0 +1,92 @@
+/**
+ * Statistics
+ * Aggregates a list of repositories into the figures shown on the dashboard:
+ * languages, stars added per month, topics, custom tags, owners and how many
+ * repositories carry tags or notes.
+ */
+
+import { normalizeTag } from './tags.js';
+
+/**
+ * Compute the dashboard statistics of repositories
+ * @param {Array<Object>} repositories - Repositories (with custom_tags and notes merged)
+ * @returns {Object} total; languages, topics, tags and owners as [{ name, count }] (most
+ *   frequent first; owners also have avatar_url); months as [{ month: 'YYYY-MM', count }]
+ *   without gaps; annotated: counts of tagged, withNotes, both and neither
+ */
+export function computeStatistics(repositories) {
+  const languages = new Map();
+  const topics = new Map();
+  const tags = new Map();
+  const owners = new Map();
+  const months = new Map();
+  const annotated = { tagged: 0, withNotes: 0, both: 0, neither: 0 };
+
+  const increment = (counts, name) => counts.set(name, (counts.get(name) || 0) + 1);
+
+  repositories.forEach(repo => {
+    increment(languages, repo.language || 'Unknown');
+    repo.topics?.forEach(topic => increment(topics, topic));
+    new Set((repo.custom_tags || []).map(normalizeTag).filter(Boolean)).forEach(tag => increment(tags, tag));
+
+    const owner = owners.get(repo.owner.login) || { name: repo.owner.login, avatar_url: repo.owner.avatar_url, count: 0 };
+    owner.count++;
+    owners.set(repo.owner.login, owner);
+
+    if (repo.starred_at) increment(months, repo.starred_at.slice(0, 7));
+
+    const hasTags = repo.custom_tags?.length > 0;
+    const hasNotes = Boolean(repo.notes?.trim());
+    if (hasTags) annotated.tagged++;
+    if (hasNotes) annotated.withNotes++;
+    if (hasTags && hasNotes) annotated.both++;
+    if (!hasTags && !hasNotes) annotated.neither++;
+  });
+
+  return {
+    total: repositories.length,
+    languages: toRanking(languages),
+    topics: toRanking(topics),
+    tags: toRanking(tags),
+    owners: [...owners.values()].sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    months: fillMonths(months),
+    annotated
+  };
+}
+
+/**
+ * Turn counts into a ranking
+ * @param {Map<string, number>} counts - Count by name
+ * @returns {Array<Object>} [{ name, count }], most frequent first, then by name
+ */
+function toRanking(counts) {
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * List every month from the first to the last one with stars, including empty months
+ * @param {Map<string, number>} counts - Stars added by month ('YYYY-MM')
+ * @returns {Array<Object>} [{ month, count }] in chronological order
+ */
+function fillMonths(counts) {
+  if (counts.size === 0) return [];
+
+  const keys = [...counts.keys()].sort();
+  const [lastYear, lastMonth] = keys[keys.length - 1].split('-').map(Number);
+  let [year, month] = keys[0].split('-').map(Number);
+  const filled = [];
+
+  while (year < lastYear || (year === lastYear && month <= lastMonth)) {
+    const key = `${year}-${String(month).padStart(2, '0')}`;
+    filled.push({ month: key, count: counts.get(key) || 0 });
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  return filled;
+}
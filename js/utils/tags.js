@@ -0,0 +1,107 @@
+/**
+ * Tag Paths
+ * Custom tags can be namespaced with slashes (e.g. `lang/parsers`): a tag
+ * belongs to every tag above it, so filtering by `lang` also matches
+ * `lang/parsers` and `lang/parsers/peg`.
+ */
+
+export const TAG_SEPARATOR = '/';
+
+/**
+ * Normalize a tag the way the tag input stores it: lowercase, with each
+ * path segment trimmed and empty segments dropped (" Lang // Parsers/" -> "lang/parsers")
+ * @param {string} tag - Tag text
+ * @returns {string} Normalized tag ('' if nothing is left)
+ */
+export function normalizeTag(tag) {
+  return String(tag)
+    .toLowerCase()
+    .split(TAG_SEPARATOR)
+    .map(segment => segment.trim())
+    .filter(Boolean)
+    .join(TAG_SEPARATOR);
+}
+
+/**
+ * Check whether a tag is a filter tag or one of its descendants
+ * @param {string} tag - Tag of a repository
+ * @param {string} filterTag - Tag being filtered by
+ * @returns {boolean} True if the tag matches
+ */
+export function tagMatches(tag, filterTag) {
+  return tag === filterTag || tag.startsWith(filterTag + TAG_SEPARATOR);
+}
+
+/**
+ * Get the parent path of a tag
+ * @param {string} tag - Tag (e.g. "lang/parsers")
+ * @returns {string} Parent path ("lang"), or '' for a top-level tag
+ */
+export function getParentTag(tag) {
+  const index = tag.lastIndexOf(TAG_SEPARATOR);
+  return index === -1 ? '' : tag.slice(0, index);
+}
+
+/**
+ * Get the last segment of a tag
+ * @param {string} tag - Tag (e.g. "lang/parsers")
+ * @returns {string} Leaf name ("parsers")
+ */
+export function getTagLeaf(tag) {
+  return tag.slice(tag.lastIndexOf(TAG_SEPARATOR) + 1);
+}
+
+/**
+ * Rename a tag path: the tag itself and its descendants move to the new path
+ * ("lang" -> "languages" turns "lang/parsers" into "languages/parsers")
+ * @param {string} tag - Tag of a repository
+ * @param {string} from - Path being renamed
+ * @param {string} to - New path
+ * @returns {string} Renamed tag (unchanged if it is not under `from`)
+ */
+export function renameTagPath(tag, from, to) {
+  return tagMatches(tag, from) ? to + tag.slice(from.length) : tag;
+}
+
+/**
+ * Build the tag tree of a list of repositories
+ * Every path segment becomes a node, even if no repository has that exact tag.
+ * A node's count is the number of repositories tagged with it or any descendant.
+ * @param {Array<Object>} repositories - Repositories with custom_tags
+ * @returns {Array<Object>} Top-level nodes { name, path, count, children }, sorted by name
+ */
+export function buildTagTree(repositories) {
+  const nodes = new Map();
+  const root = { children: [] };
+
+  const getNode = (path) => {
+    if (!nodes.has(path)) {
+      const node = { name: getTagLeaf(path), path, count: 0, children: [] };
+      const parentPath = getParentTag(path);
+      (parentPath ? getNode(parentPath) : root).children.push(node);
+      nodes.set(path, node);
+    }
+    return nodes.get(path);
+  };
+
+  repositories.forEach(repo => {
+    // Each repository counts once per node, however many of its tags are below it
+    const paths = new Set();
+    (repo.custom_tags || []).forEach(tag => {
+      let path = tag;
+      while (path) {
+        paths.add(path);
+        path = getParentTag(path);
+      }
+    });
+    paths.forEach(path => getNode(path).count++);
+  });
+
+  const sortNodes = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name));
+    list.forEach(node => sortNodes(node.children));
+    return list;
+  };
+
+  return sortNodes(root.children);
+}
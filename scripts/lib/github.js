@@ -0,0 +1,195 @@
+/**
+ * GitHub API Client
+ * Minimal REST and GraphQL client used by the sync script. Requests can go to
+ * the real API, to a mock HTTP server (via apiBase), or to a local fixture directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_API_BASE = 'https://api.github.com';
+
+/**
+ * Create a GitHub API client
+ * @param {Object} options - Client options
+ * @param {string} options.token - Personal access token (optional for fixtures)
+ * @param {string} options.apiBase - API base URL (default: https://api.github.com)
+ * @param {string} options.fixturesDir - Directory of recorded responses to read instead of the network
+ * @returns {Object} Client with get(path, options) and graphql(query, variables) methods
+ */
+function createGitHubClient({ token = '', apiBase = DEFAULT_API_BASE, fixturesDir = '' } = {}) {
+  const request = fixturesDir
+    ? (requestPath) => readFixture(fixturesDir, requestPath)
+    : (requestPath, options) => httpRequest(apiBase, token, requestPath, options);
+
+  // Fixtures of GraphQL queries are looked up like GET requests (see graphqlFixtureRequest)
+  const graphqlRequest = fixturesDir
+    ? (query, variables) => readFixture(fixturesDir, graphqlFixtureRequest(query, variables))
+    : (query, variables) => httpRequest(apiBase, token, '/graphql', { method: 'POST', body: { query, variables } });
+
+  return {
+    /**
+     * GET a path relative to the API base
+     * @param {string} requestPath - Path including query string, e.g. /users/octocat/starred?page=1
+     * @param {Object} options - Request options
+     * @param {string} options.accept - Accept header
+     * @returns {Promise<Object>} Parsed body and response headers
+     */
+    get(requestPath, options = {}) {
+      return request(requestPath, options);
+    },
+
+    /**
+     * Run a GraphQL query (the API requires a token)
+     * @param {string} query - Named query, e.g. "query StarLists($login: String!) { ... }"
+     * @param {Object} variables - Query variables
+     * @returns {Promise<Object>} The response's data
+     * @throws {Error} If the request fails or the response lists errors
+     */
+    async graphql(query, variables = {}) {
+      const { data: body } = await graphqlRequest(query, variables);
+
+      if (body.errors && body.errors.length > 0) {
+        throw new Error(`GraphQL error: ${body.errors.map(error => error.message).join('; ')}`);
+      }
+      return body.data;
+    }
+  };
+}
+
+/**
+ * Perform an HTTP(S) request
+ * @param {string} apiBase - API base URL
+ * @param {string} token - Personal access token
+ * @param {string} requestPath - Request path and query
+ * @param {Object} options - Request options
+ * @param {string} options.accept - Accept header
+ * @param {string} options.method - HTTP method (default: GET)
+ * @param {Object} options.body - JSON request body
+ * @returns {Promise<Object>} Parsed body and response headers
+ */
+function httpRequest(apiBase, token, requestPath, { accept = 'application/vnd.github+json', method = 'GET', body = null } = {}) {
+  const url = new URL(requestPath.replace(/^\//, ''), apiBase.endsWith('/') ? apiBase : `${apiBase}/`);
+  const transport = url.protocol === 'http:' ? http : https;
+
+  const headers = {
+    'User-Agent': 'GitHub-Stars-Sync',
+    'Accept': accept
+  };
+  if (token) {
+    headers['Authorization'] = `token ${token}`;
+  }
+  const payload = body ? JSON.stringify(body) : null;
+  if (payload) {
+    headers['Content-Type'] = 'application/json';
+    headers['Content-Length'] = Buffer.byteLength(payload);
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, { method, headers }, (res) => {
+      let responseBody = '';
+      res.on('data', chunk => responseBody += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 200) {
+          try {
+            resolve({ data: JSON.parse(responseBody), headers: res.headers });
+          } catch (error) {
+            reject(new Error(`Invalid JSON from ${url.pathname}: ${error.message}`));
+          }
+        } else {
+          const error = new Error(`API returned ${res.statusCode}: ${responseBody}`);
+          error.status = res.statusCode;
+          reject(error);
+        }
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+/**
+ * Map a request path to a fixture file name
+ * The path becomes a relative file path, and query parameters other than
+ * per_page are appended after an "@", e.g.
+ *   /users/octocat/starred?per_page=100&page=2 -> users/octocat/starred@page=2.json
+ * @param {string} requestPath - Request path and query
+ * @returns {string} Relative fixture file path
+ */
+function fixturePath(requestPath) {
+  const url = new URL(requestPath, 'http://fixtures.local');
+  url.searchParams.delete('per_page');
+  url.searchParams.sort();
+
+  const query = url.searchParams.toString();
+  const base = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+
+  return `${base}${query ? `@${query}` : ''}.json`;
+}
+
+/**
+ * Map a GraphQL query to the request path its fixture is stored under
+ * The path is /graphql/<operation name> with the variables as query parameters
+ * (null ones left out), so with fixturePath
+ *   query StarLists($login: String!, $after: String) { ... }, { login: 'octocat', after: null }
+ * is read from graphql/StarLists@login=octocat.json. The fixture holds the
+ * whole response body ({ "data": ... }).
+ * @param {string} query - Named GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {string} Request path and query
+ */
+function graphqlFixtureRequest(query, variables = {}) {
+  const match = query.match(/^\s*(?:query|mutation)\s+(\w+)/);
+  const params = new URLSearchParams();
+
+  Object.entries(variables).forEach(([name, value]) => {
+    if (value !== null && value !== undefined) params.set(name, String(value));
+  });
+
+  const search = params.toString();
+  return `/graphql/${match ? match[1] : 'query'}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Read a recorded response from the fixture directory
+ * A missing fixture behaves like a 404. When the request has a page
+ * parameter and a fixture for the following page exists, a Link header
+ * with rel="next" is synthesized so pagination works as against the API.
+ * @param {string} fixturesDir - Fixture directory
+ * @param {string} requestPath - Request path and query
+ * @returns {Promise<Object>} Parsed body and synthesized headers
+ */
+async function readFixture(fixturesDir, requestPath) {
+  const file = path.join(fixturesDir, fixturePath(requestPath));
+
+  if (!fs.existsSync(file)) {
+    const error = new Error(`API returned 404: no fixture at ${file}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const headers = {};
+
+  const url = new URL(requestPath, 'http://fixtures.local');
+  const page = parseInt(url.searchParams.get('page'), 10);
+  if (page) {
+    url.searchParams.set('page', String(page + 1));
+    const next = `${url.pathname}${url.search}`;
+    if (fs.existsSync(path.join(fixturesDir, fixturePath(next)))) {
+      headers.link = `<${next}>; rel="next"`;
+    }
+  }
+
+  return { data, headers };
+}
+
+module.exports = {
+  DEFAULT_API_BASE,
+  createGitHubClient,
+  fixturePath,
+  graphqlFixtureRequest
+};
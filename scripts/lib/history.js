@@ -0,0 +1,124 @@
+/**
+ * Sync History
+ * Records what changed between two versions of stars.json and keeps
+ * a compact, append-only log of those changes in history.json
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Maximum number of sync runs kept in history.json
+const HISTORY_LIMIT = 200;
+
+/**
+ * Compute the changes between the previous and the new repository lists
+ * Archived (unstarred) repositories count as removed, and an archived
+ * repository that is starred again counts as added.
+ * @param {Array} previousRepos - Repositories before the sync
+ * @param {Array} nextRepos - Repositories after the sync
+ * @param {Date} now - Sync time
+ * @returns {Object} History entry: added, removed, renamed and star deltas as [id, delta] pairs
+ */
+function diffRepositories(previousRepos, nextRepos, now = new Date()) {
+  const previousActive = new Map(
+    previousRepos.filter(repo => !repo.unstarred_at).map(repo => [repo.id, repo])
+  );
+  const nextActive = new Map(
+    nextRepos.filter(repo => !repo.unstarred_at).map(repo => [repo.id, repo])
+  );
+  const previousById = new Map(previousRepos.map(repo => [repo.id, repo]));
+
+  const entry = {
+    syncedAt: now.toISOString(),
+    added: [],
+    removed: [],
+    renamed: [],
+    stars: []
+  };
+
+  nextActive.forEach((repo, id) => {
+    if (!previousActive.has(id)) {
+      entry.added.push({ id, full_name: repo.full_name });
+    }
+
+    const previous = previousById.get(id);
+    if (!previous) return;
+
+    if (previous.full_name !== repo.full_name) {
+      entry.renamed.push({ id, from: previous.full_name, to: repo.full_name });
+    }
+
+    const delta = (repo.stargazers_count || 0) - (previous.stargazers_count || 0);
+    if (delta !== 0) {
+      entry.stars.push([id, delta]);
+    }
+  });
+
+  previousActive.forEach((repo, id) => {
+    if (!nextActive.has(id)) {
+      entry.removed.push({ id, full_name: repo.full_name });
+    }
+  });
+
+  return entry;
+}
+
+/**
+ * Check whether a history entry contains any change
+ * @param {Object} entry - Entry from diffRepositories
+ * @returns {boolean} True if something changed
+ */
+function hasChanges(entry) {
+  return entry.added.length > 0 ||
+    entry.removed.length > 0 ||
+    entry.renamed.length > 0 ||
+    entry.stars.length > 0;
+}
+
+/**
+ * Read history.json
+ * @param {string} file - Path to history.json
+ * @returns {Object} History with a runs array (oldest first)
+ */
+function readHistory(file) {
+  try {
+    if (fs.existsSync(file)) {
+      const history = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Array.isArray(history.runs)) {
+        return history;
+      }
+    }
+  } catch (error) {
+    console.log(`Could not read history from ${file}: ${error.message}`);
+  }
+
+  return { runs: [] };
+}
+
+/**
+ * Append a run to history.json, keeping at most HISTORY_LIMIT runs
+ * Each run is written on its own line so the file stays small and diffs stay readable.
+ * @param {string} file - Path to history.json
+ * @param {Object} entry - Entry from diffRepositories
+ * @returns {Object} Updated history
+ */
+function appendHistory(file, entry) {
+  const history = readHistory(file);
+  history.runs = [...history.runs, entry].slice(-HISTORY_LIMIT);
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    `{"runs":[\n${history.runs.map(run => JSON.stringify(run)).join(',\n')}\n]}\n`
+  );
+
+  return history;
+}
+
+module.exports = {
+  HISTORY_LIMIT,
+  diffRepositories,
+  hasChanges,
+  readHistory,
+  appendHistory
+};
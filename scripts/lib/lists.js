@@ -0,0 +1,118 @@
+/**
+ * Star Lists Sync
+ * Fetches the Lists a user sorted their stars into (github.com/<user>?tab=stars)
+ * through the GraphQL API, which is the only API exposing them, and maps
+ * them to the stars.json structure. Private lists are left out, since
+ * stars.json is published with the site.
+ */
+
+// Lists fetched per request, and repositories per list and request
+const LISTS_PER_PAGE = 50;
+const ITEMS_PER_PAGE = 100;
+
+const LIST_ITEMS_FIELDS = `
+  pageInfo { hasNextPage endCursor }
+  nodes { ... on Repository { databaseId } }
+`;
+
+const STAR_LISTS_QUERY = `query StarLists($login: String!, $after: String) {
+  user(login: $login) {
+    lists(first: ${LISTS_PER_PAGE}, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      nodes {
+        id
+        name
+        slug
+        description
+        isPrivate
+        items(first: ${ITEMS_PER_PAGE}) { ${LIST_ITEMS_FIELDS} }
+      }
+    }
+  }
+}`;
+
+const STAR_LIST_ITEMS_QUERY = `query StarListItems($id: ID!, $after: String) {
+  node(id: $id) {
+    ... on UserList {
+      items(first: ${ITEMS_PER_PAGE}, after: $after) { ${LIST_ITEMS_FIELDS} }
+    }
+  }
+}`;
+
+/**
+ * Map a list from the GraphQL API to the stars.json list structure
+ * @param {Object} node - UserList node (id, name, slug, description)
+ * @param {string} username - Owner of the list
+ * @param {Array<number>} repositoryIds - IDs of the repositories in the list
+ * @returns {Object} List: id, name, slug, description, owner, url, repositoryIds
+ */
+function mapStarList(node, username, repositoryIds) {
+  return {
+    id: node.id,
+    name: node.name,
+    slug: node.slug,
+    description: node.description || '',
+    owner: username,
+    url: `https://github.com/stars/${encodeURIComponent(username)}/lists/${encodeURIComponent(node.slug)}`,
+    repositoryIds
+  };
+}
+
+/**
+ * Get the repository IDs from a page of list items
+ * @param {Object} items - UserListItemsConnection
+ * @returns {Array<number>} Repository IDs (the REST API's id)
+ */
+function itemIds(items) {
+  return items.nodes.filter(item => item && item.databaseId).map(item => item.databaseId);
+}
+
+/**
+ * Fetch every public star list of a user with its repositories, following pagination
+ * @param {Object} client - Client from createGitHubClient
+ * @param {string} username - GitHub username
+ * @param {Object} options - Options
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Array>} Mapped lists
+ * @throws {Error} If the user does not exist or a request fails (e.g. without a token)
+ */
+async function fetchStarLists(client, username, { log = console.log } = {}) {
+  const lists = [];
+  let after = null;
+
+  while (true) {
+    const data = await client.graphql(STAR_LISTS_QUERY, { login: username, after });
+    if (!data.user) {
+      throw new Error(`User ${username} not found`);
+    }
+
+    const { nodes, pageInfo } = data.user.lists;
+
+    for (const node of nodes) {
+      if (node.isPrivate) continue;
+
+      const repositoryIds = itemIds(node.items);
+      let items = node.items;
+      while (items.pageInfo.hasNextPage) {
+        const page = await client.graphql(STAR_LIST_ITEMS_QUERY, { id: node.id, after: items.pageInfo.endCursor });
+        items = page.node.items;
+        repositoryIds.push(...itemIds(items));
+      }
+
+      lists.push(mapStarList(node, username, repositoryIds));
+    }
+
+    if (!pageInfo.hasNextPage) break;
+    after = pageInfo.endCursor;
+  }
+
+  log(`Fetched ${lists.length} star ${lists.length === 1 ? 'list' : 'lists'}`);
+  return lists;
+}
+
+module.exports = {
+  STAR_LISTS_QUERY,
+  STAR_LIST_ITEMS_QUERY,
+  mapStarList,
+  fetchStarLists
+};
@@ -0,0 +1,126 @@
+/**
+ * README Excerpts
+ * Fetches the README of each starred repository and keeps a trimmed Markdown
+ * excerpt of it in stars.json, shown in the site's repository details. Badge
+ * rows, HTML comments and HTML tags are dropped, so only readable text is stored.
+ */
+
+// Longest excerpt kept per repository, in characters
+const README_MAX_LENGTH = 2000;
+
+// Markdown images, linked images and <img> tags, as used for badge rows
+const IMAGE_PATTERN = '(?:\\[!\\[[^\\]]*\\]\\([^)]*\\)\\]\\([^)]*\\)|!\\[[^\\]]*\\]\\([^)]*\\)|<a\\b[^>]*>\\s*<img\\b[^>]*>\\s*</a>|<img\\b[^>]*>)';
+const IMAGE_LINE = new RegExp(`^\\s*(?:${IMAGE_PATTERN}\\s*)+$`, 'i');
+
+// HTML tags READMEs use for layout; other <...> (e.g. Vec<T>) is left alone
+const HTML_TAG = /<\/?(?:a|b|i|p|br|hr|h[1-6]|div|span|img|picture|source|center|details|summary|strong|em|sub|sup|kbd|table|thead|tbody|tr|th|td|ul|ol|li)\b[^>]*>/gi;
+
+/**
+ * Reduce a README to a short Markdown excerpt
+ * @param {string} markdown - Full README
+ * @param {number} maxLength - Longest excerpt, in characters
+ * @returns {string} Excerpt, ending in "…" when it was cut
+ */
+function trimReadme(markdown, maxLength = README_MAX_LENGTH) {
+  // Fenced code blocks are kept as they are; the text between them is cleaned up
+  const text = markdown
+    .replace(/\r\n?/g, '\n')
+    .split(/^(```[\s\S]*?^```)/m)
+    .map((part, index) => index % 2 === 1 ? part : part
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .split('\n')
+      .filter(line => !IMAGE_LINE.test(line))
+      .map(line => line.replace(HTML_TAG, '').trimEnd())
+      .join('\n'))
+    .join('')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  if (text.length <= maxLength) return text;
+
+  // Cut at the last paragraph break before the limit, or else the last line break or space
+  let cut = text.lastIndexOf('\n\n', maxLength);
+  if (cut < maxLength / 2) cut = text.lastIndexOf('\n', maxLength);
+  if (cut < maxLength / 2) cut = text.lastIndexOf(' ', maxLength);
+  if (cut < maxLength / 2) cut = maxLength;
+  let excerpt = text.slice(0, cut).trimEnd();
+
+  // Close a code block that was cut in half
+  if ((excerpt.match(/^```/gm) || []).length % 2 === 1) {
+    excerpt += '\n```';
+  }
+
+  return `${excerpt}\n\n…`;
+}
+
+/**
+ * Fetch the README excerpt of a repository
+ * @param {Object} client - Client from createGitHubClient
+ * @param {string} fullName - Repository full name (owner/name)
+ * @returns {Promise<string>} Excerpt, or empty string if the repository has no README
+ * @throws {Error} If the request fails for another reason
+ */
+async function fetchReadme(client, fullName) {
+  try {
+    const { data } = await client.get(`/repos/${fullName.split('/').map(encodeURIComponent).join('/')}/readme`);
+    return trimReadme(Buffer.from(data.content || '', data.encoding || 'base64').toString('utf8'));
+  } catch (error) {
+    if (error.status === 404) return '';
+    throw error;
+  }
+}
+
+/**
+ * Attach README excerpts to repositories
+ * Only new repositories and those pushed to since the previous sync are fetched;
+ * the others, and unstarred ones, keep their previous excerpt. When GitHub starts
+ * refusing requests (rate limit), the remaining repositories keep theirs too.
+ * @param {Object} client - Client from createGitHubClient
+ * @param {Array} repositories - Merged repositories
+ * @param {Array} previousRepos - Repositories from the previous stars.json
+ * @param {Object} options - Options
+ * @param {boolean} options.fetch - Fetch READMEs; when false, previous excerpts are only carried over
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Array>} Repositories with a readme field where one is known
+ */
+async function addReadmes(client, repositories, previousRepos, { fetch = true, log = console.log } = {}) {
+  const previousById = new Map(previousRepos.map(repo => [repo.id, repo]));
+  const result = [];
+  let fetched = 0;
+  let stopped = false;
+
+  for (const repo of repositories) {
+    const previous = previousById.get(repo.id);
+    const kept = previous && typeof previous.readme === 'string' ? previous.readme : undefined;
+    const keep = () => result.push(kept === undefined ? repo : { ...repo, readme: kept });
+
+    if (!fetch || stopped || repo.unstarred_at || (kept !== undefined && previous.pushed_at === repo.pushed_at)) {
+      keep();
+      continue;
+    }
+
+    try {
+      result.push({ ...repo, readme: await fetchReadme(client, repo.full_name) });
+      fetched++;
+    } catch (error) {
+      log(`Could not fetch the README of ${repo.full_name}: ${error.message}`);
+      if (error.status === 403 || error.status === 429) {
+        stopped = true;
+        log('Rate limited, the remaining repositories keep their previous README');
+      }
+      keep();
+    }
+  }
+
+  if (fetch) {
+    log(`Fetched ${fetched} ${fetched === 1 ? 'README' : 'READMEs'}`);
+  }
+  return result;
+}
+
+module.exports = {
+  README_MAX_LENGTH,
+  trimReadme,
+  fetchReadme,
+  addReadmes
+};
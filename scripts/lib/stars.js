@@ -0,0 +1,269 @@
+/**
+ * Stars Sync
+ * Fetches a user's starred repositories, maps them to the stars.json
+ * structure and merges them with previously synced data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { diffRepositories, hasChanges, appendHistory } = require('./history');
+const { fetchStarLists } = require('./lists');
+const { addReadmes } = require('./readmes');
+
+const DATA_VERSION = '1.0';
+const PER_PAGE = 100;
+
+/**
+ * Map a starred item from the GitHub API to the stars.json repository structure
+ * @param {Object} item - Item from /users/:user/starred (star+json media type)
+ * @returns {Object} Repository object
+ */
+function mapStarredRepo(item) {
+  const repo = item.repo;
+
+  return {
+    id: repo.id,
+    name: repo.name,
+    full_name: repo.full_name,
+    owner: {
+      login: repo.owner.login,
+      avatar_url: repo.owner.avatar_url
+    },
+    html_url: repo.html_url,
+    description: repo.description || '',
+    language: repo.language || 'Unknown',
+    stargazers_count: repo.stargazers_count,
+    topics: repo.topics || [],
+    license: mapLicense(repo.license),
+    archived: Boolean(repo.archived),
+    fork: Boolean(repo.fork),
+    open_issues_count: repo.open_issues_count || 0,
+    forks_count: repo.forks_count || 0,
+    homepage: repo.homepage || '',
+    default_branch: repo.default_branch || '',
+    created_at: repo.created_at,
+    updated_at: repo.updated_at,
+    pushed_at: repo.pushed_at || null,
+    starred_at: item.starred_at
+  };
+}
+
+/**
+ * Reduce a GitHub license object to its SPDX identifier
+ * @param {Object|null} license - license from the repository API
+ * @returns {string|null} SPDX ID (e.g. "MIT"), "Other" for unrecognized licenses, null if unlicensed
+ */
+function mapLicense(license) {
+  if (!license) return null;
+  return license.spdx_id && license.spdx_id !== 'NOASSERTION' ? license.spdx_id : 'Other';
+}
+
+/**
+ * Fetch all starred repositories of a user, following pagination
+ * @param {Object} client - Client from createGitHubClient
+ * @param {string} username - GitHub username
+ * @param {Object} options - Options
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Array>} Mapped repositories
+ */
+async function fetchAllStars(client, username, { log = console.log } = {}) {
+  const allRepos = [];
+  let page = 1;
+
+  while (true) {
+    const { data: items, headers } = await client.get(
+      `/users/${encodeURIComponent(username)}/starred?per_page=${PER_PAGE}&page=${page}`,
+      { accept: 'application/vnd.github.v3.star+json' }
+    );
+
+    if (!items || items.length === 0) break;
+
+    allRepos.push(...items.map(mapStarredRepo));
+    log(`Fetched page ${page}: ${items.length} repos (Total: ${allRepos.length})`);
+
+    // Check for next page
+    if (!headers.link || !headers.link.includes('rel="next"')) break;
+
+    page++;
+  }
+
+  return allRepos;
+}
+
+/**
+ * Merge freshly fetched repositories with previously synced ones
+ * Repositories that are no longer starred are kept as an archive with an
+ * unstarred_at timestamp, unless purgeArchived is set. Starring an archived
+ * repository again restores it.
+ * @param {Array} existingRepos - Repositories from the current stars.json
+ * @param {Array} fetchedRepos - Repositories returned by fetchAllStars
+ * @param {Object} options - Merge options
+ * @param {Date} options.now - Sync time, used as unstarred_at for newly archived repos
+ * @param {boolean} options.purgeArchived - Drop archived repositories instead of keeping them
+ * @returns {Object} Merged repositories and counts of added/updated/archived/restored/purged repos
+ */
+function mergeRepositories(existingRepos, fetchedRepos, { now = new Date(), purgeArchived = false } = {}) {
+  const existingById = new Map(existingRepos.map(repo => [repo.id, repo]));
+  const fetchedIds = new Set(fetchedRepos.map(repo => repo.id));
+  const counts = { added: 0, updated: 0, archived: 0, restored: 0, purged: 0 };
+
+  const repositories = fetchedRepos.map(newRepo => {
+    const existing = existingById.get(newRepo.id);
+    if (existing) {
+      counts.updated++;
+      if (existing.unstarred_at) {
+        counts.restored++;
+        // Starred again: the new star date is the meaningful one
+        return newRepo;
+      }
+      // Take fresh GitHub metadata, but keep the original star date
+      return {
+        ...newRepo,
+        starred_at: existing.starred_at || newRepo.starred_at
+      };
+    }
+    counts.added++;
+    return newRepo;
+  });
+
+  existingRepos
+    .filter(repo => !fetchedIds.has(repo.id))
+    .forEach(repo => {
+      if (purgeArchived) {
+        counts.purged++;
+        return;
+      }
+      if (!repo.unstarred_at) {
+        counts.archived++;
+      }
+      repositories.push({
+        ...repo,
+        unstarred_at: repo.unstarred_at || now.toISOString()
+      });
+    });
+
+  return { repositories, ...counts };
+}
+
+/**
+ * Build the stars.json document
+ * @param {string} username - GitHub username
+ * @param {Array} repositories - Merged repositories
+ * @param {Date} now - Sync time
+ * @param {Array} lists - Star lists from fetchStarLists
+ * @returns {Object} stars.json data
+ */
+function buildStarsData(username, repositories, now = new Date(), lists = []) {
+  const archivedCount = repositories.filter(repo => repo.unstarred_at).length;
+
+  return {
+    metadata: {
+      lastUpdated: now.toISOString(),
+      username,
+      totalStars: repositories.length - archivedCount,
+      totalArchived: archivedCount,
+      version: DATA_VERSION
+    },
+    repositories,
+    lists
+  };
+}
+
+/**
+ * Read an existing stars.json file
+ * @param {string} file - Path to stars.json
+ * @returns {Object} Data, or an empty structure if the file is missing or invalid
+ */
+function readStarsData(file) {
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Array.isArray(data.repositories)) {
+        return data;
+      }
+    }
+  } catch (error) {
+    console.log(`Could not read existing data from ${file}: ${error.message}`);
+  }
+
+  return { metadata: {}, repositories: [] };
+}
+
+/**
+ * Write stars.json, creating the parent directory if needed
+ * @param {string} file - Output path
+ * @param {Object} data - stars.json data
+ */
+function writeStarsData(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Run a full sync: read, fetch, merge and write
+ * @param {Object} options - Sync options
+ * @param {Object} options.client - Client from createGitHubClient
+ * @param {string} options.username - GitHub username
+ * @param {string} options.output - Path to stars.json
+ * @param {Date} options.now - Sync time (default: now)
+ * @param {boolean} options.purgeArchived - Drop repositories that are no longer starred
+ * @param {string} options.historyFile - Path to history.json; no history is written if empty
+ * @param {boolean} options.lists - Fetch the user's star lists (default: true)
+ * @param {boolean} options.readmes - Fetch README excerpts of new and updated repositories (default: true)
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Object>} Written data, merge counts and the recorded history entry (or null)
+ */
+async function syncStars({
+  client,
+  username,
+  output,
+  now = new Date(),
+  purgeArchived = false,
+  historyFile = '',
+  lists: syncLists = true,
+  readmes: syncReadmes = true,
+  log = console.log
+}) {
+  const existingData = readStarsData(output);
+
+  log(`Fetching starred repositories for ${username}...`);
+  const fetchedRepos = await fetchAllStars(client, username, { log });
+
+  // Lists come from the GraphQL API, which needs a token; if they cannot be fetched, the previous ones are kept
+  let lists = existingData.lists || [];
+  if (syncLists) {
+    try {
+      lists = await fetchStarLists(client, username, { log });
+    } catch (error) {
+      log(`Could not fetch star lists, keeping the previous ones: ${error.message}`);
+    }
+  }
+
+  const { repositories: mergedRepos, ...counts } = mergeRepositories(existingData.repositories, fetchedRepos, { now, purgeArchived });
+  const repositories = await addReadmes(client, mergedRepos, existingData.repositories, { fetch: syncReadmes, log });
+  const data = buildStarsData(username, repositories, now, lists);
+
+  writeStarsData(output, data);
+
+  // The very first sync has nothing to compare against
+  let history = null;
+  if (historyFile && existingData.repositories.length > 0) {
+    const entry = diffRepositories(existingData.repositories, repositories, now);
+    if (hasChanges(entry)) {
+      appendHistory(historyFile, entry);
+      history = entry;
+    }
+  }
+
+  return { data, ...counts, history };
+}
+
+module.exports = {
+  mapStarredRepo,
+  fetchAllStars,
+  mergeRepositories,
+  buildStarsData,
+  readStarsData,
+  writeStarsData,
+  syncStars
+};
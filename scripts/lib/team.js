@@ -0,0 +1,147 @@
+/**
+ * Team Sync
+ * Syncs the stars of several users into one data file per user and writes
+ * team.json, the index the site reads to offer a user switcher and team view
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { syncStars, readStarsData } = require('./stars');
+
+const TEAM_VERSION = '1.0';
+
+// Per-user files live in this directory under the data directory
+const USERS_DIR = 'users';
+
+// GitHub login rules (also keeps logins safe to use as file names)
+const LOGIN_PATTERN = /^[a-z\d](?:[a-z\d]|-(?=[a-z\d])){0,38}$/i;
+
+/**
+ * Parse a comma- or whitespace-separated list of GitHub logins
+ * @param {string} value - e.g. "alice, bob carol"
+ * @returns {Array<string>} Unique logins in the given order
+ * @throws {Error} If a login is not a valid GitHub username
+ */
+function parseUserList(value) {
+  const logins = String(value || '').split(/[\s,]+/).filter(Boolean);
+
+  const invalid = logins.filter(login => !LOGIN_PATTERN.test(login));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid GitHub username: ${invalid.join(', ')}`);
+  }
+
+  const seen = new Set();
+  return logins.filter(login => {
+    const key = login.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Paths of a user's files, relative to the data directory (as listed in team.json)
+ * @param {string} login - GitHub username
+ * @returns {Object} dataFile and historyFile
+ */
+function userFiles(login) {
+  const name = login.toLowerCase();
+  return {
+    dataFile: `${USERS_DIR}/${name}.json`,
+    historyFile: `${USERS_DIR}/${name}.history.json`
+  };
+}
+
+/**
+ * Build the team.json document
+ * @param {Array<Object>} members - login and stars.json data of each user
+ * @param {Date} now - Sync time
+ * @returns {Object} team.json data
+ */
+function buildTeamIndex(members, now = new Date()) {
+  return {
+    lastUpdated: now.toISOString(),
+    version: TEAM_VERSION,
+    users: members.map(({ login, data }) => ({
+      login,
+      ...userFiles(login),
+      totalStars: data.metadata.totalStars,
+      lastUpdated: data.metadata.lastUpdated
+    }))
+  };
+}
+
+/**
+ * Sync the stars of every user, then write team.json
+ * Users are synced one after another to stay within the API rate limit.
+ * A user whose sync fails keeps their previous file (and team.json entry),
+ * so one renamed or deleted account does not stop the others.
+ * @param {Object} options - Sync options
+ * @param {Object} options.client - Client from createGitHubClient
+ * @param {Array<string>} options.usernames - GitHub usernames
+ * @param {string} options.dataDir - Directory for team.json and the users/ files
+ * @param {Date} options.now - Sync time (default: now)
+ * @param {boolean} options.purgeArchived - Drop repositories that are no longer starred
+ * @param {boolean} options.history - Record a change log per user
+ * @param {boolean} options.lists - Fetch each user's star lists
+ * @param {boolean} options.readmes - Fetch README excerpts
+ * @param {Function} options.log - Progress logger (default: console.log)
+ * @returns {Promise<Object>} team: written team.json, results: syncStars result (or { error }) per login
+ */
+async function syncTeam({
+  client,
+  usernames,
+  dataDir,
+  now = new Date(),
+  purgeArchived = false,
+  history = true,
+  lists = true,
+  readmes = true,
+  log = console.log
+}) {
+  const members = [];
+  const results = {};
+
+  for (const login of usernames) {
+    const files = userFiles(login);
+    const output = path.join(dataDir, files.dataFile);
+
+    try {
+      const result = await syncStars({
+        client,
+        username: login,
+        output,
+        historyFile: history ? path.join(dataDir, files.historyFile) : '',
+        now,
+        purgeArchived,
+        lists,
+        readmes,
+        log
+      });
+
+      members.push({ login, data: result.data });
+      results[login] = result;
+    } catch (error) {
+      log(`Could not sync ${login}: ${error.message}`);
+      results[login] = { error };
+
+      const previous = readStarsData(output);
+      if (previous.repositories.length > 0) {
+        members.push({ login, data: previous });
+      }
+    }
+  }
+
+  const team = buildTeamIndex(members, now);
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(path.join(dataDir, 'team.json'), JSON.stringify(team, null, 2));
+
+  return { team, results };
+}
+
+module.exports = {
+  parseUserList,
+  userFiles,
+  buildTeamIndex,
+  syncTeam
+};
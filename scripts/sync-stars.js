@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Sync GitHub Stars - command-line entry point
+ *
+ * Usage:
+ *   node scripts/sync-stars.js --username <user> [--output data/stars.json] [--token <pat>]
+ *                              [--history data/history.json] [--no-history]
+ *                              [--api-base <url>] [--fixtures <dir>] [--purge-archived] [--no-lists]
+ *                              [--no-readmes]
+ *   node scripts/sync-stars.js --users <user1,user2,...> [--data-dir data] [options]
+ *
+ * Every flag falls back to an environment variable:
+ *   --username  GITHUB_USERNAME
+ *   --users     GITHUB_USERS (team mode: data/users/<user>.json per user plus data/team.json)
+ *   --data-dir  STARS_DATA_DIR (default: the output file's directory)
+ *   --output    STARS_OUTPUT (default: ./data/stars.json)
+ *   --history   STARS_HISTORY (default: history.json next to the output file)
+ *   --token     GITHUB_PAT or GITHUB_TOKEN
+ *   --api-base  GITHUB_API_BASE (e.g. a local mock server)
+ *   --fixtures  GITHUB_FIXTURES_DIR (recorded responses, no network)
+ *   --purge-archived  PURGE_ARCHIVED=true
+ *   --no-lists  SYNC_LISTS=false
+ *   --no-readmes  SYNC_READMES=false
+ */
+
+const path = require('path');
+const { parseArgs } = require('util');
+const { createGitHubClient, DEFAULT_API_BASE } = require('./lib/github');
+const { syncStars } = require('./lib/stars');
+const { parseUserList, syncTeam } = require('./lib/team');
+
+const USAGE = `Usage: node scripts/sync-stars.js --username <user> [options]
+       node scripts/sync-stars.js --users <user1,user2,...> [options]
+
+Options:
+  -u, --username <user>   GitHub user whose stars are synced (env: GITHUB_USERNAME)
+      --users <list>      Comma-separated users synced into one file each, plus team.json (env: GITHUB_USERS)
+      --data-dir <dir>    Directory for team.json and users/ (env: STARS_DATA_DIR, default: the output's directory)
+  -o, --output <file>     Output file (env: STARS_OUTPUT, default: ./data/stars.json)
+  -t, --token <pat>       Personal access token (env: GITHUB_PAT or GITHUB_TOKEN)
+      --history <file>    Change log file (env: STARS_HISTORY, default: history.json next to the output)
+      --no-history        Do not record a change log entry
+      --api-base <url>    API base URL, e.g. a mock server (env: GITHUB_API_BASE)
+      --fixtures <dir>    Read recorded responses from a directory (env: GITHUB_FIXTURES_DIR)
+      --purge-archived    Drop unstarred repositories instead of archiving them (env: PURGE_ARCHIVED=true)
+      --no-lists          Do not fetch star lists (GraphQL, needs a token) (env: SYNC_LISTS=false)
+      --no-readmes        Do not fetch README excerpts; previous ones are kept (env: SYNC_READMES=false)
+  -h, --help              Show this help`;
+
+/**
+ * Resolve CLI options from flags and environment variables
+ * @param {Array<string>} argv - Command-line arguments (without node and script)
+ * @param {Object} env - Environment variables
+ * @returns {Object} Resolved options
+ */
+function parseOptions(argv, env = process.env) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      username: { type: 'string', short: 'u' },
+      users: { type: 'string' },
+      'data-dir': { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      token: { type: 'string', short: 't' },
+      history: { type: 'string' },
+      'no-history': { type: 'boolean' },
+      'api-base': { type: 'string' },
+      fixtures: { type: 'string' },
+      'purge-archived': { type: 'boolean' },
+      'no-lists': { type: 'boolean' },
+      'no-readmes': { type: 'boolean' },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+
+  const output = values.output || env.STARS_OUTPUT || './data/stars.json';
+  const history = values['no-history']
+    ? ''
+    : values.history || env.STARS_HISTORY || path.join(path.dirname(output), 'history.json');
+
+  return {
+    help: Boolean(values.help),
+    username: values.username || env.GITHUB_USERNAME || '',
+    users: parseUserList(values.users || env.GITHUB_USERS || ''),
+    dataDir: values['data-dir'] || env.STARS_DATA_DIR || path.dirname(output),
+    output,
+    history,
+    token: values.token || env.GITHUB_PAT || env.GITHUB_TOKEN || '',
+    apiBase: values['api-base'] || env.GITHUB_API_BASE || DEFAULT_API_BASE,
+    fixturesDir: values.fixtures || env.GITHUB_FIXTURES_DIR || '',
+    purgeArchived: Boolean(values['purge-archived']) || env.PURGE_ARCHIVED === 'true',
+    lists: !values['no-lists'] && env.SYNC_LISTS !== 'false',
+    readmes: !values['no-readmes'] && env.SYNC_READMES !== 'false'
+  };
+}
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Command-line arguments (without node and script)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv = process.argv.slice(2)) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  if (!options.username && options.users.length === 0) {
+    console.error(`❌ A username (or a list of users) is required\n\n${USAGE}`);
+    return 1;
+  }
+
+  if (!options.token && !options.fixturesDir) {
+    console.warn('⚠️ No token provided, requests are unauthenticated and heavily rate limited');
+  }
+
+  const client = createGitHubClient({
+    token: options.token,
+    apiBase: options.apiBase,
+    fixturesDir: options.fixturesDir
+  });
+
+  if (options.users.length > 0) {
+    return runTeamSync(client, options);
+  }
+
+  try {
+    console.log('Starting fetch...');
+    const { data, added, updated, archived, restored, purged, history } = await syncStars({
+      client,
+      username: options.username,
+      output: options.output,
+      historyFile: options.history,
+      purgeArchived: options.purgeArchived,
+      lists: options.lists,
+      readmes: options.readmes
+    });
+
+    console.log(`✅ Successfully synced ${data.metadata.totalStars} starred repositories`);
+    console.log(`📊 New repos: ${added}`);
+    console.log(`📊 Updated repos: ${updated}`);
+    console.log(`📊 Newly archived (unstarred): ${archived}`);
+    console.log(`📊 Restored (starred again): ${restored}`);
+    console.log(`📋 Star lists: ${data.lists.length}`);
+    if (options.purgeArchived) {
+      console.log(`🗑️ Purged archived repos: ${purged}`);
+    }
+    if (history) {
+      console.log(`📝 History: +${history.added.length} -${history.removed.length} ` +
+        `renamed ${history.renamed.length}, star changes on ${history.stars.length} repos`);
+    }
+    return 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    return 1;
+  }
+}
+
+/**
+ * Sync every user of a team and print a summary per user
+ * @param {Object} client - Client from createGitHubClient
+ * @param {Object} options - Resolved options
+ * @returns {Promise<number>} Exit code
+ */
+async function runTeamSync(client, options) {
+  try {
+    console.log(`Starting fetch for ${options.users.length} users...`);
+    const { results } = await syncTeam({
+      client,
+      usernames: options.users,
+      dataDir: options.dataDir,
+      purgeArchived: options.purgeArchived,
+      history: Boolean(options.history),
+      lists: options.lists,
+      readmes: options.readmes
+    });
+
+    let failed = 0;
+    Object.entries(results).forEach(([login, { error, data, added, archived, restored, purged }]) => {
+      if (error) {
+        failed++;
+        console.error(`❌ ${login}: ${error.message}`);
+        return;
+      }
+      console.log(`✅ ${login}: ${data.metadata.totalStars} starred repositories ` +
+        `(new ${added}, unstarred ${archived}, restored ${restored}` +
+        `${options.purgeArchived ? `, purged ${purged}` : ''})`);
+    });
+    console.log(`📝 Wrote ${path.join(options.dataDir, 'team.json')}`);
+    return failed > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { parseOptions, main };
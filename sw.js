@@ -0,0 +1,188 @@
+/**
+ * Service Worker
+ * Caches the app shell and data files so the site works offline.
+ * The app's own code (pages, scripts and styles) is served network-first, so a
+ * deploy takes effect on the next load and modules of different versions are
+ * never mixed; the cache is only used offline. Data, icons and the CDN scripts
+ * are served stale-while-revalidate: the cached copy is returned immediately
+ * and refreshed in the background.
+ */
+
+// Only needs a bump when APP_SHELL changes, since code is refreshed on every online load
+const CACHE_NAME = 'github-stars-v19';
+
+// Files needed to start the app offline (relative to the service worker scope)
+const APP_SHELL = [
+  './',
+  './index.html',
+  './manifest.webmanifest',
+  './icons/icon.svg',
+  './icons/icon-192.png',
+  './icons/icon-512.png',
+  './css/custom.css',
+  './data/stars.json',
+  './js/app.js',
+  './js/services/adapters/index.js',
+  './js/services/adapters/indexedDBAdapter.js',
+  './js/services/adapters/localStorageAdapter.js',
+  './js/services/adapters/memoryAdapter.js',
+  './js/services/adapters/supabaseAdapter.js',
+  './js/services/cloudSync.js',
+  './js/services/crossTab.js',
+  './js/services/customData.js',
+  './js/services/offlineQueue.js',
+  './js/services/preferences.js',
+  './js/services/searchIndex.js',
+  './js/services/storage.js',
+  './js/services/supabase.js',
+  './js/services/team.js',
+  './js/services/workflow.js',
+  './js/ui/auth.js',
+  './js/ui/cards.js',
+  './js/ui/cleanup.js',
+  './js/ui/cloudSyncStatus.js',
+  './js/ui/collectionDialog.js',
+  './js/ui/collections.js',
+  './js/ui/components.js',
+  './js/ui/conflictDialog.js',
+  './js/ui/dashboard.js',
+  './js/ui/filters.js',
+  './js/ui/importDialog.js',
+  './js/ui/repoDrawer.js',
+  './js/ui/selection.js',
+  './js/ui/starLists.js',
+  './js/ui/tagManager.js',
+  './js/ui/tagTree.js',
+  './js/ui/userSwitcher.js',
+  './js/ui/views.js',
+  './js/ui/whatsNew.js',
+  './js/utils/constants.js',
+  './js/utils/health.js',
+  './js/utils/markdown.js',
+  './js/utils/queryParser.js',
+  './js/utils/statistics.js',
+  './js/utils/tags.js'
+];
+
+// Cross-origin hosts whose responses are cached (Tailwind and Supabase client CDNs)
+const CACHED_HOSTS = ['cdn.tailwindcss.com', 'cdn.jsdelivr.net'];
+
+// Same-origin files that are app code, served network-first
+const CODE_EXTENSIONS = /\.(?:html|js|css)$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin !== self.location.origin) {
+    // GitHub API, Supabase and everything else always go to the network
+    if (CACHED_HOSTS.includes(url.hostname)) {
+      event.respondWith(staleWhileRevalidate(event, request));
+    }
+    return;
+  }
+
+  // Explicit cache-busting loads (e.g. after "Sync now") go to the network,
+  // and refresh the cached copy stored without the cache-busting query
+  if (request.cache === 'no-store' || url.searchParams.has('t')) {
+    url.search = '';
+    event.respondWith(networkFirst(request, url.toString()));
+    return;
+  }
+
+  // The app's page is answered with the app shell, from the cache only when offline.
+  // Other pages on the same origin (e.g. other projects of a github.io site) are left alone.
+  if (request.mode === 'navigate') {
+    if (isAppPage(url)) {
+      event.respondWith(networkFirst(request, './index.html', 'text/html'));
+    }
+    return;
+  }
+
+  if (CODE_EXTENSIONS.test(url.pathname)) {
+    event.respondWith(networkFirst(request, request));
+    return;
+  }
+
+  event.respondWith(staleWhileRevalidate(event, request));
+});
+
+/**
+ * Serve from cache and refresh the cache from the network in the background
+ * @param {FetchEvent} event - Fetch event (kept alive until the refresh finishes)
+ * @param {Request} request - Request to fetch
+ * @param {Request|string} cacheKey - Cache entry to read and update (default: the request)
+ * @returns {Promise<Response>} Cached or network response
+ */
+async function staleWhileRevalidate(event, request, cacheKey = request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(cacheKey);
+
+  const network = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') {
+        cache.put(cacheKey, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached || Response.error());
+
+  if (cached) {
+    event.waitUntil(network);
+    return cached;
+  }
+
+  return network;
+}
+
+/**
+ * Whether a navigation loads the app itself (the scope root or its index.html)
+ * @param {URL} url - Navigation URL
+ * @returns {boolean} True for the app's page
+ */
+function isAppPage(url) {
+  const root = new URL(self.registration.scope).pathname;
+  return url.pathname === root || url.pathname === `${root}index.html`;
+}
+
+/**
+ * Fetch from the network, falling back to the cache when offline
+ * @param {Request} request - Request to fetch
+ * @param {Request|string} cacheKey - Cache entry to read and update
+ * @param {string} [contentType] - Only cache responses of this content type
+ * @returns {Promise<Response>} Network or cached response
+ */
+async function networkFirst(request, cacheKey, contentType) {
+  const cache = await caches.open(CACHE_NAME);
+
+  try {
+    const response = await fetch(request);
+    const expected = !contentType || (response.headers.get('content-type') || '').includes(contentType);
+    if (response.ok && expected) {
+      cache.put(cacheKey, response.clone());
+    }
+    return response;
+  } catch (error) {
+    return (await cache.match(cacheKey)) || Response.error();
+  }
+}
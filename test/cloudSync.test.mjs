@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Browser globals the sync uses
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.has(key) ? storage.get(key) : null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+  clear: () => storage.clear()
+};
+globalThis.window = Object.assign(new EventTarget(), { location: new URL('https://octocat.github.io/github-star-list/') });
+globalThis.navigator = { onLine: true };
+// Other tabs are not notified in tests (an open channel would keep the process alive)
+globalThis.BroadcastChannel = undefined;
+
+const { STORAGE_KEYS, CLOUD_SYNC_STATUS } = await import('../js/utils/constants.js');
+const { createMemoryAdapter } = await import('../js/services/adapters/index.js');
+const { initCustomData, getStorageAdapter } = await import('../js/services/customData.js');
+const { enqueueWrite, getQueuedWrites } = await import('../js/services/offlineQueue.js');
+const { startSync, stopSync, getSyncStatus } = await import('../js/services/cloudSync.js');
+
+/**
+ * Prepare a browser that last synced with alice and a remote store of bob's
+ * @param {Object} options - pendingEdit: queue an unsynced edit made as alice
+ * @returns {Object} remote adapter
+ */
+function signedInBefore({ pendingEdit }) {
+  localStorage.setItem(STORAGE_KEYS.CLOUD_SYNC_STATE, JSON.stringify({
+    userId: 'alice',
+    lastSyncedAt: '2026-01-01T00:00:00.000Z'
+  }));
+  initCustomData(createMemoryAdapter({ tags: { 1: ['alice-tag'] }, notes: { 1: 'Alice was here' } }));
+  if (pendingEdit) {
+    enqueueWrite('tags', 1);
+  }
+  return createMemoryAdapter({ tags: { 2: ['bob-tag'] } });
+}
+
+describe('cloud sync account switch', () => {
+  beforeEach((t) => {
+    storage.clear();
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    stopSync();
+  });
+
+  it('replaces local data without asking when everything was synced', async (t) => {
+    const remote = signedInBefore({ pendingEdit: false });
+    const confirmAccountSwitch = t.mock.fn(async () => true);
+
+    const result = await startSync({ userId: 'bob', remote, confirmAccountSwitch, resolveNotesConflict: async () => '' });
+
+    assert.equal(confirmAccountSwitch.mock.callCount(), 0);
+    assert.deepEqual(result.pulled, [2]);
+    const local = await getStorageAdapter().loadAll();
+    assert.deepEqual(local.tags, { 2: ['bob-tag'] });
+    assert.deepEqual(local.notes, {});
+    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEYS.CLOUD_SYNC_STATE)).userId, 'bob');
+  });
+
+  it('keeps pending edits and pauses the sync when the switch is declined', async (t) => {
+    const remote = signedInBefore({ pendingEdit: true });
+    const confirmAccountSwitch = t.mock.fn(async () => false);
+
+    const result = await startSync({ userId: 'bob', remote, confirmAccountSwitch, resolveNotesConflict: async () => '' });
+
+    assert.equal(result, null);
+    assert.deepEqual(confirmAccountSwitch.mock.calls[0].arguments, [{ previousUserId: 'alice', pending: 1 }]);
+    const local = await getStorageAdapter().loadAll();
+    assert.deepEqual(local.tags, { 1: ['alice-tag'] });
+    assert.equal(local.notes[1], 'Alice was here');
+    assert.equal(getQueuedWrites().length, 1);
+    // Nothing of alice's is pushed to bob's account
+    assert.deepEqual((await remote.loadAll()).tags, { 2: ['bob-tag'] });
+    assert.equal(JSON.parse(localStorage.getItem(STORAGE_KEYS.CLOUD_SYNC_STATE)).userId, 'alice');
+    assert.equal(getSyncStatus().state, CLOUD_SYNC_STATUS.ERROR);
+  });
+
+  it('declines when no confirmation callback is given', async () => {
+    const remote = signedInBefore({ pendingEdit: true });
+
+    assert.equal(await startSync({ userId: 'bob', remote, resolveNotesConflict: async () => '' }), null);
+    assert.equal(getQueuedWrites().length, 1);
+  });
+
+  it('drops pending edits and takes the new account\'s data when the switch is confirmed', async (t) => {
+    const remote = signedInBefore({ pendingEdit: true });
+    const confirmAccountSwitch = t.mock.fn(async () => true);
+
+    const result = await startSync({ userId: 'bob', remote, confirmAccountSwitch, resolveNotesConflict: async () => '' });
+
+    assert.equal(confirmAccountSwitch.mock.callCount(), 1);
+    assert.equal(result.pushed, 0);
+    assert.deepEqual((await getStorageAdapter().loadAll()).tags, { 2: ['bob-tag'] });
+    assert.deepEqual((await remote.loadAll()).tags, { 2: ['bob-tag'] });
+    assert.equal(getQueuedWrites().length, 0);
+    assert.equal(getSyncStatus().state, CLOUD_SYNC_STATUS.SYNCED);
+  });
+
+  it('syncs pending edits of the same account without asking', async (t) => {
+    const remote = signedInBefore({ pendingEdit: true });
+    const confirmAccountSwitch = t.mock.fn(async () => true);
+
+    const result = await startSync({ userId: 'alice', remote, confirmAccountSwitch, resolveNotesConflict: async () => '' });
+
+    assert.equal(confirmAccountSwitch.mock.callCount(), 0);
+    assert.equal(result.pushed, 1);
+    assert.deepEqual((await remote.loadAll()).tags[1], ['alice-tag']);
+  });
+});
+
+describe('offline queue', () => {
+  beforeEach((t) => {
+    storage.clear();
+    t.mock.method(console, 'log', () => {});
+  });
+
+  it('queues only which repositories changed, once per kind', () => {
+    enqueueWrite('notes', 1);
+    enqueueWrite('notes', 1);
+    enqueueWrite('tags', 1);
+
+    assert.deepEqual(getQueuedWrites().map(({ kind, repoId }) => [kind, repoId]), [['notes', 1], ['tags', 1]]);
+    assert.ok(getQueuedWrites().every(write => !('value' in write)));
+  });
+
+  it('throws when the queue cannot be saved', (t) => {
+    const quotaError = Object.assign(new Error('Storage full'), { name: 'QuotaExceededError' });
+    t.mock.method(localStorage, 'setItem', () => { throw quotaError; });
+
+    assert.throws(() => enqueueWrite('notes', 1), { name: 'QuotaExceededError' });
+  });
+});
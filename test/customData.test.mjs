@@ -0,0 +1,59 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Browser globals the custom data service uses
+globalThis.window = Object.assign(new EventTarget(), { location: new URL('https://octocat.github.io/github-star-list/') });
+// Other tabs are not notified in tests (an open channel would keep the process alive)
+globalThis.BroadcastChannel = undefined;
+
+const { createMemoryAdapter } = await import('../js/services/adapters/index.js');
+const { initCustomData, setCustomTags, setTagColor } = await import('../js/services/customData.js');
+
+describe('tag info', () => {
+  let adapter;
+
+  beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    adapter = createMemoryAdapter({
+      tagInfo: { rust: { tag: 'rust', color: 'rose', lastUsedAt: null, updatedAt: '2026-01-01T00:00:00.000Z' } }
+    });
+    initCustomData(adapter);
+  });
+
+  it('stamps added tags as used, keeping their colour, without loading all data', async (t) => {
+    const loadAll = t.mock.method(adapter, 'loadAll');
+
+    assert.equal(await setCustomTags(1, ['rust', 'cli']), true);
+
+    assert.equal(loadAll.mock.callCount(), 0);
+    const rust = await adapter.getTagInfo('rust');
+    assert.equal(rust.color, 'rose');
+    assert.ok(rust.lastUsedAt);
+    const cli = await adapter.getTagInfo('cli');
+    assert.equal(cli.color, '');
+    assert.ok(cli.lastUsedAt);
+  });
+
+  it('only stamps tags that were not on the repository already', async (t) => {
+    await setCustomTags(1, ['rust']);
+    const setTagInfo = t.mock.method(adapter, 'setTagInfo');
+
+    await setCustomTags(1, ['rust', 'cli']);
+
+    assert.deepEqual(setTagInfo.mock.calls.map(call => call.arguments[0].tag), ['cli']);
+  });
+
+  it('sets a colour without loading all data', async (t) => {
+    await setCustomTags(1, ['cli']);
+    const { lastUsedAt } = await adapter.getTagInfo('cli');
+    const loadAll = t.mock.method(adapter, 'loadAll');
+
+    assert.equal(await setTagColor('cli', 'sky'), true);
+
+    assert.equal(loadAll.mock.callCount(), 0);
+    const cli = await adapter.getTagInfo('cli');
+    assert.equal(cli.color, 'sky');
+    assert.equal(cli.lastUsedAt, lastUsedAt);
+    assert.equal(await adapter.getTagInfo('unknown'), null);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { createGitHubClient, graphqlFixtureRequest } = require('../scripts/lib/github');
+const { fetchStarLists, STAR_LISTS_QUERY, STAR_LIST_ITEMS_QUERY } = require('../scripts/lib/lists');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+describe('fetchStarLists', () => {
+  it('follows the pages of lists and of a list\'s repositories', async () => {
+    const client = createGitHubClient({ fixturesDir: FIXTURES_DIR });
+
+    const lists = await fetchStarLists(client, 'octocat', { log: () => {} });
+
+    assert.deepEqual(lists, [
+      {
+        id: 'UL_kwDOAAAB',
+        name: 'Dev tools',
+        slug: 'dev-tools',
+        description: 'Things I use daily',
+        owner: 'octocat',
+        url: 'https://github.com/stars/octocat/lists/dev-tools',
+        // The third repository is on the list's second page
+        repositoryIds: [1001, 1002, 1003]
+      },
+      {
+        id: 'UL_kwDOAAAD',
+        name: 'Read later',
+        slug: 'read-later',
+        description: '',
+        owner: 'octocat',
+        url: 'https://github.com/stars/octocat/lists/read-later',
+        repositoryIds: [1003]
+      }
+    ]);
+  });
+
+  it('skips private lists without fetching their repositories', async () => {
+    const client = createGitHubClient({ fixturesDir: FIXTURES_DIR });
+    const requests = [];
+    const graphql = client.graphql;
+    client.graphql = (query, variables) => {
+      requests.push(graphqlFixtureRequest(query, variables));
+      return graphql(query, variables);
+    };
+
+    const lists = await fetchStarLists(client, 'octocat', { log: () => {} });
+
+    assert.ok(!lists.some(list => list.name === 'Secret'));
+    assert.deepEqual(requests, [
+      '/graphql/StarLists?login=octocat',
+      '/graphql/StarListItems?id=UL_kwDOAAAB&after=Y3Vyc29yOnYyOpK0Ag',
+      '/graphql/StarLists?login=octocat&after=Y3Vyc29yOnYyOpK0Mg'
+    ]);
+  });
+
+  it('passes the cursors to the queries', async () => {
+    const calls = [];
+    const client = {
+      async graphql(query, variables) {
+        calls.push({ query, variables });
+        if (query === STAR_LIST_ITEMS_QUERY) {
+          return { node: { items: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [{ databaseId: 2 }] } } };
+        }
+        return {
+          user: {
+            lists: {
+              pageInfo: { hasNextPage: false, endCursor: null },
+              nodes: [{
+                id: 'L1',
+                name: 'One',
+                slug: 'one',
+                description: null,
+                isPrivate: false,
+                items: { pageInfo: { hasNextPage: true, endCursor: 'c1' }, nodes: [{ databaseId: 1 }] }
+              }]
+            }
+          }
+        };
+      }
+    };
+
+    const lists = await fetchStarLists(client, 'octocat', { log: () => {} });
+
+    assert.deepEqual(lists[0].repositoryIds, [1, 2]);
+    assert.deepEqual(calls.map(call => [call.query, call.variables]), [
+      [STAR_LISTS_QUERY, { login: 'octocat', after: null }],
+      [STAR_LIST_ITEMS_QUERY, { id: 'L1', after: 'c1' }]
+    ]);
+  });
+
+  it('fails for an unknown user', async () => {
+    const client = createGitHubClient({ fixturesDir: FIXTURES_DIR });
+
+    await assert.rejects(fetchStarLists(client, 'ghost', { log: () => {} }), /Could not resolve to a User/);
+  });
+});
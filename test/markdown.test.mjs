@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../js/utils/markdown.js';
+
+const BASE_URL = 'https://github.com/acme/rocket/blob/main/README.md';
+
+describe('renderMarkdown', () => {
+  it('drops javascript: and data: link targets, keeping the label', () => {
+    assert.equal(renderMarkdown('[click](javascript:alert%281%29)'), '<p>click</p>');
+    assert.equal(renderMarkdown('[click](JaVaScRiPt:void+0)'), '<p>click</p>');
+    assert.equal(renderMarkdown('[page](data:text/html;base64,PHNjcmlwdD4=)'), '<p>page</p>');
+  });
+
+  it('turns images into links, except for javascript: and data: sources', () => {
+    assert.equal(
+      renderMarkdown('![logo](https://img.example.com/logo.png)'),
+      '<p><a href="https://img.example.com/logo.png" target="_blank" rel="noopener noreferrer">logo</a></p>'
+    );
+    assert.equal(renderMarkdown('![pixel](data:image/png;base64,AAAA)'), '<p>pixel</p>');
+    assert.doesNotMatch(renderMarkdown('![logo](javascript:alert(1))'), /href|<img/);
+  });
+
+  it('shows raw HTML as text', () => {
+    assert.equal(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(
+      renderMarkdown('<img src=x onerror="alert(1)">'),
+      '<p>&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>'
+    );
+  });
+
+  it('keeps quotes in link targets inside the href', () => {
+    assert.equal(
+      renderMarkdown('[mail](mailto:a"onclick="x@example.com)'),
+      '<p><a href="mailto:a&quot;onclick=&quot;x@example.com" target="_blank" rel="noopener noreferrer">mail</a></p>'
+    );
+    assert.match(renderMarkdown('[search](https://example.com/?q="x")'), /href="https:\/\/example\.com\/\?q=%22x%22"/);
+  });
+
+  it('renders code nested in a link label', () => {
+    assert.equal(
+      renderMarkdown('[use `a<b>` here](https://example.com)'),
+      '<p><a href="https://example.com/" target="_blank" rel="noopener noreferrer">use <code>a&lt;b&gt;</code> here</a></p>'
+    );
+  });
+
+  it('resolves relative links against the base URL', () => {
+    assert.match(
+      renderMarkdown('[docs](docs/setup.md)', { baseURL: BASE_URL }),
+      /href="https:\/\/github\.com\/acme\/rocket\/blob\/main\/docs\/setup\.md"/
+    );
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery } from '../js/utils/queryParser.js';
+import { buildSearchIndex, findExactMatches } from '../js/services/searchIndex.js';
+
+describe('parseQuery', () => {
+  it('keeps free text as the search', () => {
+    const { filters, errors } = parseQuery('fast  parser');
+
+    assert.equal(filters.search, 'fast parser');
+    assert.deepEqual(filters.exclude.text, []);
+    assert.deepEqual(errors, []);
+  });
+
+  it('reads qualifiers and their exclusions', () => {
+    const { filters, errors } = parseQuery('lang:Rust topic:CLI -tag:archived stars:>1000 parser');
+
+    assert.equal(filters.language, 'Rust');
+    assert.deepEqual(filters.topics, ['cli']);
+    assert.deepEqual(filters.exclude.customTags, ['archived']);
+    assert.deepEqual(filters.stars, { min: 1001, max: null });
+    assert.equal(filters.search, 'parser');
+    assert.deepEqual(errors, []);
+  });
+
+  it('excludes negated free-text terms instead of searching for them', () => {
+    const { filters, errors } = parseQuery('parser -deprecated -"work in progress"');
+
+    assert.equal(filters.search, 'parser');
+    assert.deepEqual(filters.exclude.text, ['deprecated', 'work in progress']);
+    assert.deepEqual(errors, []);
+  });
+
+  it('searches a quoted or lone "-" literally', () => {
+    const { filters } = parseQuery('"-deprecated" - x');
+
+    assert.equal(filters.search, '-deprecated - x');
+    assert.deepEqual(filters.exclude.text, []);
+  });
+
+  it('reports malformed qualifiers and keeps the rest', () => {
+    const { filters, errors } = parseQuery('colour:red stars:lots -stars:>5 cli');
+
+    assert.equal(filters.search, 'cli');
+    assert.deepEqual(errors.map(error => error.term), ['colour:red', 'stars:lots', '-stars:>5']);
+  });
+});
+
+describe('findExactMatches', () => {
+  buildSearchIndex([
+    { id: 1, name: 'parser', description: 'Deprecated, use parser2' },
+    { id: 2, name: 'parse-kit', description: 'Work in progress' },
+    { id: 3, name: 'deprecation-check', description: 'Finds work to do' }
+  ]);
+
+  it('matches whole words only', () => {
+    assert.deepEqual([...findExactMatches('deprecated')], [1]);
+  });
+
+  it('requires every word of a phrase', () => {
+    assert.deepEqual([...findExactMatches('work in progress')], [2]);
+    assert.deepEqual([...findExactMatches('work')].sort(), [2, 3]);
+  });
+
+  it('matches nothing for text without words', () => {
+    assert.equal(findExactMatches('!!').size, 0);
+  });
+});
@@ -0,0 +1,166 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+const { createGitHubClient } = require('../scripts/lib/github');
+const { fetchAllStars, mergeRepositories } = require('../scripts/lib/stars');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const NOW = new Date('2026-02-01T00:00:00.000Z');
+
+/**
+ * Build a repository as stored in stars.json
+ * @param {number} id - Repository ID
+ * @param {Object} fields - Fields to override
+ * @returns {Object} Repository
+ */
+function repo(id, fields = {}) {
+  return {
+    id,
+    name: `repo-${id}`,
+    full_name: `owner/repo-${id}`,
+    stargazers_count: 10,
+    starred_at: '2025-01-01T00:00:00Z',
+    ...fields
+  };
+}
+
+/**
+ * Build a starred item as returned by /users/:user/starred (star+json)
+ * @param {number} id - Repository ID
+ * @returns {Object} Starred item
+ */
+function starredItem(id) {
+  return {
+    starred_at: '2026-01-01T00:00:00Z',
+    repo: {
+      id,
+      name: `repo-${id}`,
+      full_name: `owner/repo-${id}`,
+      owner: { login: 'owner', avatar_url: '' },
+      html_url: `https://github.com/owner/repo-${id}`,
+      stargazers_count: id
+    }
+  };
+}
+
+describe('mergeRepositories', () => {
+  it('adds repositories that are new', () => {
+    const result = mergeRepositories([repo(1)], [repo(1), repo(2)], { now: NOW });
+
+    assert.deepEqual(result.repositories.map(r => r.id), [1, 2]);
+    assert.equal(result.added, 1);
+    assert.equal(result.updated, 1);
+  });
+
+  it('takes fresh metadata but keeps the original star date', () => {
+    const existing = repo(1, { stargazers_count: 10, starred_at: '2024-05-05T00:00:00Z' });
+    const fetched = repo(1, { stargazers_count: 99, starred_at: '2026-01-01T00:00:00Z' });
+
+    const { repositories, updated } = mergeRepositories([existing], [fetched], { now: NOW });
+
+    assert.equal(updated, 1);
+    assert.equal(repositories[0].stargazers_count, 99);
+    assert.equal(repositories[0].starred_at, '2024-05-05T00:00:00Z');
+  });
+
+  it('archives repositories that are no longer starred', () => {
+    const { repositories, archived } = mergeRepositories([repo(1), repo(2)], [repo(1)], { now: NOW });
+
+    assert.equal(archived, 1);
+    assert.deepEqual(repositories.find(r => r.id === 2), repo(2, { unstarred_at: NOW.toISOString() }));
+    assert.equal(repositories.find(r => r.id === 1).unstarred_at, undefined);
+  });
+
+  it('keeps the unstarred date of repositories archived earlier', () => {
+    const earlier = repo(2, { unstarred_at: '2025-10-10T00:00:00.000Z' });
+
+    const { repositories, archived } = mergeRepositories([repo(1), earlier], [repo(1)], { now: NOW });
+
+    assert.equal(archived, 0);
+    assert.equal(repositories.find(r => r.id === 2).unstarred_at, '2025-10-10T00:00:00.000Z');
+  });
+
+  it('restores a repository that is starred again with its new star date', () => {
+    const archivedRepo = repo(1, { starred_at: '2024-01-01T00:00:00Z', unstarred_at: '2025-01-01T00:00:00.000Z' });
+    const starredAgain = repo(1, { starred_at: '2026-01-20T00:00:00Z' });
+
+    const { repositories, restored, updated } = mergeRepositories([archivedRepo], [starredAgain], { now: NOW });
+
+    assert.equal(restored, 1);
+    assert.equal(updated, 1);
+    assert.deepEqual(repositories, [starredAgain]);
+  });
+
+  it('drops unstarred and previously archived repositories with purgeArchived', () => {
+    const existing = [repo(1), repo(2), repo(3, { unstarred_at: '2025-10-10T00:00:00.000Z' })];
+
+    const result = mergeRepositories(existing, [repo(1)], { now: NOW, purgeArchived: true });
+
+    assert.deepEqual(result.repositories.map(r => r.id), [1]);
+    assert.equal(result.purged, 2);
+    assert.equal(result.archived, 0);
+  });
+});
+
+describe('fetchAllStars', () => {
+  it('follows the Link header of the API', async () => {
+    const pages = { 1: [starredItem(1), starredItem(2)], 2: [starredItem(3)] };
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+      const url = new URL(req.url, 'http://localhost');
+      const page = Number(url.searchParams.get('page'));
+      requests.push({ path: url.pathname, page, accept: req.headers.accept });
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (pages[page + 1]) {
+        url.searchParams.set('page', String(page + 1));
+        headers.Link = `<http://localhost${url.pathname}${url.search}>; rel="next", <http://localhost${url.pathname}?page=2>; rel="last"`;
+      }
+      res.writeHead(200, headers);
+      res.end(JSON.stringify(pages[page] || []));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const client = createGitHubClient({ apiBase: `http://127.0.0.1:${server.address().port}` });
+      const repos = await fetchAllStars(client, 'octocat', { log: () => {} });
+
+      assert.deepEqual(repos.map(r => r.id), [1, 2, 3]);
+      assert.deepEqual(requests.map(r => r.page), [1, 2]);
+      assert.equal(requests[0].path, '/users/octocat/starred');
+      assert.equal(requests[0].accept, 'application/vnd.github.v3.star+json');
+    } finally {
+      server.close();
+    }
+  });
+
+  it('stops at a page without a next link', async () => {
+    const calls = [];
+    const client = {
+      async get(requestPath) {
+        calls.push(requestPath);
+        return { data: [starredItem(1)], headers: { link: '<https://api.github.com/x?page=1>; rel="prev"' } };
+      }
+    };
+
+    const repos = await fetchAllStars(client, 'octocat', { log: () => {} });
+
+    assert.equal(repos.length, 1);
+    assert.equal(calls.length, 1);
+  });
+
+  it('reads every page of the fixture tree', async () => {
+    const client = createGitHubClient({ fixturesDir: FIXTURES_DIR });
+
+    const repos = await fetchAllStars(client, 'octocat', { log: () => {} });
+
+    assert.deepEqual(repos.map(r => r.full_name), ['acme/rocket', 'acme/parser', 'octo-org/hello-world']);
+    assert.equal(repos[0].license, 'MIT');
+    assert.equal(repos[1].license, 'Other');
+    assert.equal(repos[1].language, 'Unknown');
+    assert.equal(repos[1].description, '');
+    assert.equal(repos[2].starred_at, '2025-06-15T18:45:00Z');
+  });
+});
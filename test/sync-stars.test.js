@@ -0,0 +1,308 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOptions, main } = require('../scripts/sync-stars');
+const { addReadmes } = require('../scripts/lib/readmes');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Variables the CLI falls back to, cleared so the developer's environment does not leak in
+const ENV_VARS = [
+  'GITHUB_USERNAME',
+  'STARS_OUTPUT',
+  'GITHUB_PAT',
+  'GITHUB_TOKEN',
+  'GITHUB_API_BASE',
+  'GITHUB_FIXTURES_DIR',
+  'STARS_HISTORY',
+  'PURGE_ARCHIVED',
+  'GITHUB_USERS',
+  'STARS_DATA_DIR',
+  'SYNC_LISTS',
+  'SYNC_READMES'
+];
+
+describe('parseOptions', () => {
+  it('uses the defaults', () => {
+    const options = parseOptions(['--username', 'octocat'], {});
+
+    assert.equal(options.username, 'octocat');
+    assert.equal(options.output, './data/stars.json');
+    assert.equal(options.token, '');
+    assert.equal(options.apiBase, 'https://api.github.com');
+    assert.equal(options.fixturesDir, '');
+  });
+
+  it('falls back to environment variables', () => {
+    const options = parseOptions([], {
+      GITHUB_USERNAME: 'octocat',
+      STARS_OUTPUT: '/tmp/out/stars.json',
+      GITHUB_TOKEN: 'token',
+      GITHUB_API_BASE: 'http://localhost:3000',
+      GITHUB_FIXTURES_DIR: 'fixtures'
+    });
+
+    assert.equal(options.username, 'octocat');
+    assert.equal(options.output, '/tmp/out/stars.json');
+    assert.equal(options.token, 'token');
+    assert.equal(options.apiBase, 'http://localhost:3000');
+    assert.equal(options.fixturesDir, 'fixtures');
+  });
+
+  it('prefers flags over environment variables', () => {
+    const options = parseOptions(['-u', 'hubot', '-t', 'flag-token', '-o', 'out.json'], {
+      GITHUB_USERNAME: 'octocat',
+      GITHUB_PAT: 'env-token',
+      STARS_OUTPUT: 'env.json'
+    });
+
+    assert.equal(options.username, 'hubot');
+    assert.equal(options.token, 'flag-token');
+    assert.equal(options.output, 'out.json');
+  });
+
+  it('reads the purge option from a flag or PURGE_ARCHIVED', () => {
+    assert.equal(parseOptions([], {}).purgeArchived, false);
+    assert.equal(parseOptions(['--purge-archived'], {}).purgeArchived, true);
+    assert.equal(parseOptions([], { PURGE_ARCHIVED: 'true' }).purgeArchived, true);
+  });
+
+  it('writes the change log next to the output unless told otherwise', () => {
+    assert.equal(parseOptions(['-o', '/tmp/out/stars.json'], {}).history, '/tmp/out/history.json');
+    assert.equal(parseOptions(['--history', 'log.json'], { STARS_HISTORY: 'env.json' }).history, 'log.json');
+    assert.equal(parseOptions([], { STARS_HISTORY: 'env.json' }).history, 'env.json');
+    assert.equal(parseOptions(['--no-history'], { STARS_HISTORY: 'env.json' }).history, '');
+  });
+
+  it('splits the team list and puts its files next to the output', () => {
+    const options = parseOptions(['--users', 'alice, bob,,carol', '-o', '/tmp/out/stars.json'], {});
+    assert.deepEqual(options.users, ['alice', 'bob', 'carol']);
+    assert.equal(options.dataDir, '/tmp/out');
+    assert.equal(parseOptions([], { GITHUB_USERS: 'alice', STARS_DATA_DIR: 'site/data' }).dataDir, 'site/data');
+  });
+
+  it('fetches star lists unless told otherwise', () => {
+    assert.equal(parseOptions([], {}).lists, true);
+    assert.equal(parseOptions([], { SYNC_LISTS: 'false' }).lists, false);
+    assert.equal(parseOptions(['--no-lists'], {}).lists, false);
+  });
+
+  it('fetches READMEs unless told otherwise', () => {
+    assert.equal(parseOptions([], {}).readmes, true);
+    assert.equal(parseOptions([], { SYNC_READMES: 'false' }).readmes, false);
+    assert.equal(parseOptions(['--no-readmes'], {}).readmes, false);
+  });
+
+  it('rejects unknown flags', () => {
+    assert.throws(() => parseOptions(['--unknown'], {}));
+  });
+});
+
+describe('main', () => {
+  let dir;
+  let savedEnv;
+
+  beforeEach((t) => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sync-stars-'));
+    savedEnv = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+    ENV_VARS.forEach(name => delete process.env[name]);
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(console, 'error', () => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    Object.entries(savedEnv).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    });
+  });
+
+  it('syncs the fixture tree into stars.json', async () => {
+    const output = path.join(dir, 'stars.json');
+
+    const code = await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output]);
+
+    assert.equal(code, 0);
+    const data = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.equal(data.metadata.username, 'octocat');
+    assert.equal(data.metadata.totalStars, 3);
+    assert.deepEqual(data.repositories.map(repo => repo.full_name), ['acme/rocket', 'acme/parser', 'octo-org/hello-world']);
+    assert.equal(data.repositories[0].stargazers_count, 5200);
+    // The fixture tree has no READMEs
+    assert.ok(data.repositories.every(repo => repo.readme === ''));
+  });
+
+  it('adds the public star lists with all their repositories', async () => {
+    const output = path.join(dir, 'stars.json');
+
+    const code = await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output]);
+
+    assert.equal(code, 0);
+    const data = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepEqual(data.lists.map(list => [list.slug, list.repositoryIds]), [
+      ['dev-tools', [1001, 1002, 1003]],
+      ['read-later', [1003]]
+    ]);
+  });
+
+  it('updates previously synced repositories, keeping their star date', async () => {
+    const output = path.join(dir, 'stars.json');
+    fs.writeFileSync(output, JSON.stringify({
+      metadata: { username: 'octocat' },
+      repositories: [
+        { id: 1001, name: 'rocket', full_name: 'acme/rocket', stargazers_count: 5000, starred_at: '2024-03-03T00:00:00Z' }
+      ]
+    }));
+
+    const code = await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output]);
+
+    assert.equal(code, 0);
+    const data = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.equal(data.metadata.totalStars, 3);
+    const rocket = data.repositories.find(repo => repo.id === 1001);
+    assert.equal(rocket.starred_at, '2024-03-03T00:00:00Z');
+    assert.equal(rocket.stargazers_count, 5200);
+  });
+
+  it('archives unstarred repositories', async () => {
+    const output = path.join(dir, 'stars.json');
+    fs.writeFileSync(output, JSON.stringify({
+      metadata: { username: 'octocat' },
+      repositories: [{ id: 9999, name: 'gone', full_name: 'acme/gone', starred_at: '2024-01-01T00:00:00Z' }]
+    }));
+
+    const code = await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output]);
+
+    assert.equal(code, 0);
+    const data = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.equal(data.metadata.totalStars, 3);
+    assert.equal(data.metadata.totalArchived, 1);
+    assert.ok(data.repositories.find(repo => repo.id === 9999).unstarred_at);
+  });
+
+  it('drops unstarred repositories with --purge-archived', async () => {
+    const output = path.join(dir, 'stars.json');
+    fs.writeFileSync(output, JSON.stringify({
+      repositories: [{ id: 9999, name: 'gone', full_name: 'acme/gone', unstarred_at: '2025-01-01T00:00:00.000Z' }]
+    }));
+
+    const code = await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output, '--purge-archived']);
+
+    assert.equal(code, 0);
+    const data = JSON.parse(fs.readFileSync(output, 'utf8'));
+    assert.deepEqual(data.repositories.map(repo => repo.id), [1001, 1002, 1003]);
+  });
+
+  it('records no change log entry on the first sync', async () => {
+    const output = path.join(dir, 'stars.json');
+
+    assert.equal(await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output]), 0);
+    assert.equal(fs.existsSync(path.join(dir, 'history.json')), false);
+  });
+
+  it('records added and removed repositories and star changes', async () => {
+    const output = path.join(dir, 'stars.json');
+    const history = path.join(dir, 'log', 'history.json');
+    fs.writeFileSync(output, JSON.stringify({
+      metadata: { username: 'octocat' },
+      repositories: [
+        { id: 1001, name: 'rocket', full_name: 'acme/rocket', stargazers_count: 5000, starred_at: '2024-03-03T00:00:00Z' },
+        { id: 9999, name: 'gone', full_name: 'acme/gone', stargazers_count: 1, starred_at: '2024-01-01T00:00:00Z' }
+      ]
+    }));
+
+    const code = await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output, '--history', history]);
+
+    assert.equal(code, 0);
+    const { runs } = JSON.parse(fs.readFileSync(history, 'utf8'));
+    assert.equal(runs.length, 1);
+    assert.deepEqual(runs[0].added.map(repo => repo.id), [1002, 1003]);
+    assert.deepEqual(runs[0].removed.map(repo => repo.id), [9999]);
+    assert.deepEqual(runs[0].stars, [[1001, 200]]);
+  });
+
+  it('records nothing with --no-history', async () => {
+    const output = path.join(dir, 'stars.json');
+    fs.writeFileSync(output, JSON.stringify({ repositories: [{ id: 1001, full_name: 'acme/rocket', stargazers_count: 1 }] }));
+
+    assert.equal(await main(['-u', 'octocat', '--fixtures', FIXTURES_DIR, '-o', output, '--no-history']), 0);
+    assert.equal(fs.existsSync(path.join(dir, 'history.json')), false);
+  });
+
+  it('fails without a username', async () => {
+    assert.equal(await main(['--fixtures', FIXTURES_DIR]), 1);
+  });
+
+  it('fails for a user without fixtures', async () => {
+    const output = path.join(dir, 'stars.json');
+
+    assert.equal(await main(['-u', 'nobody', '--fixtures', FIXTURES_DIR, '-o', output]), 1);
+    assert.equal(fs.existsSync(output), false);
+  });
+});
+
+/**
+ * GitHub client answering README requests from a map of repository -> README
+ * @param {Object} readmes - Full name -> README text, or an HTTP status to fail with
+ * @returns {Object} Client recording the requested repositories in `requested`
+ */
+function createReadmeClient(readmes) {
+  const requested = [];
+  return {
+    requested,
+    async get(url) {
+      const fullName = url.match(/^\/repos\/(.+)\/readme$/)[1];
+      requested.push(fullName);
+      const readme = readmes[fullName];
+      if (typeof readme === 'number') {
+        throw Object.assign(new Error(`HTTP ${readme}`), { status: readme });
+      }
+      return { data: { content: Buffer.from(readme).toString('base64'), encoding: 'base64' } };
+    }
+  };
+}
+
+describe('addReadmes', () => {
+  const log = () => {};
+
+  it('refetches only the READMEs of repositories pushed since the last sync', async () => {
+    const client = createReadmeClient({ 'acme/rocket': 'New rocket', 'acme/parser': 'New parser', 'octo-org/hello-world': 'Hello' });
+    const repositories = [
+      { id: 1001, full_name: 'acme/rocket', pushed_at: '2026-02-01T00:00:00Z' },
+      { id: 1002, full_name: 'acme/parser', pushed_at: '2026-01-01T00:00:00Z' },
+      { id: 1003, full_name: 'octo-org/hello-world', pushed_at: '2026-01-01T00:00:00Z' }
+    ];
+    const previous = [
+      { id: 1001, readme: 'Old rocket', pushed_at: '2026-01-01T00:00:00Z' },
+      { id: 1002, readme: 'Old parser', pushed_at: '2026-01-01T00:00:00Z' }
+    ];
+
+    const result = await addReadmes(client, repositories, previous, { log });
+
+    assert.deepEqual(client.requested, ['acme/rocket', 'octo-org/hello-world']);
+    assert.deepEqual(result.map(repo => repo.readme), ['New rocket', 'Old parser', 'Hello']);
+  });
+
+  for (const status of [403, 429]) {
+    it(`stops fetching after a ${status} response, keeping the previous READMEs`, async () => {
+      const client = createReadmeClient({ 'acme/rocket': status, 'acme/parser': 'New parser' });
+      const repositories = [
+        { id: 1001, full_name: 'acme/rocket', pushed_at: '2026-02-01T00:00:00Z' },
+        { id: 1002, full_name: 'acme/parser', pushed_at: '2026-02-01T00:00:00Z' }
+      ];
+      const previous = [
+        { id: 1001, readme: 'Old rocket', pushed_at: '2026-01-01T00:00:00Z' },
+        { id: 1002, readme: 'Old parser', pushed_at: '2026-01-01T00:00:00Z' }
+      ];
+
+      const result = await addReadmes(client, repositories, previous, { log });
+
+      assert.deepEqual(client.requested, ['acme/rocket']);
+      assert.deepEqual(result.map(repo => repo.readme), ['Old rocket', 'Old parser']);
+    });
+  }
+});